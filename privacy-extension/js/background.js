@@ -6,6 +6,8 @@ const STORAGE_KEYS = {
   API_URL: 'api_url',
   API_KEY: 'api_key',
   TOKEN: 'auth_token',
+  TOKEN_EXPIRES_AT: 'auth_token_expires_at',
+  REFRESH_TOKEN: 'refresh_token',
   USER: 'user',
   SETTINGS: 'settings',
   POLICY_CACHE: 'policy_cache'
@@ -19,6 +21,10 @@ const DEFAULT_SETTINGS = {
   darkMode: false,
   theme: 'default'
 };
+const JOB_POLL_INTERVAL_MS = 2000;
+const JOB_TIMEOUT_MS = 5 * 60 * 1000;
+// Refresh the login token early enough that it lasts through a whole analysis job
+const TOKEN_REFRESH_MARGIN_MS = JOB_TIMEOUT_MS + 60 * 1000;
 
 // Initialize
 chrome.runtime.onInstalled.addListener(async () => {
@@ -128,6 +134,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
   
+  if (message.action === "discoverPolicy") {
+    console.log(`Discovering privacy policy for: ${message.url}`);
+    
+    discoverPrivacyPolicy(message.url)
+      .then(discovery => {
+        sendResponse({ success: true, ...discovery });
+      })
+      .catch(error => {
+        sendResponse({ success: false, error: error.message, url: message.url });
+      });
+    
+    return true;
+  }
+  
   if (message.action === "getSettings") {
     getSettings()
       .then(settings => {
@@ -222,21 +242,7 @@ async function analyzePrivacyPolicy(url, options = {}) {
     
     console.log(`Making API request to: ${apiUrl}/policies/analyze`);
     
-    // Get authentication token if available
-    let headers = {
-      "Content-Type": "application/json"
-    };
-    
-    const { auth_token } = await chrome.storage.sync.get(STORAGE_KEYS.TOKEN);
-    if (auth_token) {
-      headers["Authorization"] = `Bearer ${auth_token}`;
-    } else {
-      // Try API key if no token
-      const { api_key } = await chrome.storage.sync.get(STORAGE_KEYS.API_KEY);
-      if (api_key) {
-        headers["X-API-Key"] = api_key;
-      }
-    }
+    const headers = await getRequestHeaders();
     
     const response = await fetch(`${apiUrl}/policies/analyze`, {
       method: "POST",
@@ -261,7 +267,12 @@ async function analyzePrivacyPolicy(url, options = {}) {
       throw new Error(errorMessage);
     }
 
-    const data = await response.json();
+    let data = await response.json();
+    
+    // New analyses run as background jobs; wait for the job to finish
+    if (response.status === 202 && data.job) {
+      data = await followAnalysisJob(apiUrl, data.job.id, url, headers);
+    }
     
     // Cache the result
     await cachePolicy(url, data);
@@ -273,6 +284,289 @@ async function analyzePrivacyPolicy(url, options = {}) {
   }
 }
 
+/**
+ * Find the privacy policy of the site a page belongs to
+ */
+async function discoverPrivacyPolicy(siteUrl) {
+  const { api_url } = await chrome.storage.sync.get(STORAGE_KEYS.API_URL);
+  const apiUrl = api_url || DEFAULT_API_URL;
+  const headers = await getRequestHeaders();
+  
+  const response = await fetch(`${apiUrl}/policies/discover?url=${encodeURIComponent(siteUrl)}`, { headers });
+  
+  if (!response.ok) {
+    let errorMessage = `Failed to find a privacy policy: Server responded with status ${response.status}`;
+    
+    try {
+      const errorData = await response.json();
+      errorMessage = errorData.error?.message || errorData.message || errorMessage;
+    } catch (e) {
+      // Keep the status message
+    }
+    
+    throw new Error(errorMessage);
+  }
+  
+  const discovery = await response.json();
+  
+  if (!discovery.policyUrl) {
+    throw new Error(`Couldn't find a privacy policy for ${discovery.site}`);
+  }
+  
+  return discovery;
+}
+
+/**
+ * Headers for API requests, with the login token or API key if there is one
+ */
+async function getRequestHeaders() {
+  const headers = {
+    "Content-Type": "application/json"
+  };
+  
+  const auth_token = await getAccessToken();
+  if (auth_token) {
+    headers["Authorization"] = `Bearer ${auth_token}`;
+  } else {
+    // Try API key if no token
+    const { api_key } = await chrome.storage.sync.get(STORAGE_KEYS.API_KEY);
+    if (api_key) {
+      headers["X-API-Key"] = api_key;
+    }
+  }
+  
+  return headers;
+}
+
+/**
+ * The login token, refreshed first if it is about to expire. Returns null
+ * (and forgets the login) if the session can't be refreshed.
+ */
+async function getAccessToken() {
+  const { auth_token, auth_token_expires_at } = await chrome.storage.sync.get([
+    STORAGE_KEYS.TOKEN,
+    STORAGE_KEYS.TOKEN_EXPIRES_AT
+  ]);
+  
+  if (!auth_token || !auth_token_expires_at || auth_token_expires_at - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+    return auth_token || null;
+  }
+  
+  const { refresh_token } = await chrome.storage.local.get(STORAGE_KEYS.REFRESH_TOKEN);
+  
+  try {
+    if (!refresh_token) {
+      throw new Error('No refresh token');
+    }
+    
+    const { api_url } = await chrome.storage.sync.get(STORAGE_KEYS.API_URL);
+    const apiUrl = api_url || DEFAULT_API_URL;
+    
+    const response = await fetch(`${apiUrl}/auth/refresh`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ refreshToken: refresh_token })
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Server responded with status ${response.status}`);
+    }
+    
+    const session = await response.json();
+    await saveSession(session);
+    
+    return session.token;
+  } catch (error) {
+    console.warn('Could not refresh login, logging out:', error);
+    await clearSession();
+    return null;
+  }
+}
+
+/**
+ * Save the tokens of a login session. The refresh token stays on this device:
+ * each one works once, so it must not be synced to other browsers.
+ */
+async function saveSession({ token, refreshToken, expiresIn }) {
+  await chrome.storage.sync.set({
+    [STORAGE_KEYS.TOKEN]: token,
+    [STORAGE_KEYS.TOKEN_EXPIRES_AT]: Date.now() + expiresIn * 1000
+  });
+  await chrome.storage.local.set({ [STORAGE_KEYS.REFRESH_TOKEN]: refreshToken });
+}
+
+/**
+ * Forget the login session and user
+ */
+async function clearSession() {
+  await chrome.storage.sync.remove([
+    STORAGE_KEYS.TOKEN,
+    STORAGE_KEYS.TOKEN_EXPIRES_AT,
+    STORAGE_KEYS.USER
+  ]);
+  await chrome.storage.local.remove(STORAGE_KEYS.REFRESH_TOKEN);
+}
+
+/**
+ * Follow an analysis job through its progress stream, forwarding progress to
+ * the popup. Falls back to polling if the stream can't be read.
+ */
+async function followAnalysisJob(apiUrl, jobId, url, headers) {
+  try {
+    return await streamAnalysisJob(apiUrl, jobId, url, headers);
+  } catch (error) {
+    if (error.isFinal) {
+      throw error;
+    }
+    
+    console.warn(`Progress stream unavailable for job ${jobId}, polling instead:`, error);
+    return waitForAnalysisJob(apiUrl, jobId, headers);
+  }
+}
+
+/**
+ * Read the Server-Sent Events stream of an analysis job until its final event.
+ * Uses fetch rather than EventSource, which service workers don't have.
+ */
+async function streamAnalysisJob(apiUrl, jobId, url, headers) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), JOB_TIMEOUT_MS);
+  
+  try {
+    const response = await fetch(`${apiUrl}/jobs/${jobId}/events`, {
+      headers: { ...headers, "Accept": "text/event-stream" },
+      signal: controller.signal
+    });
+    
+    if (!response.ok || !response.body) {
+      throw new Error(`Progress stream responded with status ${response.status}`);
+    }
+    
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      
+      buffer += value;
+      
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const message = parseServerSentEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        
+        if (!message) continue;
+        
+        if (message.event === 'result') {
+          return {
+            policy: message.data.policy,
+            cached: false,
+            isNew: message.data.isNew,
+            processingTime: message.data.processingTime
+          };
+        }
+        
+        if (message.event === 'failed' || message.event === 'cancelled') {
+          const error = new Error(message.data.job?.error || `Analysis ${message.event}`);
+          error.isFinal = true;
+          throw error;
+        }
+        
+        notifyAnalysisProgress(url, message.event, message.data);
+      }
+    }
+    
+    throw new Error('Progress stream ended before the analysis finished');
+  } catch (error) {
+    if (controller.signal.aborted) {
+      const timeoutError = new Error('Analysis is taking longer than expected. Please try again later.');
+      timeoutError.isFinal = true;
+      throw timeoutError;
+    }
+    
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Parse one Server-Sent Events message. Comments (keep-alives) return null.
+ */
+function parseServerSentEvent(chunk) {
+  let event = 'message';
+  const dataLines = [];
+  
+  chunk.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+  
+  if (dataLines.length === 0) {
+    return null;
+  }
+  
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Forward analysis progress to the popup, if it is open
+ */
+function notifyAnalysisProgress(url, event, data) {
+  chrome.runtime.sendMessage({ action: 'analysisProgress', url, event, data })
+    .catch(() => {
+      // No popup is listening
+    });
+}
+
+/**
+ * Poll an analysis job until it completes, fails or times out
+ */
+async function waitForAnalysisJob(apiUrl, jobId, headers) {
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+  
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    
+    const response = await fetch(`${apiUrl}/jobs/${jobId}`, { headers });
+    
+    if (!response.ok) {
+      throw new Error(`Failed to get analysis status: Server responded with status ${response.status}`);
+    }
+    
+    const data = await response.json();
+    const { job } = data;
+    
+    if (job.status === 'completed') {
+      return {
+        policy: data.policy,
+        cached: false,
+        isNew: data.isNew,
+        processingTime: data.processingTime
+      };
+    }
+    
+    if (job.status === 'failed' || job.status === 'cancelled') {
+      throw new Error(job.error || `Analysis ${job.status}`);
+    }
+    
+    console.log(`Analysis job ${jobId}: ${job.stage} (${job.progress}%)`);
+  }
+  
+  throw new Error('Analysis is taking longer than expected. Please try again later.');
+}
+
 /**
  * Detect if a URL is likely a privacy policy
  */
@@ -496,11 +790,12 @@ async function login(email, password) {
     
     const data = await response.json();
     
-    // Save token and user data
+    // Save tokens and user data. API keys are only shown when they are
+    // created, so a key saved earlier is kept.
+    await saveSession(data);
     await chrome.storage.sync.set({
-      [STORAGE_KEYS.TOKEN]: data.token,
       [STORAGE_KEYS.USER]: data.user,
-      [STORAGE_KEYS.API_KEY]: data.user.apiKey
+      ...(data.user.apiKey && { [STORAGE_KEYS.API_KEY]: data.user.apiKey })
     });
     
     return {
@@ -518,10 +813,22 @@ async function login(email, password) {
  */
 async function logout() {
   try {
-    await chrome.storage.sync.remove([
-      STORAGE_KEYS.TOKEN,
-      STORAGE_KEYS.USER
-    ]);
+    const { auth_token } = await chrome.storage.sync.get(STORAGE_KEYS.TOKEN);
+    
+    // End the session on the server too; the local logout happens regardless
+    if (auth_token) {
+      const { api_url } = await chrome.storage.sync.get(STORAGE_KEYS.API_URL);
+      const apiUrl = api_url || DEFAULT_API_URL;
+      
+      await fetch(`${apiUrl}/auth/logout`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${auth_token}`
+        }
+      }).catch(error => console.warn('Could not end the session on the server:', error));
+    }
+    
+    await clearSession();
     
     return true;
   } catch (error) {
@@ -18,6 +18,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const summaryList = document.getElementById('summary-list');
     const redFlagsList = document.getElementById('red-flags-list');
     const errorMessage = document.getElementById('error-message');
+
+    // URL of the analysis in progress, so progress for other URLs is ignored
+    let analyzingUrl = null;
     
     // Loading spinner and message
     const loadingStatus = document.getElementById('loading-status');
@@ -43,6 +46,17 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 // Set the URL in the input field 
                 policyUrlInput.value = activeTab.url;
+            } else if (/^https?:/.test(activeTab.url || '')) {
+                // Offer to find the policy of the site this page belongs to
+                policyDetectionMessage.classList.add('no-policy-detected');
+                policyDetectionMessage.innerHTML = ` 
+          <strong>This isn't a privacy policy page</strong><br> 
+          Find this site's policy, or enter a privacy policy URL below. 
+          <button id="discover-button" class="discover-button">Analyze this site's privacy policy</button> 
+        `;
+
+                document.getElementById('discover-button')
+                    .addEventListener('click', () => discoverAndAnalyze(activeTab.url));
             } else {
                 // Show "No privacy policy detected" message 
                 policyDetectionMessage.classList.add('no-policy-detected');
@@ -61,6 +75,34 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
+    // Find the privacy policy of the current site, then analyze it
+    function discoverAndAnalyze(pageUrl) {
+        showView(loadingView);
+        analyzingUrl = null;
+        updateLoadingStatus("Looking for this site's privacy policy...");
+
+        chrome.runtime.sendMessage({ action: 'discoverPolicy', url: pageUrl }, (response) => {
+            if (!response?.success) {
+                errorMessage.innerHTML = `
+                    <div>${response?.error || "Couldn't find this site's privacy policy."}</div>
+                    <div class="error-tips">
+                        <p>Possible solutions:</p>
+                        <ul>
+                            <li>Open the site's privacy policy page and try again</li>
+                            <li>Enter the privacy policy URL yourself</li>
+                        </ul>
+                    </div>
+                `;
+
+                showView(errorView);
+                return;
+            }
+
+            policyUrlInput.value = response.policyUrl;
+            analyzeButton.click();
+        });
+    }
+
     // Handle analyze button click 
     analyzeButton.addEventListener('click', () => {
         const url = policyUrlInput.value.trim();
@@ -73,6 +115,7 @@ document.addEventListener('DOMContentLoaded', () => {
         showView(loadingView);
         
         // Update loading status with more details
+        analyzingUrl = url;
         updateLoadingStatus('Sending request to analyze privacy policy...');
         
         // Track request time for UX feedback
@@ -111,12 +154,11 @@ document.addEventListener('DOMContentLoaded', () => {
             }, remainingTime);
         });
         
-        // Set a timeout in case the background script doesn't respond
+        // Set a timeout in case the background script doesn't respond.
+        // Analyses run as background jobs, so allow as long as the job poller does.
         setTimeout(() => {
-            // Check if we're still in loading view after 30 seconds
-            if (!initialView.classList.contains('hidden') && 
-                !resultsView.classList.contains('hidden') && 
-                !errorView.classList.contains('hidden')) {
+            // Check if we're still in loading view after 5 minutes
+            if (!loadingView.classList.contains('hidden')) {
                 
                 errorMessage.innerHTML = `
                     <div>Request timed out. The server took too long to respond.</div>
@@ -132,7 +174,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 
                 showView(errorView);
             }
-        }, 30000);
+        }, 5 * 60 * 1000 + 10000);
     });
 
     // Handle back button clicks 
@@ -163,6 +205,62 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Show progress streamed from the backend while an analysis runs
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.action !== 'analysisProgress' || message.url !== analyzingUrl) {
+            return;
+        }
+
+        const status = describeProgress(message.event, message.data);
+        if (status) {
+            updateLoadingStatus(status);
+        }
+    });
+
+    // Turn a progress event into a loading message
+    function describeProgress(event, data) {
+        switch (event) {
+            case 'status':
+                return data.job?.status === 'queued' ? 'Waiting for the analysis to start...' : null;
+            case 'stage':
+                return {
+                    fetching: 'Fetching the privacy policy...',
+                    extracting: 'Extracting the policy text...',
+                    analyzing: 'Analyzing the policy...',
+                    saving: 'Saving the results...',
+                    scanning: 'Scanning the site for trackers and cookies...'
+                }[data.stage] || null;
+            case 'fetch_method':
+                return {
+                    cache: 'Using a recently fetched copy of the page...',
+                    axios: 'Downloading the page...',
+                    puppeteer: 'Loading the page in a headless browser...'
+                }[data.method] || null;
+            case 'html_fetched':
+                return `Downloaded ${Math.round(data.length / 1024)} KB of HTML. Extracting text...`;
+            case 'consent_platform':
+                return `Found a ${data.platforms.map(platform => platform.name).join(' / ')} cookie banner` +
+                    (data.action === 'dismissed' ? ' and declined optional cookies.' : '.');
+            case 'text_extracted':
+                return `Extracted ${data.length.toLocaleString()} characters of policy text.`;
+            case 'linked_document':
+                return `Added linked page: ${data.title || data.url}`;
+            case 'ai_started':
+                return data.chunks > 1
+                    ? `Analyzing the policy in ${data.chunks} parts...`
+                    : 'Analyzing the policy...';
+            case 'partial_summary':
+                return `Analyzed part ${data.completedChunks} of ${data.totalChunks}` +
+                    (data.summary?.length ? `: ${data.summary[0]}` : '...');
+            case 'analysis_complete':
+                return `Analysis complete (score ${data.score}/100). Saving the results...`;
+            case 'site_scanned':
+                return `Found ${data.trackers} known tracker(s) and ${data.cookies} cookie(s) set before consent.`;
+            default:
+                return null;
+        }
+    }
+
     // Function to display results 
     function displayResults(data) {
         // Store the result globally for the "View Full Report" button 
@@ -170,11 +268,15 @@ document.addEventListener('DOMContentLoaded', () => {
         const policy = data.policy;
         // Set the privacy score 
         const score = policy.score;
-        scoreValue.textContent = score;
+        scoreValue.textContent = policy.is_fallback ? 'N/A' : score;
         // Determine score class 
         let scoreClass = 'poor';
         let labelText = 'Poor';
-        if (score >= 80) {
+        if (policy.is_fallback) {
+            // The analysis failed, so there is no real score to rate
+            scoreClass = 'unavailable';
+            labelText = 'Not Analyzed';
+        } else if (score >= 80) {
             scoreClass = 'excellent';
             labelText = 'Excellent';
         } else if (score >= 70) {
@@ -35,11 +35,14 @@ CREATE TABLE user_policies (
 CREATE TABLE policy_history ( 
   id SERIAL PRIMARY KEY, 
   policy_id INTEGER REFERENCES policies(id) ON DELETE CASCADE, 
+  previous_policy_id INTEGER REFERENCES policies(id) ON DELETE SET NULL, 
   snapshot_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP, 
   raw_text TEXT, 
   summary TEXT, 
   score INTEGER, 
-  changes_detected BOOLEAN DEFAULT FALSE 
+  changes_detected BOOLEAN DEFAULT FALSE, 
+  change_classification TEXT, 
+  changes JSONB 
 ); 
  
 CREATE INDEX idx_policies_url ON policies(url); 
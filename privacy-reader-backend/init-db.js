@@ -1,10 +1,31 @@
 // init-db.js
+const userModel = require('./src/models/userModel');
+const apiKeyModel = require('./src/models/apiKeyModel');
+const sessionModel = require('./src/models/sessionModel');
+const emailTokenModel = require('./src/models/emailTokenModel');
 const policyModel = require('./src/models/policyModel');
+const jobModel = require('./src/models/jobModel');
+const monitoringModel = require('./src/models/monitoringModel');
+const webhookModel = require('./src/models/webhookModel');
+const notificationModel = require('./src/models/notificationModel');
+const siteRuleModel = require('./src/models/siteRuleModel');
+const siteScanModel = require('./src/models/siteScanModel');
 
 async function initDatabase() {
   try {
     console.log('Initializing database schema...');
+    await userModel.initSchema();
+    await apiKeyModel.initSchema();
+    await sessionModel.initSchema();
+    await emailTokenModel.initSchema();
     await policyModel.initSchema();
+    await jobModel.initSchema();
+    // Subscriptions reference users and policies, so they come last
+    await monitoringModel.initSchema();
+    await webhookModel.initSchema();
+    await notificationModel.initSchema();
+    await siteRuleModel.initSchema();
+    await siteScanModel.initSchema();
     console.log('Database schema initialized successfully!');
     process.exit(0);
   } catch (error) {
@@ -0,0 +1,189 @@
+// src/controllers/apiKeyController.js
+const { validate: isUuid } = require('uuid');
+const apiKeyModel = require('../models/apiKeyModel');
+const userModel = require('../models/userModel');
+const { API_KEY_SCOPES, DEFAULT_SCOPES, generateApiKey } = require('../utils/apiKeys');
+const { logger, ValidationError, NotFoundError, ForbiddenError } = require('../middleware/errorHandler');
+
+const MAX_ACTIVE_KEYS = parseInt(process.env.MAX_API_KEYS_PER_USER, 10) || 20;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Validate a key name
+ */
+const parseName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new ValidationError('name is required');
+  }
+
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw new ValidationError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+
+  return name.trim();
+};
+
+/**
+ * Validate a list of scopes. Only admins can create admin keys.
+ */
+const parseScopes = (scopes, user) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ValidationError('scopes must be a non-empty array');
+  }
+
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown scopes: ${unknown.join(', ')}. Supported: ${API_KEY_SCOPES.join(', ')}`);
+  }
+
+  if (scopes.includes('admin') && user.role !== 'admin') {
+    throw new ForbiddenError('Only admins can create keys with the admin scope');
+  }
+
+  return [...new Set(scopes)];
+};
+
+/**
+ * Validate an expiry date: an ISO date in the future, or null for no expiry
+ */
+const parseExpiresAt = (expiresAt) => {
+  if (expiresAt === null) return null;
+
+  const date = typeof expiresAt === 'string' ? new Date(expiresAt) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new ValidationError('expiresAt must be an ISO date or null');
+  }
+
+  if (date.getTime() <= Date.now()) {
+    throw new ValidationError('expiresAt must be in the future');
+  }
+
+  return date.toISOString();
+};
+
+/**
+ * Key fields returned by the API, with whether the key can still be used
+ */
+const formatKey = (key) => {
+  let status = 'active';
+  if (key.revoked_at) {
+    status = 'revoked';
+  } else if (key.expires_at && new Date(key.expires_at).getTime() <= Date.now()) {
+    status = 'expired';
+  }
+
+  return { ...key, status };
+};
+
+/**
+ * List the current user's keys
+ */
+const listKeys = async (req, res, next) => {
+  try {
+    const keys = await apiKeyModel.getKeysByUser(req.user.id);
+
+    res.json({ keys: keys.map(formatKey), scopes: API_KEY_SCOPES });
+  } catch (error) {
+    logger.error(`Error listing API keys for user ${req.user?.id}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Create a key. The key itself is only returned here.
+ */
+const createKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const fields = {
+      name: parseName(name),
+      scopes: scopes === undefined ? DEFAULT_SCOPES : parseScopes(scopes, req.user),
+      expiresAt: expiresAt === undefined ? null : parseExpiresAt(expiresAt)
+    };
+
+    if (await apiKeyModel.countActiveKeys(req.user.id) >= MAX_ACTIVE_KEYS) {
+      throw new ValidationError(`You can have at most ${MAX_ACTIVE_KEYS} active API keys; revoke one first`);
+    }
+
+    const { key } = generateApiKey();
+    const created = await apiKeyModel.createKey({ userId: req.user.id, key, ...fields });
+
+    await userModel.logActivity(req.user.id, 'api_key_created', {
+      keyId: created.id,
+      prefix: created.prefix,
+      ip: req.ip
+    });
+
+    logger.info(`User ${req.user.id} created API key ${created.prefix}`);
+
+    res.status(201).json({ key: formatKey(created), apiKey: key });
+  } catch (error) {
+    logger.error(`Error creating API key for user ${req.user?.id}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Rename a key, change its scopes or its expiry
+ */
+const updateKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const fields = {
+      name: name === undefined ? undefined : parseName(name),
+      scopes: scopes === undefined ? undefined : parseScopes(scopes, req.user),
+      expiresAt: expiresAt === undefined ? undefined : parseExpiresAt(expiresAt)
+    };
+
+    const existing = isUuid(req.params.id) && await apiKeyModel.getKey(req.params.id, req.user.id);
+    if (!existing) {
+      throw new NotFoundError(`API key not found for ID: ${req.params.id}`);
+    }
+
+    if (existing.revoked_at) {
+      throw new ValidationError('Revoked keys can\'t be changed');
+    }
+
+    const key = await apiKeyModel.updateKey(req.params.id, req.user.id, fields);
+
+    res.json({ key: formatKey(key) });
+  } catch (error) {
+    logger.error(`Error updating API key ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Revoke a key. It stops working at once and stays listed as revoked.
+ */
+const revokeKey = async (req, res, next) => {
+  try {
+    const key = isUuid(req.params.id) && await apiKeyModel.revokeKey(req.params.id, req.user.id);
+
+    if (!key) {
+      throw new NotFoundError(`Active API key not found for ID: ${req.params.id}`);
+    }
+
+    await userModel.logActivity(req.user.id, 'api_key_revoked', {
+      keyId: key.id,
+      prefix: key.prefix,
+      ip: req.ip
+    });
+
+    logger.info(`User ${req.user.id} revoked API key ${key.prefix}`);
+
+    res.json({ key: formatKey(key) });
+  } catch (error) {
+    logger.error(`Error revoking API key ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+module.exports = {
+  listKeys,
+  createKey,
+  updateKey,
+  revokeKey
+};
@@ -0,0 +1,200 @@
+// src/controllers/jobController.js
+const { validate: isUuid } = require('uuid');
+const jobModel = require('../models/jobModel');
+const policyModel = require('../models/policyModel');
+const jobQueue = require('../utils/jobQueue');
+const { logger, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Load a job, hiding jobs that belong to another user
+ */
+const findOwnJob = async (req) => {
+  const { id } = req.params;
+  
+  if (!id) {
+    throw new ValidationError('Job ID is required');
+  }
+  
+  // Job IDs are UUIDs; anything else can't match one
+  const job = isUuid(id) && await jobModel.getJobById(id);
+  
+  if (!job || job.user_id !== (req.user?.id || null)) {
+    throw new NotFoundError(`Job not found for ID: ${id}`);
+  }
+  
+  return job;
+};
+
+/**
+ * Shape a job for API responses
+ */
+const formatJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  url: job.url,
+  status: job.status,
+  stage: job.stage,
+  progress: job.progress,
+  error: job.error,
+  cancelRequested: job.cancel_requested,
+  createdAt: job.created_at,
+  startedAt: job.started_at,
+  completedAt: job.completed_at
+});
+
+/**
+ * Build the status payload of a job, with the policy once it has completed
+ */
+const buildJobResult = async (job) => {
+  const response = { job: formatJob(job) };
+  
+  if (job.status === 'completed' && job.result?.policyId) {
+    response.policy = await policyModel.getPolicyById(job.result.policyId);
+    response.isNew = job.result.isNew;
+    response.warning = job.result.warning;
+    response.processingTime = job.result.processingTime;
+  }
+  
+  return response;
+};
+
+/**
+ * Get job status and progress. Completed jobs include the analyzed policy.
+ */
+const getJobStatus = async (req, res, next) => {
+  try {
+    const job = await findOwnJob(req);
+    
+    res.json(await buildJobResult(job));
+  } catch (error) {
+    logger.error(`Error getting job ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Stream job progress as Server-Sent Events. Sends the current status first,
+ * then each event of the job as it runs, and closes after the final
+ * `result`, `failed` or `cancelled` event.
+ */
+const streamJobEvents = async (req, res, next) => {
+  let job;
+  
+  try {
+    job = await findOwnJob(req);
+  } catch (error) {
+    return next(error);
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  let closed = false;
+  let finishing = false;
+  const channel = `job:${job.id}`;
+  
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Compression middleware buffers writes until flushed
+    if (typeof res.flush === 'function') res.flush();
+  };
+  
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    jobQueue.off(channel, onJobEvent);
+    clearInterval(statusCheck);
+  };
+  
+  const finish = async () => {
+    if (finishing) return;
+    finishing = true;
+    
+    try {
+      const finishedJob = await jobModel.getJobById(job.id);
+      const result = await buildJobResult(finishedJob);
+      send(finishedJob.status === 'completed' ? 'result' : finishedJob.status, result);
+    } catch (error) {
+      logger.error(`Error sending final event for job ${job.id}:`, error);
+      send('failed', { job: formatJob(job), error: 'Could not load job result' });
+    }
+    
+    cleanup();
+    res.end();
+  };
+  
+  const onJobEvent = (event) => {
+    if (jobQueue.TERMINAL_STATUSES.includes(event.type)) {
+      finish();
+      return;
+    }
+    
+    send(event.type, { ...event.data, timestamp: event.timestamp });
+  };
+  
+  // Jobs may run on another server instance, so also watch the database.
+  // This doubles as a keep-alive for proxies that drop idle connections.
+  let lastStage = job.stage;
+  const statusCheck = setInterval(async () => {
+    try {
+      const current = await jobModel.getJobById(job.id);
+      
+      if (!current || closed) return;
+      
+      if (jobQueue.TERMINAL_STATUSES.includes(current.status)) {
+        finish();
+      } else if (current.stage !== lastStage) {
+        lastStage = current.stage;
+        send('stage', { stage: current.stage, progress: current.progress });
+      } else {
+        res.write(': keep-alive\n\n');
+      }
+    } catch (error) {
+      logger.error(`Error checking status of job ${job.id}:`, error);
+    }
+  }, 5000);
+  
+  req.on('close', cleanup);
+  jobQueue.on(channel, onJobEvent);
+  
+  send('status', { job: formatJob(job) });
+  
+  if (jobQueue.TERMINAL_STATUSES.includes(job.status)) {
+    await finish();
+  }
+};
+
+/**
+ * Cancel a queued or running job
+ */
+const cancelJob = async (req, res, next) => {
+  try {
+    const job = await findOwnJob(req);
+    
+    if (!['queued', 'running'].includes(job.status)) {
+      throw new ValidationError(`Job ${job.id} has already finished (${job.status})`);
+    }
+    
+    const cancelled = await jobModel.cancelJob(job.id);
+    logger.info(`Cancellation requested for job ${job.id}`);
+    
+    // Running jobs stop at their next stage, so may still report as running
+    res.json({ job: formatJob(cancelled || job) });
+  } catch (error) {
+    logger.error(`Error cancelling job ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getJobStatus,
+  streamJobEvents,
+  cancelJob
+};
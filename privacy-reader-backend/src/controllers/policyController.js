@@ -1,16 +1,96 @@
 // src/controllers/policyController.js
-const aiAnalyzer = require('../utils/aiAnalyzer');
-const policyExtractor = require('../utils/policyExtractor');
 const policyModel = require('../models/policyModel');
+const jobModel = require('../models/jobModel');
+const siteScanModel = require('../models/siteScanModel');
+const jobQueue = require('../utils/jobQueue');
 const cache = require('../utils/cacheManager');
+const { extractDocument } = require('../utils/documentExtractor');
+const { diffPolicies } = require('../utils/policyDiff');
+const { discoverPolicies } = require('../utils/policyDiscovery');
+const { segmentPlainText, annotateCitations, tableOfContents } = require('../utils/documentStructure');
+const { getLanguageName, SUPPORTED_LANGUAGES } = require('../utils/languageDetector');
+const { findMismatches } = require('../utils/siteScanner');
+const { checkUrl } = require('../utils/safeFetch');
+const { ANALYSIS_JOB_TYPE, DOCUMENT_JOB_TYPE, SCAN_JOB_TYPE } = require('../utils/analysisPipeline');
 const { logger, ValidationError, NotFoundError } = require('../middleware/errorHandler');
-const { isProbablyPrivacyPolicy } = require('../utils/policyExtractor');
 
 /**
- * Analyze a privacy policy URL
+ * Validate a requested output language (an ISO 639-1 code such as `de`, or
+ * a regional one such as `pt-BR`). Returns undefined when none was given.
+ */
+const parseOutputLanguage = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  
+  if (!getLanguageName(value)) {
+    throw new ValidationError(`Unsupported output language: ${value}. Use a language code such as en, de or pt-BR`);
+  }
+  
+  return value;
+};
+
+/**
+ * Load a policy the requesting user may read. Uploaded documents are only
+ * visible to their uploader, and are reported as not found to anyone else.
+ */
+const findReadablePolicy = async (id, req) => {
+  const policy = await policyModel.getPolicyById(id);
+  
+  if (!policy) {
+    return null;
+  }
+  
+  const readable = policy.owner_id
+    ? policy.owner_id === req.user?.id
+    : /^https?:\/\//i.test(policy.url);
+  
+  return readable ? policy : null;
+};
+
+/**
+ * Queue a site scan for a stored policy, reusing one already queued or running
+ */
+const enqueueSiteScan = async (policy, req) => {
+  const job = await jobModel.getActiveJobByUrl(SCAN_JOB_TYPE, policy.url);
+  
+  if (job) {
+    logger.info(`Site scan for ${policy.url} already in progress as job ${job.id}`);
+    return job;
+  }
+  
+  return jobQueue.enqueue(SCAN_JOB_TYPE, {
+    url: policy.url,
+    userId: req.user?.id || null,
+    options: { policyId: policy.id }
+  });
+};
+
+/**
+ * Job fields returned to clients
+ */
+const describeJob = (job) => ({
+  job: {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress
+  },
+  statusUrl: `/api/jobs/${job.id}`,
+  eventsUrl: `/api/jobs/${job.id}/events`
+});
+
+/**
+ * Analyze a privacy policy URL. Returns a recent stored analysis right away,
+ * otherwise queues an analysis job and responds with 202 and the job status.
+ * `options.followLinks` also analyzes linked cookie policies, sub-processor
+ * lists and regional notices (`options.maxDepth`, `options.maxDocuments`).
+ * `options.outputLanguage` sets the language of the analysis (default English).
+ * `options.scanSite` also scans the site's homepage for trackers and cookies
+ * and flags what the policy doesn't disclose; for a stored analysis the scan
+ * is queued on its own.
  */
 const analyzePolicy = async (req, res, next) => {
-  const startTime = Date.now();
   const { url } = req.body;
   const options = req.body.options || {};
   
@@ -26,6 +106,9 @@ const analyzePolicy = async (req, res, next) => {
       throw new ValidationError(`Invalid URL format: ${url}`);
     }
     
+    // Reject URLs the fetchers would refuse before anything is queued
+    await checkUrl(url);
+    
     logger.info(`Received analysis request for URL: ${url}`, {
       userId: req.user?.id || 'anonymous',
       options
@@ -33,6 +116,9 @@ const analyzePolicy = async (req, res, next) => {
     
     // Force fresh analysis if requested
     const forceFresh = options.forceFresh === true;
+    const followLinks = options.followLinks === true;
+    const outputLanguage = parseOutputLanguage(options.outputLanguage) || 'en';
+    const scanSite = options.scanSite === true;
     
     if (!forceFresh) {
       // Check if we already have this policy analyzed recently (within last week)
@@ -40,7 +126,14 @@ const analyzePolicy = async (req, res, next) => {
       const oneWeekAgo = new Date();
       oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
       
-      if (existingPolicy && new Date(existingPolicy.last_checked) > oneWeekAgo) {
+      // Fallback results are never served from the database, so failed analyses get retried
+      const isFresh = existingPolicy && !existingPolicy.is_fallback && new Date(existingPolicy.last_checked) > oneWeekAgo;
+      
+      // An analysis of the policy alone doesn't answer a request to follow its links
+      const coversLinks = !followLinks || existingPolicy?.analysis_metadata?.documents?.length > 1;
+      const inLanguage = (existingPolicy?.analysis_metadata?.outputLanguage || 'en') === outputLanguage;
+      
+      if (isFresh && coversLinks && inLanguage) {
         logger.info(`Returning cached analysis for ${url}`);
         
         // Track this request
@@ -52,78 +145,138 @@ const analyzePolicy = async (req, res, next) => {
           ipAddress: req.ip
         });
         
+        // The stored analysis is still good; only the scan has to run
+        const siteScan = scanSite ? describeJob(await enqueueSiteScan(existingPolicy, req)) : undefined;
+        
         // Return cached analysis
         return res.json({
           policy: existingPolicy,
-          cached: true
+          cached: true,
+          siteScan
         });
       }
     }
     
-    // Process the policy URL
-    logger.info(`Fetching and processing policy from ${url}`);
-    
-    // Update request status
-    res.status(202);
+    // Reuse a job of this user's that is already analyzing this URL
+    const userId = req.user?.id || null;
+    let job = await jobModel.getActiveJobByUrl(ANALYSIS_JOB_TYPE, url);
     
-    try {
-      // Process the policy (fetch and extract text)
-      const policyData = await policyExtractor.processPrivacyPolicy(url);
-      
-      // Validate content extraction
-      if (!policyData.text || policyData.text.length < 200) {
-        throw new ValidationError(`Insufficient text content extracted from ${url}`);
-      }
-      
-      // Validate policy detection
-      if (!isProbablyPrivacyPolicy(url, policyData.text)) {
-        logger.warn(`URL ${url} may not be a privacy policy`);
-        // We continue but add a warning flag
-        policyData.warning = "This URL may not be a privacy policy";
-      }
-      
-      logger.info(`Successfully processed policy. Text length: ${policyData.text.length}`);
-      
-      // Analyze with AI
-      logger.info('Analyzing policy content with AI...');
-      const analysisResult = await aiAnalyzer.analyzePrivacyPolicy(policyData);
-      
-      // Save to database
-      logger.info('Saving analysis results to database...');
-      const { policyId, isNew } = await policyModel.savePolicy(policyData, analysisResult);
-      
-      // Get complete policy data
-      const savedPolicy = await policyModel.getPolicyById(policyId);
-      
-      // Track this request
-      await policyModel.trackAnalysisRequest({
+    if (job && job.user_id === userId && !!job.options?.followLinks === followLinks
+      && (job.options?.outputLanguage || 'en') === outputLanguage && !!job.options?.scanSite === scanSite) {
+      logger.info(`Analysis of ${url} already in progress as job ${job.id}`);
+    } else {
+      job = await jobQueue.enqueue(ANALYSIS_JOB_TYPE, {
         url,
-        userId: req.user?.id || null,
-        policyId,
-        cached: false,
-        userAgent: req.headers['user-agent'],
-        ipAddress: req.ip
-      });
-      
-      const processingTime = Date.now() - startTime;
-      logger.info(`Analysis complete for ${url}. Policy ID: ${policyId}. Time: ${processingTime}ms`);
-      
-      res.status(200).json({
-        policy: savedPolicy,
-        cached: false,
-        isNew,
-        processingTime
+        userId,
+        options: {
+          ...options,
+          outputLanguage,
+          userAgent: req.headers['user-agent'],
+          ipAddress: req.ip
+        }
       });
-    } catch (processingError) {
-      logger.error(`Error processing policy ${url}:`, processingError);
-      next(processingError);
     }
+    
+    // Analysis runs in the background; clients poll or stream the job for progress
+    res.status(202).json({
+      ...describeJob(job),
+      cached: false
+    });
   } catch (error) {
     logger.error(`Error in analyzePolicy for ${url || 'unknown url'}:`, error);
     next(error);
   }
 };
 
+/**
+ * Analyze a policy that isn't published at a URL: pasted text or HTML, or an
+ * uploaded PDF, DOCX, HTML or text file. The text is extracted right away and
+ * the analysis is queued like a URL analysis. The saved policy is private to
+ * the uploader (see findReadablePolicy).
+ */
+const analyzeDocument = async (req, res, next) => {
+  try {
+    const { text, html, name, domain, company } = req.body || {};
+    const outputLanguage = parseOutputLanguage(req.body?.outputLanguage);
+    
+    logger.info(`Received document analysis request`, {
+      userId: req.user?.id || 'anonymous',
+      file: req.file?.originalname,
+      name
+    });
+    
+    const policyData = await extractDocument({
+      text,
+      html,
+      file: req.file,
+      name,
+      domain,
+      company
+    });
+    
+    const job = await jobQueue.enqueue(DOCUMENT_JOB_TYPE, {
+      url: policyData.url,
+      userId: req.user?.id || null,
+      options: {
+        document: policyData,
+        outputLanguage,
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip
+      }
+    });
+    
+    res.status(202).json({
+      job: {
+        id: job.id,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress
+      },
+      source: {
+        id: policyData.url,
+        type: policyData.extractionMethod,
+        title: policyData.title,
+        language: policyData.language,
+        textLength: policyData.text.length
+      },
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+      cached: false
+    });
+  } catch (error) {
+    logger.error('Error in analyzeDocument:', error);
+    next(error);
+  }
+};
+
+/**
+ * Find candidate privacy-policy URLs for a homepage, any page of a site, or a
+ * bare domain. The best candidate can then be passed to analyzePolicy.
+ */
+const discoverPolicy = async (req, res, next) => {
+  try {
+    const { url } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 5, 20);
+    
+    if (!url) {
+      throw new ValidationError('URL is required');
+    }
+    
+    const discovery = await discoverPolicies(url, { limit });
+    const best = discovery.candidates.find(candidate => candidate.isPrivacyPolicy !== false) || null;
+    
+    logger.info(`Discovered ${discovery.candidates.length} policy candidate(s) for ${discovery.site}`);
+    
+    res.json({
+      ...discovery,
+      policyUrl: best?.url || null
+    });
+  } catch (error) {
+    logger.error(`Error discovering policy for ${req.query?.url || 'unknown url'}:`, error);
+    next(error);
+  }
+};
+
 /**
  * Get policy history
  */
@@ -137,7 +290,7 @@ const getPolicyHistory = async (req, res, next) => {
     
     logger.info(`Getting history for policy ID: ${id}`);
     
-    const history = await policyModel.getPolicyHistory(id);
+    const history = await findReadablePolicy(id, req) && await policyModel.getPolicyHistory(id);
     
     if (!history || history.length === 0) {
       throw new NotFoundError(`No history found for policy ID: ${id}`);
@@ -150,6 +303,134 @@ const getPolicyHistory = async (req, res, next) => {
   }
 };
 
+/**
+ * Section-aware diff between two versions of the same policy. The older
+ * version is always treated as the base, whichever order the IDs are given in.
+ */
+const diffPolicyVersions = async (req, res, next) => {
+  try {
+    const { id, otherId } = req.params;
+    
+    if (!id || !otherId) {
+      throw new ValidationError('Two policy version IDs are required');
+    }
+    
+    logger.info(`Diffing policy versions ${id} and ${otherId}`);
+    
+    const [policy1, policy2] = await Promise.all([
+      findReadablePolicy(id, req),
+      findReadablePolicy(otherId, req)
+    ]);
+    
+    if (!policy1) {
+      throw new NotFoundError(`Policy not found for ID: ${id}`);
+    }
+    
+    if (!policy2) {
+      throw new NotFoundError(`Policy not found for ID: ${otherId}`);
+    }
+    
+    if (policy1.url !== policy2.url) {
+      throw new ValidationError('Policies are not versions of the same URL; use the compare endpoint instead');
+    }
+    
+    const [older, newer] = new Date(policy1.created_at) <= new Date(policy2.created_at)
+      ? [policy1, policy2]
+      : [policy2, policy1];
+    
+    // Consecutive versions were diffed when the newer one was saved; other
+    // pairs are diffed once and cached, since versions never change
+    let diff = await policyModel.getPolicyChanges(newer.id, older.id);
+    
+    if (!diff) {
+      const cacheKey = `policy_diff_${older.id}_${newer.id}`;
+      diff = await cache.get(cacheKey);
+      
+      if (!diff) {
+        diff = diffPolicies(older.text, newer.text);
+        await cache.set(cacheKey, diff, 60 * 60 * 24 * 7); // Cache for 7 days
+      }
+    }
+    
+    res.json({
+      diff: {
+        url: older.url,
+        from: { id: older.id, createdAt: older.created_at, score: older.score },
+        to: { id: newer.id, createdAt: newer.created_at, score: newer.score },
+        ...diff
+      }
+    });
+  } catch (error) {
+    logger.error(`Error diffing policy versions ${req.params.id || 'unknown'} and ${req.params.otherId || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Get the latest tracker and cookie scan of the site hosting a policy, with
+ * the mismatches against this version of the policy
+ */
+const getSiteScan = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const policy = await findReadablePolicy(id, req);
+    
+    if (!policy) {
+      throw new NotFoundError(`Policy not found for ID: ${id}`);
+    }
+    
+    const scan = await siteScanModel.getLatestScan(policy.id, policy.domain);
+    
+    if (!scan) {
+      throw new NotFoundError(`No site scan found for policy ID: ${id}`);
+    }
+    
+    // Scans run for another version are compared with this one
+    const mismatches = scan.policy_id === policy.id ? scan.mismatches : findMismatches(scan.result, policy);
+    
+    res.json({
+      scan: {
+        id: scan.id,
+        policyId: scan.policy_id,
+        url: scan.url,
+        createdAt: scan.created_at,
+        ...scan.result
+      },
+      mismatches
+    });
+  } catch (error) {
+    logger.error(`Error getting site scan for policy ID ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Queue a new tracker and cookie scan of the site hosting a policy
+ */
+const scanPolicySite = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const policy = await findReadablePolicy(id, req);
+    
+    if (!policy) {
+      throw new NotFoundError(`Policy not found for ID: ${id}`);
+    }
+    
+    if (!/^https?:\/\//.test(policy.url)) {
+      throw new ValidationError('Only policies analyzed from a URL have a site to scan');
+    }
+    
+    const job = await enqueueSiteScan(policy, req);
+    
+    res.status(202).json(describeJob(job));
+  } catch (error) {
+    logger.error(`Error queueing site scan for policy ID ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
 /**
  * Get policy by ID
  */
@@ -163,7 +444,7 @@ const getPolicyById = async (req, res, next) => {
     
     logger.info(`Getting policy by ID: ${id}`);
     
-    const policy = await policyModel.getPolicyById(id);
+    const policy = await findReadablePolicy(id, req);
     
     if (!policy) {
       throw new NotFoundError(`Policy not found for ID: ${id}`);
@@ -177,7 +458,42 @@ const getPolicyById = async (req, res, next) => {
 };
 
 /**
- * Get policies by domain
+ * Get the document tree of a policy with a table of contents, and its
+ * citations attached to the sections they quote. Policies stored before
+ * trees were extracted get a paragraph-only tree built from their text.
+ */
+const getPolicyStructure = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const policy = await findReadablePolicy(id, req);
+    
+    if (!policy) {
+      throw new NotFoundError(`Policy not found for ID: ${id}`);
+    }
+    
+    const structure = policy.structure || segmentPlainText(policy.text);
+    
+    res.json({
+      policy: {
+        id: policy.id,
+        url: policy.url,
+        title: policy.title,
+        createdAt: policy.created_at
+      },
+      text: policy.text,
+      structure,
+      toc: tableOfContents(structure.nodes),
+      annotations: annotateCitations(structure, policy.citations || [])
+    });
+  } catch (error) {
+    logger.error(`Error getting structure of policy ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Get policies by domain, optionally only those in one language (`?language=de`)
  */
 const getPoliciesByDomain = async (req, res, next) => {
   try {
@@ -187,9 +503,15 @@ const getPoliciesByDomain = async (req, res, next) => {
       throw new ValidationError('Domain is required');
     }
     
+    // Optional filter on the policy's detected language
+    const { language } = req.query;
+    if (language !== undefined && ![...SUPPORTED_LANGUAGES, 'und'].includes(language)) {
+      throw new ValidationError(`language must be one of: ${[...SUPPORTED_LANGUAGES, 'und'].join(', ')}`);
+    }
+    
     logger.info(`Getting policies for domain: ${domain}`);
     
-    const policies = await policyModel.getPoliciesByDomain(domain);
+    const policies = await policyModel.getPoliciesByDomain(domain, { language, userId: req.user?.id });
     
     res.json({ policies });
   } catch (error) {
@@ -213,8 +535,8 @@ const comparePolicies = async (req, res, next) => {
     
     // Get both policies
     const [policy1, policy2] = await Promise.all([
-      policyModel.getPolicyById(policyId1),
-      policyModel.getPolicyById(policyId2)
+      findReadablePolicy(policyId1, req),
+      findReadablePolicy(policyId2, req)
     ]);
     
     if (!policy1) {
@@ -232,6 +554,7 @@ const comparePolicies = async (req, res, next) => {
         { id: policy2.id, url: policy2.url, title: policy2.title }
       ],
       scoreDifference: policy1.score - policy2.score,
+      scoreBreakdownDifferences: compareScoreBreakdowns(policy1, policy2),
       dataCollectionDifferences: compareDataCollection(policy1, policy2),
       dataSharingDifferences: compareDataSharing(policy1, policy2),
       retentionComparison: policy1.retention !== policy2.retention,
@@ -335,6 +658,46 @@ const compareDataSharing = (policy1, policy2) => {
   }
 };
 
+/**
+ * Helper to compare rubric score breakdowns criterion by criterion
+ */
+const compareScoreBreakdowns = (policy1, policy2) => {
+  try {
+    const breakdown1 = typeof policy1.score_breakdown === 'string'
+      ? JSON.parse(policy1.score_breakdown)
+      : policy1.score_breakdown;
+      
+    const breakdown2 = typeof policy2.score_breakdown === 'string'
+      ? JSON.parse(policy2.score_breakdown)
+      : policy2.score_breakdown;
+    
+    if (!breakdown1 || !breakdown2) {
+      return { error: 'Score breakdown not available for both policies' };
+    }
+    
+    // Breakdowns from different rubric versions are not comparable
+    if (breakdown1.version !== breakdown2.version) {
+      return { error: `Rubric versions differ (${breakdown1.version} vs ${breakdown2.version})` };
+    }
+    
+    const criteria2 = new Map(breakdown2.criteria.map(item => [item.criterion, item]));
+    
+    return breakdown1.criteria.map(item => {
+      const other = criteria2.get(item.criterion);
+      return {
+        criterion: item.criterion,
+        label: item.label,
+        policy1: item.points,
+        policy2: other ? other.points : null,
+        difference: other ? Math.round((item.points - other.points) * 10) / 10 : null
+      };
+    });
+  } catch (error) {
+    logger.error('Error comparing score breakdowns:', error);
+    return { error: 'Could not compare score breakdowns' };
+  }
+};
+
 /**
  * Helper to compare arrays
  */
@@ -356,8 +719,14 @@ const compareArrays = (array1, array2) => {
 
 module.exports = {
   analyzePolicy,
+  discoverPolicy,
+  analyzeDocument,
   getPolicyHistory,
+  diffPolicyVersions,
   getPolicyById,
+  getPolicyStructure,
+  getSiteScan,
+  scanPolicySite,
   getPoliciesByDomain,
   comparePolicies
 };
\ No newline at end of file
@@ -0,0 +1,344 @@
+// src/controllers/siteRuleController.js
+const cheerio = require('cheerio');
+const { validate: isUuid } = require('uuid');
+const siteRuleModel = require('../models/siteRuleModel');
+const siteRules = require('../utils/siteRules');
+const { FETCH_METHODS, WAIT_CONDITIONS, BANNER_STEP_ACTIONS } = siteRules;
+const { logger, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// `example.com` or `*.example.com`
+const PATTERN_FORMAT = /^(\*\.)?([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z0-9-]{2,}$/;
+
+const MAX_SELECTORS = 20;
+const MAX_BANNER_STEPS = 10;
+const MAX_WAIT_MS = 30000;
+
+// Headers a rule may not override
+const PROTECTED_HEADERS = ['host', 'content-length', 'connection', 'transfer-encoding'];
+
+const $ = cheerio.load('');
+
+/**
+ * Validate a CSS selector by running it
+ */
+const parseSelector = (selector, field) => {
+  if (typeof selector !== 'string' || !selector.trim()) {
+    throw new ValidationError(`${field} must be a non-empty CSS selector`);
+  }
+
+  try {
+    // Cheerio would parse markup rather than match it
+    if (selector.trim().startsWith('<')) throw new Error('markup');
+    $(selector);
+  } catch (error) {
+    throw new ValidationError(`${field} is not a valid CSS selector: ${selector}`);
+  }
+
+  return selector.trim();
+};
+
+/**
+ * Validate an integer within bounds
+ */
+const parseInteger = (value, field, min, max) => {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new ValidationError(`${field} must be an integer between ${min} and ${max}`);
+  }
+
+  return value;
+};
+
+/**
+ * Validate a list of selectors
+ */
+const parseSelectorList = (selectors, field) => {
+  if (!Array.isArray(selectors) || selectors.length > MAX_SELECTORS) {
+    throw new ValidationError(`${field} must be an array of at most ${MAX_SELECTORS} CSS selectors`);
+  }
+
+  return selectors.map((selector, i) => parseSelector(selector, `${field}[${i}]`));
+};
+
+/**
+ * Validate cookie-banner steps: `{ action: 'click' | 'waitForSelector', selector, timeoutMs? }`
+ * or `{ action: 'wait', ms }`
+ */
+const parseBannerSteps = (steps) => {
+  if (!Array.isArray(steps) || steps.length > MAX_BANNER_STEPS) {
+    throw new ValidationError(`cookieBannerSteps must be an array of at most ${MAX_BANNER_STEPS} steps`);
+  }
+
+  return steps.map((step, i) => {
+    const field = `cookieBannerSteps[${i}]`;
+
+    if (!step || !BANNER_STEP_ACTIONS.includes(step.action)) {
+      throw new ValidationError(`${field}.action must be one of ${BANNER_STEP_ACTIONS.join(', ')}`);
+    }
+
+    if (step.action === 'wait') {
+      return { action: 'wait', ms: parseInteger(step.ms, `${field}.ms`, 0, MAX_WAIT_MS) };
+    }
+
+    return {
+      action: step.action,
+      selector: parseSelector(step.selector, `${field}.selector`),
+      ...(step.timeoutMs !== undefined && { timeoutMs: parseInteger(step.timeoutMs, `${field}.timeoutMs`, 0, MAX_WAIT_MS) })
+    };
+  });
+};
+
+/**
+ * Validate header overrides. Names are stored in lower case.
+ */
+const parseHeaders = (headers) => {
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new ValidationError('headers must be an object of header names and values');
+  }
+
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => {
+    const lowerName = name.toLowerCase();
+
+    if (!/^[a-z0-9!#$%&'*+.^_`|~-]+$/.test(lowerName) || PROTECTED_HEADERS.includes(lowerName)) {
+      throw new ValidationError(`Header ${name} can't be overridden`);
+    }
+
+    if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+      throw new ValidationError(`Header ${name} must have a single-line string value`);
+    }
+
+    return [lowerName, value];
+  }));
+};
+
+/**
+ * Validate the fields of a rule. Only the given fields are checked unless
+ * the pattern is required (new rules); `null` clears optional fields.
+ */
+const parseRule = (body, { requirePattern = false } = {}) => {
+  const rule = {};
+
+  if (body.pattern !== undefined || requirePattern) {
+    const pattern = typeof body.pattern === 'string' ? body.pattern.trim().toLowerCase() : '';
+    if (!PATTERN_FORMAT.test(pattern)) {
+      throw new ValidationError('pattern must be a domain such as example.com or *.example.com');
+    }
+    rule.pattern = pattern;
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      throw new ValidationError('description must be a string');
+    }
+    rule.description = body.description;
+  }
+
+  if (body.fetchMethod !== undefined) {
+    if (!FETCH_METHODS.includes(body.fetchMethod)) {
+      throw new ValidationError(`fetchMethod must be one of ${FETCH_METHODS.join(', ')}`);
+    }
+    rule.fetchMethod = body.fetchMethod;
+  }
+
+  if (body.waitUntil !== undefined) {
+    if (body.waitUntil !== null && !WAIT_CONDITIONS.includes(body.waitUntil)) {
+      throw new ValidationError(`waitUntil must be one of ${WAIT_CONDITIONS.join(', ')}`);
+    }
+    rule.waitUntil = body.waitUntil;
+  }
+
+  if (body.waitForSelector !== undefined) {
+    rule.waitForSelector = body.waitForSelector === null ? null : parseSelector(body.waitForSelector, 'waitForSelector');
+  }
+
+  if (body.extraWaitMs !== undefined) {
+    rule.extraWaitMs = body.extraWaitMs === null ? null : parseInteger(body.extraWaitMs, 'extraWaitMs', 0, MAX_WAIT_MS);
+  }
+
+  if (body.includeSelectors !== undefined) {
+    rule.includeSelectors = parseSelectorList(body.includeSelectors, 'includeSelectors');
+  }
+
+  if (body.excludeSelectors !== undefined) {
+    rule.excludeSelectors = parseSelectorList(body.excludeSelectors, 'excludeSelectors');
+  }
+
+  if (body.cookieBannerSteps !== undefined) {
+    rule.cookieBannerSteps = parseBannerSteps(body.cookieBannerSteps);
+  }
+
+  if (body.headers !== undefined) {
+    rule.headers = parseHeaders(body.headers);
+  }
+
+  if (body.priority !== undefined) {
+    rule.priority = parseInteger(body.priority, 'priority', -1000, 1000);
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      throw new ValidationError('enabled must be true or false');
+    }
+    rule.enabled = body.enabled;
+  }
+
+  return rule;
+};
+
+/**
+ * Reject a pattern that another rule already uses
+ */
+const checkPatternFree = async (pattern, id = null) => {
+  const existing = await siteRuleModel.getRuleByPattern(pattern);
+
+  if (existing && existing.id !== id) {
+    throw new ValidationError(`A site rule for ${pattern} already exists (ID: ${existing.id})`);
+  }
+};
+
+/**
+ * Load a rule by the ID in the request
+ */
+const findRule = async (req) => {
+  const rule = isUuid(req.params.id) && await siteRuleModel.getRule(req.params.id);
+
+  if (!rule) {
+    throw new NotFoundError(`Site rule not found for ID: ${req.params.id}`);
+  }
+
+  return rule;
+};
+
+/**
+ * List all rules, including disabled ones
+ */
+const listRules = async (req, res, next) => {
+  try {
+    const rules = await siteRuleModel.getRules();
+
+    res.json({
+      rules,
+      fetchMethods: FETCH_METHODS,
+      waitConditions: WAIT_CONDITIONS,
+      bannerStepActions: BANNER_STEP_ACTIONS,
+      registry: siteRules.getStats()
+    });
+  } catch (error) {
+    logger.error('Error listing site rules:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a single rule
+ */
+const getRule = async (req, res, next) => {
+  try {
+    const rule = await findRule(req);
+
+    res.json({ rule });
+  } catch (error) {
+    logger.error(`Error getting site rule ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Show which rule applies to a URL
+ */
+const matchRule = async (req, res, next) => {
+  try {
+    const { url } = req.query;
+
+    try {
+      new URL(url);
+    } catch (urlError) {
+      throw new ValidationError(`Invalid URL format: ${url}`);
+    }
+
+    await siteRules.refresh();
+    const rule = await siteRules.getRuleForUrl(url);
+
+    res.json({ url, rule });
+  } catch (error) {
+    logger.error(`Error matching site rule for ${req.query?.url || 'unknown url'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Create a rule. It applies from the next fetch.
+ */
+const createRule = async (req, res, next) => {
+  try {
+    const fields = parseRule(req.body || {}, { requirePattern: true });
+    await checkPatternFree(fields.pattern);
+
+    const rule = await siteRuleModel.createRule(fields, req.user.id);
+    siteRules.invalidate();
+
+    logger.info(`User ${req.user.id} created site rule ${rule.id} for ${rule.pattern}`);
+
+    res.status(201).json({ rule });
+  } catch (error) {
+    logger.error(`Error creating site rule for ${req.body?.pattern || 'unknown pattern'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Change a rule, or disable and re-enable it
+ */
+const updateRule = async (req, res, next) => {
+  try {
+    const changes = parseRule(req.body || {});
+
+    if (Object.keys(changes).length === 0) {
+      throw new ValidationError('No rule fields to update');
+    }
+
+    await findRule(req);
+    if (changes.pattern) {
+      await checkPatternFree(changes.pattern, req.params.id);
+    }
+
+    const rule = await siteRuleModel.updateRule(req.params.id, changes);
+    siteRules.invalidate();
+
+    logger.info(`User ${req.user.id} updated site rule ${rule.id} (${Object.keys(changes).join(', ')})`);
+
+    res.json({ rule });
+  } catch (error) {
+    logger.error(`Error updating site rule ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a rule
+ */
+const deleteRule = async (req, res, next) => {
+  try {
+    const deleted = isUuid(req.params.id) && await siteRuleModel.deleteRule(req.params.id);
+
+    if (!deleted) {
+      throw new NotFoundError(`Site rule not found for ID: ${req.params.id}`);
+    }
+
+    siteRules.invalidate();
+    logger.info(`User ${req.user.id} deleted site rule ${req.params.id}`);
+
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error deleting site rule ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+module.exports = {
+  listRules,
+  getRule,
+  matchRule,
+  createRule,
+  updateRule,
+  deleteRule
+};
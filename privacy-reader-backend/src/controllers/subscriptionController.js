@@ -0,0 +1,162 @@
+// src/controllers/subscriptionController.js
+const monitoringModel = require('../models/monitoringModel');
+const policyModel = require('../models/policyModel');
+const { logger, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Bounds for how often a subscribed policy is re-checked
+const MIN_INTERVAL_HOURS = parseInt(process.env.MONITOR_MIN_INTERVAL_HOURS, 10) || 1;
+const MAX_INTERVAL_HOURS = 24 * 30;
+const DEFAULT_INTERVAL_HOURS = parseInt(process.env.MONITOR_DEFAULT_INTERVAL_HOURS, 10) || 24;
+
+/**
+ * Validate a requested check interval
+ */
+const parseInterval = (value) => {
+  const hours = Number(value);
+
+  if (!Number.isInteger(hours) || hours < MIN_INTERVAL_HOURS || hours > MAX_INTERVAL_HOURS) {
+    throw new ValidationError(`checkIntervalHours must be a whole number between ${MIN_INTERVAL_HOURS} and ${MAX_INTERVAL_HOURS}`);
+  }
+
+  return hours;
+};
+
+/**
+ * Load one of the current user's subscriptions
+ */
+const findOwnSubscription = async (req) => {
+  const subscription = await monitoringModel.getSubscription(req.params.id, req.user.id);
+
+  if (!subscription) {
+    throw new NotFoundError(`Subscription not found for ID: ${req.params.id}`);
+  }
+
+  return subscription;
+};
+
+/**
+ * List the current user's subscriptions
+ */
+const listSubscriptions = async (req, res, next) => {
+  try {
+    const subscriptions = await monitoringModel.getSubscriptionsByUser(req.user.id);
+
+    res.json({ subscriptions });
+  } catch (error) {
+    logger.error(`Error listing subscriptions for user ${req.user?.id}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Subscribe to a policy URL. Subscribing again updates the check interval.
+ */
+const subscribe = async (req, res, next) => {
+  try {
+    const { url, checkIntervalHours } = req.body;
+
+    if (!url) {
+      throw new ValidationError('URL is required');
+    }
+
+    // Only published policies can be re-fetched
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (urlError) {
+      throw new ValidationError(`Invalid URL format: ${url}`);
+    }
+
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new ValidationError('Only http and https URLs can be monitored');
+    }
+
+    const interval = checkIntervalHours === undefined
+      ? DEFAULT_INTERVAL_HOURS
+      : parseInterval(checkIntervalHours);
+
+    const existingPolicy = await policyModel.getPolicyByUrl(url);
+
+    const subscription = await monitoringModel.upsertSubscription({
+      userId: req.user.id,
+      url,
+      policyId: existingPolicy?.id,
+      checkIntervalHours: interval
+    });
+
+    logger.info(`User ${req.user.id} subscribed to ${url} (every ${interval}h)`);
+
+    res.status(201).json({ subscription });
+  } catch (error) {
+    logger.error(`Error subscribing to ${req.body?.url || 'unknown url'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Change the check interval of a subscription, or pause and resume it
+ */
+const updateSubscription = async (req, res, next) => {
+  try {
+    const { checkIntervalHours, active } = req.body;
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      throw new ValidationError('active must be true or false');
+    }
+
+    await findOwnSubscription(req);
+
+    const subscription = await monitoringModel.updateSubscription(req.params.id, req.user.id, {
+      checkIntervalHours: checkIntervalHours === undefined ? undefined : parseInterval(checkIntervalHours),
+      active
+    });
+
+    res.json({ subscription });
+  } catch (error) {
+    logger.error(`Error updating subscription ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Unsubscribe from a policy URL
+ */
+const unsubscribe = async (req, res, next) => {
+  try {
+    const deleted = await monitoringModel.deleteSubscription(req.params.id, req.user.id);
+
+    if (!deleted) {
+      throw new NotFoundError(`Subscription not found for ID: ${req.params.id}`);
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error deleting subscription ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Get the monitoring events recorded for a subscription's URL
+ */
+const getSubscriptionEvents = async (req, res, next) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const events = await monitoringModel.getMonitoringEvents(subscription.url, limit);
+
+    res.json({ url: subscription.url, events });
+  } catch (error) {
+    logger.error(`Error getting events for subscription ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+module.exports = {
+  listSubscriptions,
+  subscribe,
+  updateSubscription,
+  unsubscribe,
+  getSubscriptionEvents
+};
@@ -0,0 +1,266 @@
+// src/controllers/webhookController.js
+const { validate: isUuid } = require('uuid');
+const webhookModel = require('../models/webhookModel');
+const webhookDispatcher = require('../utils/webhookDispatcher');
+const { WEBHOOK_EVENT_TYPES, generateSecret } = webhookDispatcher;
+const { checkUrl } = require('../utils/safeFetch');
+const { logger, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const DELIVERY_STATUSES = ['pending', 'delivering', 'retrying', 'succeeded', 'failed'];
+
+/**
+ * Validate an endpoint URL. Production endpoints must use https, and all
+ * endpoints must be within the fetch policy (public addresses only).
+ */
+const parseEndpointUrl = async (url) => {
+  if (!url || typeof url !== 'string') {
+    throw new ValidationError('URL is required');
+  }
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (urlError) {
+    throw new ValidationError(`Invalid URL format: ${url}`);
+  }
+
+  const allowedProtocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['http:', 'https:'];
+  if (!allowedProtocols.includes(parsedUrl.protocol)) {
+    throw new ValidationError(`Webhook URLs must use ${allowedProtocols.map(p => p.slice(0, -1)).join(' or ')}`);
+  }
+
+  await checkUrl(parsedUrl.toString());
+
+  return parsedUrl.toString();
+};
+
+/**
+ * Validate a list of event types
+ */
+const parseEventTypes = (eventTypes) => {
+  if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+    throw new ValidationError('eventTypes must be a non-empty array');
+  }
+
+  const unknown = eventTypes.filter(type => !WEBHOOK_EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown event types: ${unknown.join(', ')}. Supported: ${WEBHOOK_EVENT_TYPES.join(', ')}`);
+  }
+
+  return [...new Set(eventTypes)];
+};
+
+/**
+ * Endpoint fields returned by the API, without the secret
+ */
+const formatEndpoint = ({ secret, ...endpoint }) => endpoint;
+
+/**
+ * Load one of the current user's endpoints
+ */
+const findOwnEndpoint = async (req) => {
+  const endpoint = isUuid(req.params.id) && await webhookModel.getEndpoint(req.params.id, req.user.id);
+
+  if (!endpoint) {
+    throw new NotFoundError(`Webhook endpoint not found for ID: ${req.params.id}`);
+  }
+
+  return endpoint;
+};
+
+/**
+ * Load a delivery of one of the current user's endpoints
+ */
+const findOwnDelivery = async (req) => {
+  const endpoint = await findOwnEndpoint(req);
+  const delivery = isUuid(req.params.deliveryId) && await webhookModel.getDelivery(req.params.deliveryId, endpoint.id);
+
+  if (!delivery) {
+    throw new NotFoundError(`Webhook delivery not found for ID: ${req.params.deliveryId}`);
+  }
+
+  return delivery;
+};
+
+/**
+ * List the current user's endpoints
+ */
+const listEndpoints = async (req, res, next) => {
+  try {
+    const endpoints = await webhookModel.getEndpointsByUser(req.user.id);
+
+    res.json({ endpoints, eventTypes: WEBHOOK_EVENT_TYPES });
+  } catch (error) {
+    logger.error(`Error listing webhook endpoints for user ${req.user?.id}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Register an endpoint. The signing secret is only returned here and on rotation.
+ */
+const createEndpoint = async (req, res, next) => {
+  try {
+    const { url, description, eventTypes } = req.body;
+
+    const endpoint = await webhookModel.createEndpoint({
+      userId: req.user.id,
+      url: await parseEndpointUrl(url),
+      description,
+      eventTypes: eventTypes === undefined ? WEBHOOK_EVENT_TYPES : parseEventTypes(eventTypes),
+      secret: generateSecret()
+    });
+
+    logger.info(`User ${req.user.id} registered webhook endpoint ${endpoint.id}`);
+
+    res.status(201).json({ endpoint: formatEndpoint(endpoint), secret: endpoint.secret });
+  } catch (error) {
+    logger.error(`Error registering webhook endpoint ${req.body?.url || 'unknown url'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Change an endpoint's URL, description or event types, or pause and resume it
+ */
+const updateEndpoint = async (req, res, next) => {
+  try {
+    const { url, description, eventTypes, active } = req.body;
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      throw new ValidationError('active must be true or false');
+    }
+
+    await findOwnEndpoint(req);
+
+    const endpoint = await webhookModel.updateEndpoint(req.params.id, req.user.id, {
+      url: url === undefined ? undefined : await parseEndpointUrl(url),
+      description,
+      eventTypes: eventTypes === undefined ? undefined : parseEventTypes(eventTypes),
+      active
+    });
+
+    res.json({ endpoint });
+  } catch (error) {
+    logger.error(`Error updating webhook endpoint ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Delete an endpoint and its delivery log
+ */
+const deleteEndpoint = async (req, res, next) => {
+  try {
+    const deleted = isUuid(req.params.id) && await webhookModel.deleteEndpoint(req.params.id, req.user.id);
+
+    if (!deleted) {
+      throw new NotFoundError(`Webhook endpoint not found for ID: ${req.params.id}`);
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error deleting webhook endpoint ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Replace an endpoint's signing secret. Deliveries sent from now on use the new one.
+ */
+const rotateSecret = async (req, res, next) => {
+  try {
+    await findOwnEndpoint(req);
+
+    const endpoint = await webhookModel.updateEndpointSecret(req.params.id, req.user.id, generateSecret());
+
+    logger.info(`User ${req.user.id} rotated the secret of webhook endpoint ${endpoint.id}`);
+
+    res.json({ endpoint: formatEndpoint(endpoint), secret: endpoint.secret });
+  } catch (error) {
+    logger.error(`Error rotating secret of webhook endpoint ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Send a test event to an endpoint
+ */
+const testEndpoint = async (req, res, next) => {
+  try {
+    const endpoint = await findOwnEndpoint(req);
+    const delivery = await webhookDispatcher.sendTest(endpoint);
+
+    res.status(202).json({ delivery: { id: delivery.id, eventId: delivery.event_id, status: delivery.status } });
+  } catch (error) {
+    logger.error(`Error testing webhook endpoint ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Get the delivery log of an endpoint
+ */
+const listDeliveries = async (req, res, next) => {
+  try {
+    const endpoint = await findOwnEndpoint(req);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const { status } = req.query;
+
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of ${DELIVERY_STATUSES.join(', ')}`);
+    }
+
+    const deliveries = await webhookModel.getDeliveries(endpoint.id, { limit, status });
+
+    res.json({ endpointId: endpoint.id, deliveries });
+  } catch (error) {
+    logger.error(`Error getting deliveries of webhook endpoint ${req.params.id || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Get a single delivery with its payload and the endpoint's last response
+ */
+const getDelivery = async (req, res, next) => {
+  try {
+    const delivery = await findOwnDelivery(req);
+
+    res.json({ delivery });
+  } catch (error) {
+    logger.error(`Error getting webhook delivery ${req.params.deliveryId || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Send a logged delivery's event again
+ */
+const replayDelivery = async (req, res, next) => {
+  try {
+    const original = await findOwnDelivery(req);
+    const delivery = await webhookDispatcher.replay(original);
+
+    logger.info(`User ${req.user.id} replayed webhook delivery ${original.id} as ${delivery.id}`);
+
+    res.status(202).json({
+      delivery: { id: delivery.id, eventId: delivery.event_id, status: delivery.status, replayOf: original.id }
+    });
+  } catch (error) {
+    logger.error(`Error replaying webhook delivery ${req.params.deliveryId || 'unknown'}:`, error);
+    next(error);
+  }
+};
+
+module.exports = {
+  listEndpoints,
+  createEndpoint,
+  updateEndpoint,
+  deleteEndpoint,
+  rotateSecret,
+  testEndpoint,
+  listDeliveries,
+  getDelivery,
+  replayDelivery
+};
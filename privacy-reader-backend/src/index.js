@@ -13,12 +13,34 @@ const policyRoutes = require('./routes/policyRoutes');
 const proxyRoutes = require('./routes/proxyRoutes');
 const healthRoutes = require('./routes/healthRoutes');
 const authRoutes = require('./routes/authRoutes'); // For enterprise authentication
+const jobRoutes = require('./routes/jobRoutes');
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const requestLogger = require('./middleware/requestLogger');
 const authMiddleware = require('./middleware/authMiddleware');
 
+// Background jobs
+const jobQueue = require('./utils/jobQueue');
+const policyMonitor = require('./utils/policyMonitor');
+const webhookDispatcher = require('./utils/webhookDispatcher');
+const digestScheduler = require('./utils/digestScheduler');
+const browserPool = require('./utils/browserPool');
+const {
+  ANALYSIS_JOB_TYPE,
+  DOCUMENT_JOB_TYPE,
+  RECHECK_JOB_TYPE,
+  SCAN_JOB_TYPE,
+  handleAnalysisJob,
+  handleDocumentJob,
+  handleRecheckJob,
+  handleScanJob
+} = require('./utils/analysisPipeline');
+
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -89,7 +111,7 @@ const corsOptions = {
       callback(new Error('CORS policy violation'));
     }
   },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With'],
   credentials: true,
   maxAge: 86400 // Cache preflight requests for 24 hours
@@ -131,10 +153,15 @@ app.use('/api/', apiLimiter);
 app.use('/health', healthRoutes);
 app.use('/api/auth', authRoutes);
 
-// Protected routes (require authentication)
-// For enterprise level, we'll use JWT auth for protected endpoints
-app.use('/api/policies', process.env.NODE_ENV === 'production' ? authMiddleware.verifyToken : (req, res, next) => next());
+// Protected routes (require a JWT or an API key with the read or analyze scope)
+app.use('/api/policies', authMiddleware.multiAuth, authMiddleware.checkMethodScope);
 app.use('/api/policies', policyRoutes);
+app.use('/api/jobs', authMiddleware.multiAuth, authMiddleware.checkMethodScope);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/keys', apiKeyRoutes);
 
 // Proxy routes - apply stricter rate limits for proxy service
 const proxyLimiter = rateLimit({
@@ -146,6 +173,7 @@ const proxyLimiter = rateLimit({
   }
 });
 app.use('/api/proxy', proxyLimiter);
+app.use('/api/proxy', authMiddleware.multiAuth, authMiddleware.checkMethodScope);
 app.use('/api/proxy', proxyRoutes);
 
 // Serve static files (documentation, etc.)
@@ -159,11 +187,33 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📚 API documentation available at http://localhost:${PORT}/docs`);
   console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Start processing queued analysis jobs
+  jobQueue.registerHandler(ANALYSIS_JOB_TYPE, handleAnalysisJob);
+  jobQueue.registerHandler(DOCUMENT_JOB_TYPE, handleDocumentJob);
+  jobQueue.registerHandler(RECHECK_JOB_TYPE, handleRecheckJob);
+  jobQueue.registerHandler(SCAN_JOB_TYPE, handleScanJob);
+  jobQueue.start();
+  
+  // Re-check subscribed policies on their schedule
+  policyMonitor.start();
+
+  // Send webhook deliveries and retries
+  webhookDispatcher.start();
+
+  // Email digests for followed domains
+  digestScheduler.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  // Stop claiming new jobs; interrupted jobs are requeued on the next start
+  jobQueue.stop();
+  policyMonitor.stop();
+  webhookDispatcher.stop();
+  digestScheduler.stop();
+  browserPool.close();
   server.close(() => {
     console.log('HTTP server closed');
     // Close database connections here if needed
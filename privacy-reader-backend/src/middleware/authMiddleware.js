@@ -1,10 +1,32 @@
 const jwt = require('jsonwebtoken');
+const apiKeyModel = require('../models/apiKeyModel');
+const sessionModel = require('../models/sessionModel');
+const { hasScope } = require('../utils/apiKeys');
 const { AuthenticationError, ForbiddenError } = require('./errorHandler');
 
+// Methods that only need the read scope
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Tell clients to refresh when a token has less than this left
+const EXPIRES_SOON_MS = 2 * 60 * 1000;
+
+// Plan that users have until they verify their email address, whatever they pay for
+const UNVERIFIED_PLAN = 'unverified';
+
+/**
+ * Users with an unverified email address get the restricted plan. Tokens
+ * issued before verification existed have no flag and count as verified.
+ */
+const applyVerification = (user) => (user.emailVerified === false
+  ? { ...user, plan: UNVERIFIED_PLAN, accountPlan: user.plan }
+  : user);
+
 /**
- * Middleware to verify JWT token
+ * Middleware to verify JWT token. Tokens that were logged out, or issued
+ * before their user logged out everywhere or changed password, are rejected,
+ * as are tokens issued for an API key that is no longer active.
  */
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
   try {
     // Get token from headers, query, or cookies
     const token = req.headers.authorization?.split(' ')[1] || 
@@ -18,14 +40,26 @@ const verifyToken = (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    if (await sessionModel.isAccessTokenRevoked({ jti: decoded.jti, userId: decoded.id, issuedAt: decoded.iat, sessionId: decoded.sid })) {
+      throw new AuthenticationError('Token has been revoked');
+    }
+    
+    // Tokens issued for an API key only work while the key does, with its current scopes
+    if (decoded.keyId) {
+      const key = await apiKeyModel.getActiveKeyById(decoded.keyId, decoded.id);
+      if (!key) {
+        throw new AuthenticationError('API key has been revoked or has expired');
+      }
+      decoded.scopes = key.scopes;
+    }
+    
     // Attach user info to request
-    req.user = decoded;
+    req.user = applyVerification(decoded);
     
-    // Check if token is about to expire (less than 1 hour remaining)
+    // Check if token is about to expire
     const expiryTime = decoded.exp * 1000; // Convert to milliseconds
-    const oneHour = 60 * 60 * 1000;
     
-    if (expiryTime - Date.now() < oneHour) {
+    if (expiryTime - Date.now() < EXPIRES_SOON_MS) {
       // Set header to indicate token will expire soon
       res.set('X-Token-Expires-Soon', 'true');
     }
@@ -43,9 +77,10 @@ const verifyToken = (req, res, next) => {
 };
 
 /**
- * Middleware to check API key
+ * Middleware to check a user's API key (X-API-Key) and attach its user and
+ * scopes to the request. Revoked and expired keys are rejected.
  */
-const verifyApiKey = (req, res, next) => {
+const verifyApiKey = async (req, res, next) => {
   try {
     const apiKey = req.headers['x-api-key'];
     
@@ -53,12 +88,24 @@ const verifyApiKey = (req, res, next) => {
       throw new AuthenticationError('API key required');
     }
     
-    // In a real application, you would validate the API key against a database
-    // For now, we'll check against an environment variable
-    if (apiKey !== process.env.API_KEY) {
+    const key = await apiKeyModel.findActiveKey(apiKey);
+    if (!key) {
       throw new AuthenticationError('Invalid API key');
     }
     
+    await apiKeyModel.recordUse(key.key_id, req.ip);
+    
+    // Same shape as a decoded token, with the plan as currently stored
+    req.user = applyVerification({
+      id: key.id,
+      email: key.email,
+      role: key.role,
+      plan: key.plan,
+      emailVerified: !!key.email_verified_at,
+      keyId: key.key_id,
+      scopes: key.scopes
+    });
+    
     next();
   } catch (error) {
     next(error);
@@ -89,7 +136,53 @@ const checkRole = (roles = []) => {
 };
 
 /**
- * Middleware to handle multiple authentication methods
+ * Middleware to check that an API key has a scope. Requests made with a login
+ * token have no scopes and are not limited; tokens issued for an API key
+ * (see /auth/verify-api-key) carry the key's scopes.
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (!req.user?.scopes || hasScope(req.user.scopes, scope)) {
+      return next();
+    }
+    
+    next(new ForbiddenError(`This API key doesn't have the ${scope} scope`));
+  };
+};
+
+/**
+ * Middleware to require the read scope for reads and the analyze scope for everything else
+ */
+const checkMethodScope = (req, res, next) => {
+  const scope = READ_METHODS.includes(req.method) ? 'read' : 'analyze';
+  return requireScope(scope)(req, res, next);
+};
+
+/**
+ * Middleware to allow only login sessions, e.g. for managing API keys, so a
+ * leaked key can't be used to create or replace keys
+ */
+const requireLogin = (req, res, next) => {
+  if (req.user?.scopes) {
+    return next(new ForbiddenError('This can only be done when logged in, not with an API key'));
+  }
+  
+  next();
+};
+
+/**
+ * Middleware to allow only users who have verified their email address
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user?.emailVerified === false) {
+    return next(new ForbiddenError('Please verify your email address first; see POST /api/auth/resend-verification'));
+  }
+  
+  next();
+};
+
+/**
+ * Middleware to accept either a JWT (Authorization header) or an API key (X-API-Key)
  */
 const multiAuth = (req, res, next) => {
   // Try JWT first
@@ -110,5 +203,10 @@ module.exports = {
   verifyToken,
   verifyApiKey,
   checkRole,
-  multiAuth
+  requireScope,
+  checkMethodScope,
+  requireLogin,
+  requireVerifiedEmail,
+  multiAuth,
+  UNVERIFIED_PLAN
 };
\ No newline at end of file
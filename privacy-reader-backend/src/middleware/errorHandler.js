@@ -9,6 +9,8 @@ const logger = createLogger({
     format.json()
   ),
   defaultMeta: { service: 'privacy-reader-api' },
+  // Tests exercise failures on purpose; keep them out of the logs
+  silent: process.env.NODE_ENV === 'test',
   transports: [
     // Write all errors to error.log
     new transports.File({ 
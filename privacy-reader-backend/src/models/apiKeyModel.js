@@ -0,0 +1,298 @@
+// src/models/apiKeyModel.js
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/db');
+const { hashApiKey, getKeyPrefix, API_KEY_SCOPES } = require('../utils/apiKeys');
+const { logger } = require('../middleware/errorHandler');
+
+// Columns returned for keys; the key itself is only shown when it is created
+const KEY_COLUMNS = 'id, user_id, name, prefix, scopes, expires_at, revoked_at, last_used_at, last_used_ip, created_at, updated_at';
+
+// Last use is written at most this often per key, unless the IP changes
+const LAST_USED_RESOLUTION = '1 minute';
+
+/**
+ * Users' API keys. Keys are stored hashed and identified by their prefix.
+ */
+const apiKeyModel = {
+  /**
+   * Store a new key for a user. The key is hashed here, like passwords in userModel.
+   */
+  async createKey({ userId, key, name, scopes, expiresAt }) {
+    try {
+      const query = `
+        INSERT INTO api_keys (
+          id, user_id, name, prefix, key_hash, scopes, expires_at, created_at, updated_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, NOW(), NOW()
+        ) RETURNING ${KEY_COLUMNS}
+      `;
+
+      const result = await db.query(query, [
+        uuidv4(),
+        userId,
+        name,
+        getKeyPrefix(key),
+        hashApiKey(key),
+        scopes,
+        expiresAt || null
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error creating API key for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get one of a user's keys
+   */
+  async getKey(id, userId) {
+    try {
+      const result = await db.query(`
+        SELECT ${KEY_COLUMNS} FROM api_keys
+        WHERE id = $1 AND user_id = $2
+      `, [id, userId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error getting API key ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a user's keys, including expired and revoked ones
+   */
+  async getKeysByUser(userId) {
+    try {
+      const result = await db.query(`
+        SELECT ${KEY_COLUMNS} FROM api_keys
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+      `, [userId]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error getting API keys for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Count a user's keys that can still be used
+   */
+  async countActiveKeys(userId) {
+    try {
+      const result = await db.query(`
+        SELECT COUNT(*)::int AS count FROM api_keys
+        WHERE user_id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+      `, [userId]);
+
+      return result.rows[0].count;
+    } catch (error) {
+      logger.error(`Error counting API keys for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Find the user of a key that can be used: not revoked and not expired.
+   * Returns the user's id, email, role, plan and verification time with the
+   * key's id, prefix and scopes.
+   */
+  async findActiveKey(key) {
+    try {
+      const result = await db.query(`
+        SELECT k.id AS key_id, k.prefix, k.scopes, u.id, u.email, u.role, u.plan, u.email_verified_at
+        FROM api_keys k
+        JOIN users u ON u.id = k.user_id
+        WHERE k.key_hash = $1
+          AND k.revoked_at IS NULL
+          AND (k.expires_at IS NULL OR k.expires_at > NOW())
+      `, [hashApiKey(key)]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error looking up API key:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get one of a user's keys by ID if it can still be used, for tokens
+   * issued for the key
+   */
+  async getActiveKeyById(id, userId) {
+    try {
+      const result = await db.query(`
+        SELECT ${KEY_COLUMNS} FROM api_keys
+        WHERE id = $1 AND user_id = $2
+          AND revoked_at IS NULL
+          AND (expires_at IS NULL OR expires_at > NOW())
+      `, [id, userId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error getting active API key ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a key's name, scopes or expiry. `expiresAt: null` removes the expiry.
+   */
+  async updateKey(id, userId, { name, scopes, expiresAt }) {
+    try {
+      const query = `
+        UPDATE api_keys
+        SET name = COALESCE($1, name),
+            scopes = COALESCE($2, scopes),
+            expires_at = CASE WHEN $3 THEN $4::timestamptz ELSE expires_at END,
+            updated_at = NOW()
+        WHERE id = $5 AND user_id = $6 AND revoked_at IS NULL
+        RETURNING ${KEY_COLUMNS}
+      `;
+
+      const result = await db.query(query, [
+        name ?? null,
+        scopes ?? null,
+        expiresAt !== undefined,
+        expiresAt ?? null,
+        id,
+        userId
+      ]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error updating API key ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke a key. It stays listed, but can't be used again.
+   */
+  async revokeKey(id, userId) {
+    try {
+      const result = await db.query(`
+        UPDATE api_keys
+        SET revoked_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+        RETURNING ${KEY_COLUMNS}
+      `, [id, userId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error revoking API key ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke a user's keys with a given name. Returns how many were revoked.
+   */
+  async revokeKeysByName(userId, name) {
+    try {
+      const result = await db.query(`
+        UPDATE api_keys
+        SET revoked_at = NOW(), updated_at = NOW()
+        WHERE user_id = $1 AND name = $2 AND revoked_at IS NULL
+      `, [userId, name]);
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error(`Error revoking API keys named ${name} for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record when and from where a key was last used
+   */
+  async recordUse(id, ip) {
+    try {
+      await db.query(`
+        UPDATE api_keys
+        SET last_used_at = NOW(), last_used_ip = $2
+        WHERE id = $1
+          AND (last_used_at IS NULL
+            OR last_used_at < NOW() - INTERVAL '${LAST_USED_RESOLUTION}'
+            OR last_used_ip IS DISTINCT FROM $2)
+      `, [id, ip || null]);
+
+      return true;
+    } catch (error) {
+      logger.error(`Error recording use of API key ${id}:`, error);
+      // Don't throw - non-critical
+      return false;
+    }
+  },
+
+  /**
+   * Initialize API key schema. Keys kept on the users table by earlier
+   * versions (plain or hashed) are moved here with all non-admin scopes,
+   * plus admin for admins, so they keep working as before.
+   */
+  async initSchema() {
+    try {
+      logger.info('Initializing API key database schema...');
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id UUID PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          prefix TEXT NOT NULL,
+          key_hash TEXT UNIQUE NOT NULL,
+          scopes TEXT[] NOT NULL,
+          expires_at TIMESTAMP WITH TIME ZONE,
+          revoked_at TIMESTAMP WITH TIME ZONE,
+          last_used_at TIMESTAMP WITH TIME ZONE,
+          last_used_ip TEXT,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+        )
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys (user_id, created_at DESC)
+      `);
+
+      const legacyColumns = await db.query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name IN ('api_key', 'api_key_prefix', 'api_key_hash')
+      `);
+      const columns = legacyColumns.rows.map(row => row.column_name);
+
+      if (columns.length > 0) {
+        const legacyKeys = await db.query(`SELECT id, role, ${columns.join(', ')} FROM users`);
+        let moved = 0;
+
+        for (const user of legacyKeys.rows) {
+          const keyHash = user.api_key_hash || (user.api_key && hashApiKey(user.api_key));
+          if (!keyHash) continue;
+
+          const scopes = user.role === 'admin' ? API_KEY_SCOPES : API_KEY_SCOPES.filter(scope => scope !== 'admin');
+          const result = await db.query(`
+            INSERT INTO api_keys (id, user_id, name, prefix, key_hash, scopes, created_at, updated_at)
+            VALUES ($1, $2, 'Default', $3, $4, $5, NOW(), NOW())
+            ON CONFLICT (key_hash) DO NOTHING
+          `, [uuidv4(), user.id, user.api_key_prefix || getKeyPrefix(user.api_key), keyHash, scopes]);
+          moved += result.rowCount;
+        }
+
+        await db.query(`ALTER TABLE users ${columns.map(column => `DROP COLUMN ${column}`).join(', ')}`);
+        logger.info(`Moved ${moved} API keys from users to api_keys`);
+      }
+
+      logger.info('API key database schema initialized successfully');
+      return true;
+    } catch (error) {
+      logger.error('Error initializing API key database schema:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = apiKeyModel;
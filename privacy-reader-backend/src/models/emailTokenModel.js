@@ -0,0 +1,105 @@
+// src/models/emailTokenModel.js
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/db');
+const { logger } = require('../middleware/errorHandler');
+
+/**
+ * Single-use tokens sent by email (verification, password reset). The
+ * signed token carries the row's ID; the row records whether it was used.
+ */
+const emailTokenModel = {
+  /**
+   * Record a new token. Unused tokens of the same purpose for the user are
+   * used up, so only the latest email's link works.
+   */
+  async createToken({ userId, purpose, email, expiresAt }) {
+    try {
+      await db.query(`
+        UPDATE email_tokens
+        SET used_at = NOW()
+        WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+      `, [userId, purpose]);
+
+      const result = await db.query(`
+        INSERT INTO email_tokens (id, user_id, purpose, email, expires_at, created_at)
+        VALUES ($1, $2, $3, $4, $5, NOW())
+        RETURNING *
+      `, [uuidv4(), userId, purpose, email, expiresAt]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error creating ${purpose} token for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Use a token. Returns the token, or null if it was already used, has
+   * expired or doesn't exist.
+   */
+  async consumeToken(id, purpose) {
+    try {
+      const result = await db.query(`
+        UPDATE email_tokens
+        SET used_at = NOW()
+        WHERE id = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+        RETURNING *
+      `, [id, purpose]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error using ${purpose} token ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * When the user was last sent a token of a purpose, or null
+   */
+  async getLastSentAt(userId, purpose) {
+    try {
+      const result = await db.query(`
+        SELECT MAX(created_at) AS last_sent_at FROM email_tokens
+        WHERE user_id = $1 AND purpose = $2
+      `, [userId, purpose]);
+
+      return result.rows[0].last_sent_at;
+    } catch (error) {
+      logger.error(`Error getting last ${purpose} token for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Initialize email token schema
+   */
+  async initSchema() {
+    try {
+      logger.info('Initializing email token database schema...');
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS email_tokens (
+          id UUID PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          purpose TEXT NOT NULL,
+          email TEXT NOT NULL,
+          expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          used_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL
+        )
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_email_tokens_user ON email_tokens (user_id, purpose, created_at DESC)
+      `);
+
+      logger.info('Email token database schema initialized successfully');
+      return true;
+    } catch (error) {
+      logger.error('Error initializing email token database schema:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = emailTokenModel;
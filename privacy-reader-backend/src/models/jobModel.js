@@ -0,0 +1,336 @@
+// src/models/jobModel.js
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/db');
+const { logger } = require('../middleware/errorHandler');
+
+/**
+ * Background job database model. Jobs live in Postgres so that queued work
+ * survives a restart of the API server.
+ */
+const jobModel = {
+  /**
+   * Create a new queued job
+   */
+  async createJob(jobData) {
+    try {
+      const query = `
+        INSERT INTO analysis_jobs (
+          id, type, url, options, user_id, status, stage, progress, created_at, updated_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, 'queued', 'queued', 0, NOW(), NOW()
+        ) RETURNING *
+      `;
+
+      const result = await db.query(query, [
+        uuidv4(),
+        jobData.type,
+        jobData.url || null,
+        JSON.stringify(jobData.options || {}),
+        jobData.userId || null
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error creating ${jobData.type} job:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a job by ID
+   */
+  async getJobById(id) {
+    try {
+      const query = `
+        SELECT * FROM analysis_jobs
+        WHERE id = $1
+      `;
+
+      const result = await db.query(query, [id]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error getting job by ID ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a queued or running job of a type for a URL, if there is one
+   */
+  async getActiveJobByUrl(type, url) {
+    try {
+      const query = `
+        SELECT * FROM analysis_jobs
+        WHERE type = $1 AND url = $2 AND status IN ('queued', 'running')
+        ORDER BY created_at DESC
+        LIMIT 1
+      `;
+
+      const result = await db.query(query, [type, url]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error getting active job for URL ${url}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Atomically claim the oldest queued job of the given types.
+   * SKIP LOCKED lets several workers or server instances share the queue.
+   */
+  async claimNextJob(types) {
+    try {
+      const query = `
+        UPDATE analysis_jobs
+        SET status = 'running', started_at = NOW(), updated_at = NOW(), attempts = attempts + 1
+        WHERE id = (
+          SELECT id FROM analysis_jobs
+          WHERE status = 'queued' AND type = ANY($1)
+            AND (run_after IS NULL OR run_after <= NOW())
+          ORDER BY created_at
+          FOR UPDATE SKIP LOCKED
+          LIMIT 1
+        )
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [types]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error claiming next job:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update the stage and progress of a running job.
+   * Returns the updated job so callers can see cancellation requests.
+   */
+  async updateJobProgress(id, stage, progress) {
+    try {
+      const query = `
+        UPDATE analysis_jobs
+        SET stage = $1, progress = $2, updated_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [stage, progress, id]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error updating progress for job ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record that a running job is still alive
+   */
+  async touchJob(id) {
+    try {
+      await db.query(`
+        UPDATE analysis_jobs
+        SET updated_at = NOW()
+        WHERE id = $1 AND status = 'running'
+      `, [id]);
+
+      return true;
+    } catch (error) {
+      logger.error(`Error updating heartbeat for job ${id}:`, error);
+      // Don't throw - a missed heartbeat is non-critical
+      return false;
+    }
+  },
+
+  /**
+   * Mark a job as completed with its result
+   */
+  async completeJob(id, result) {
+    try {
+      const query = `
+        UPDATE analysis_jobs
+        SET status = 'completed', stage = 'done', progress = 100, result = $1,
+            completed_at = NOW(), updated_at = NOW()
+        WHERE id = $2
+        RETURNING *
+      `;
+
+      const queryResult = await db.query(query, [JSON.stringify(result || {}), id]);
+
+      return queryResult.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error completing job ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Mark a job as failed or cancelled
+   */
+  async finishJobWithError(id, status, errorMessage) {
+    try {
+      const query = `
+        UPDATE analysis_jobs
+        SET status = $1, error = $2, completed_at = NOW(), updated_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [status, errorMessage, id]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error finishing job ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Put a running job back in the queue after a temporary failure, to be
+   * claimed again no sooner than `delayMs` from now
+   */
+  async retryJob(id, delayMs, errorMessage) {
+    try {
+      const query = `
+        UPDATE analysis_jobs
+        SET status = 'queued', stage = 'queued', progress = 0, error = $1,
+            run_after = NOW() + ($2 || ' milliseconds')::interval, updated_at = NOW()
+        WHERE id = $3 AND status = 'running'
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [errorMessage, String(Math.round(delayMs)), id]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error requeueing job ${id} for retry:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Cancel a job. Queued jobs are cancelled immediately; running jobs are
+   * flagged and stop at their next stage.
+   */
+  async cancelJob(id) {
+    try {
+      const query = `
+        UPDATE analysis_jobs
+        SET cancel_requested = TRUE,
+            status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+            completed_at = CASE WHEN status = 'queued' THEN NOW() ELSE completed_at END,
+            updated_at = NOW()
+        WHERE id = $1 AND status IN ('queued', 'running')
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [id]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error cancelling job ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Put running jobs that stopped reporting progress back in the queue.
+   * This picks up jobs that were interrupted by a restart or crash. Jobs
+   * that have already been tried `maxAttempts` times are failed instead,
+   * and jobs whose cancellation was requested are cancelled. Returns the
+   * recovered jobs with their new status.
+   */
+  async requeueStaleJobs(staleAfterMs, maxAttempts) {
+    try {
+      const query = `
+        UPDATE analysis_jobs j
+        SET status = s.next_status,
+            stage = CASE WHEN s.next_status = 'queued' THEN 'queued' ELSE j.stage END,
+            progress = CASE WHEN s.next_status = 'queued' THEN 0 ELSE j.progress END,
+            error = CASE WHEN s.next_status = 'failed'
+              THEN 'Job was interrupted ' || j.attempts || ' time(s) and will not be retried'
+              ELSE j.error END,
+            completed_at = CASE WHEN s.next_status = 'queued' THEN j.completed_at ELSE NOW() END,
+            updated_at = NOW()
+        FROM (
+          SELECT id,
+                 CASE
+                   WHEN cancel_requested THEN 'cancelled'
+                   WHEN attempts >= $2 THEN 'failed'
+                   ELSE 'queued'
+                 END AS next_status
+          FROM analysis_jobs
+          WHERE status = 'running'
+            AND updated_at < NOW() - ($1 || ' milliseconds')::interval
+          FOR UPDATE SKIP LOCKED
+        ) s
+        WHERE j.id = s.id
+        RETURNING j.*
+      `;
+
+      const result = await db.query(query, [String(staleAfterMs), maxAttempts]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error requeueing stale jobs:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Initialize job database schema
+   */
+  async initSchema() {
+    try {
+      logger.info('Initializing job database schema...');
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS analysis_jobs (
+          id UUID PRIMARY KEY,
+          type TEXT NOT NULL,
+          url TEXT,
+          options JSONB DEFAULT '{}'::jsonb,
+          user_id INTEGER,
+          status TEXT NOT NULL,
+          stage TEXT NOT NULL,
+          progress INTEGER NOT NULL DEFAULT 0,
+          result JSONB,
+          error TEXT,
+          cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          run_after TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          updated_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          started_at TIMESTAMP WITH TIME ZONE,
+          completed_at TIMESTAMP WITH TIME ZONE
+        )
+      `);
+
+      // Added after the table was first created
+      await db.query(`
+        ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS run_after TIMESTAMP WITH TIME ZONE
+      `);
+
+      // Workers look up queued jobs by status and age
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_analysis_jobs_status ON analysis_jobs (status, created_at)
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_analysis_jobs_url ON analysis_jobs (url)
+      `);
+
+      logger.info('Job database schema initialized successfully');
+      return true;
+    } catch (error) {
+      logger.error('Error initializing job database schema:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = jobModel;
@@ -0,0 +1,318 @@
+// src/models/monitoringModel.js
+const db = require('../config/db');
+const { logger } = require('../middleware/errorHandler');
+
+/**
+ * Policy monitoring database model: user subscriptions to policy URLs
+ * (`user_policies`) and the events recorded each time a policy is re-checked.
+ */
+const monitoringModel = {
+  /**
+   * Subscribe a user to a policy URL, or update an existing subscription
+   */
+  async upsertSubscription({ userId, url, policyId, checkIntervalHours }) {
+    try {
+      const query = `
+        INSERT INTO user_policies (
+          user_id, url, policy_id, check_interval_hours, active, created_at, updated_at
+        ) VALUES (
+          $1, $2, $3, $4, TRUE, NOW(), NOW()
+        )
+        ON CONFLICT (user_id, url) DO UPDATE
+        SET check_interval_hours = EXCLUDED.check_interval_hours,
+            policy_id = COALESCE(EXCLUDED.policy_id, user_policies.policy_id),
+            active = TRUE,
+            updated_at = NOW()
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [userId, url, policyId || null, checkIntervalHours]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error subscribing user ${userId} to ${url}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a user's subscription by ID
+   */
+  async getSubscription(id, userId) {
+    try {
+      const query = `
+        SELECT * FROM user_policies
+        WHERE id = $1 AND user_id = $2
+      `;
+
+      const result = await db.query(query, [id, userId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error getting subscription ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a user's subscriptions with the latest version of each policy and
+   * the outcome of its last check
+   */
+  async getSubscriptionsByUser(userId) {
+    try {
+      const query = `
+        SELECT s.id, s.url, s.check_interval_hours, s.active, s.created_at,
+               p.id AS policy_id, p.title, p.score, p.is_fallback, p.last_checked,
+               e.status AS last_check_status, e.material_change AS last_check_material,
+               e.created_at AS last_check_at
+        FROM user_policies s
+        LEFT JOIN LATERAL (
+          SELECT id, title, score, is_fallback, last_checked FROM policies
+          WHERE url = s.url
+          ORDER BY created_at DESC
+          LIMIT 1
+        ) p ON TRUE
+        LEFT JOIN LATERAL (
+          SELECT status, material_change, created_at FROM policy_monitoring_events
+          WHERE url = s.url
+          ORDER BY created_at DESC
+          LIMIT 1
+        ) e ON TRUE
+        WHERE s.user_id = $1
+        ORDER BY s.created_at DESC
+      `;
+
+      const result = await db.query(query, [userId]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error getting subscriptions for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update the check interval or active flag of a subscription
+   */
+  async updateSubscription(id, userId, { checkIntervalHours, active }) {
+    try {
+      const query = `
+        UPDATE user_policies
+        SET check_interval_hours = COALESCE($1, check_interval_hours),
+            active = COALESCE($2, active),
+            updated_at = NOW()
+        WHERE id = $3 AND user_id = $4
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [
+        checkIntervalHours ?? null,
+        active ?? null,
+        id,
+        userId
+      ]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error updating subscription ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a subscription
+   */
+  async deleteSubscription(id, userId) {
+    try {
+      const result = await db.query(`
+        DELETE FROM user_policies
+        WHERE id = $1 AND user_id = $2
+        RETURNING id
+      `, [id, userId]);
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error(`Error deleting subscription ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the IDs of users with an active subscription to a URL
+   */
+  async getSubscriberIds(url) {
+    try {
+      const result = await db.query(`
+        SELECT DISTINCT user_id FROM user_policies
+        WHERE url = $1 AND active = TRUE AND user_id IS NOT NULL
+      `, [url]);
+
+      return result.rows.map(row => row.user_id);
+    } catch (error) {
+      logger.error(`Error getting subscribers of ${url}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get subscribed URLs that are due for a re-check. A URL is due when
+   * neither an analysis nor a monitoring check happened within the shortest
+   * interval any subscriber asked for, and no job for it is already pending.
+   */
+  async getDueUrls(limit) {
+    try {
+      const query = `
+        WITH subscribed AS (
+          SELECT url, MIN(check_interval_hours) AS interval_hours
+          FROM user_policies
+          WHERE active = TRUE
+          GROUP BY url
+        )
+        SELECT s.url, s.interval_hours
+        FROM subscribed s
+        WHERE NOT EXISTS (
+            SELECT 1 FROM policies p
+            WHERE p.url = s.url AND p.last_checked > NOW() - make_interval(hours => s.interval_hours)
+          )
+          AND NOT EXISTS (
+            SELECT 1 FROM policy_monitoring_events e
+            WHERE e.url = s.url AND e.created_at > NOW() - make_interval(hours => s.interval_hours)
+          )
+          AND NOT EXISTS (
+            SELECT 1 FROM analysis_jobs j
+            WHERE j.url = s.url AND j.status IN ('queued', 'running')
+          )
+        ORDER BY s.url
+        LIMIT $1
+      `;
+
+      const result = await db.query(query, [limit]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting policies due for a check:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record the outcome of a monitoring check
+   */
+  async recordMonitoringEvent(event) {
+    try {
+      const query = `
+        INSERT INTO policy_monitoring_events (
+          url, policy_id, status, text_hash, material_change, change_summary,
+          error, duration_ms, created_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, NOW()
+        ) RETURNING *
+      `;
+
+      const result = await db.query(query, [
+        event.url,
+        event.policyId || null,
+        event.status,
+        event.textHash || null,
+        event.materialChange ?? null,
+        event.changeSummary ? JSON.stringify(event.changeSummary) : null,
+        event.error || null,
+        event.durationMs ?? null
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error recording monitoring event for ${event.url}:`, error);
+      // Don't throw - a missing event only delays the next check
+      return null;
+    }
+  },
+
+  /**
+   * Get the most recent monitoring events for a URL
+   */
+  async getMonitoringEvents(url, limit = 50) {
+    try {
+      const query = `
+        SELECT * FROM policy_monitoring_events
+        WHERE url = $1
+        ORDER BY created_at DESC
+        LIMIT $2
+      `;
+
+      const result = await db.query(query, [url, limit]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error getting monitoring events for ${url}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Initialize monitoring database schema
+   */
+  async initSchema() {
+    try {
+      logger.info('Initializing monitoring database schema...');
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS user_policies (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          policy_id INTEGER REFERENCES policies(id) ON DELETE SET NULL,
+          url TEXT NOT NULL,
+          check_interval_hours INTEGER NOT NULL DEFAULT 24,
+          active BOOLEAN NOT NULL DEFAULT TRUE,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE
+        )
+      `);
+
+      // Databases created from database.sql have the table without these columns
+      await db.query(`
+        ALTER TABLE user_policies
+          ADD COLUMN IF NOT EXISTS url TEXT,
+          ADD COLUMN IF NOT EXISTS check_interval_hours INTEGER NOT NULL DEFAULT 24,
+          ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE,
+          ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE
+      `);
+
+      // Subscriptions are per user and URL, not per policy version
+      await db.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_user_policies_user_url ON user_policies (user_id, url)
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_user_policies_url ON user_policies (url) WHERE active
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS policy_monitoring_events (
+          id SERIAL PRIMARY KEY,
+          url TEXT NOT NULL,
+          policy_id INTEGER REFERENCES policies(id) ON DELETE SET NULL,
+          status TEXT NOT NULL,
+          text_hash TEXT,
+          material_change BOOLEAN,
+          change_summary JSONB,
+          error TEXT,
+          duration_ms INTEGER,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL
+        )
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_policy_monitoring_events_url ON policy_monitoring_events (url, created_at)
+      `);
+
+      logger.info('Monitoring database schema initialized successfully');
+      return true;
+    } catch (error) {
+      logger.error('Error initializing monitoring database schema:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = monitoringModel;
@@ -0,0 +1,263 @@
+// src/models/notificationModel.js
+const db = require('../config/db');
+const { logger } = require('../middleware/errorHandler');
+
+// Length of each digest period
+const DIGEST_PERIODS = {
+  daily: '1 day',
+  weekly: '7 days'
+};
+
+/**
+ * Notification database model: the domains a user follows, their digest
+ * preferences and a log of the digests that were sent.
+ */
+const notificationModel = {
+  /**
+   * Get a user's digest preferences and followed domains
+   */
+  async getPreferences(userId) {
+    try {
+      const preferences = await db.query(`
+        SELECT digest_frequency, last_digest_at FROM notification_preferences
+        WHERE user_id = $1
+      `, [userId]);
+
+      const domains = await db.query(`
+        SELECT domain FROM user_followed_domains
+        WHERE user_id = $1
+        ORDER BY domain
+      `, [userId]);
+
+      const row = preferences.rows[0];
+
+      return {
+        digestFrequency: row?.digest_frequency || 'off',
+        lastDigestAt: row?.last_digest_at || null,
+        followedDomains: domains.rows.map(domain => domain.domain)
+      };
+    } catch (error) {
+      logger.error(`Error getting notification preferences for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a user's digest frequency and/or replace their followed domains
+   */
+  async updatePreferences(userId, { digestFrequency, followedDomains }) {
+    try {
+      if (digestFrequency !== undefined) {
+        // A new schedule starts now rather than covering everything since the last digest
+        await db.query(`
+          INSERT INTO notification_preferences (user_id, digest_frequency, last_digest_at, created_at, updated_at)
+          VALUES ($1, $2, date_trunc('hour', NOW()), NOW(), NOW())
+          ON CONFLICT (user_id) DO UPDATE
+          SET digest_frequency = EXCLUDED.digest_frequency,
+              last_digest_at = CASE
+                WHEN notification_preferences.digest_frequency = EXCLUDED.digest_frequency
+                THEN notification_preferences.last_digest_at
+                ELSE EXCLUDED.last_digest_at
+              END,
+              updated_at = NOW()
+        `, [userId, digestFrequency]);
+      }
+
+      if (followedDomains !== undefined) {
+        // Replace the list in one statement
+        await db.query(`
+          WITH removed AS (
+            DELETE FROM user_followed_domains
+            WHERE user_id = $1 AND NOT (domain = ANY($2::text[]))
+          )
+          INSERT INTO user_followed_domains (user_id, domain, created_at)
+          SELECT $1, domain, NOW() FROM UNNEST($2::text[]) AS domain
+          ON CONFLICT (user_id, domain) DO NOTHING
+        `, [userId, followedDomains]);
+      }
+
+      return this.getPreferences(userId);
+    } catch (error) {
+      logger.error(`Error updating notification preferences for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get users whose digest period has ended. The period end is rounded down
+   * to the hour so digests don't drift later with every run. Digests only go
+   * to verified email addresses.
+   */
+  async getDueDigests(limit) {
+    try {
+      const result = await db.query(`
+        SELECT np.user_id, np.digest_frequency, np.last_digest_at, u.email, u.name
+        FROM notification_preferences np
+        JOIN users u ON u.id = np.user_id
+        WHERE np.digest_frequency IN ('daily', 'weekly')
+          AND u.email_verified_at IS NOT NULL
+          AND np.last_digest_at <= date_trunc('hour', NOW()) - CASE np.digest_frequency
+            WHEN 'daily' THEN INTERVAL '${DIGEST_PERIODS.daily}'
+            ELSE INTERVAL '${DIGEST_PERIODS.weekly}'
+          END
+          AND EXISTS (SELECT 1 FROM user_followed_domains d WHERE d.user_id = np.user_id)
+        ORDER BY np.last_digest_at
+        LIMIT $1
+      `, [limit]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting due digests:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Claim a digest period by moving the user's last digest time forward.
+   * Returns the period end, or null if another instance claimed it first.
+   */
+  async claimDigest(userId, lastDigestAt) {
+    try {
+      const result = await db.query(`
+        UPDATE notification_preferences
+        SET last_digest_at = date_trunc('hour', NOW()), updated_at = NOW()
+        WHERE user_id = $1 AND last_digest_at = $2
+        RETURNING last_digest_at
+      `, [userId, lastDigestAt]);
+
+      return result.rows[0]?.last_digest_at || null;
+    } catch (error) {
+      logger.error(`Error claiming digest for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Give a claimed period back so the digest is retried on the next run
+   */
+  async releaseDigest(userId, periodEnd, lastDigestAt) {
+    try {
+      await db.query(`
+        UPDATE notification_preferences
+        SET last_digest_at = $3, updated_at = NOW()
+        WHERE user_id = $1 AND last_digest_at = $2
+      `, [userId, periodEnd, lastDigestAt]);
+
+      return true;
+    } catch (error) {
+      logger.error(`Error releasing digest for user ${userId}:`, error);
+      return false;
+    }
+  },
+
+  /**
+   * Get the policy events of a user's followed domains in a period, with the
+   * red flags of the new and the previous version. A followed domain also
+   * matches its subdomains.
+   */
+  async getDigestEvents(userId, periodStart, periodEnd) {
+    try {
+      const result = await db.query(`
+        SELECT DISTINCT ON (e.id) e.event_type, e.data, e.created_at, f.domain AS followed_domain,
+               p.title, p.url, p.red_flags, prev.red_flags AS previous_red_flags
+        FROM analytics_events e
+        JOIN user_followed_domains f
+          ON f.user_id = $1
+         AND (e.data->>'domain' = f.domain OR e.data->>'domain' LIKE '%.' || f.domain)
+        LEFT JOIN policies p ON p.id = (e.data->>'policyId')::integer
+        LEFT JOIN policies prev ON prev.id = (e.data->>'previousId')::integer
+        WHERE e.event_type IN ('policy_created', 'policy_updated', 'policy_reanalyzed')
+          AND e.created_at > $2 AND e.created_at <= $3
+          -- Uploaded documents are private, whatever domain they were filed under
+          AND p.owner_id IS NULL AND p.url ~* '^https?://'
+        ORDER BY e.id, f.domain
+      `, [userId, periodStart, periodEnd]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error getting digest events for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record a sent, skipped or failed digest
+   */
+  async recordDigest({ userId, frequency, periodStart, periodEnd, itemCount, status, error }) {
+    try {
+      await db.query(`
+        INSERT INTO notification_digests (
+          user_id, frequency, period_start, period_end, item_count, status, error, created_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, NOW()
+        )
+      `, [userId, frequency, periodStart, periodEnd, itemCount, status, error || null]);
+
+      return true;
+    } catch (dbError) {
+      logger.error(`Error recording digest for user ${userId}:`, dbError);
+      // Don't throw - the log is informational
+      return false;
+    }
+  },
+
+  /**
+   * Initialize notification database schema
+   */
+  async initSchema() {
+    try {
+      logger.info('Initializing notification database schema...');
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS user_followed_domains (
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          domain TEXT NOT NULL,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          PRIMARY KEY (user_id, domain)
+        )
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS notification_preferences (
+          user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+          digest_frequency TEXT NOT NULL DEFAULT 'off',
+          last_digest_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          updated_at TIMESTAMP WITH TIME ZONE
+        )
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS notification_digests (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          frequency TEXT NOT NULL,
+          period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+          period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+          item_count INTEGER NOT NULL,
+          status TEXT NOT NULL,
+          error TEXT,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL
+        )
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_notification_digests_user_id ON notification_digests (user_id, created_at)
+      `);
+
+      // Digests look up recent policy events by type and time
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_analytics_events_type_created ON analytics_events (event_type, created_at)
+      `);
+
+      logger.info('Notification database schema initialized successfully');
+      return true;
+    } catch (error) {
+      logger.error('Error initializing notification database schema:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = notificationModel;
+module.exports.DIGEST_FREQUENCIES = ['off', ...Object.keys(DIGEST_PERIODS)];
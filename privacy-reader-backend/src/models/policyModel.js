@@ -1,6 +1,14 @@
 // src/models/policyModel.js
 const db = require('../config/db');
 const { logger } = require('../middleware/errorHandler');
+const { hashText, diffPolicies } = require('../utils/policyDiff');
+
+/**
+ * SQL condition for policies a user may read: public policies fetched from a
+ * URL, and documents the user uploaded. Uploads saved before they had an
+ * owner are hidden.
+ */
+const READABLE_BY_USER = (userParam) => `(owner_id = ${userParam} OR (owner_id IS NULL AND url ~* '^https?://'))`;
 
 /**
  * Policy database model
@@ -26,18 +34,19 @@ const policyModel = {
   },
   
   /**
-   * Get a policy by URL
+   * Get the latest policy at a URL. Uploaded documents belong to the user who
+   * uploaded them (`ownerId`); without one, only public policies are found.
    */
-  async getPolicyByUrl(url) {
+  async getPolicyByUrl(url, { ownerId = null } = {}) {
     try {
       const query = `
         SELECT * FROM policies
-        WHERE url = $1
+        WHERE url = $1 AND owner_id IS NOT DISTINCT FROM $2
         ORDER BY created_at DESC
         LIMIT 1
       `;
       
-      const result = await db.query(query, [url]);
+      const result = await db.query(query, [url, ownerId]);
       
       return result.rows[0] || null;
     } catch (error) {
@@ -51,9 +60,9 @@ const policyModel = {
    */
   async getPolicyHistory(id) {
     try {
-      // First get the URL for this policy
+      // First get the URL and owner of this policy
       const policyQuery = `
-        SELECT url FROM policies
+        SELECT url, owner_id FROM policies
         WHERE id = $1
       `;
       
@@ -63,18 +72,21 @@ const policyModel = {
         return [];
       }
       
-      const url = policyResult.rows[0].url;
+      const { url, owner_id: ownerId } = policyResult.rows[0];
       
-      // Then get all versions for this URL
+      // Then get all versions for this URL, with the changes recorded for each
       const historyQuery = `
-        SELECT id, url, title, score, created_at, last_checked,
-               summary, data_collection, data_sharing
-        FROM policies
-        WHERE url = $1
-        ORDER BY created_at DESC
+        SELECT p.id, p.url, p.title, p.language, p.score, p.score_breakdown, p.is_fallback, p.created_at, p.last_checked,
+               p.summary, p.data_collection, p.data_sharing,
+               h.previous_policy_id, h.changes_detected, h.change_classification,
+               h.changes->'summary' AS change_summary
+        FROM policies p
+        LEFT JOIN policy_history h ON h.policy_id = p.id
+        WHERE p.url = $1 AND p.owner_id IS NOT DISTINCT FROM $2
+        ORDER BY p.created_at DESC
       `;
       
-      const historyResult = await db.query(historyQuery, [url]);
+      const historyResult = await db.query(historyQuery, [url, ownerId]);
       
       return historyResult.rows;
     } catch (error) {
@@ -84,19 +96,43 @@ const policyModel = {
   },
   
   /**
-   * Get policies by domain
+   * Get the changes recorded when a policy version replaced the previous one,
+   * or null if that pair wasn't recorded
+   */
+  async getPolicyChanges(policyId, previousPolicyId) {
+    try {
+      const query = `
+        SELECT changes FROM policy_history
+        WHERE policy_id = $1 AND previous_policy_id = $2 AND changes IS NOT NULL
+        LIMIT 1
+      `;
+      
+      const result = await db.query(query, [policyId, previousPolicyId]);
+      
+      return result.rows[0]?.changes || null;
+    } catch (error) {
+      logger.error(`Error getting changes of policy ${policyId} since ${previousPolicyId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get policies by domain, optionally only those in one language. Uploaded
+   * documents are only included for the user who uploaded them (`userId`).
    */
-  async getPoliciesByDomain(domain) {
+  async getPoliciesByDomain(domain, { language, userId = null } = {}) {
     try {
       // Use LIKE query to find policies from this domain
       const query = `
-        SELECT id, url, title, domain, score, created_at, last_checked
+        SELECT id, url, title, domain, language, consent_platforms, score, created_at, last_checked
         FROM policies
         WHERE domain LIKE $1
+          AND ($2::text IS NULL OR language = $2)
+          AND ${READABLE_BY_USER('$3')}
         ORDER BY last_checked DESC
       `;
       
-      const result = await db.query(query, [`%${domain}%`]);
+      const result = await db.query(query, [`%${domain}%`, language || null, userId]);
       
       return result.rows;
     } catch (error) {
@@ -106,12 +142,14 @@ const policyModel = {
   },
   
   /**
-   * Save a policy to the database
+   * Save a policy to the database. `event` names what happened
+   * (policy_created, policy_updated, policy_reanalyzed) or is null when the
+   * stored version was only re-checked.
    */
   async savePolicy(policyData, analysisResult) {
     try {
       // Check if this policy already exists
-      const existingPolicy = await this.getPolicyByUrl(policyData.url);
+      const existingPolicy = await this.getPolicyByUrl(policyData.url, { ownerId: policyData.ownerId });
       
       // Prepare the analysis data
       const summary = analysisResult.summary || [];
@@ -119,10 +157,15 @@ const policyModel = {
       const dataSharing = analysisResult.dataSharing || {};
       const retention = analysisResult.retention || '';
       const userRights = analysisResult.userRights || [];
-      const score = analysisResult.score?.value || 0;
+      // Fallback results carry no real score, so none is stored
+      const isFallback = analysisResult.metadata?.isFallback === true;
+      const score = isFallback ? null : (analysisResult.score?.value || 0);
       const scoreExplanation = analysisResult.score?.explanation || '';
       const redFlags = analysisResult.redFlags || [];
       const compliance = analysisResult.compliance || {};
+      const metadata = analysisResult.metadata || {};
+      const citations = analysisResult.citations || [];
+      const scoreBreakdown = analysisResult.scoreBreakdown || null;
       
       // Convert objects to JSON strings
       const summaryJson = JSON.stringify(summary);
@@ -131,115 +174,187 @@ const policyModel = {
       const userRightsJson = JSON.stringify(userRights);
       const redFlagsJson = JSON.stringify(redFlags);
       const complianceJson = JSON.stringify(compliance);
+      const metadataJson = JSON.stringify(metadata);
+      const citationsJson = JSON.stringify(citations);
+      const scoreBreakdownJson = scoreBreakdown ? JSON.stringify(scoreBreakdown) : null;
+      const structureJson = policyData.structure ? JSON.stringify(policyData.structure) : null;
+      const language = policyData.language || null;
+      // Unknown when the policy didn't come from a web page
+      const consentPlatforms = policyData.consent ? policyData.consent.platforms.map(platform => platform.id) : null;
+      
+      // Versions are compared on normalized text, so whitespace or date changes aren't new versions
+      const textHash = hashText(policyData.text);
+      
+      // New policies and new versions of existing ones are inserted the same way
+      const insertQuery = `
+        INSERT INTO policies (
+          url, domain, title, text, summary, data_collection, data_sharing,
+          retention, user_rights, score, score_explanation, red_flags,
+          compliance, analysis_metadata, is_fallback, citations, score_breakdown,
+          text_hash, structure, language, consent_platforms, owner_id, created_at, last_checked
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, NOW(), NOW()
+        ) RETURNING id
+      `;
+      
+      const insertParams = [
+        policyData.url,
+        policyData.domain,
+        policyData.title,
+        policyData.text,
+        summaryJson,
+        dataCollectionJson,
+        dataSharingJson,
+        retention,
+        userRightsJson,
+        score,
+        scoreExplanation,
+        redFlagsJson,
+        complianceJson,
+        metadataJson,
+        isFallback,
+        citationsJson,
+        scoreBreakdownJson,
+        textHash,
+        structureJson,
+        language,
+        consentPlatforms,
+        policyData.ownerId || null
+      ];
       
       let policyId;
       let isNew = false;
+      let changes = null;
+      let event = null;
       
       if (!existingPolicy) {
         // Insert new policy
-        const insertQuery = `
-          INSERT INTO policies (
-            url, domain, title, text, summary, data_collection, data_sharing,
-            retention, user_rights, score, score_explanation, red_flags,
-            compliance, created_at, last_checked
-          ) VALUES (
-            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), NOW()
-          ) RETURNING id
-        `;
-        
-        const insertResult = await db.query(insertQuery, [
-          policyData.url,
-          policyData.domain,
-          policyData.title,
-          policyData.text,
-          summaryJson,
-          dataCollectionJson,
-          dataSharingJson,
-          retention,
-          userRightsJson,
-          score,
-          scoreExplanation,
-          redFlagsJson,
-          complianceJson
-        ]);
+        const insertResult = await db.query(insertQuery, insertParams);
         
         policyId = insertResult.rows[0].id;
         isNew = true;
+        event = 'policy_created';
         
         // Log analytics event for new policy
-        await this.logAnalyticsEvent('policy_created', {
+        await this.logAnalyticsEvent(event, {
           policyId,
           url: policyData.url,
           domain: policyData.domain,
           score
         });
       } else {
-        // Check if the content has changed
-        const contentChanged = existingPolicy.text !== policyData.text;
+        // Check if the content has changed (rows saved before hashing have no text_hash)
+        const existingHash = existingPolicy.text_hash || hashText(existingPolicy.text);
+        const contentChanged = existingHash !== textHash;
+        
+        // A real analysis replaces a stored fallback even if the text is the same
+        const replacesFallback = existingPolicy.is_fallback && !isFallback;
         
-        if (contentChanged) {
+        // So does an analysis written in another language
+        const languageChanged = !isFallback
+          && (existingPolicy.analysis_metadata?.outputLanguage || 'en') !== (metadata.outputLanguage || 'en');
+        
+        if (contentChanged || replacesFallback || languageChanged) {
           // Insert a new version if content changed
-          const insertVersionQuery = `
-            INSERT INTO policies (
-              url, domain, title, text, summary, data_collection, data_sharing,
-              retention, user_rights, score, score_explanation, red_flags,
-              compliance, created_at, last_checked
-            ) VALUES (
-              $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), NOW()
-            ) RETURNING id
-          `;
-          
-          const insertResult = await db.query(insertVersionQuery, [
-            policyData.url,
-            policyData.domain,
-            policyData.title,
-            policyData.text,
-            summaryJson,
-            dataCollectionJson,
-            dataSharingJson,
-            retention,
-            userRightsJson,
-            score,
-            scoreExplanation,
-            redFlagsJson,
-            complianceJson
-          ]);
+          const insertResult = await db.query(insertQuery, insertParams);
           
           policyId = insertResult.rows[0].id;
           isNew = true;
           
+          if (contentChanged) {
+            changes = diffPolicies(existingPolicy.text, policyData.text);
+            await this.recordPolicyChange(policyId, existingPolicy.id, score, summaryJson, changes);
+          }
+          
           // Log analytics event for updated policy
-          await this.logAnalyticsEvent('policy_updated', {
+          event = contentChanged ? 'policy_updated' : 'policy_reanalyzed';
+          await this.logAnalyticsEvent(event, {
             policyId,
             url: policyData.url,
             domain: policyData.domain,
             score,
             previousScore: existingPolicy.score,
-            previousId: existingPolicy.id
+            previousId: existingPolicy.id,
+            ...(changes && { materialChange: changes.isMaterial, changeSummary: changes.summary })
           });
         } else {
-          // Just update the last_checked timestamp
+          // Just update the last_checked timestamp (and add a tree to rows saved without one).
+          // Sites switch consent platforms without touching their policy, so that is refreshed too.
           const updateQuery = `
             UPDATE policies
-            SET last_checked = NOW()
+            SET last_checked = NOW(), structure = COALESCE(structure, $2),
+                consent_platforms = COALESCE($3, consent_platforms)
             WHERE id = $1
             RETURNING id
           `;
           
-          const updateResult = await db.query(updateQuery, [existingPolicy.id]);
+          const updateResult = await db.query(updateQuery, [existingPolicy.id, structureJson, consentPlatforms]);
           
           policyId = updateResult.rows[0].id;
           isNew = false;
         }
       }
       
-      return { policyId, isNew };
+      return { policyId, isNew, changes, event, previousPolicyId: existingPolicy?.id || null };
     } catch (error) {
       logger.error(`Error saving policy for ${policyData.url}:`, error);
       throw error;
     }
   },
   
+  /**
+   * Record the changes between a new policy version and the previous one.
+   * `changes_detected` is set only for material changes.
+   */
+  async recordPolicyChange(policyId, previousPolicyId, score, summaryJson, changes) {
+    try {
+      const query = `
+        INSERT INTO policy_history (
+          policy_id, previous_policy_id, snapshot_date, summary, score,
+          changes_detected, change_classification, changes
+        ) VALUES (
+          $1, $2, NOW(), $3, $4, $5, $6, $7
+        )
+      `;
+      
+      await db.query(query, [
+        policyId,
+        previousPolicyId,
+        summaryJson,
+        score,
+        changes.isMaterial,
+        changes.isMaterial ? 'material' : 'cosmetic',
+        JSON.stringify(changes)
+      ]);
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error recording changes for policy ${policyId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Record that a policy was checked and found unchanged
+   */
+  async touchPolicy(id) {
+    try {
+      const query = `
+        UPDATE policies
+        SET last_checked = NOW()
+        WHERE id = $1
+        RETURNING id
+      `;
+      
+      const result = await db.query(query, [id]);
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error updating last checked time for policy ${id}:`, error);
+      throw error;
+    }
+  },
+  
   /**
    * Track policy analysis request
    */
@@ -318,13 +433,51 @@ const policyModel = {
           user_rights JSONB,
           score INTEGER,
           score_explanation TEXT,
+          score_breakdown JSONB,
           red_flags JSONB,
           compliance JSONB,
+          analysis_metadata JSONB,
+          is_fallback BOOLEAN NOT NULL DEFAULT FALSE,
+          citations JSONB,
+          text_hash TEXT,
+          structure JSONB,
+          language TEXT,
+          consent_platforms TEXT[],
+          owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
           created_at TIMESTAMP WITH TIME ZONE NOT NULL,
           last_checked TIMESTAMP WITH TIME ZONE NOT NULL
         )
       `);
       
+      // Add columns introduced after the table was first created
+      await db.query(`
+        ALTER TABLE policies
+          ADD COLUMN IF NOT EXISTS analysis_metadata JSONB,
+          ADD COLUMN IF NOT EXISTS is_fallback BOOLEAN NOT NULL DEFAULT FALSE,
+          ADD COLUMN IF NOT EXISTS citations JSONB,
+          ADD COLUMN IF NOT EXISTS score_breakdown JSONB,
+          ADD COLUMN IF NOT EXISTS text_hash TEXT,
+          ADD COLUMN IF NOT EXISTS structure JSONB,
+          ADD COLUMN IF NOT EXISTS language TEXT,
+          ADD COLUMN IF NOT EXISTS consent_platforms TEXT[],
+          ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE
+      `);
+      
+      // Uploads saved before they had an owner belong to the user whose job saved them
+      await db.query(`
+        DO $$
+        BEGIN
+          IF to_regclass('analysis_jobs') IS NOT NULL THEN
+            UPDATE policies p
+            SET owner_id = j.user_id
+            FROM analysis_jobs j
+            WHERE j.type = 'document_analysis' AND j.status = 'completed' AND j.user_id IS NOT NULL
+              AND (j.result->>'policyId')::integer = p.id
+              AND p.owner_id IS NULL;
+          END IF;
+        END $$
+      `);
+      
       // Create index on URL for faster lookups
       await db.query(`
         CREATE INDEX IF NOT EXISTS idx_policies_url ON policies (url)
@@ -335,6 +488,44 @@ const policyModel = {
         CREATE INDEX IF NOT EXISTS idx_policies_domain ON policies (domain)
       `);
       
+      // Create index on owner for users' uploaded documents
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_policies_owner ON policies (owner_id) WHERE owner_id IS NOT NULL
+      `);
+      
+      // Create index on language for filtering
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_policies_language ON policies (language)
+      `);
+      
+      // Create policy history table with the changes between consecutive versions
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS policy_history (
+          id SERIAL PRIMARY KEY,
+          policy_id INTEGER REFERENCES policies(id) ON DELETE CASCADE,
+          previous_policy_id INTEGER REFERENCES policies(id) ON DELETE SET NULL,
+          snapshot_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          raw_text TEXT,
+          summary TEXT,
+          score INTEGER,
+          changes_detected BOOLEAN DEFAULT FALSE,
+          change_classification TEXT,
+          changes JSONB
+        )
+      `);
+      
+      // Databases created from database.sql have the table without the diff columns
+      await db.query(`
+        ALTER TABLE policy_history
+          ADD COLUMN IF NOT EXISTS previous_policy_id INTEGER REFERENCES policies(id) ON DELETE SET NULL,
+          ADD COLUMN IF NOT EXISTS change_classification TEXT,
+          ADD COLUMN IF NOT EXISTS changes JSONB
+      `);
+      
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_policy_history_policy_id ON policy_history (policy_id)
+      `);
+      
       // Create policy requests table for analytics
       await db.query(`
         CREATE TABLE IF NOT EXISTS policy_requests (
@@ -0,0 +1,249 @@
+// src/models/sessionModel.js
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/db');
+const { logger } = require('../middleware/errorHandler');
+
+/**
+ * Login sessions: rotating refresh tokens (stored hashed, see authTokens) and
+ * the denylist of access tokens revoked before they expire
+ */
+const sessionModel = {
+  /**
+   * Store a refresh token with the access token issued alongside it, so the
+   * access token can be revoked with the session
+   */
+  async createRefreshToken({ userId, sessionId, tokenHash, accessJti, accessExpiresAt, expiresAt, ip, userAgent }) {
+    try {
+      const query = `
+        INSERT INTO refresh_tokens (
+          id, session_id, user_id, token_hash, access_jti, access_expires_at,
+          expires_at, ip, user_agent, created_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, NOW()
+        ) RETURNING id, session_id, user_id, expires_at, created_at
+      `;
+
+      const result = await db.query(query, [
+        uuidv4(),
+        sessionId,
+        userId,
+        tokenHash,
+        accessJti,
+        accessExpiresAt,
+        expiresAt,
+        ip || null,
+        userAgent || null
+      ]);
+
+      // Tokens past their expiry are no use to anyone
+      await db.query(`
+        DELETE FROM refresh_tokens
+        WHERE user_id = $1 AND expires_at < NOW()
+      `, [userId]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error creating refresh token for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a refresh token by its hash, whatever its state
+   */
+  async getRefreshToken(tokenHash) {
+    try {
+      const result = await db.query(`
+        SELECT * FROM refresh_tokens
+        WHERE token_hash = $1
+      `, [tokenHash]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting refresh token:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Mark a refresh token as used. Returns false if it was already used or
+   * revoked, so only one of two concurrent refreshes succeeds.
+   */
+  async markRefreshTokenUsed(id) {
+    try {
+      const result = await db.query(`
+        UPDATE refresh_tokens
+        SET used_at = NOW()
+        WHERE id = $1 AND used_at IS NULL AND revoked_at IS NULL
+        RETURNING id
+      `, [id]);
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error(`Error using refresh token ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Log out a session: revoke its refresh tokens and deny the access tokens
+   * issued with them that haven't expired yet
+   */
+  async revokeSession(sessionId, reason) {
+    try {
+      await db.query(`
+        INSERT INTO revoked_tokens (jti, user_id, reason, expires_at, created_at)
+        SELECT access_jti, user_id, $2, access_expires_at, NOW()
+        FROM refresh_tokens
+        WHERE session_id = $1 AND access_expires_at > NOW()
+        ON CONFLICT (jti) DO NOTHING
+      `, [sessionId, reason]);
+
+      const result = await db.query(`
+        UPDATE refresh_tokens
+        SET revoked_at = NOW()
+        WHERE session_id = $1 AND revoked_at IS NULL
+      `, [sessionId]);
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error(`Error revoking session ${sessionId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Log out all of a user's sessions. Their access tokens that haven't
+   * expired are denied by ID, like in revokeSession. Tokens without a session
+   * (e.g. issued for an API key) stop working through the user's token cutoff
+   * instead. Returns how many refresh tokens were revoked.
+   */
+  async revokeUserSessions(userId, reason) {
+    try {
+      await db.query(`
+        INSERT INTO revoked_tokens (jti, user_id, reason, expires_at, created_at)
+        SELECT access_jti, user_id, $2, access_expires_at, NOW()
+        FROM refresh_tokens
+        WHERE user_id = $1 AND access_expires_at > NOW()
+        ON CONFLICT (jti) DO NOTHING
+      `, [userId, reason]);
+
+      await db.query(`
+        UPDATE users
+        SET tokens_valid_after = NOW()
+        WHERE id = $1
+      `, [userId]);
+
+      const result = await db.query(`
+        UPDATE refresh_tokens
+        SET revoked_at = NOW()
+        WHERE user_id = $1 AND revoked_at IS NULL
+      `, [userId]);
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error(`Error revoking sessions of user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add an access token to the denylist until it expires
+   */
+  async revokeAccessToken({ jti, userId, expiresAt, reason }) {
+    try {
+      await db.query(`
+        INSERT INTO revoked_tokens (jti, user_id, reason, expires_at, created_at)
+        VALUES ($1, $2, $3, $4, NOW())
+        ON CONFLICT (jti) DO NOTHING
+      `, [jti, userId, reason, expiresAt]);
+
+      // Entries are only needed until their token expires
+      await db.query('DELETE FROM revoked_tokens WHERE expires_at < NOW()');
+
+      return true;
+    } catch (error) {
+      logger.error(`Error revoking access token ${jti}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Whether an access token is on the denylist or, for tokens without a
+   * session (`sessionId`), was issued (`issuedAt`, in whole seconds) no later
+   * than its user's token cutoff. A token issued in the same second as the
+   * cutoff is treated as revoked, even if it came just after.
+   */
+  async isAccessTokenRevoked({ jti, userId, issuedAt, sessionId }) {
+    try {
+      const result = await db.query(`
+        SELECT EXISTS (SELECT 1 FROM revoked_tokens WHERE jti = $1)
+            OR ($4::uuid IS NULL AND EXISTS (
+              SELECT 1 FROM users WHERE id = $2 AND tokens_valid_after >= to_timestamp($3)
+            ))
+            AS revoked
+      `, [jti || null, userId, issuedAt, sessionId || null]);
+
+      return result.rows[0].revoked;
+    } catch (error) {
+      logger.error(`Error checking revocation of access token ${jti}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Initialize session schema
+   */
+  async initSchema() {
+    try {
+      logger.info('Initializing session database schema...');
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS refresh_tokens (
+          id UUID PRIMARY KEY,
+          session_id UUID NOT NULL,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          token_hash TEXT UNIQUE NOT NULL,
+          access_jti UUID NOT NULL,
+          access_expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          used_at TIMESTAMP WITH TIME ZONE,
+          revoked_at TIMESTAMP WITH TIME ZONE,
+          ip TEXT,
+          user_agent TEXT,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL
+        )
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens (session_id)
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens (user_id)
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS revoked_tokens (
+          jti UUID PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          reason TEXT,
+          expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL
+        )
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires ON revoked_tokens (expires_at)
+      `);
+
+      logger.info('Session database schema initialized successfully');
+      return true;
+    } catch (error) {
+      logger.error('Error initializing session database schema:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = sessionModel;
@@ -0,0 +1,216 @@
+// src/models/siteRuleModel.js
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/db');
+const { logger } = require('../middleware/errorHandler');
+
+/**
+ * Rules the registry starts with: the sites that were hardcoded as needing a
+ * headless browser. Also used when the database can't be reached.
+ */
+const DEFAULT_SITE_RULES = [
+  'facebook.com',
+  'instagram.com',
+  'twitter.com',
+  'x.com',
+  'apple.com',
+  'microsoft.com',
+  'linkedin.com',
+  'amazon.com',
+  'netflix.com',
+  'tiktok.com',
+  'snapchat.com'
+].map(pattern => ({
+  pattern,
+  description: 'Needs a headless browser',
+  fetchMethod: 'puppeteer'
+}));
+
+/**
+ * Site-specific fetch and extraction rules, keyed by domain pattern
+ */
+const siteRuleModel = {
+  /**
+   * Create a rule
+   */
+  async createRule(rule, createdBy = null) {
+    try {
+      const query = `
+        INSERT INTO site_rules (
+          id, pattern, description, fetch_method, wait_until, wait_for_selector,
+          extra_wait_ms, include_selectors, exclude_selectors, cookie_banner_steps,
+          headers, priority, enabled, created_by, created_at, updated_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW(), NOW()
+        ) RETURNING *
+      `;
+
+      const result = await db.query(query, [
+        uuidv4(),
+        rule.pattern,
+        rule.description || null,
+        rule.fetchMethod || 'auto',
+        rule.waitUntil || null,
+        rule.waitForSelector || null,
+        rule.extraWaitMs ?? null,
+        rule.includeSelectors || [],
+        rule.excludeSelectors || [],
+        JSON.stringify(rule.cookieBannerSteps || []),
+        JSON.stringify(rule.headers || {}),
+        rule.priority ?? 0,
+        rule.enabled ?? true,
+        createdBy
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error creating site rule for ${rule.pattern}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a rule by ID
+   */
+  async getRule(id) {
+    try {
+      const result = await db.query('SELECT * FROM site_rules WHERE id = $1', [id]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error getting site rule ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the rule for a pattern
+   */
+  async getRuleByPattern(pattern) {
+    try {
+      const result = await db.query('SELECT * FROM site_rules WHERE pattern = $1', [pattern]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error getting site rule for ${pattern}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get all rules, optionally only the enabled ones
+   */
+  async getRules({ enabledOnly = false } = {}) {
+    try {
+      const result = await db.query(`
+        SELECT * FROM site_rules
+        ${enabledOnly ? 'WHERE enabled = TRUE' : ''}
+        ORDER BY pattern
+      `);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting site rules:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a rule. Only the given fields change; `null` clears optional ones.
+   */
+  async updateRule(id, changes) {
+    try {
+      const columns = {
+        pattern: 'pattern',
+        description: 'description',
+        fetchMethod: 'fetch_method',
+        waitUntil: 'wait_until',
+        waitForSelector: 'wait_for_selector',
+        extraWaitMs: 'extra_wait_ms',
+        includeSelectors: 'include_selectors',
+        excludeSelectors: 'exclude_selectors',
+        cookieBannerSteps: 'cookie_banner_steps',
+        headers: 'headers',
+        priority: 'priority',
+        enabled: 'enabled'
+      };
+      const jsonColumns = ['cookieBannerSteps', 'headers'];
+
+      const fields = Object.keys(columns).filter(field => changes[field] !== undefined);
+      const values = fields.map(field => (jsonColumns.includes(field) ? JSON.stringify(changes[field]) : changes[field]));
+      const assignments = fields.map((field, i) => `${columns[field]} = $${i + 1}`);
+
+      const result = await db.query(`
+        UPDATE site_rules
+        SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+        WHERE id = $${fields.length + 1}
+        RETURNING *
+      `, [...values, id]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error updating site rule ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a rule
+   */
+  async deleteRule(id) {
+    try {
+      const result = await db.query('DELETE FROM site_rules WHERE id = $1 RETURNING id', [id]);
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error(`Error deleting site rule ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Initialize site rule schema, seeding the default rules into an empty table
+   */
+  async initSchema() {
+    try {
+      logger.info('Initializing site rule database schema...');
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS site_rules (
+          id UUID PRIMARY KEY,
+          pattern TEXT NOT NULL UNIQUE,
+          description TEXT,
+          fetch_method TEXT NOT NULL DEFAULT 'auto',
+          wait_until TEXT,
+          wait_for_selector TEXT,
+          extra_wait_ms INTEGER,
+          include_selectors TEXT[] NOT NULL DEFAULT '{}',
+          exclude_selectors TEXT[] NOT NULL DEFAULT '{}',
+          cookie_banner_steps JSONB NOT NULL DEFAULT '[]',
+          headers JSONB NOT NULL DEFAULT '{}',
+          priority INTEGER NOT NULL DEFAULT 0,
+          enabled BOOLEAN NOT NULL DEFAULT TRUE,
+          created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+        )
+      `);
+
+      const existing = await db.query('SELECT COUNT(*)::int AS count FROM site_rules');
+      if (existing.rows[0].count === 0) {
+        for (const rule of DEFAULT_SITE_RULES) {
+          await this.createRule(rule);
+        }
+        logger.info(`Seeded ${DEFAULT_SITE_RULES.length} default site rules`);
+      }
+
+      logger.info('Site rule database schema initialized successfully');
+      return true;
+    } catch (error) {
+      logger.error('Error initializing site rule database schema:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = siteRuleModel;
+module.exports.DEFAULT_SITE_RULES = DEFAULT_SITE_RULES;
@@ -0,0 +1,94 @@
+// src/models/siteScanModel.js
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/db');
+const { logger } = require('../middleware/errorHandler');
+
+/**
+ * Tracker and cookie scans of the sites hosting policies (see siteScanner)
+ */
+const siteScanModel = {
+  /**
+   * Save a scan and the mismatches found against the policy it was run for
+   */
+  async saveScan({ policyId, url, domain, result, mismatches }) {
+    try {
+      const query = `
+        INSERT INTO site_scans (id, policy_id, url, domain, result, mismatches, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW())
+        RETURNING *
+      `;
+
+      const saved = await db.query(query, [
+        uuidv4(),
+        policyId || null,
+        url,
+        domain,
+        JSON.stringify(result),
+        JSON.stringify(mismatches || [])
+      ]);
+
+      return saved.rows[0];
+    } catch (error) {
+      logger.error(`Error saving site scan for ${url}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Latest scan for a policy. Scans cover the whole site, so a scan run for
+   * an earlier version of the policy (or another policy on the domain) counts.
+   */
+  async getLatestScan(policyId, domain) {
+    try {
+      const query = `
+        SELECT * FROM site_scans
+        WHERE policy_id = $1 OR domain = $2
+        ORDER BY created_at DESC
+        LIMIT 1
+      `;
+
+      const result = await db.query(query, [policyId, domain]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error getting site scan for policy ${policyId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Initialize site scan schema
+   */
+  async initSchema() {
+    try {
+      logger.info('Initializing site scan database schema...');
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS site_scans (
+          id UUID PRIMARY KEY,
+          policy_id INTEGER REFERENCES policies(id) ON DELETE SET NULL,
+          url TEXT NOT NULL,
+          domain TEXT NOT NULL,
+          result JSONB NOT NULL,
+          mismatches JSONB NOT NULL DEFAULT '[]',
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL
+        )
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_site_scans_domain ON site_scans (domain, created_at DESC)
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_site_scans_policy ON site_scans (policy_id)
+      `);
+
+      logger.info('Site scan database schema initialized successfully');
+      return true;
+    } catch (error) {
+      logger.error('Error initializing site scan database schema:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = siteScanModel;
@@ -18,10 +18,10 @@ const userModel = {
       
       const query = `
         INSERT INTO users (
-          email, password, name, company, api_key, plan, role, created_at
+          email, password, name, company, plan, role, created_at
         ) VALUES (
-          $1, $2, $3, $4, $5, $6, $7, NOW()
-        ) RETURNING id, email, name, company, api_key, plan, role, created_at
+          $1, $2, $3, $4, $5, $6, NOW()
+        ) RETURNING id, email, name, company, plan, role, email_verified_at, created_at
       `;
       
       const result = await db.query(query, [
@@ -29,7 +29,6 @@ const userModel = {
         hashedPassword,
         userData.name,
         userData.company,
-        userData.apiKey,
         userData.plan || 'free',
         userData.role || 'user'
       ]);
@@ -41,9 +40,9 @@ const userModel = {
         email: user.email,
         name: user.name,
         company: user.company,
-        apiKey: user.api_key,
         plan: user.plan,
         role: user.role,
+        emailVerified: !!user.email_verified_at,
         created_at: user.created_at
       };
     } catch (error) {
@@ -76,9 +75,9 @@ const userModel = {
         password: user.password, // Needed for verification
         name: user.name,
         company: user.company,
-        apiKey: user.api_key,
         plan: user.plan,
         role: user.role,
+        emailVerified: !!user.email_verified_at,
         created_at: user.created_at,
         usage: user.usage_data
       };
@@ -112,9 +111,9 @@ const userModel = {
         password: user.password, // Needed for verification
         name: user.name,
         company: user.company,
-        apiKey: user.api_key,
         plan: user.plan,
         role: user.role,
+        emailVerified: !!user.email_verified_at,
         created_at: user.created_at,
         usage: user.usage_data
       };
@@ -124,42 +123,6 @@ const userModel = {
     }
   },
   
-  /**
-   * Get user by API key
-   */
-  async getUserByApiKey(apiKey) {
-    try {
-      const query = `
-        SELECT * FROM users
-        WHERE api_key = $1
-      `;
-      
-      const result = await db.query(query, [apiKey]);
-      
-      if (result.rows.length === 0) {
-        return null;
-      }
-      
-      // Transform database column names to camelCase
-      const user = result.rows[0];
-      return {
-        id: user.id,
-        email: user.email,
-        password: user.password,
-        name: user.name,
-        company: user.company,
-        apiKey: user.api_key,
-        plan: user.plan,
-        role: user.role,
-        created_at: user.created_at,
-        usage: user.usage_data
-      };
-    } catch (error) {
-      logger.error(`Error getting user by API key:`, error);
-      throw error;
-    }
-  },
-  
   /**
    * Update user profile
    */
@@ -169,7 +132,7 @@ const userModel = {
         UPDATE users
         SET name = $1, company = $2
         WHERE id = $3
-        RETURNING id, email, name, company, api_key, plan, role, created_at
+        RETURNING id, email, name, company, plan, role, email_verified_at, created_at
       `;
       
       const result = await db.query(query, [
@@ -189,9 +152,9 @@ const userModel = {
         email: user.email,
         name: user.name,
         company: user.company,
-        apiKey: user.api_key,
         plan: user.plan,
         role: user.role,
+        emailVerified: !!user.email_verified_at,
         created_at: user.created_at
       };
     } catch (error) {
@@ -201,53 +164,48 @@ const userModel = {
   },
   
   /**
-   * Update user password
+   * Mark a user's email address as verified. Returns false if it already was.
    */
-  async updateUserPassword(userId, newPassword) {
+  async markEmailVerified(userId) {
     try {
-      // Hash password
-      const salt = await bcrypt.genSalt(10);
-      const hashedPassword = await bcrypt.hash(newPassword, salt);
-      
-      const query = `
+      const result = await db.query(`
         UPDATE users
-        SET password = $1
-        WHERE id = $2
+        SET email_verified_at = NOW()
+        WHERE id = $1 AND email_verified_at IS NULL
         RETURNING id
-      `;
-      
-      const result = await db.query(query, [
-        hashedPassword,
-        userId
-      ]);
+      `, [userId]);
       
       return result.rows.length > 0;
     } catch (error) {
-      logger.error(`Error updating password for user ID ${userId}:`, error);
+      logger.error(`Error verifying email for user ID ${userId}:`, error);
       throw error;
     }
   },
   
   /**
-   * Update user API key
+   * Update user password
    */
-  async updateUserApiKey(userId, apiKey) {
+  async updateUserPassword(userId, newPassword) {
     try {
+      // Hash password
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(newPassword, salt);
+      
       const query = `
         UPDATE users
-        SET api_key = $1
+        SET password = $1
         WHERE id = $2
         RETURNING id
       `;
       
       const result = await db.query(query, [
-        apiKey,
+        hashedPassword,
         userId
       ]);
       
       return result.rows.length > 0;
     } catch (error) {
-      logger.error(`Error updating API key for user ID ${userId}:`, error);
+      logger.error(`Error updating password for user ID ${userId}:`, error);
       throw error;
     }
   },
@@ -386,10 +344,11 @@ const userModel = {
           password TEXT NOT NULL,
           name TEXT,
           company TEXT,
-          api_key TEXT UNIQUE NOT NULL,
           plan TEXT NOT NULL DEFAULT 'free',
           role TEXT NOT NULL DEFAULT 'user',
           usage_data JSONB DEFAULT '{}'::jsonb,
+          tokens_valid_after TIMESTAMP WITH TIME ZONE,
+          email_verified_at TIMESTAMP WITH TIME ZONE,
           created_at TIMESTAMP WITH TIME ZONE NOT NULL,
           updated_at TIMESTAMP WITH TIME ZONE
         )
@@ -400,11 +359,23 @@ const userModel = {
         CREATE INDEX IF NOT EXISTS idx_users_email ON users (email)
       `);
       
-      // Create index on API key for faster lookups
+      // Add columns introduced after the table was first created
       await db.query(`
-        CREATE INDEX IF NOT EXISTS idx_users_api_key ON users (api_key)
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS tokens_valid_after TIMESTAMP WITH TIME ZONE
       `);
       
+      // Accounts created before email verification count as verified, so
+      // existing users don't lose features
+      const verifiedColumn = await db.query(`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'email_verified_at'
+      `);
+      
+      if (verifiedColumn.rows.length === 0) {
+        await db.query('ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP WITH TIME ZONE');
+        await db.query('UPDATE users SET email_verified_at = created_at');
+      }
+      
       // Create user activity table
       await db.query(`
         CREATE TABLE IF NOT EXISTS user_activity (
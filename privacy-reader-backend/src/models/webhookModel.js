@@ -0,0 +1,373 @@
+// src/models/webhookModel.js
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/db');
+const { logger } = require('../middleware/errorHandler');
+
+// Columns returned for endpoints; the secret is only shown when it is created or rotated
+const ENDPOINT_COLUMNS = 'id, user_id, url, description, event_types, active, created_at, updated_at';
+
+/**
+ * Webhook endpoints and their delivery log
+ */
+const webhookModel = {
+  /**
+   * Register a webhook endpoint
+   */
+  async createEndpoint({ userId, url, description, eventTypes, secret }) {
+    try {
+      const query = `
+        INSERT INTO webhook_endpoints (
+          id, user_id, url, description, event_types, secret, active, created_at, updated_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, TRUE, NOW(), NOW()
+        ) RETURNING *
+      `;
+
+      const result = await db.query(query, [uuidv4(), userId, url, description || null, eventTypes, secret]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error creating webhook endpoint for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get one of a user's endpoints
+   */
+  async getEndpoint(id, userId) {
+    try {
+      const result = await db.query(`
+        SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints
+        WHERE id = $1 AND user_id = $2
+      `, [id, userId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error getting webhook endpoint ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a user's endpoints
+   */
+  async getEndpointsByUser(userId) {
+    try {
+      const result = await db.query(`
+        SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+      `, [userId]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error getting webhook endpoints for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update an endpoint's URL, description, event types or active flag
+   */
+  async updateEndpoint(id, userId, { url, description, eventTypes, active }) {
+    try {
+      const query = `
+        UPDATE webhook_endpoints
+        SET url = COALESCE($1, url),
+            description = COALESCE($2, description),
+            event_types = COALESCE($3, event_types),
+            active = COALESCE($4, active),
+            updated_at = NOW()
+        WHERE id = $5 AND user_id = $6
+        RETURNING ${ENDPOINT_COLUMNS}
+      `;
+
+      const result = await db.query(query, [
+        url ?? null,
+        description ?? null,
+        eventTypes ?? null,
+        active ?? null,
+        id,
+        userId
+      ]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error updating webhook endpoint ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replace an endpoint's signing secret
+   */
+  async updateEndpointSecret(id, userId, secret) {
+    try {
+      const result = await db.query(`
+        UPDATE webhook_endpoints
+        SET secret = $1, updated_at = NOW()
+        WHERE id = $2 AND user_id = $3
+        RETURNING *
+      `, [secret, id, userId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error rotating secret of webhook endpoint ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete an endpoint and its delivery log
+   */
+  async deleteEndpoint(id, userId) {
+    try {
+      const result = await db.query(`
+        DELETE FROM webhook_endpoints
+        WHERE id = $1 AND user_id = $2
+        RETURNING id
+      `, [id, userId]);
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error(`Error deleting webhook endpoint ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the active endpoints of the given users that receive an event type
+   */
+  async getEndpointsForEvent(eventType, userIds) {
+    try {
+      const result = await db.query(`
+        SELECT id, user_id FROM webhook_endpoints
+        WHERE active = TRUE AND user_id = ANY($1) AND $2 = ANY(event_types)
+      `, [userIds, eventType]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error getting webhook endpoints for ${eventType}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Queue a delivery of an event to an endpoint
+   */
+  async createDelivery({ endpointId, eventId, eventType, payload, replayOf }) {
+    try {
+      const query = `
+        INSERT INTO webhook_deliveries (
+          id, endpoint_id, event_id, event_type, payload, status, attempts,
+          next_attempt_at, replay_of, created_at, updated_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, 'pending', 0, NOW(), $6, NOW(), NOW()
+        ) RETURNING *
+      `;
+
+      const result = await db.query(query, [
+        uuidv4(),
+        endpointId,
+        eventId,
+        eventType,
+        JSON.stringify(payload),
+        replayOf || null
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error queueing ${eventType} delivery to endpoint ${endpointId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Atomically claim deliveries that are due, with their endpoint's URL and secret.
+   * SKIP LOCKED lets several server instances share the delivery queue.
+   */
+  async claimDueDeliveries(limit) {
+    try {
+      const query = `
+        UPDATE webhook_deliveries d
+        SET status = 'delivering', attempts = d.attempts + 1, updated_at = NOW()
+        FROM webhook_endpoints e
+        WHERE e.id = d.endpoint_id
+          AND d.id IN (
+            SELECT dd.id FROM webhook_deliveries dd
+            JOIN webhook_endpoints ee ON ee.id = dd.endpoint_id
+            WHERE dd.status IN ('pending', 'retrying') AND dd.next_attempt_at <= NOW() AND ee.active
+            ORDER BY dd.next_attempt_at
+            FOR UPDATE OF dd SKIP LOCKED
+            LIMIT $1
+          )
+        RETURNING d.*, e.url AS endpoint_url, e.secret AS endpoint_secret
+      `;
+
+      const result = await db.query(query, [limit]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error claiming webhook deliveries:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record the outcome of a delivery attempt. `nextAttemptInMs` schedules a retry.
+   */
+  async recordDeliveryAttempt(id, { status, statusCode, error, responseBody, nextAttemptInMs }) {
+    try {
+      const query = `
+        UPDATE webhook_deliveries
+        SET status = $1,
+            last_status_code = $2,
+            last_error = $3,
+            response_body = $4,
+            next_attempt_at = CASE WHEN $5::bigint IS NULL THEN next_attempt_at
+                                   ELSE NOW() + ($5::bigint || ' milliseconds')::interval END,
+            delivered_at = CASE WHEN $1 = 'succeeded' THEN NOW() ELSE delivered_at END,
+            updated_at = NOW()
+        WHERE id = $6
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [
+        status,
+        statusCode ?? null,
+        error || null,
+        responseBody || null,
+        nextAttemptInMs ?? null,
+        id
+      ]);
+
+      return result.rows[0] || null;
+    } catch (dbError) {
+      logger.error(`Error recording attempt of webhook delivery ${id}:`, dbError);
+      throw dbError;
+    }
+  },
+
+  /**
+   * Put deliveries interrupted by a restart back in the queue
+   */
+  async requeueStaleDeliveries(staleAfterMs) {
+    try {
+      const result = await db.query(`
+        UPDATE webhook_deliveries
+        SET status = 'retrying', updated_at = NOW()
+        WHERE status = 'delivering'
+          AND updated_at < NOW() - ($1 || ' milliseconds')::interval
+        RETURNING id
+      `, [String(staleAfterMs)]);
+
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      logger.error('Error requeueing stale webhook deliveries:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the delivery log of an endpoint, newest first
+   */
+  async getDeliveries(endpointId, { limit = 50, status } = {}) {
+    try {
+      const result = await db.query(`
+        SELECT id, event_id, event_type, status, attempts, last_status_code, last_error,
+               next_attempt_at, replay_of, created_at, delivered_at
+        FROM webhook_deliveries
+        WHERE endpoint_id = $1 AND ($2::text IS NULL OR status = $2)
+        ORDER BY created_at DESC
+        LIMIT $3
+      `, [endpointId, status || null, limit]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error getting deliveries of webhook endpoint ${endpointId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a single delivery of an endpoint, including its payload and response
+   */
+  async getDelivery(id, endpointId) {
+    try {
+      const result = await db.query(`
+        SELECT * FROM webhook_deliveries
+        WHERE id = $1 AND endpoint_id = $2
+      `, [id, endpointId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error getting webhook delivery ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Initialize webhook database schema
+   */
+  async initSchema() {
+    try {
+      logger.info('Initializing webhook database schema...');
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS webhook_endpoints (
+          id UUID PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          url TEXT NOT NULL,
+          description TEXT,
+          event_types TEXT[] NOT NULL,
+          secret TEXT NOT NULL,
+          active BOOLEAN NOT NULL DEFAULT TRUE,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+        )
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_user_id ON webhook_endpoints (user_id)
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+          id UUID PRIMARY KEY,
+          endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+          event_id UUID NOT NULL,
+          event_type TEXT NOT NULL,
+          payload JSONB NOT NULL,
+          status TEXT NOT NULL,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TIMESTAMP WITH TIME ZONE,
+          last_status_code INTEGER,
+          last_error TEXT,
+          response_body TEXT,
+          replay_of UUID,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          updated_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          delivered_at TIMESTAMP WITH TIME ZONE
+        )
+      `);
+
+      // The dispatcher looks up due deliveries by status and time
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)
+      `);
+
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries (endpoint_id, created_at)
+      `);
+
+      logger.info('Webhook database schema initialized successfully');
+      return true;
+    } catch (error) {
+      logger.error('Error initializing webhook database schema:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = webhookModel;
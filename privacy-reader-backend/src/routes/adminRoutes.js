@@ -0,0 +1,28 @@
+// src/routes/adminRoutes.js
+const express = require('express');
+const router = express.Router();
+const siteRuleController = require('../controllers/siteRuleController');
+const { multiAuth, checkRole, requireScope } = require('../middleware/authMiddleware');
+
+// Administration is limited to admins, and to API keys with the admin scope
+router.use(multiAuth, checkRole(['admin']), requireScope('admin'));
+
+// List site rules
+router.get('/site-rules', siteRuleController.listRules);
+
+// Show which rule applies to a URL
+router.get('/site-rules/match', siteRuleController.matchRule);
+
+// Get a site rule
+router.get('/site-rules/:id', siteRuleController.getRule);
+
+// Create a site rule
+router.post('/site-rules', siteRuleController.createRule);
+
+// Change, disable or re-enable a site rule
+router.patch('/site-rules/:id', siteRuleController.updateRule);
+
+// Delete a site rule
+router.delete('/site-rules/:id', siteRuleController.deleteRule);
+
+module.exports = router;
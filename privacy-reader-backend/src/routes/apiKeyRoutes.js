@@ -0,0 +1,22 @@
+// src/routes/apiKeyRoutes.js
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const { multiAuth, requireLogin } = require('../middleware/authMiddleware');
+
+// Keys are managed from a login session, never with a key
+router.use(multiAuth, requireLogin);
+
+// List keys and the supported scopes
+router.get('/', apiKeyController.listKeys);
+
+// Create a key
+router.post('/', apiKeyController.createKey);
+
+// Rename a key, or change its scopes or expiry
+router.patch('/:id', apiKeyController.updateKey);
+
+// Revoke a key
+router.post('/:id/revoke', apiKeyController.revokeKey);
+
+module.exports = router;
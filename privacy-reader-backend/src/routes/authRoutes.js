@@ -1,12 +1,69 @@
 // src/routes/authRoutes.js
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
-const { v4: uuidv4 } = require('uuid');
 const userModel = require('../models/userModel');
+const apiKeyModel = require('../models/apiKeyModel');
+const sessionModel = require('../models/sessionModel');
+const notificationModel = require('../models/notificationModel');
+const { DIGEST_FREQUENCIES } = require('../models/notificationModel');
 const { logger, ValidationError, AuthenticationError } = require('../middleware/errorHandler');
-const { verifyToken } = require('../middleware/authMiddleware');
+const { verifyToken, multiAuth, requireLogin } = require('../middleware/authMiddleware');
+const { generateApiKey, DEFAULT_SCOPES } = require('../utils/apiKeys');
+const { signAccessToken, issueSession, rotateSession } = require('../utils/authTokens');
+const { consumeEmailToken, sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+
+const MAX_FOLLOWED_DOMAINS = 100;
+
+// Name of the key created at registration and replaced by /refresh-api-key
+const DEFAULT_KEY_NAME = 'Default';
+
+/**
+ * Normalize a followed domain. URLs are reduced to their host and a leading
+ * "www." is dropped, since subdomains match anyway.
+ */
+const parseDomain = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ValidationError('followedDomains must be a list of domain names');
+  }
+
+  let host = value.trim().toLowerCase();
+  try {
+    host = new URL(host.includes('://') ? host : `https://${host}`).hostname;
+  } catch (error) {
+    throw new ValidationError(`Invalid domain: ${value}`);
+  }
+
+  host = host.replace(/^www\./, '');
+  if (!/^([a-z0-9-]+\.)+[a-z]{2,}$/.test(host)) {
+    throw new ValidationError(`Invalid domain: ${value}`);
+  }
+
+  return host;
+};
+
+/**
+ * Validate the notification settings sent to PUT /profile
+ */
+const parseNotificationSettings = ({ digestFrequency, followedDomains }) => {
+  if (digestFrequency !== undefined && !DIGEST_FREQUENCIES.includes(digestFrequency)) {
+    throw new ValidationError(`digestFrequency must be one of ${DIGEST_FREQUENCIES.join(', ')}`);
+  }
+
+  if (followedDomains !== undefined) {
+    if (!Array.isArray(followedDomains)) {
+      throw new ValidationError('followedDomains must be a list of domain names');
+    }
+
+    followedDomains = [...new Set(followedDomains.map(parseDomain))];
+
+    if (followedDomains.length > MAX_FOLLOWED_DOMAINS) {
+      throw new ValidationError(`You can follow at most ${MAX_FOLLOWED_DOMAINS} domains`);
+    }
+  }
+
+  return { digestFrequency, followedDomains };
+};
 
 /**
  * User registration
@@ -31,35 +88,41 @@ router.post('/register', async (req, res, next) => {
     }
     
     // Create user
-    const apiKey = uuidv4();
     const user = await userModel.createUser({
       email,
       password, // Will be hashed in the model
       name: name || email.split('@')[0],
       company: company || null,
-      apiKey,
       plan: 'free', // Default plan
       role: 'user'  // Default role
     });
     
-    // Create token
-    const token = jwt.sign(
-      { 
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        plan: user.plan
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Create the user's first API key
+    const { key: apiKey } = generateApiKey();
+    const createdKey = await apiKeyModel.createKey({
+      userId: user.id,
+      key: apiKey, // Will be hashed in the model
+      name: DEFAULT_KEY_NAME,
+      scopes: DEFAULT_SCOPES
+    });
+    
+    // Start a session: a short-lived access token and a refresh token
+    const session = await issueSession(user, req);
     
     // Log analytics
     await userModel.logActivity(user.id, 'user_registered', { 
       method: 'email'
     });
     
-    // Return user info (without password) and token
+    // The account is usable right away, with a restricted plan until the address is verified
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error(`Error sending verification email to user ${user.id}:`, mailError);
+    }
+    
+    // Return user info (without password) and tokens. The API key is only
+    // stored hashed, so this is the one time it can be shown.
     res.status(201).json({
       user: {
         id: user.id,
@@ -68,10 +131,12 @@ router.post('/register', async (req, res, next) => {
         company: user.company,
         plan: user.plan,
         role: user.role,
-        apiKey: user.apiKey,
+        emailVerified: user.emailVerified,
+        apiKey,
+        apiKeyPrefix: createdKey.prefix,
         created_at: user.created_at
       },
-      token
+      ...session
     });
   } catch (error) {
     next(error);
@@ -108,17 +173,8 @@ router.post('/login', async (req, res, next) => {
       throw new AuthenticationError('Invalid email or password');
     }
     
-    // Create token
-    const token = jwt.sign(
-      { 
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        plan: user.plan
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session: a short-lived access token and a refresh token
+    const session = await issueSession(user, req);
     
     // Log successful login
     await userModel.logActivity(user.id, 'user_logged_in', { 
@@ -126,7 +182,7 @@ router.post('/login', async (req, res, next) => {
       ip: req.ip
     });
     
-    // Return user info and token
+    // Return user info and tokens
     res.json({
       user: {
         id: user.id,
@@ -135,10 +191,208 @@ router.post('/login', async (req, res, next) => {
         company: user.company,
         plan: user.plan,
         role: user.role,
-        apiKey: user.apiKey,
+        emailVerified: user.emailVerified,
         created_at: user.created_at
       },
-      token
+      ...session
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ */
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw new ValidationError('Refresh token is required');
+    }
+    
+    const session = await rotateSession(refreshToken, req);
+    
+    res.json(session);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Log out: end this session and revoke its tokens
+ */
+router.post('/logout', verifyToken, async (req, res, next) => {
+  try {
+    const { id: userId, jti, sid, exp } = req.user;
+    
+    if (sid) {
+      await sessionModel.revokeSession(sid, 'logout');
+    }
+    
+    // Also covers tokens outside a session, e.g. from /verify-api-key
+    if (jti) {
+      await sessionModel.revokeAccessToken({
+        jti,
+        userId,
+        expiresAt: new Date(exp * 1000),
+        reason: 'logout'
+      });
+    }
+    
+    await userModel.logActivity(userId, 'user_logged_out', {
+      ip: req.ip
+    });
+    
+    res.json({
+      message: 'Logged out'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Log out all sessions, on every device
+ */
+router.post('/logout-all', verifyToken, requireLogin, async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    
+    await sessionModel.revokeUserSessions(userId, 'logout_all');
+    
+    await userModel.logActivity(userId, 'user_logged_out_everywhere', {
+      ip: req.ip
+    });
+    
+    res.json({
+      message: 'All sessions have been logged out'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Verify an email address with the token from the verification email
+ */
+router.post('/verify-email', async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token || typeof token !== 'string') {
+      throw new ValidationError('Token is required');
+    }
+    
+    const { userId } = await consumeEmailToken(token, 'verify_email');
+    await userModel.markEmailVerified(userId);
+    
+    await userModel.logActivity(userId, 'email_verified', {
+      ip: req.ip
+    });
+    
+    // Access tokens say whether the address is verified; the next refresh picks it up
+    res.json({
+      message: 'Email address verified'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Send the verification email again
+ */
+router.post('/resend-verification', verifyToken, requireLogin, async (req, res, next) => {
+  try {
+    const user = await userModel.getUserById(req.user.id);
+    if (!user) {
+      throw new AuthenticationError('User not found');
+    }
+    
+    if (user.emailVerified) {
+      throw new ValidationError('Email address is already verified');
+    }
+    
+    await sendVerificationEmail(user);
+    
+    res.json({
+      message: `Verification email sent to ${user.email}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Request a password reset email. The response is the same whether or not
+ * the address has an account, so it can't be used to find out.
+ */
+router.post('/forgot-password', async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email || typeof email !== 'string') {
+      throw new ValidationError('Email is required');
+    }
+    
+    const user = await userModel.getUserByEmail(email);
+    
+    if (user) {
+      try {
+        await sendPasswordResetEmail(user);
+        await userModel.logActivity(user.id, 'password_reset_requested', {
+          ip: req.ip
+        });
+      } catch (mailError) {
+        // Throttled or failed; either way the response must not differ
+        logger.warn(`Password reset email not sent to user ${user.id}: ${mailError.message}`);
+      }
+    }
+    
+    res.json({
+      message: 'If that address has an account, a password reset email is on its way'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Set a new password with the token from the password reset email. All
+ * sessions are logged out.
+ */
+router.post('/reset-password', async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+    
+    if (!token || typeof token !== 'string' || !newPassword) {
+      throw new ValidationError('Token and new password are required');
+    }
+    
+    if (newPassword.length < 8) {
+      throw new ValidationError('New password must be at least 8 characters');
+    }
+    
+    const { userId } = await consumeEmailToken(token, 'password_reset');
+    
+    const updated = await userModel.updateUserPassword(userId, newPassword);
+    if (!updated) {
+      throw new ValidationError('This link is invalid');
+    }
+    
+    await sessionModel.revokeUserSessions(userId, 'password_reset');
+    
+    // The link arrived by email, which proves the address too
+    await userModel.markEmailVerified(userId);
+    
+    await userModel.logActivity(userId, 'password_reset', {
+      ip: req.ip
+    });
+    
+    res.json({
+      message: 'Password has been reset; please log in with the new password'
     });
   } catch (error) {
     next(error);
@@ -148,7 +402,7 @@ router.post('/login', async (req, res, next) => {
 /**
  * Get current user
  */
-router.get('/me', verifyToken, async (req, res, next) => {
+router.get('/me', multiAuth, async (req, res, next) => {
   try {
     const userId = req.user.id;
     
@@ -167,7 +421,7 @@ router.get('/me', verifyToken, async (req, res, next) => {
         company: user.company,
         plan: user.plan,
         role: user.role,
-        apiKey: user.apiKey,
+        emailVerified: user.emailVerified,
         created_at: user.created_at,
         usage: user.usage || {}
       }
@@ -178,28 +432,34 @@ router.get('/me', verifyToken, async (req, res, next) => {
 });
 
 /**
- * Refresh API key
+ * Replace the default API key (the one created at registration). Other keys
+ * are not affected; see /api/keys to manage them individually.
  */
-router.post('/refresh-api-key', verifyToken, async (req, res, next) => {
+router.post('/refresh-api-key', verifyToken, requireLogin, async (req, res, next) => {
   try {
     const userId = req.user.id;
     
-    // Generate new API key
-    const apiKey = uuidv4();
+    // Revoke the old default key and create a new one
+    await apiKeyModel.revokeKeysByName(userId, DEFAULT_KEY_NAME);
     
-    // Update user
-    const updated = await userModel.updateUserApiKey(userId, apiKey);
-    if (!updated) {
-      throw new Error('Failed to update API key');
-    }
+    const { key: apiKey } = generateApiKey();
+    const createdKey = await apiKeyModel.createKey({
+      userId,
+      key: apiKey,
+      name: DEFAULT_KEY_NAME,
+      scopes: DEFAULT_SCOPES
+    });
     
     // Log activity
     await userModel.logActivity(userId, 'api_key_refreshed', {
+      keyId: createdKey.id,
       ip: req.ip
     });
     
+    // Shown once; only the hash is stored
     res.json({
-      apiKey
+      apiKey,
+      apiKeyPrefix: createdKey.prefix
     });
   } catch (error) {
     next(error);
@@ -207,19 +467,58 @@ router.post('/refresh-api-key', verifyToken, async (req, res, next) => {
 });
 
 /**
- * Update user profile
+ * Get user profile with notification settings
  */
-router.put('/profile', verifyToken, async (req, res, next) => {
+router.get('/profile', multiAuth, async (req, res, next) => {
+  try {
+    const user = await userModel.getUserById(req.user.id);
+    if (!user) {
+      throw new AuthenticationError('User not found');
+    }
+    
+    const notifications = await notificationModel.getPreferences(user.id);
+    
+    res.json({
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        company: user.company,
+        plan: user.plan,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        created_at: user.created_at
+      },
+      notifications
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update user profile and notification settings
+ */
+router.put('/profile', verifyToken, requireLogin, async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { name, company } = req.body;
+    const { name, company, notifications } = req.body;
     
-    // Update user
-    const user = await userModel.updateUserProfile(userId, { name, company });
+    // Validate before changing anything
+    const settings = notifications === undefined ? null : parseNotificationSettings(notifications);
+    
+    // Only touch name and company when they were sent
+    const user = name !== undefined || company !== undefined
+      ? await userModel.updateUserProfile(userId, { name, company })
+      : await userModel.getUserById(userId);
     if (!user) {
       throw new Error('Failed to update profile');
     }
     
+    const preferences = settings
+      ? await notificationModel.updatePreferences(userId, settings)
+      : await notificationModel.getPreferences(userId);
+    
     res.json({
       user: {
         id: user.id,
@@ -228,8 +527,10 @@ router.put('/profile', verifyToken, async (req, res, next) => {
         company: user.company,
         plan: user.plan,
         role: user.role,
+        emailVerified: user.emailVerified,
         created_at: user.created_at
-      }
+      },
+      notifications: preferences
     });
   } catch (error) {
     next(error);
@@ -239,7 +540,7 @@ router.put('/profile', verifyToken, async (req, res, next) => {
 /**
  * Change password
  */
-router.post('/change-password', verifyToken, async (req, res, next) => {
+router.post('/change-password', verifyToken, requireLogin, async (req, res, next) => {
   try {
     const userId = req.user.id;
     const { currentPassword, newPassword } = req.body;
@@ -271,13 +572,18 @@ router.post('/change-password', verifyToken, async (req, res, next) => {
       throw new Error('Failed to update password');
     }
     
+    // Log out every session, then start a new one for this client
+    await sessionModel.revokeUserSessions(userId, 'password_changed');
+    const session = await issueSession(user, req);
+    
     // Log activity
     await userModel.logActivity(userId, 'password_changed', {
       ip: req.ip
     });
     
     res.json({
-      message: 'Password updated successfully'
+      message: 'Password updated successfully; other sessions have been logged out',
+      ...session
     });
   } catch (error) {
     next(error);
@@ -295,26 +601,26 @@ router.post('/verify-api-key', async (req, res, next) => {
       throw new ValidationError('API key is required');
     }
     
-    // Get user by API key
-    const user = await userModel.getUserByApiKey(apiKey);
+    // Get the key's user; revoked and expired keys are rejected
+    const key = await apiKeyModel.findActiveKey(apiKey);
+    const user = key && await userModel.getUserById(key.id);
     if (!user) {
       throw new AuthenticationError('Invalid API key');
     }
     
-    // Create token
-    const token = jwt.sign(
-      { 
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        plan: user.plan
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' } // Shorter expiry for API key auth
-    );
+    // Create token, limited to the key's scopes. It stops working as soon as
+    // the key does (see verifyToken). There is no refresh token; clients
+    // verify the key again when it expires.
+    const { token } = signAccessToken(user, {
+      expiresInSeconds: 24 * 60 * 60,
+      claims: { keyId: key.key_id, scopes: key.scopes }
+    });
+    
+    await apiKeyModel.recordUse(key.key_id, req.ip);
     
     // Log API key usage
     await userModel.logActivity(user.id, 'api_key_used', {
+      keyId: key.key_id,
       ip: req.ip
     });
     
@@ -4,6 +4,13 @@ const router = express.Router();
 const { version } = require('../../package.json');
 const { logger } = require('../middleware/errorHandler');
 const cache = require('../utils/cacheManager');
+const jobQueue = require('../utils/jobQueue');
+const policyMonitor = require('../utils/policyMonitor');
+const webhookDispatcher = require('../utils/webhookDispatcher');
+const digestScheduler = require('../utils/digestScheduler');
+const browserPool = require('../utils/browserPool');
+const siteRules = require('../utils/siteRules');
+const { getProviderStatus } = require('../utils/aiProviders');
 
 /**
  * Basic health check endpoint
@@ -30,6 +37,14 @@ router.get('/detailed', async (req, res) => {
     // Add cache stats
     systemInfo.cache = cache.getStats();
     
+    // Add job queue stats
+    systemInfo.jobQueue = jobQueue.getStats();
+    systemInfo.policyMonitor = policyMonitor.getStats();
+    systemInfo.webhooks = webhookDispatcher.getStats();
+    systemInfo.digests = digestScheduler.getStats();
+    systemInfo.browserPool = browserPool.getStats();
+    systemInfo.siteRules = siteRules.getStats();
+    
     // Check database connection
     let dbStatus = 'unknown';
     try {
@@ -44,10 +59,7 @@ router.get('/detailed', async (req, res) => {
     }
     
     // Check AI providers
-    const aiProviders = {
-      gemini: process.env.GEMINI_API_KEY ? 'configured' : 'not configured',
-      openai: process.env.OPENAI_API_KEY ? 'configured' : 'not configured'
-    };
+    const aiProviders = getProviderStatus();
     
     // Compile health report
     const healthReport = {
@@ -0,0 +1,15 @@
+// src/routes/jobRoutes.js
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+
+// Get job status and progress
+router.get('/:id', jobController.getJobStatus);
+
+// Stream job progress as Server-Sent Events
+router.get('/:id/events', jobController.streamJobEvents);
+
+// Cancel a job
+router.post('/:id/cancel', jobController.cancelJob);
+
+module.exports = router;
@@ -2,13 +2,19 @@
 const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
+const multer = require('multer');
 const policyController = require('../controllers/policyController');
-const { logger } = require('../middleware/errorHandler');
+const { requireScope, UNVERIFIED_PLAN } = require('../middleware/authMiddleware');
+const { logger, ValidationError } = require('../middleware/errorHandler');
 
 // Rate limits for specific endpoints
 const analyzeLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
-  max: process.env.NODE_ENV === 'production' ? 10 : 30, // 10 requests per minute in production
+  max: (req) => {
+    // Accounts that haven't verified their email get a lower limit
+    if (req.user?.plan === UNVERIFIED_PLAN) return 3;
+    return process.env.NODE_ENV === 'production' ? 10 : 30; // 10 requests per minute in production
+  },
   message: {
     status: 429,
     message: 'Too many analysis requests, please try again later'
@@ -23,23 +29,67 @@ const analyzeLimiter = rateLimit({
   }
 });
 
+// Uploaded policy documents are kept in memory; they are only read once
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: (parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 10) * 1024 * 1024,
+    files: 1
+  }
+});
+
+// Report upload problems (e.g. file too large) as validation errors
+const uploadDocument = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(new ValidationError(`Upload failed: ${err.message}`));
+    }
+    next(err);
+  });
+};
+
 // Analysis endpoint
 router.post('/analyze', analyzeLimiter, policyController.analyzePolicy);
 
+// Analyze pasted text or HTML, or an uploaded PDF, DOCX, HTML or text file
+router.post('/analyze-document', analyzeLimiter, uploadDocument, policyController.analyzeDocument);
+
+// Find a site's privacy policy from its homepage or domain (fetches pages, so it needs the analyze scope)
+router.get('/discover', requireScope('analyze'), analyzeLimiter, policyController.discoverPolicy);
+
 // Get policy by ID
 router.get('/:id', policyController.getPolicyById);
 
+// Get the policy's document tree with its citations attached
+router.get('/:id/structure', policyController.getPolicyStructure);
+
+// Get the latest tracker and cookie scan of the policy's site, with its mismatches
+router.get('/:id/scan', policyController.getSiteScan);
+
+// Scan the policy's site again
+router.post('/:id/scan', analyzeLimiter, policyController.scanPolicySite);
+
 // Get policy history
 router.get('/:id/history', policyController.getPolicyHistory);
 
-// Get policies by domain
+// Section-level diff between two versions of the same policy
+router.get('/:id/diff/:otherId', policyController.diffPolicyVersions);
+
+// Get policies by domain (?language= filters on the detected language)
 router.get('/domain/:domain', policyController.getPoliciesByDomain);
 
 // Compare two policies
 router.get('/compare/:policyId1/:policyId2', policyController.comparePolicies);
 
 // Bulk analysis endpoint with higher rate limits for premium/enterprise users
-router.post('/bulk-analyze', (req, res, next) => {
+router.post('/bulk-analyze', requireScope('bulk'), (req, res, next) => {
+  if (req.user?.plan === UNVERIFIED_PLAN) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Please verify your email address to use bulk analysis'
+    });
+  }
+  
   // Only premium and enterprise users can use bulk analysis
   if (req.user?.plan !== 'premium' && req.user?.plan !== 'enterprise') {
     return res.status(403).json({
@@ -1,21 +1,42 @@
 // src/routes/proxyRoutes.js
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
-const puppeteer = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
-const { logger } = require('../middleware/errorHandler');
+const { logger, ValidationError } = require('../middleware/errorHandler');
 const cache = require('../utils/cacheManager');
+const browserPool = require('../utils/browserPool');
+const { autoScroll, BrowserPoolBusyError } = browserPool;
+const siteRules = require('../utils/siteRules');
+const { runCookieBannerSteps, FETCH_METHODS, WAIT_CONDITIONS } = siteRules;
+const { detectConsentPlatforms, handleConsentBanners } = require('../utils/consentBanners');
+const { checkUrl, safeGet, safeGoto, parseMethod, parseHeaderOverrides } = require('../utils/safeFetch');
 
-// Add stealth plugin to puppeteer (prevents detection)
-puppeteer.use(StealthPlugin());
+// Limits on the fetch options callers may choose
+const MAX_TIMEOUT_MS = 30000;
+const MAX_EXTRA_WAIT_MS = 30000;
+const MAX_REDIRECTS = 5;
+const VIEWPORT_WIDTH = { min: 320, max: 1920, default: 1366 };
+const VIEWPORT_HEIGHT = { min: 240, max: 1080, default: 768 };
 
 /**
- * Proxy endpoint to fetch content from URLs that might block server-to-server requests
+ * Clamp a numeric option to bounds; missing or non-numeric values get the default
+ */
+const clampOption = (value, { min, max, default: fallback }) => {
+  const number = Number(value);
+  return value === undefined || value === null || !Number.isFinite(number)
+    ? fallback
+    : Math.min(Math.max(Math.round(number), min), max);
+};
+
+/**
+ * Proxy endpoint to fetch content from URLs that might block server-to-server requests.
+ * The response names the page's consent management platforms; with Puppeteer,
+ * their banners are declined or removed unless `options.handleConsent` is false.
+ * Fetches stay within the fetch policy (see safeFetch): public http(s)
+ * addresses only, GET or HEAD, and a limited set of header overrides.
  */
 router.post('/fetch', async (req, res) => {
   const startTime = Date.now();
-  const { url, options = {} } = req.body;
+  const { url, options: requestOptions = {} } = req.body;
   
   try {
     if (!url) {
@@ -24,9 +45,62 @@ router.post('/fetch', async (req, res) => {
     
     logger.info(`Proxy fetch request for: ${url}`);
     
+    // The user agent and referer options are sent as headers, so they follow the same rules
+    parseHeaderOverrides({
+      ...(requestOptions.userAgent !== undefined && { 'user-agent': requestOptions.userAgent }),
+      ...(requestOptions.referer !== undefined && { referer: requestOptions.referer })
+    });
+    
+    if (requestOptions.method !== undefined && !FETCH_METHODS.includes(requestOptions.method)) {
+      throw new ValidationError(`options.method must be one of ${FETCH_METHODS.join(', ')}`);
+    }
+    
+    if (requestOptions.waitUntil !== undefined && !WAIT_CONDITIONS.includes(requestOptions.waitUntil)) {
+      throw new ValidationError(`options.waitUntil must be one of ${WAIT_CONDITIONS.join(', ')}`);
+    }
+    
+    // Cookie-banner steps and selectors to wait for are checked when site rules
+    // are saved (see siteRuleController), so they can only come from a rule
+    ['cookieBannerSteps', 'waitForSelector'].forEach(name => {
+      if (requestOptions[name] !== undefined) {
+        throw new ValidationError(`options.${name} can only be set by a site rule`);
+      }
+    });
+    
+    // The site's rule supplies defaults; the request may override only these options
+    const rule = await siteRules.getRuleForUrl(url);
+    const options = {
+      method: requestOptions.method,
+      waitUntil: requestOptions.waitUntil || rule?.waitUntil || undefined,
+      waitForSelector: rule?.waitForSelector || undefined,
+      cookieBannerSteps: rule?.cookieBannerSteps || [],
+      userAgent: requestOptions.userAgent,
+      referer: requestOptions.referer,
+      width: clampOption(requestOptions.width, VIEWPORT_WIDTH),
+      height: clampOption(requestOptions.height, VIEWPORT_HEIGHT),
+      maxRedirects: clampOption(requestOptions.maxRedirects, { min: 0, max: MAX_REDIRECTS, default: MAX_REDIRECTS }),
+      skipCache: requestOptions.skipCache === true,
+      scroll: requestOptions.scroll !== false,
+      handleConsent: requestOptions.handleConsent !== false,
+      httpMethod: parseMethod(requestOptions.httpMethod),
+      headers: { ...rule?.headers, ...parseHeaderOverrides(requestOptions.headers) },
+      timeout: Math.min(Number(requestOptions.timeout) || 0, MAX_TIMEOUT_MS) || undefined,
+      extraWaitMs: Math.min(Number(requestOptions.extraWaitMs ?? rule?.extraWaitMs) || 0, MAX_EXTRA_WAIT_MS) || undefined
+    };
+    
+    // Cached copies are only served for URLs that may be fetched now
+    await checkUrl(url);
+    
+    // Only plain GETs are cached: the HTTP method, header overrides and browser
+    // options all change the response. Rule settings are the same for every request.
+    const cacheable = !options.skipCache && options.httpMethod === 'GET'
+      && Object.keys(requestOptions.headers || {}).length === 0
+      && ['userAgent', 'referer', 'width', 'height', 'waitUntil'].every(name => requestOptions[name] === undefined)
+      && options.scroll && options.handleConsent;
+    const cacheKey = `proxy_${options.method || 'auto'}_${url}`;
+    
     // Check cache first unless explicitly skipped
-    if (!options.skipCache) {
-      const cacheKey = `proxy_${url}`;
+    if (cacheable) {
       const cachedData = await cache.get(cacheKey);
       
       if (cachedData) {
@@ -44,18 +118,10 @@ router.post('/fetch', async (req, res) => {
     // Choose fetch method based on options or URL pattern
     const useMethod = options.method || 'auto';
     
-    // Determine if we should use puppeteer based on domain patterns
+    // Determine if we should use puppeteer based on the site's rule
     let fetchMethod = useMethod;
     if (useMethod === 'auto') {
-      const complexDomains = [
-        'facebook.com', 'instagram.com', 'twitter.com', 'x.com',
-        'linkedin.com', 'tiktok.com', 'snapchat.com'
-      ];
-      
-      const domain = new URL(url).hostname;
-      const isComplexDomain = complexDomains.some(d => domain.includes(d));
-      
-      fetchMethod = isComplexDomain ? 'puppeteer' : 'axios';
+      fetchMethod = rule?.fetchMethod === 'puppeteer' ? 'puppeteer' : 'axios';
     }
     
     let response;
@@ -66,15 +132,18 @@ router.post('/fetch', async (req, res) => {
       response = await fetchWithAxios(url, options);
     }
     
+    // Browser fetches report what they did about the banner; detect it from the HTML otherwise
+    const consent = response.consent || detectConsentPlatforms(response.content || '');
+    
     // Cache the result unless explicitly skipped
-    if (!options.skipCache) {
-      const cacheKey = `proxy_${url}`;
+    if (cacheable) {
       await cache.set(cacheKey, {
         url,
         content: response.content,
         status: response.status,
         headers: response.headers,
-        method: fetchMethod
+        method: fetchMethod,
+        consent
       }, 60 * 60 * 2); // Cache for 2 hours
     }
     
@@ -87,6 +156,7 @@ router.post('/fetch', async (req, res) => {
       status: response.status,
       headers: response.headers,
       method: fetchMethod,
+      consent,
       processingTime
     });
   } catch (error) {
@@ -96,7 +166,10 @@ router.post('/fetch', async (req, res) => {
       stack: error.stack
     });
     
-    res.status(500).json({
+    // A full browser pool is temporary; clients can retry. Rejected URLs and options are client errors.
+    const statusCode = error instanceof BrowserPoolBusyError ? 503 : (error instanceof ValidationError ? 400 : 500);
+    
+    res.status(statusCode).json({
       error: 'Failed to fetch content',
       message: error.message,
       url
@@ -105,7 +178,7 @@ router.post('/fetch', async (req, res) => {
 });
 
 /**
- * Fetch content using Axios
+ * Fetch content using Axios, within the fetch policy
  */
 async function fetchWithAxios(url, options = {}) {
   try {
@@ -124,17 +197,12 @@ async function fetchWithAxios(url, options = {}) {
       ...options.headers
     };
     
-    const timeout = options.timeout || 15000;
-    const maxRedirects = options.maxRedirects || 5;
-    
-    const response = await axios({
-      method: options.httpMethod || 'GET',
-      url,
+    const response = await safeGet(url, {
+      method: options.httpMethod,
       headers,
-      timeout,
-      maxRedirects,
-      validateStatus: status => status < 500, // Accept non-500 responses
-      responseType: 'text'
+      timeout: options.timeout || 15000,
+      maxRedirects: options.maxRedirects ?? MAX_REDIRECTS,
+      validateStatus: status => status < 500 // Accept non-500 responses
     });
     
     return {
@@ -144,114 +212,89 @@ async function fetchWithAxios(url, options = {}) {
     };
   } catch (error) {
     logger.error(`Axios fetch error for ${url}:`, error);
+    // Keep fetch policy errors recognisable to the route
+    if (error instanceof ValidationError) throw error;
     throw new Error(`Axios fetch failed: ${error.message}`);
   }
 }
 
 /**
- * Fetch content using Puppeteer
+ * Fetch content using Puppeteer, on a page from the shared browser pool
  */
 async function fetchWithPuppeteer(url, options = {}) {
-  let browser;
   try {
-    const launchOptions = {
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-gpu',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas'
-      ]
-    };
-    
-    // Launch browser
-    browser = await puppeteer.launch(launchOptions);
-    
-    // Create new page
-    const page = await browser.newPage();
-    
-    // Set viewport
-    await page.setViewport({
-      width: options.width || 1366,
-      height: options.height || 768
-    });
-    
-    // Set user agent
-    await page.setUserAgent(
-      options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
-    );
-    
-    // Set extra headers
-    await page.setExtraHTTPHeaders({
-      'Accept-Language': 'en-US,en;q=0.9',
-      'Referer': options.referer || 'https://www.google.com/',
-      ...options.headers
-    });
-    
-    // Enable JavaScript
-    await page.setJavaScriptEnabled(true);
-    
-    // Navigate to URL
-    const response = await page.goto(url, {
-      waitUntil: options.waitUntil || 'networkidle2',
-      timeout: options.timeout || 30000
+    return await browserPool.withPage(async (page) => {
+      // Set viewport
+      await page.setViewport({
+        width: options.width || VIEWPORT_WIDTH.default,
+        height: options.height || VIEWPORT_HEIGHT.default
+      });
+      
+      // Set user agent
+      await page.setUserAgent(
+        options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
+      );
+      
+      // Set extra headers
+      await page.setExtraHTTPHeaders({
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Referer': options.referer || 'https://www.google.com/',
+        ...options.headers
+      });
+      
+      // Enable JavaScript
+      await page.setJavaScriptEnabled(true);
+      
+      // Navigate to URL, blocking requests outside the fetch policy
+      const response = await safeGoto(page, url, {
+        waitUntil: options.waitUntil || 'networkidle2',
+        timeout: options.timeout || 30000
+      });
+      
+      // Dismiss the cookie banner, if the site has steps for it
+      if (options.cookieBannerSteps?.length > 0) {
+        await runCookieBannerSteps(page, options.cookieBannerSteps);
+      }
+      
+      // Wait for a selector if specified
+      if (options.waitForSelector) {
+        await page.waitForSelector(options.waitForSelector, { timeout: 15000 }).catch(() => {
+          logger.warn(`Selector ${options.waitForSelector} never appeared on ${url}`);
+        });
+      }
+      
+      // Wait for extra time if specified
+      if (options.extraWaitMs) {
+        await new Promise(resolve => setTimeout(resolve, options.extraWaitMs));
+      }
+      
+      // Scroll if needed
+      if (options.scroll !== false) {
+        await autoScroll(page);
+      }
+      
+      // Decline or remove consent banners
+      const consent = options.handleConsent === false ? null : await handleConsentBanners(page);
+      
+      // Get content
+      const content = await page.content();
+      
+      return {
+        content,
+        status: response.status(),
+        headers: response.headers(),
+        consent
+      };
+    }, {
+      // Leave room for the navigation timeout, the extra wait and scrolling
+      timeoutMs: (options.timeout || 30000) + (options.extraWaitMs || 0) + 45000
     });
-    
-    // Wait for extra time if specified
-    if (options.extraWaitMs) {
-      await page.waitForTimeout(options.extraWaitMs);
-    }
-    
-    // Scroll if needed
-    if (options.scroll !== false) {
-      await autoScroll(page);
-    }
-    
-    // Get content
-    const content = await page.content();
-    
-    // Get response headers
-    const headers = response.headers();
-    
-    // Get status code
-    const status = response.status();
-    
-    return {
-      content,
-      status,
-      headers
-    };
   } catch (error) {
     logger.error(`Puppeteer fetch error for ${url}:`, error);
+    // Keep the pool's own errors and fetch policy errors recognisable to the route
+    if (error instanceof BrowserPoolBusyError || error instanceof ValidationError) throw error;
     throw new Error(`Puppeteer fetch failed: ${error.message}`);
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
   }
 }
 
-/**
- * Auto-scroll function for puppeteer
- */
-async function autoScroll(page) {
-  await page.evaluate(async () => {
-    await new Promise((resolve) => {
-      let totalHeight = 0;
-      const distance = 100;
-      const timer = setInterval(() => {
-        const scrollHeight = document.body.scrollHeight;
-        window.scrollBy(0, distance);
-        totalHeight += distance;
-        
-        if (totalHeight >= scrollHeight - window.innerHeight) {
-          clearInterval(timer);
-          resolve();
-        }
-      }, 100);
-    });
-  });
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,25 @@
+// src/routes/subscriptionRoutes.js
+const express = require('express');
+const router = express.Router();
+const subscriptionController = require('../controllers/subscriptionController');
+const { multiAuth, checkMethodScope, requireVerifiedEmail } = require('../middleware/authMiddleware');
+
+// Subscriptions belong to a user, so they always require authentication (and a verified email address)
+router.use(multiAuth, checkMethodScope, requireVerifiedEmail);
+
+// List subscriptions
+router.get('/', subscriptionController.listSubscriptions);
+
+// Subscribe to a policy URL
+router.post('/', subscriptionController.subscribe);
+
+// Change the check interval or pause a subscription
+router.patch('/:id', subscriptionController.updateSubscription);
+
+// Unsubscribe
+router.delete('/:id', subscriptionController.unsubscribe);
+
+// Monitoring events for a subscribed policy
+router.get('/:id/events', subscriptionController.getSubscriptionEvents);
+
+module.exports = router;
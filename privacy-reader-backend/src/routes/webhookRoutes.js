@@ -0,0 +1,35 @@
+// src/routes/webhookRoutes.js
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { multiAuth, checkMethodScope, requireVerifiedEmail } = require('../middleware/authMiddleware');
+
+// Webhook endpoints belong to a user, so they always require authentication (and a verified email address)
+router.use(multiAuth, checkMethodScope, requireVerifiedEmail);
+
+// List endpoints and the supported event types
+router.get('/', webhookController.listEndpoints);
+
+// Register an endpoint
+router.post('/', webhookController.createEndpoint);
+
+// Change, pause or resume an endpoint
+router.patch('/:id', webhookController.updateEndpoint);
+
+// Delete an endpoint
+router.delete('/:id', webhookController.deleteEndpoint);
+
+// Replace an endpoint's signing secret
+router.post('/:id/rotate-secret', webhookController.rotateSecret);
+
+// Send a test event
+router.post('/:id/test', webhookController.testEndpoint);
+
+// Delivery log
+router.get('/:id/deliveries', webhookController.listDeliveries);
+router.get('/:id/deliveries/:deliveryId', webhookController.getDelivery);
+
+// Send a logged event again
+router.post('/:id/deliveries/:deliveryId/replay', webhookController.replayDelivery);
+
+module.exports = router;
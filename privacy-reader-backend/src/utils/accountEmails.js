@@ -0,0 +1,136 @@
+// src/utils/accountEmails.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const emailTokenModel = require('../models/emailTokenModel');
+const mailer = require('./mailer');
+const { ValidationError, RateLimitError } = require('../middleware/errorHandler');
+
+/**
+ * Emailed links, by token purpose: how long they work and the frontend page they open
+ */
+const TOKEN_PURPOSES = {
+  verify_email: {
+    ttlMinutes: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48) * 60,
+    path: '/verify-email'
+  },
+  password_reset: {
+    ttlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+    path: '/reset-password'
+  }
+};
+
+// A user is sent at most one email of each kind per interval
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Signing key for a purpose. Derived from JWT_SECRET, but different for each
+ * purpose and from the access token key, so one kind of token can't be used as another.
+ */
+const signingKey = (purpose) => crypto.createHmac('sha256', process.env.JWT_SECRET).update(`email:${purpose}`).digest();
+
+/**
+ * Create a signed, single-use token for a user's current email address
+ */
+const createEmailToken = async (user, purpose) => {
+  const { ttlMinutes } = TOKEN_PURPOSES[purpose];
+
+  const lastSentAt = await emailTokenModel.getLastSentAt(user.id, purpose);
+  if (lastSentAt && Date.now() - new Date(lastSentAt).getTime() < RESEND_INTERVAL_MS) {
+    throw new RateLimitError('An email was sent moments ago; please wait a minute before asking for another');
+  }
+
+  const record = await emailTokenModel.createToken({
+    userId: user.id,
+    purpose,
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  return jwt.sign(
+    { sub: String(user.id), email: user.email, purpose },
+    signingKey(purpose),
+    { expiresIn: ttlMinutes * 60, jwtid: record.id }
+  );
+};
+
+/**
+ * Check and use up a token. Resolves to `{ userId, email }`; links that are
+ * invalid, expired, used or superseded by a newer email are rejected.
+ */
+const consumeEmailToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, signingKey(purpose));
+  } catch (error) {
+    throw new ValidationError(error.name === 'TokenExpiredError'
+      ? 'This link has expired; please ask for a new one'
+      : 'This link is invalid');
+  }
+
+  if (decoded.purpose !== purpose) {
+    throw new ValidationError('This link is invalid');
+  }
+
+  const record = await emailTokenModel.consumeToken(decoded.jti, purpose);
+  if (!record || record.email !== decoded.email) {
+    throw new ValidationError('This link has already been used or replaced by a newer one');
+  }
+
+  return { userId: record.user_id, email: record.email };
+};
+
+/**
+ * Link to the frontend page for a token
+ */
+const buildLink = (purpose, token) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:4200').replace(/\/$/, '');
+  return `${base}${TOKEN_PURPOSES[purpose].path}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Email a user a link to verify their email address
+ */
+const sendVerificationEmail = async (user) => {
+  const link = buildLink('verify_email', await createEmailToken(user, 'verify_email'));
+  const hours = Math.round(TOKEN_PURPOSES.verify_email.ttlMinutes / 60);
+
+  return mailer.send({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.name || 'there'},`,
+      '',
+      'Please confirm your email address to unlock all the features of your plan:',
+      link,
+      '',
+      `The link works once and expires in ${hours} hours. If you didn't create an account, you can ignore this email.`
+    ].join('\n')
+  });
+};
+
+/**
+ * Email a user a link to choose a new password
+ */
+const sendPasswordResetEmail = async (user) => {
+  const link = buildLink('password_reset', await createEmailToken(user, 'password_reset'));
+
+  return mailer.send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.name || 'there'},`,
+      '',
+      'Someone asked to reset the password of your account. To choose a new password, open:',
+      link,
+      '',
+      `The link works once and expires in ${TOKEN_PURPOSES.password_reset.ttlMinutes} minutes. `
+        + 'If you didn\'t ask for this, you can ignore this email; your password stays the same.'
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  consumeEmailToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
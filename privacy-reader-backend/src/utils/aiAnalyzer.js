@@ -1,83 +1,332 @@
 // src/utils/aiAnalyzer.js
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { logger } = require('../middleware/errorHandler');
 const cache = require('./cacheManager');
+const { getProviderChain, ProviderRateLimitError } = require('./aiProviders');
+const { chunkPolicyText } = require('./textChunker');
+const { mergeChunkAnalyses } = require('./analysisMerger');
+const { ANALYSIS_SCHEMA, SchemaValidationError, validateAnalysis } = require('./analysisSchema');
+const { verifyCitations } = require('./citationVerifier');
+const { scorePolicy } = require('./privacyScorer');
+const { getLanguageName } = require('./languageDetector');
+const { hashText } = require('./policyDiff');
 
-// Initialize Gemini AI provider
-const genAI = process.env.GEMINI_API_KEY
-  ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
-  : null;
+// How many times a provider is re-prompted with validation errors before giving up
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.AI_MAX_REPAIR_ATTEMPTS, 10) || 2;
+
+// Made-up analyses instead of errors, for working on the app without AI providers.
+// Only honoured in development and test.
+const MOCK_ON_ERROR = process.env.AI_MOCK_ON_ERROR === 'true'
+  && ['development', 'test'].includes(process.env.NODE_ENV);
 
 /**
- * AI-based privacy policy analyzer using Google's Gemini
+ * AI-based privacy policy analyzer. Runs the configured providers
+ * (see AI_PROVIDERS) in fallback order until one of them succeeds.
  */
 class AIAnalyzer {
   constructor() {
-    // Check if Gemini is configured
-    this.hasGemini = !!genAI;
+    this.providers = getProviderChain();
 
-    if (!this.hasGemini) {
-      logger.error('Gemini API not configured. Set GEMINI_API_KEY in environment variables.');
+    if (this.providers.length === 0) {
+      logger.error('No AI provider configured. Set AI_PROVIDERS and the matching provider keys in environment variables.');
     } else {
-      logger.info('Gemini AI analyzer initialized successfully');
+      logger.info(`AI analyzer initialized with providers: ${this.providers.map(p => p.name).join(', ')}`);
     }
   }
 
   /**
-   * Analyze a privacy policy using Gemini
+   * Analyze a privacy policy. Long policies are split into section-aware
+   * chunks, each chunk is analyzed separately and the results are merged.
+   * `options.onEvent(type, data)` receives progress as chunks are analyzed.
+   * When `policyData.documents` lists linked documents, each one is chunked on
+   * its own and findings and citations are credited to their document.
+   * `options.outputLanguage` is the language the analysis is written in
+   * (default English). Policies are analyzed and scored in English and the
+   * findings translated afterwards; evidence quotes stay in the policy's own
+   * language. Cached analyses are only reused for the same text, and not at
+   * all with `options.skipCache`.
    */
-  async analyzePrivacyPolicy(policyData) {
+  async analyzePrivacyPolicy(policyData, options = {}) {
+    const onEvent = options.onEvent || (() => {});
+    const outputLanguage = options.outputLanguage || 'en';
     logger.info(`Starting analysis for ${policyData.url}`);
     const startTime = Date.now();
 
     try {
-      // Verify Gemini is available
-      if (!this.hasGemini) {
-        throw new Error('Gemini API key not configured');
+      // Verify at least one provider is available
+      if (this.providers.length === 0) {
+        throw new Error('No AI provider configured');
       }
 
-      // Check cache first
-      const cacheKey = `policy_analysis_${policyData.url}`;
-      const cachedAnalysis = await cache.get(cacheKey);
+      const documents = policyData.documents || [];
+
+      // Check cache first; the key includes the text, so a changed policy is analyzed again
+      const cacheKey = `policy_analysis_${policyData.url}_${hashText(policyData.text)}`
+        + (documents.length > 1 ? '_linked' : '')
+        + (outputLanguage !== 'en' ? `_${outputLanguage}` : '');
+      const cachedAnalysis = options.skipCache ? null : await cache.get(cacheKey);
 
       if (cachedAnalysis) {
         logger.info(`Using cached analysis for ${policyData.url}`);
+        onEvent('analysis_cached', { score: cachedAnalysis.score?.value ?? null });
         return cachedAnalysis;
       }
 
-      // Analyze with Gemini
-      logger.info(`Analyzing with Gemini`);
-      const result = await this.analyzeWithGemini(policyData);
+      const chunks = this.chunkDocuments(policyData.text, documents);
+      logger.info(`Analyzing ${policyData.url} in ${chunks.length} chunk(s)`);
+      onEvent('ai_started', {
+        chunks: chunks.length,
+        providers: this.providers.map(provider => provider.name)
+      });
+
+      const { chunkResults, failedChunks } = await this.analyzeChunks(policyData, chunks, onEvent);
+
+      // Rate limits pass, so the whole analysis is retried later rather than saved with chunks missing
+      const rateLimited = failedChunks.find(item => item.error instanceof ProviderRateLimitError);
+      if (rateLimited) {
+        throw rateLimited.error;
+      }
+
+      if (chunkResults.length === 0) {
+        // Output that never passed validation is reported as a fallback instead of an error
+        if (failedChunks.length > 0 && failedChunks.every(item => item.error instanceof SchemaValidationError)) {
+          logger.warn(`No valid analysis produced for ${policyData.url}, returning fallback result`);
+          return this.generateFallbackAnalysis(failedChunks[0].error.message);
+        }
 
-      // Cache successful result
-      await cache.set(cacheKey, result, 60 * 60 * 24 * 7); // Cache for 7 days
+        throw failedChunks[0]?.error || new Error('No chunks could be analyzed');
+      }
+
+      const result = mergeChunkAnalyses(chunkResults);
+      const providers = Array.from(new Set(chunkResults.map(item => item.provider)));
+      // Keyword-based providers only estimate; their analyses are never shown as real scores
+      const fallbackProviders = providers.filter(name => this.providers.find(provider => provider.name === name)?.isFallback);
+
+      // Keep only citations whose quotes really appear in the policy text
+      const { citations, rejected } = verifyCitations(policyData.text, result.evidence);
+      delete result.evidence;
+      result.citations = documents.length > 1
+        ? citations.map(citation => ({
+          ...citation,
+          document: documents.find(document => citation.start >= document.start && citation.start < document.end)?.index ?? 0
+        }))
+        : citations;
+
+      if (rejected.length > 0) {
+        logger.warn(`Rejected ${rejected.length} citation(s) not found in the text of ${policyData.url}`);
+      }
+
+      // The stored score comes from the rubric, not from the model, so it is reproducible
+      const modelScore = result.score;
+      const rubricScore = scorePolicy(result);
+      result.score = {
+        value: rubricScore.value,
+        explanation: rubricScore.explanation
+      };
+      result.scoreBreakdown = {
+        version: rubricScore.version,
+        criteria: rubricScore.breakdown
+      };
+
+      result.metadata = {
+        ...result.metadata,
+        providers,
+        modelScore,
+        rejectedCitations: rejected.length,
+        chunks: chunks.map(chunk => ({
+          index: chunk.index,
+          start: chunk.start,
+          end: chunk.end,
+          headings: chunk.headings,
+          ...(chunk.document !== undefined && { document: chunk.document })
+        })),
+        ...(documents.length > 1 && { documents }),
+        language: policyData.language || null,
+        outputLanguage: 'en',
+        failedChunks: failedChunks.map(item => ({
+          index: item.chunk.index,
+          error: item.error.message
+        })),
+        ...(fallbackProviders.length > 0 && {
+          isFallback: true,
+          fallbackReason: `Estimated by the ${fallbackProviders.join(', ')} provider instead of an AI model`
+        })
+      };
+
+      if (outputLanguage !== 'en') {
+        onEvent('translating', { language: outputLanguage });
+        const translated = await this.translateAnalysis(result, outputLanguage);
+
+        if (translated) {
+          Object.assign(result, translated);
+          result.metadata.outputLanguage = outputLanguage;
+        } else {
+          logger.warn(`Could not translate the analysis of ${policyData.url} into ${outputLanguage}, keeping English`);
+        }
+      }
+
+      // Cache successful result; fallbacks aren't, so the AI providers get another try
+      if (fallbackProviders.length === 0) {
+        await cache.set(cacheKey, result, 60 * 60 * 24 * 7); // Cache for 7 days
+      }
 
       const processingTime = Date.now() - startTime;
-      logger.info(`Analysis completed in ${processingTime}ms using Gemini`);
+      logger.info(`Analysis completed in ${processingTime}ms using ${providers.join(', ')}`);
+      onEvent('analysis_complete', { score: result.score.value, providers, processingTime });
 
       return result;
     } catch (error) {
       const processingTime = Date.now() - startTime;
       logger.error(`Analysis failed after ${processingTime}ms:`, error);
 
-      // Check if this is a rate limit error
-      if (error.message && error.message.includes('429 Too Many Requests')) {
-        logger.warn(`Rate limit hit for Gemini API, using mock analysis`);
+      // Only when explicitly asked for (AI_MOCK_ON_ERROR) in development or test
+      if (MOCK_ON_ERROR) {
+        logger.warn(`Using mock analysis due to API error (AI_MOCK_ON_ERROR)`);
         return this.generateMockAnalysis(policyData);
       }
 
-      // For other errors, fallback to mock analysis in development
-      if (process.env.NODE_ENV === 'development') {
-        logger.warn(`Using mock analysis due to API error in development mode`);
-        return this.generateMockAnalysis(policyData);
+      throw error;
+    }
+  }
+
+  /**
+   * Chunk the policy text. With linked documents, each document is chunked
+   * separately so no chunk spans two documents, and each chunk records the
+   * index of its document.
+   */
+  chunkDocuments(text, documents = []) {
+    if (documents.length <= 1) {
+      return chunkPolicyText(text);
+    }
+
+    const chunks = [];
+    documents.forEach(document => {
+      chunkPolicyText(text.slice(document.start, document.end)).forEach(chunk => {
+        chunks.push({
+          ...chunk,
+          index: chunks.length,
+          start: chunk.start + document.start,
+          end: chunk.end + document.start,
+          document: document.index
+        });
+      });
+    });
+
+    return chunks;
+  }
+
+  /**
+   * Analyze every chunk, a few at a time (AI_CHUNK_CONCURRENCY).
+   * Chunks that fail on every provider are reported instead of failing the whole analysis.
+   */
+  async analyzeChunks(policyData, chunks, onEvent = () => {}) {
+    const concurrency = parseInt(process.env.AI_CHUNK_CONCURRENCY, 10) || 2;
+    const chunkResults = [];
+    const failedChunks = [];
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < chunks.length) {
+        const chunk = chunks[nextIndex++];
+
+        try {
+          const { result, provider } = await this.analyzeWithProviders(policyData, chunk, chunks.length);
+          chunkResults.push({ chunk, analysis: result, provider });
+          onEvent('partial_summary', {
+            chunk: chunk.index + 1,
+            totalChunks: chunks.length,
+            completedChunks: chunkResults.length,
+            provider,
+            summary: result.summary || []
+          });
+        } catch (error) {
+          logger.error(`Chunk ${chunk.index + 1}/${chunks.length} of ${policyData.url} failed:`, error);
+          failedChunks.push({ chunk, error });
+          onEvent('chunk_failed', {
+            chunk: chunk.index + 1,
+            totalChunks: chunks.length,
+            error: error.message
+          });
+        }
       }
+    };
 
-      throw error;
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, chunks.length) }, worker)
+    );
+
+    // Workers finish out of order
+    chunkResults.sort((a, b) => a.chunk.index - b.chunk.index);
+
+    return { chunkResults, failedChunks };
+  }
+
+  /**
+   * Try each provider in order, falling back to the next one on failure,
+   * including rate limits. If every provider failed and one of them was only
+   * rate limited, the ProviderRateLimitError is thrown so the job can be retried.
+   */
+  async analyzeWithProviders(policyData, chunk, totalChunks) {
+    let lastError;
+    let rateLimitError = null;
+
+    for (const provider of this.providers) {
+      try {
+        logger.info(`Analyzing chunk ${chunk.index + 1}/${totalChunks} with ${provider.name}`);
+        const result = await this.analyzeWithProvider(provider, policyData, chunk, totalChunks);
+        return { result, provider: provider.name };
+      } catch (error) {
+        logger.warn(`Provider ${provider.name} failed: ${error.message}`);
+        lastError = error;
+        if (error instanceof ProviderRateLimitError) {
+          rateLimitError = error;
+        }
+      }
     }
+
+    throw rateLimitError || lastError;
   }
 
   /**
- * Provide mock analysis when API fails
+   * Analyze a single chunk with a single provider. Output that fails schema
+   * validation is sent back to the provider with the errors, up to
+   * MAX_REPAIR_ATTEMPTS times.
+   */
+  async analyzeWithProvider(provider, policyData, chunk, totalChunks) {
+    const basePrompt = this.buildPrompt(policyData, chunk.text, {
+      index: chunk.index,
+      total: totalChunks,
+      document: policyData.documents?.[chunk.document]
+    });
+    let prompt = basePrompt;
+    let errors = [];
+
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+      const text = await provider.generate({
+        prompt,
+        text: chunk.text,
+        policyData
+      });
+
+      const validation = validateAnalysis(this.parseAIResponse(text));
+
+      if (validation.valid) {
+        return validation.value;
+      }
+
+      errors = validation.errors;
+      logger.warn(`Invalid response from ${provider.name} (attempt ${attempt + 1}): ${errors.join('; ')}`);
+
+      prompt = this.buildRepairPrompt(basePrompt, text, errors);
+    }
+
+    throw new SchemaValidationError(
+      `${provider.name} did not return a valid analysis after ${MAX_REPAIR_ATTEMPTS + 1} attempts`,
+      errors
+    );
+  }
+
+  /**
+ * Provide mock analysis when API fails and AI_MOCK_ON_ERROR is set
  */
   generateMockAnalysis(policyData) {
     logger.info(`Generating mock analysis for ${policyData.url} due to API limitations`);
@@ -120,60 +369,59 @@ class AIAnalyzer {
         "GDPR": "Partial compliance with some missing elements",
         "CCPA": "Appears to address main requirements",
         "PIPEDA": "Limited compliance measures"
+      },
+      metadata: {
+        isFallback: true,
+        fallbackReason: 'Mock analysis used because the AI provider was unavailable'
       }
     };
   }
 
   /**
-   * Analyze with Gemini
+   * Placeholder result used when no provider produced a valid analysis.
+   * Flagged so it is never stored or shown as a real score.
    */
-  async analyzeWithGemini(policyData) {
-    const model = genAI.getGenerativeModel({
-      model: "gemini-1.5-pro",
-      safetySettings: [
-        {
-          category: "HARM_CATEGORY_HARASSMENT",
-          threshold: "BLOCK_NONE"
-        },
-        {
-          category: "HARM_CATEGORY_HATE_SPEECH",
-          threshold: "BLOCK_NONE"
-        },
-        {
-          category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-          threshold: "BLOCK_NONE"
-        },
-        {
-          category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-          threshold: "BLOCK_NONE"
-        }
-      ]
-    });
-
-    // Prepare text
-    const maxTextLength = 15000;
-    const truncatedText = policyData.text.length > maxTextLength
-      ? policyData.text.substring(0, maxTextLength) + "... [text truncated due to length]"
-      : policyData.text;
-
-    const prompt = this.buildPrompt(policyData, truncatedText);
-
-    try {
-      const result = await model.generateContent(prompt);
-      const response = result.response;
-      const text = response.text();
-
-      return this.parseAIResponse(text);
-    } catch (error) {
-      logger.error('Gemini API error:', error);
-      throw new Error(`Gemini API error: ${error.message}`);
-    }
+  generateFallbackAnalysis(reason) {
+    return {
+      summary: ["This privacy policy could not be automatically analyzed."],
+      dataCollection: { "Unknown": ["Data types could not be determined"] },
+      dataSharing: { "Unknown": "Sharing practices could not be determined" },
+      retention: "Retention policy could not be determined",
+      userRights: ["Rights could not be determined"],
+      score: { "value": 0, "explanation": "Analysis failed, manual review required" },
+      redFlags: ["Analysis could not complete successfully"],
+      compliance: { "General": "Assessment failed, manual review required" },
+      metadata: {
+        isFallback: true,
+        fallbackReason: reason
+      }
+    };
   }
 
   /**
    * Build analysis prompt
    */
-  buildPrompt(policyData, text) {
+  buildPrompt(policyData, text, part = { index: 0, total: 1 }) {
+    const partNote = part.total > 1
+      ? `
+    NOTE: This is part ${part.index + 1} of ${part.total} of the policy. Only report what appears in this part;
+    leave a section empty if this part does not cover it.
+    `
+      : '';
+    const policyLanguage = getLanguageName(policyData.language);
+    const languageNote = policyLanguage && policyLanguage !== 'English'
+      ? `
+    LANGUAGE: The policy is written in ${policyLanguage}. Write the summary, findings, explanations and assessments
+    in English, but copy EVIDENCE quotes verbatim in ${policyLanguage}, exactly as they appear in the policy text.
+    `
+      : '';
+    const documentNote = part.document && part.document.index > 0
+      ? `
+    NOTE: This text is not the privacy policy itself but a document it links to: the ${part.document.label}
+    (${part.document.url}). Report what it adds to the policy.
+    `
+      : '';
+
     return `
     You are a privacy policy expert who is analyzing the following privacy policy. Provide a structured response with the following sections:
     
@@ -185,6 +433,9 @@ class AIAnalyzer {
     6. SCORE: A privacy-friendliness score from 0-100, with a brief explanation.
     7. RED_FLAGS: Identify concerning practices or red flags, with explanations.
     8. COMPLIANCE: Assess compliance with major regulations (GDPR, CCPA, etc.)
+    9. EVIDENCE: For every data collection item, data sharing recipient, user right, red flag and the retention
+       description, quote the sentence from the policy text that supports it. Quotes must be copied verbatim
+       from the policy text; findings you cannot support with a quote should be left out.
     
     Format your response in JSON without any other text, following this exact structure:
     {
@@ -195,21 +446,126 @@ class AIAnalyzer {
       "userRights": ["right1", "right2", ...],
       "score": {"value": number, "explanation": "reason for score"},
       "redFlags": ["flag1", "flag2", ...],
-      "compliance": {"GDPR": "assessment", "CCPA": "assessment", ...}
+      "compliance": {"GDPR": "assessment", "CCPA": "assessment", ...},
+      "evidence": [{"type": "dataCollection|dataSharing|userRights|redFlags|retention", "finding": "finding exactly as written above", "quote": "verbatim sentence from the policy"}, ...]
     }
     
     Policy URL: ${policyData.url}
     Policy Title: ${policyData.title}
     Company: ${policyData.company || 'Unknown'}
     Last Updated: ${policyData.lastUpdated || 'Unknown'}
-    
+    ${partNote}${documentNote}${languageNote}
     Policy Text:
     ${text}
     `;
   }
 
   /**
-   * Parse and validate AI response
+   * Build a follow-up prompt asking the provider to fix its invalid output
+   */
+  buildRepairPrompt(basePrompt, previousResponse, errors) {
+    return `${basePrompt}
+
+    Your previous response did not match the required JSON schema:
+    ${previousResponse}
+
+    Validation errors:
+    ${errors.map(error => `- ${error}`).join('\n    ')}
+
+    Return only corrected JSON that matches this JSON schema:
+    ${JSON.stringify(ANALYSIS_SCHEMA)}
+    `;
+  }
+
+  /**
+   * Translate the readable findings of an analysis into `language`. Returns
+   * the translated fields, with citations and finding sources pointing at
+   * the translated findings, or null if no provider could translate them.
+   */
+  async translateAnalysis(result, language) {
+    const strings = new Set([
+      ...result.summary,
+      ...result.userRights,
+      ...result.redFlags,
+      result.retention,
+      result.score.explanation,
+      ...Object.keys(result.dataCollection),
+      ...Object.values(result.dataCollection).flat(),
+      ...Object.entries(result.dataSharing).flat(),
+      ...Object.values(result.compliance)
+    ].filter(value => typeof value === 'string' && value.trim()));
+    const originals = Array.from(strings);
+    const prompt = this.buildTranslationPrompt(originals, getLanguageName(language));
+
+    let translations = null;
+    for (const provider of this.providers) {
+      try {
+        const response = await provider.generate({ prompt, text: '', policyData: null });
+        const arrayMatch = String(response).match(/\[[\s\S]*\]/);
+        const parsed = arrayMatch ? JSON.parse(arrayMatch[0]) : null;
+
+        if (Array.isArray(parsed) && parsed.length === originals.length && parsed.every(value => typeof value === 'string')) {
+          translations = parsed;
+          break;
+        }
+
+        logger.warn(`Provider ${provider.name} returned no usable translation`);
+      } catch (error) {
+        logger.warn(`Provider ${provider.name} failed to translate: ${error.message}`);
+      }
+    }
+
+    if (!translations) {
+      return null;
+    }
+
+    const byOriginal = new Map(originals.map((original, i) => [original, translations[i]]));
+    const translate = (value) => byOriginal.get(value) ?? value;
+    const translateEntries = (object, translateValue) => Object.fromEntries(
+      Object.entries(object).map(([key, value]) => [translate(key), translateValue(value)])
+    );
+    const findingSources = result.metadata.findingSources || {};
+
+    return {
+      summary: result.summary.map(translate),
+      userRights: result.userRights.map(translate),
+      redFlags: result.redFlags.map(translate),
+      retention: translate(result.retention),
+      score: { ...result.score, explanation: translate(result.score.explanation) },
+      dataCollection: translateEntries(result.dataCollection, items => items.map(translate)),
+      dataSharing: translateEntries(result.dataSharing, translate),
+      // Regulation names stay as they are
+      compliance: Object.fromEntries(Object.entries(result.compliance).map(([key, value]) => [key, translate(value)])),
+      citations: result.citations.map(citation => ({ ...citation, finding: translate(citation.finding) })),
+      metadata: {
+        ...result.metadata,
+        findingSources: Object.fromEntries(Object.entries(findingSources).map(([field, sources]) => [
+          field,
+          sources.map(source => ({
+            ...source,
+            finding: translate(source.finding),
+            ...(source.category && { category: translate(source.category) })
+          }))
+        ]))
+      }
+    };
+  }
+
+  /**
+   * Build the prompt that translates analysis findings
+   */
+  buildTranslationPrompt(strings, languageName) {
+    return `
+    Translate each string in the following JSON array from English into ${languageName}. These are findings
+    of a privacy policy analysis; keep company, product and regulation names (GDPR, CCPA...) as they are.
+    Return only a JSON array with exactly ${strings.length} translated strings, in the same order.
+
+    ${JSON.stringify(strings)}
+    `;
+  }
+
+  /**
+   * Parse the JSON in an AI response. Returns null if no JSON could be parsed.
    */
   parseAIResponse(text) {
     try {
@@ -228,17 +584,7 @@ class AIAnalyzer {
         }
       }
 
-      // Return fallback structure if parsing fails
-      return {
-        summary: ["This privacy policy could not be automatically analyzed."],
-        dataCollection: { "Unknown": ["Data types could not be determined"] },
-        dataSharing: { "Unknown": "Sharing practices could not be determined" },
-        retention: "Retention policy could not be determined",
-        userRights: ["Rights could not be determined"],
-        score: { "value": 0, "explanation": "Analysis failed, manual review required" },
-        redFlags: ["Analysis could not complete successfully"],
-        compliance: { "General": "Assessment failed, manual review required" }
-      };
+      return null;
     }
   }
 }
@@ -0,0 +1,62 @@
+// src/utils/aiProviders/geminiProvider.js
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { ProviderRateLimitError } = require('./providerRateLimitError');
+
+/**
+ * Google Gemini provider
+ */
+class GeminiProvider {
+  constructor(config = {}) {
+    this.name = 'gemini';
+    this.apiKey = config.apiKey || process.env.GEMINI_API_KEY;
+    this.model = config.model || process.env.GEMINI_MODEL || 'gemini-1.5-pro';
+    this.client = this.apiKey ? new GoogleGenerativeAI(this.apiKey) : null;
+  }
+
+  /**
+   * Whether the provider has everything it needs to run
+   */
+  isConfigured() {
+    return !!this.client;
+  }
+
+  /**
+   * Send the prompt to Gemini and return the raw response text
+   */
+  async generate({ prompt }) {
+    const model = this.client.getGenerativeModel({
+      model: this.model,
+      safetySettings: [
+        {
+          category: "HARM_CATEGORY_HARASSMENT",
+          threshold: "BLOCK_NONE"
+        },
+        {
+          category: "HARM_CATEGORY_HATE_SPEECH",
+          threshold: "BLOCK_NONE"
+        },
+        {
+          category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+          threshold: "BLOCK_NONE"
+        },
+        {
+          category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+          threshold: "BLOCK_NONE"
+        }
+      ]
+    });
+
+    try {
+      const result = await model.generateContent(prompt);
+      return result.response.text();
+    } catch (error) {
+      // The SDK reports quota errors as 429 / RESOURCE_EXHAUSTED in the message
+      if (error.status === 429 || /\b429\b|Too Many Requests|RESOURCE_EXHAUSTED/i.test(error.message)) {
+        throw new ProviderRateLimitError(`Gemini API rate limited: ${error.message}`);
+      }
+      throw new Error(`Gemini API error: ${error.message}`);
+    }
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,86 @@
+// src/utils/aiProviders/index.js
+const GeminiProvider = require('./geminiProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const RuleBasedProvider = require('./ruleBasedProvider');
+const { ProviderRateLimitError } = require('./providerRateLimitError');
+const { logger } = require('../../middleware/errorHandler');
+
+/**
+ * Available providers by name. Every provider exposes `name`,
+ * `isConfigured()` and `async generate({ prompt, text, policyData })`,
+ * which resolves to the raw response text.
+ */
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  rules: RuleBasedProvider
+};
+
+// Used when AI_PROVIDERS is not set. The keyword-based `rules` provider is
+// opt-in (e.g. AI_PROVIDERS=gemini,rules), and its analyses are flagged as fallbacks.
+const DEFAULT_PROVIDER_ORDER = ['gemini', 'openai'];
+
+/**
+ * Create a provider instance by name
+ */
+const createProvider = (name, config = {}) => {
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    logger.warn(`Unknown AI provider "${name}" ignored`);
+    return null;
+  }
+
+  return new Provider(config);
+};
+
+/**
+ * Provider names in fallback order, from the AI_PROVIDERS environment variable
+ * (e.g. "openai,rules"), or the default order
+ */
+const getProviderOrder = () => {
+  if (!process.env.AI_PROVIDERS) {
+    return DEFAULT_PROVIDER_ORDER;
+  }
+
+  return process.env.AI_PROVIDERS
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name.length > 0);
+};
+
+/**
+ * Build the chain of configured providers in fallback order
+ */
+const getProviderChain = () => {
+  return getProviderOrder()
+    .map(name => createProvider(name))
+    .filter(provider => provider && provider.isConfigured());
+};
+
+/**
+ * Report the configuration status of every provider
+ */
+const getProviderStatus = () => {
+  const order = getProviderOrder();
+  const status = {};
+
+  Object.keys(PROVIDERS).forEach(name => {
+    const provider = createProvider(name);
+    status[name] = {
+      status: provider.isConfigured() ? 'configured' : 'not configured',
+      enabled: order.includes(name),
+      ...(provider.model && { model: provider.model })
+    };
+  });
+
+  return { order, providers: status };
+};
+
+module.exports = {
+  PROVIDERS,
+  ProviderRateLimitError,
+  createProvider,
+  getProviderChain,
+  getProviderStatus
+};
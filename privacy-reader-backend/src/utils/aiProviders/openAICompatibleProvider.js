@@ -0,0 +1,78 @@
+// src/utils/aiProviders/openAICompatibleProvider.js
+const axios = require('axios');
+const { ProviderRateLimitError, parseRetryAfter } = require('./providerRateLimitError');
+
+/**
+ * Provider for any endpoint that speaks the OpenAI chat completions API.
+ * Covers OpenAI itself as well as local servers such as llama.cpp and Ollama,
+ * which usually don't need an API key.
+ */
+class OpenAICompatibleProvider {
+  constructor(config = {}) {
+    this.name = 'openai';
+    this.apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+    this.baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.model = config.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.timeout = parseInt(config.timeout || process.env.OPENAI_TIMEOUT_MS, 10) || 120000;
+
+    // A custom base URL means a self-hosted server, which may not need a key
+    this.hasCustomEndpoint = !!(config.baseUrl || process.env.OPENAI_BASE_URL);
+  }
+
+  /**
+   * Whether the provider has everything it needs to run
+   */
+  isConfigured() {
+    return !!this.apiKey || this.hasCustomEndpoint;
+  }
+
+  /**
+   * Send the prompt to the chat completions endpoint and return the raw response text
+   */
+  async generate({ prompt }) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+        model: this.model,
+        temperature: 0.2,
+        messages: [
+          {
+            role: 'system',
+            content: 'You are a privacy policy expert. Respond with JSON only.'
+          },
+          {
+            role: 'user',
+            content: prompt
+          }
+        ]
+      }, {
+        headers,
+        timeout: this.timeout
+      });
+
+      const content = response.data?.choices?.[0]?.message?.content;
+
+      if (!content) {
+        throw new Error('Empty response from completions endpoint');
+      }
+
+      return content;
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 429) {
+        throw new ProviderRateLimitError(
+          `OpenAI-compatible API rate limited: ${error.message}`,
+          parseRetryAfter(error.response.headers?.['retry-after'])
+        );
+      }
+      throw new Error(`OpenAI-compatible API error${status ? ` (${status})` : ''}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,33 @@
+// src/utils/aiProviders/providerRateLimitError.js
+
+/**
+ * Thrown by a provider that is rate limited (HTTP 429). The analysis can be
+ * tried again later; `retryable` tells the job queue to requeue the job, after
+ * `retryAfterMs` when the provider said how long to wait.
+ */
+class ProviderRateLimitError extends Error {
+  constructor(message, retryAfterMs = null) {
+    super(message);
+    this.name = 'ProviderRateLimitError';
+    this.retryable = true;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Milliseconds from a Retry-After header (seconds or an HTTP date), or null
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+module.exports = {
+  ProviderRateLimitError,
+  parseRetryAfter
+};
@@ -0,0 +1,240 @@
+// src/utils/aiProviders/ruleBasedProvider.js
+
+/**
+ * Keyword patterns for the data categories a policy may mention
+ */
+const DATA_CATEGORIES = {
+  'Personal Information': {
+    'Name': /\b(full |your |first |last )?name\b/i,
+    'Email': /\be-?mail( address)?\b/i,
+    'Phone Number': /\b(phone|telephone|mobile) number\b/i,
+    'Postal Address': /\b(postal|mailing|billing|shipping|home) address\b/i,
+    'Date of Birth': /\b(date of birth|birth ?date|your age)\b/i
+  },
+  'Device Information': {
+    'IP Address': /\bIP address(es)?\b/i,
+    'Browser Type': /\bbrowser (type|version|information)\b/i,
+    'Device Identifiers': /\b(device (id|identifier)s?|advertising id(entifier)?s?|IDFA|unique identifiers?)\b/i,
+    'Operating System': /\boperating system\b/i
+  },
+  'Usage Data': {
+    'Pages Visited': /\b(pages? (you )?visit(ed)?|browsing history)\b/i,
+    'Interactions': /\b(interactions?|clicks?|features? (you )?use)\b/i,
+    'Cookies': /\bcookies?\b/i,
+    'Log Data': /\blog (data|files|information)\b/i
+  },
+  'Location Data': {
+    'Precise Location': /\b(precise|GPS|geo-?location) (location|data)?\b/i,
+    'Approximate Location': /\b(approximate|general) location\b/i
+  },
+  'Financial Information': {
+    'Payment Details': /\b(credit card|debit card|payment (card|information|details))\b/i,
+    'Purchase History': /\b(purchase|transaction) history\b/i
+  },
+  'Sensitive Information': {
+    'Health Data': /\b(health|medical) (data|information)\b/i,
+    'Biometric Data': /\bbiometric\b/i,
+    'Government Identifiers': /\b(social security number|passport|driver'?s licen[cs]e|national id)\b/i
+  }
+};
+
+/**
+ * Recipients a policy may share data with, and the purpose reported for each
+ */
+const SHARING_RECIPIENTS = [
+  { name: 'Service Providers', pattern: /\b(service providers?|vendors?|processors?|contractors?)\b/i, purpose: 'To perform services on the company\'s behalf' },
+  { name: 'Advertising Partners', pattern: /\b(advertis(ing|ers?) (partners?|networks?)|ad networks?|marketing partners?)\b/i, purpose: 'For advertising and marketing purposes' },
+  { name: 'Analytics Providers', pattern: /\b(analytics (providers?|partners?|services?)|google analytics)\b/i, purpose: 'To measure and analyze usage' },
+  { name: 'Affiliates', pattern: /\b(affiliates?|subsidiaries|corporate family)\b/i, purpose: 'Within the corporate group' },
+  { name: 'Legal Authorities', pattern: /\b(law enforcement|government (authorities|agencies)|legal process|comply with (the )?law)\b/i, purpose: 'When required by law' },
+  { name: 'Business Transfers', pattern: /\b(merger|acquisition|sale of (all or )?(a portion of )?(our )?(assets|business))\b/i, purpose: 'As part of a merger, acquisition or asset sale' }
+];
+
+/**
+ * User rights and the phrases that indicate them
+ */
+const USER_RIGHTS = [
+  { name: 'Access your data', pattern: /\bright (to|of) access\b|\baccess (to )?(your|the) (personal )?(data|information)\b/i },
+  { name: 'Correct inaccuracies', pattern: /\b(rectif(y|ication)|correct(ion)? (of )?(your|inaccurate))\b/i },
+  { name: 'Delete your information', pattern: /\b(right to (erasure|deletion|be forgotten)|delet(e|ion of) (your|the) (personal )?(data|information|account))\b/i },
+  { name: 'Data portability', pattern: /\bportab(le|ility)\b/i },
+  { name: 'Opt-out of marketing', pattern: /\b(unsubscribe|opt[- ]out of (marketing|promotional))\b/i },
+  { name: 'Opt-out of sale', pattern: /\bdo not sell( or share)? my\b|\bopt[- ]out of (the )?sale\b/i },
+  { name: 'Object to processing', pattern: /\bobject to (the )?processing\b|\brestrict(ion of)? processing\b/i },
+  { name: 'Withdraw consent', pattern: /\bwithdraw (your )?consent\b/i },
+  { name: 'Lodge a complaint', pattern: /\b(lodge|file) a complaint\b|\bsupervisory authority\b/i }
+];
+
+/**
+ * Practices that are flagged as concerning. `unless` excludes sentences that
+ * negate the practice ("we do not sell your data").
+ */
+const RED_FLAGS = [
+  { flag: 'May sell personal information', pattern: /\bsell(s|ing)? (your |the )?(personal )?(data|information)\b|\bsale of (your )?personal (data|information)\b/i, unless: /\b(do|does|will) not sell\b|\bnever sell\b|\bnot sold\b/i },
+  { flag: 'Shares data with advertisers', pattern: /\bshare\b.*\b(advertis(ers|ing partners)|ad networks)\b/i },
+  { flag: 'Indefinite or unspecified data retention', pattern: /\b(indefinitely|as long as (necessary|needed|we deem))\b/i },
+  { flag: 'Transfers data internationally', pattern: /\b(transfer(red)?|stored|processed) (to|in) (other )?countries\b|\binternational (data )?transfers?\b/i },
+  { flag: 'Collects data from children', pattern: /\bchildren\b.*\bcollect\b|\bcollect\b.*\bchildren\b/i, unless: /\b(do not|don't|does not) (knowingly )?collect\b|\bnot directed to children\b/i },
+  { flag: 'Combines data from third-party sources', pattern: /\b(from|obtain(ed)? from) (third[- ]part(y|ies)|other sources|data brokers)\b/i },
+  { flag: 'Policy may change without direct notice', pattern: /\b(change|update|modify) this (privacy )?policy at any time\b/i },
+  { flag: 'Collects biometric data', pattern: /\bbiometric\b/i, unless: /\b(do not|don't|does not) collect biometric\b/i }
+];
+
+/**
+ * Regulations the analyzer looks for explicit mentions of
+ */
+const REGULATIONS = {
+  GDPR: /\b(GDPR|General Data Protection Regulation)\b/i,
+  CCPA: /\b(CCPA|CPRA|California Consumer Privacy Act)\b/i,
+  COPPA: /\b(COPPA|Children'?s Online Privacy Protection)\b/i,
+  PIPEDA: /\bPIPEDA\b/i
+};
+
+/**
+ * Split text into rough sentences
+ */
+const splitSentences = (text) => {
+  return text
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+};
+
+/**
+ * Find the first sentence matching a pattern, skipping negated ones
+ */
+const findSentence = (sentences, pattern, unless) => {
+  return sentences.find(sentence => pattern.test(sentence) && !(unless && unless.test(sentence)));
+};
+
+/**
+ * Deterministic keyword and rule based analyzer. Needs no network access or
+ * API keys, so it can run on air-gapped machines and in tests. It ignores the
+ * prompt and works on the policy text directly, but returns the same JSON
+ * structure the LLM providers are asked for. Its results are only estimates,
+ * so analyses it contributed to are flagged as fallbacks (`isFallback`).
+ */
+class RuleBasedProvider {
+  constructor() {
+    this.name = 'rules';
+    this.isFallback = true;
+  }
+
+  /**
+   * Whether the provider has everything it needs to run
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Analyze the text and return the result as a JSON string
+   */
+  async generate({ text }) {
+    return JSON.stringify(this.analyzeText(text || ''));
+  }
+
+  /**
+   * Build the structured analysis from keyword matches
+   */
+  analyzeText(text) {
+    const sentences = splitSentences(text);
+
+    // The sentence that triggered each finding is reported as its evidence
+    const evidence = [];
+    const addEvidence = (type, finding, quote) => {
+      if (quote) {
+        evidence.push({ type, finding, quote });
+      }
+    };
+
+    // Data collection
+    const dataCollection = {};
+    Object.entries(DATA_CATEGORIES).forEach(([category, items]) => {
+      const found = Object.keys(items).filter(item => items[item].test(text));
+      if (found.length > 0) {
+        dataCollection[category] = found;
+        found.forEach(item => addEvidence('dataCollection', item, findSentence(sentences, items[item])));
+      }
+    });
+
+    // Data sharing
+    const dataSharing = {};
+    SHARING_RECIPIENTS.forEach(recipient => {
+      if (recipient.pattern.test(text)) {
+        dataSharing[recipient.name] = recipient.purpose;
+        addEvidence('dataSharing', recipient.name, findSentence(sentences, recipient.pattern));
+      }
+    });
+
+    // User rights
+    const userRights = USER_RIGHTS
+      .filter(right => right.pattern.test(text))
+      .map(right => {
+        addEvidence('userRights', right.name, findSentence(sentences, right.pattern));
+        return right.name;
+      });
+
+    // Red flags are checked sentence by sentence so negations can be excluded
+    const redFlags = [];
+    RED_FLAGS.forEach(rule => {
+      const sentence = findSentence(sentences, rule.pattern, rule.unless);
+      if (sentence) {
+        redFlags.push(rule.flag);
+        addEvidence('redFlags', rule.flag, sentence);
+      }
+    });
+
+    // Retention
+    const retentionSentence = findSentence(sentences, /\b(retain|retention|keep your)\b/i);
+    const retention = retentionSentence || 'Retention period not specified';
+    addEvidence('retention', retention, retentionSentence);
+
+    // Compliance
+    const compliance = {};
+    Object.entries(REGULATIONS).forEach(([regulation, pattern]) => {
+      compliance[regulation] = pattern.test(text)
+        ? 'Mentioned in the policy'
+        : 'Not mentioned in the policy';
+    });
+
+    // Score
+    const rightsBonus = Math.min(userRights.length * 3, 15);
+    const flagPenalty = redFlags.length * 8;
+    const sharingPenalty = Object.keys(dataSharing).length * 2;
+    const value = Math.max(0, Math.min(100, 70 + rightsBonus - flagPenalty - sharingPenalty));
+
+    const summary = [
+      `The policy describes collection of ${Object.keys(dataCollection).length} categories of data`,
+      Object.keys(dataSharing).length > 0
+        ? `Data may be shared with: ${Object.keys(dataSharing).join(', ')}`
+        : 'No third-party sharing was identified',
+      userRights.length > 0
+        ? `Users are offered ${userRights.length} rights over their data`
+        : 'No specific user rights were identified',
+      retentionSentence
+        ? 'The policy describes how long data is retained'
+        : 'The policy does not clearly state how long data is retained',
+      redFlags.length > 0
+        ? `${redFlags.length} potentially concerning practices were identified`
+        : 'No concerning practices were identified'
+    ];
+
+    return {
+      summary,
+      dataCollection,
+      dataSharing,
+      retention,
+      userRights,
+      score: {
+        value,
+        explanation: `Rule-based score: ${userRights.length} user rights, ${redFlags.length} red flags and ${Object.keys(dataSharing).length} types of data recipients found`
+      },
+      redFlags,
+      compliance,
+      evidence
+    };
+  }
+}
+
+module.exports = RuleBasedProvider;
@@ -0,0 +1,211 @@
+// src/utils/analysisMerger.js
+
+// Maximum number of summary points kept after merging
+const MAX_SUMMARY_POINTS = 8;
+
+/**
+ * Normalize a finding for duplicate detection
+ */
+const normalizeKey = (value) => {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Collects unique findings and remembers which chunks produced each one
+ */
+class FindingSet {
+  constructor() {
+    this.items = new Map();
+  }
+
+  add(value, chunkIndex) {
+    const key = normalizeKey(value);
+    if (!key) return;
+
+    if (!this.items.has(key)) {
+      this.items.set(key, { value, chunks: [] });
+    }
+
+    const entry = this.items.get(key);
+    if (!entry.chunks.includes(chunkIndex)) {
+      entry.chunks.push(chunkIndex);
+    }
+  }
+
+  values() {
+    return Array.from(this.items.values()).map(entry => entry.value);
+  }
+
+  sources() {
+    return Array.from(this.items.values()).map(entry => ({
+      finding: entry.value,
+      chunks: entry.chunks
+    }));
+  }
+}
+
+/**
+ * Credit each finding source to the documents (by index) its chunks came from
+ */
+const withDocuments = (sources, chunkDocuments) => {
+  return sources.map(source => ({
+    ...source,
+    documents: Array.from(new Set(source.chunks.map(index => chunkDocuments.get(index)).filter(document => document !== undefined)))
+  }));
+};
+
+/**
+ * Merge per-chunk analyses into a single result. Each input item is
+ * `{ chunk, analysis }`. Duplicate findings are removed and the result's
+ * `metadata.findingSources` records which chunks contributed each finding,
+ * and, when chunks carry a `document` index, which documents.
+ */
+const mergeChunkAnalyses = (chunkResults) => {
+  const summary = new FindingSet();
+  const userRights = new FindingSet();
+  const redFlags = new FindingSet();
+  const retention = new FindingSet();
+
+  const dataCollection = new Map(); // normalized category -> { name, items: FindingSet }
+  const dataCollectionSources = [];
+  const dataSharing = new Map(); // normalized recipient -> { name, purposes: FindingSet }
+  const compliance = new Map(); // normalized regulation -> { name, assessments: FindingSet }
+
+  const evidence = [];
+  const evidenceKeys = new Set();
+
+  let weightedScore = 0;
+  let totalWeight = 0;
+  const explanations = new FindingSet();
+
+  chunkResults.forEach(({ chunk, analysis }) => {
+    const chunkIndex = chunk.index;
+
+    (analysis.summary || []).forEach(point => summary.add(point, chunkIndex));
+    (analysis.userRights || []).forEach(right => userRights.add(right, chunkIndex));
+    (analysis.redFlags || []).forEach(flag => redFlags.add(flag, chunkIndex));
+
+    if (analysis.retention && !/not (specified|determined|mentioned)/i.test(analysis.retention)) {
+      retention.add(analysis.retention, chunkIndex);
+    }
+
+    Object.entries(analysis.dataCollection || {}).forEach(([category, items]) => {
+      const key = normalizeKey(category);
+      if (!dataCollection.has(key)) {
+        dataCollection.set(key, { name: category, items: new FindingSet() });
+      }
+      (Array.isArray(items) ? items : [items]).forEach(item => {
+        dataCollection.get(key).items.add(item, chunkIndex);
+      });
+    });
+
+    Object.entries(analysis.dataSharing || {}).forEach(([recipient, purpose]) => {
+      const key = normalizeKey(recipient);
+      if (!dataSharing.has(key)) {
+        dataSharing.set(key, { name: recipient, purposes: new FindingSet() });
+      }
+      dataSharing.get(key).purposes.add(purpose, chunkIndex);
+    });
+
+    Object.entries(analysis.compliance || {}).forEach(([regulation, assessment]) => {
+      const key = normalizeKey(regulation);
+      if (!compliance.has(key)) {
+        compliance.set(key, { name: regulation, assessments: new FindingSet() });
+      }
+      compliance.get(key).assessments.add(assessment, chunkIndex);
+    });
+
+    (analysis.evidence || []).forEach(item => {
+      const key = `${item.type}|${normalizeKey(item.finding)}|${normalizeKey(item.quote)}`;
+      if (!evidenceKeys.has(key)) {
+        evidenceKeys.add(key);
+        evidence.push(item);
+      }
+    });
+
+    // Weight each chunk's score by how much of the policy it covers
+    const value = Number(analysis.score?.value);
+    if (Number.isFinite(value)) {
+      const weight = chunk.text.length;
+      weightedScore += value * weight;
+      totalWeight += weight;
+    }
+    if (analysis.score?.explanation) {
+      explanations.add(analysis.score.explanation, chunkIndex);
+    }
+  });
+
+  const mergedCollection = {};
+  dataCollection.forEach(({ name, items }) => {
+    mergedCollection[name] = items.values();
+    items.sources().forEach(source => {
+      dataCollectionSources.push({ category: name, ...source });
+    });
+  });
+
+  const mergedSharing = {};
+  const dataSharingSources = [];
+  dataSharing.forEach(({ name, purposes }) => {
+    mergedSharing[name] = purposes.values().join('; ');
+    dataSharingSources.push({
+      finding: name,
+      chunks: Array.from(new Set(purposes.sources().flatMap(source => source.chunks)))
+    });
+  });
+
+  const mergedCompliance = {};
+  compliance.forEach(({ name, assessments }) => {
+    mergedCompliance[name] = assessments.values().join('; ');
+  });
+
+  const retentionValues = retention.values();
+
+  let findingSources = {
+    summary: summary.sources(),
+    dataCollection: dataCollectionSources,
+    dataSharing: dataSharingSources,
+    retention: retention.sources(),
+    userRights: userRights.sources(),
+    redFlags: redFlags.sources()
+  };
+
+  // Analyses of a policy with its linked documents credit each document
+  const chunkDocuments = new Map(chunkResults
+    .filter(({ chunk }) => chunk.document !== undefined)
+    .map(({ chunk }) => [chunk.index, chunk.document]));
+
+  if (chunkDocuments.size > 0) {
+    findingSources = Object.fromEntries(Object.entries(findingSources)
+      .map(([field, sources]) => [field, withDocuments(sources, chunkDocuments)]));
+  }
+
+  return {
+    summary: summary.values().slice(0, MAX_SUMMARY_POINTS),
+    dataCollection: mergedCollection,
+    dataSharing: mergedSharing,
+    retention: retentionValues.length > 0
+      ? retentionValues.join(' ')
+      : 'Retention period not specified',
+    userRights: userRights.values(),
+    score: {
+      value: totalWeight > 0 ? Math.round(weightedScore / totalWeight) : 0,
+      explanation: explanations.values().join(' ')
+    },
+    redFlags: redFlags.values(),
+    compliance: mergedCompliance,
+    evidence,
+    metadata: {
+      chunkCount: chunkResults.length,
+      findingSources
+    }
+  };
+};
+
+module.exports = {
+  mergeChunkAnalyses,
+  normalizeKey
+};
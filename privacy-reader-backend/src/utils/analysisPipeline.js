@@ -0,0 +1,351 @@
+// src/utils/analysisPipeline.js
+const aiAnalyzer = require('./aiAnalyzer');
+const policyExtractor = require('./policyExtractor');
+const siteScanner = require('./siteScanner');
+const policyModel = require('../models/policyModel');
+const monitoringModel = require('../models/monitoringModel');
+const siteScanModel = require('../models/siteScanModel');
+const webhookDispatcher = require('./webhookDispatcher');
+const { hashText } = require('./policyDiff');
+const { JobCancelledError } = require('./jobQueue');
+const { logger, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Job types used for queued analyses of URLs and of uploaded documents,
+// for scheduled re-checks of subscribed policies and for site scans
+const ANALYSIS_JOB_TYPE = 'policy_analysis';
+const DOCUMENT_JOB_TYPE = 'document_analysis';
+const RECHECK_JOB_TYPE = 'policy_recheck';
+const SCAN_JOB_TYPE = 'site_scan';
+
+// Webhook event published for each kind of saved policy version
+const POLICY_WEBHOOK_EVENTS = {
+  policy_created: 'policy.created',
+  policy_updated: 'policy.updated',
+  policy_reanalyzed: 'policy.reanalyzed'
+};
+
+/**
+ * Notify the URL's subscribers and the requesting user that a policy
+ * version was saved. Webhook problems never fail the analysis.
+ */
+const publishPolicyEvent = async (saved, policyData, analysisResult, context) => {
+  try {
+    const subscriberIds = await monitoringModel.getSubscriberIds(policyData.url);
+    const isFallback = analysisResult.metadata?.isFallback === true;
+
+    await webhookDispatcher.publish(POLICY_WEBHOOK_EVENTS[saved.event], {
+      policyId: saved.policyId,
+      previousPolicyId: saved.previousPolicyId,
+      url: policyData.url,
+      domain: policyData.domain,
+      title: policyData.title,
+      score: isFallback ? null : (analysisResult.score?.value ?? null),
+      scheduled: !!context.scheduled,
+      materialChange: saved.changes ? saved.changes.isMaterial : null,
+      changeSummary: saved.changes ? saved.changes.summary : null
+    }, [...subscriberIds, context.userId]);
+  } catch (error) {
+    logger.error(`Error publishing webhook for policy ${saved.policyId}:`, error);
+  }
+};
+
+/**
+ * Analyze extracted policy data and save the result.
+ * `onProgress(stage)` is awaited at every stage; it may throw to abort the run.
+ * `onEvent(type, data)` receives the details of each step, and
+ * `context.forceFresh` bypasses the analyzer's cache.
+ */
+const analyzeAndSave = async (policyData, context, startTime) => {
+  const onProgress = context.onProgress || (async () => {});
+  const onEvent = context.onEvent || (() => {});
+  const { url } = policyData;
+
+  // Validate content extraction
+  if (!policyData.text || policyData.text.length < 200) {
+    throw new ValidationError(`Insufficient text content extracted from ${url}`);
+  }
+
+  // Validate policy detection
+  if (!policyExtractor.isProbablyPrivacyPolicy(url, policyData.text)) {
+    logger.warn(`URL ${url} may not be a privacy policy`);
+    // We continue but add a warning flag
+    policyData.warning = "This URL may not be a privacy policy";
+    onEvent('warning', { message: policyData.warning });
+  }
+
+  logger.info(`Successfully processed policy. Text length: ${policyData.text.length}`);
+
+  // Analyze with AI
+  await onProgress('analyzing');
+  logger.info('Analyzing policy content with AI...');
+  const analysisResult = await aiAnalyzer.analyzePrivacyPolicy(policyData, {
+    onEvent,
+    outputLanguage: context.outputLanguage,
+    skipCache: context.forceFresh === true
+  });
+
+  // Save to database
+  await onProgress('saving');
+  logger.info('Saving analysis results to database...');
+  const saved = await policyModel.savePolicy(policyData, analysisResult);
+  const { policyId, isNew, changes } = saved;
+
+  if (saved.event) {
+    await publishPolicyEvent(saved, policyData, analysisResult, context);
+  }
+
+  // Track this request (scheduled re-checks aren't user requests)
+  if (!context.scheduled) {
+    await policyModel.trackAnalysisRequest({
+      url,
+      userId: context.userId || null,
+      policyId,
+      cached: false,
+      userAgent: context.userAgent,
+      ipAddress: context.ipAddress
+    });
+  }
+
+  const processingTime = Date.now() - startTime;
+  logger.info(`Analysis complete for ${url}. Policy ID: ${policyId}. Time: ${processingTime}ms`);
+
+  return {
+    policyId,
+    isNew,
+    warning: policyData.warning || null,
+    changes: changes ? { isMaterial: changes.isMaterial, summary: changes.summary } : null,
+    processingTime
+  };
+};
+
+/**
+ * Scan the homepage of the site hosting a stored policy for trackers,
+ * cookies and fingerprinting, and save the scan with the mismatches found
+ * against the policy
+ */
+const runSiteScan = async (policy, context = {}) => {
+  const onProgress = context.onProgress || (async () => {});
+
+  await onProgress('scanning');
+  const result = await siteScanner.scanSite(policy.url, { onEvent: context.onEvent });
+  const mismatches = siteScanner.findMismatches(result, policy);
+
+  const scan = await siteScanModel.saveScan({
+    policyId: policy.id,
+    url: result.url,
+    domain: policy.domain,
+    result,
+    mismatches
+  });
+
+  logger.info(`Site scan ${scan.id} for policy ${policy.id}: ${mismatches.length} mismatch(es)`);
+
+  return {
+    scanId: scan.id,
+    policyId: policy.id,
+    url: result.url,
+    summary: result.summary,
+    mismatches
+  };
+};
+
+/**
+ * Fetch, extract, analyze and save a privacy policy. `context.extraction`
+ * holds the link-following options passed to processPrivacyPolicy, and
+ * `context.scanSite` adds a site scan once the policy is saved. A failed
+ * scan is reported in the result without failing the analysis.
+ */
+const runPolicyAnalysis = async (url, context = {}) => {
+  const startTime = Date.now();
+
+  // Process the policy (fetch and extract text)
+  const policyData = await policyExtractor.processPrivacyPolicy(url, {
+    ...context.extraction,
+    onProgress: context.onProgress,
+    onEvent: context.onEvent
+  });
+
+  const result = await analyzeAndSave(policyData, context, startTime);
+
+  if (context.scanSite) {
+    try {
+      const policy = await policyModel.getPolicyById(result.policyId);
+      result.siteScan = await runSiteScan(policy, context);
+    } catch (error) {
+      if (error instanceof JobCancelledError) throw error;
+
+      logger.error(`Site scan after analysis of ${url} failed:`, error);
+      (context.onEvent || (() => {}))('site_scan_failed', { message: error.message });
+      result.siteScan = { error: error.message };
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Analyze and save a document whose text was already extracted (see documentExtractor)
+ */
+const runDocumentAnalysis = async (policyData, context = {}) => {
+  const startTime = Date.now();
+  const onEvent = context.onEvent || (() => {});
+
+  onEvent('text_extracted', {
+    length: policyData.text.length,
+    language: policyData.language,
+    title: policyData.title,
+    company: policyData.company,
+    lastUpdated: policyData.lastUpdated,
+    source: policyData.extractionMethod
+  });
+
+  return analyzeAndSave(policyData, context, startTime);
+};
+
+/**
+ * Re-fetch a subscribed policy and re-run the AI analysis only if its
+ * normalized text changed. Every check is recorded as a monitoring event.
+ */
+const runPolicyRecheck = async (url, context = {}) => {
+  const startTime = Date.now();
+  const latest = await policyModel.getPolicyByUrl(url);
+
+  try {
+    // Policies analyzed with their linked documents are re-checked with them
+    const policyData = await policyExtractor.processPrivacyPolicy(url, {
+      followLinks: latest?.analysis_metadata?.documents?.length > 1,
+      onProgress: context.onProgress,
+      onEvent: context.onEvent
+    });
+
+    const textHash = hashText(policyData.text);
+    const unchanged = latest && !latest.is_fallback
+      && (latest.text_hash || hashText(latest.text)) === textHash;
+
+    if (unchanged) {
+      await policyModel.touchPolicy(latest.id);
+      await monitoringModel.recordMonitoringEvent({
+        url,
+        policyId: latest.id,
+        status: 'unchanged',
+        textHash,
+        materialChange: false,
+        durationMs: Date.now() - startTime
+      });
+
+      logger.info(`Re-check of ${url}: no change since policy ${latest.id}`);
+      return { policyId: latest.id, isNew: false, status: 'unchanged' };
+    }
+
+    // Re-analyses keep the language the policy was last analyzed in
+    const result = await analyzeAndSave(policyData, {
+      ...context,
+      scheduled: true,
+      outputLanguage: latest?.analysis_metadata?.outputLanguage
+    }, startTime);
+    const status = latest ? 'changed' : 'first_check';
+
+    await monitoringModel.recordMonitoringEvent({
+      url,
+      policyId: result.policyId,
+      status,
+      textHash,
+      materialChange: result.changes ? result.changes.isMaterial : null,
+      changeSummary: result.changes?.summary,
+      durationMs: Date.now() - startTime
+    });
+
+    logger.info(`Re-check of ${url}: ${status}, saved as policy ${result.policyId}`);
+    return { ...result, status };
+  } catch (error) {
+    if (!(error instanceof JobCancelledError)) {
+      await monitoringModel.recordMonitoringEvent({
+        url,
+        policyId: latest?.id,
+        status: 'failed',
+        error: error.message,
+        durationMs: Date.now() - startTime
+      });
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Job queue handler for queued policy analyses
+ */
+const handleAnalysisJob = async (job, { reportProgress, emitEvent }) => {
+  return runPolicyAnalysis(job.url, {
+    onProgress: reportProgress,
+    onEvent: emitEvent,
+    extraction: {
+      followLinks: job.options?.followLinks === true,
+      maxDepth: job.options?.maxDepth,
+      maxDocuments: job.options?.maxDocuments
+    },
+    outputLanguage: job.options?.outputLanguage,
+    forceFresh: job.options?.forceFresh === true,
+    scanSite: job.options?.scanSite === true,
+    userId: job.user_id,
+    userAgent: job.options?.userAgent,
+    ipAddress: job.options?.ipAddress
+  });
+};
+
+/**
+ * Job queue handler for queued document analyses. The extracted document is
+ * stored in the job options, so the job survives a restart like URL jobs do.
+ */
+const handleDocumentJob = async (job, { reportProgress, emitEvent }) => {
+  // Uploaded documents are private to the user who uploaded them
+  return runDocumentAnalysis({ ...job.options.document, ownerId: job.user_id }, {
+    onProgress: reportProgress,
+    onEvent: emitEvent,
+    outputLanguage: job.options?.outputLanguage,
+    userId: job.user_id,
+    userAgent: job.options?.userAgent,
+    ipAddress: job.options?.ipAddress
+  });
+};
+
+/**
+ * Job queue handler for scheduled policy re-checks
+ */
+const handleRecheckJob = async (job, { reportProgress, emitEvent }) => {
+  return runPolicyRecheck(job.url, {
+    onProgress: reportProgress,
+    onEvent: emitEvent
+  });
+};
+
+/**
+ * Job queue handler for site scans of stored policies
+ */
+const handleScanJob = async (job, { reportProgress, emitEvent }) => {
+  const policy = await policyModel.getPolicyById(job.options.policyId);
+
+  if (!policy) {
+    throw new NotFoundError(`Policy not found for ID: ${job.options.policyId}`);
+  }
+
+  return runSiteScan(policy, {
+    onProgress: reportProgress,
+    onEvent: emitEvent
+  });
+};
+
+module.exports = {
+  ANALYSIS_JOB_TYPE,
+  DOCUMENT_JOB_TYPE,
+  RECHECK_JOB_TYPE,
+  SCAN_JOB_TYPE,
+  runPolicyAnalysis,
+  runDocumentAnalysis,
+  runPolicyRecheck,
+  runSiteScan,
+  handleAnalysisJob,
+  handleDocumentJob,
+  handleRecheckJob,
+  handleScanJob
+};
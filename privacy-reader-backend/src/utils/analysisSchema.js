@@ -0,0 +1,211 @@
+// src/utils/analysisSchema.js
+
+/**
+ * JSON schema for the analysis result every provider must return
+ */
+const ANALYSIS_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'PrivacyPolicyAnalysis',
+  type: 'object',
+  required: ['summary', 'dataCollection', 'dataSharing', 'retention', 'userRights', 'score', 'redFlags', 'compliance'],
+  properties: {
+    summary: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    dataCollection: {
+      type: 'object',
+      additionalProperties: {
+        type: 'array',
+        items: { type: 'string' }
+      }
+    },
+    dataSharing: {
+      type: 'object',
+      additionalProperties: { type: 'string' }
+    },
+    retention: {
+      type: 'string'
+    },
+    userRights: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    score: {
+      type: 'object',
+      required: ['value', 'explanation'],
+      properties: {
+        value: { type: 'number', minimum: 0, maximum: 100 },
+        explanation: { type: 'string' }
+      }
+    },
+    redFlags: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    compliance: {
+      type: 'object',
+      additionalProperties: { type: 'string' }
+    },
+    // Optional: verbatim quotes supporting each finding, checked by citationVerifier
+    evidence: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'finding', 'quote'],
+        properties: {
+          type: { type: 'string' },
+          finding: { type: 'string' },
+          quote: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Raised when a provider's output still fails validation after all repair attempts
+ */
+class SchemaValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.details = errors;
+  }
+}
+
+/**
+ * Try to coerce a value to the type the schema expects. Returns the value
+ * unchanged if no sensible coercion exists, so validation can report it.
+ */
+const coerce = (value, type) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  switch (type) {
+    case 'number':
+      if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+      }
+      return value;
+
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+      }
+      // Lists of strings (e.g. several sharing purposes) are joined
+      if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+        return value.join('; ');
+      }
+      // Objects with a single descriptive field, e.g. {"purpose": "..."}
+      if (typeof value === 'object' && !Array.isArray(value)) {
+        const strings = Object.values(value).filter(item => typeof item === 'string');
+        return strings.length > 0 ? strings.join('; ') : value;
+      }
+      return value;
+
+    case 'array':
+      // A single item where a list was expected
+      if (typeof value === 'string') {
+        return [value];
+      }
+      return value;
+
+    default:
+      return value;
+  }
+};
+
+/**
+ * Return the JSON schema type name of a value
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * Validate and coerce `value` against `schema`, collecting errors by path.
+ * Supports the subset of JSON schema used by ANALYSIS_SCHEMA.
+ */
+const validateNode = (value, schema, path, errors) => {
+  const coerced = coerce(value, schema.type);
+  const actualType = typeOf(coerced);
+
+  if (actualType !== schema.type) {
+    errors.push(`${path} should be ${schema.type} but is ${actualType}`);
+    return coerced;
+  }
+
+  if (schema.type === 'number') {
+    if (!Number.isFinite(coerced)) {
+      errors.push(`${path} should be a finite number`);
+    } else if (schema.minimum !== undefined && coerced < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum} but is ${coerced}`);
+    } else if (schema.maximum !== undefined && coerced > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum} but is ${coerced}`);
+    }
+    return coerced;
+  }
+
+  if (schema.type === 'array') {
+    return coerced.map((item, i) => validateNode(item, schema.items, `${path}[${i}]`, errors));
+  }
+
+  if (schema.type === 'object') {
+    const result = {};
+
+    (schema.required || []).forEach(key => {
+      if (coerced[key] === undefined || coerced[key] === null) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.entries(coerced).forEach(([key, child]) => {
+      const childSchema = schema.properties?.[key] || schema.additionalProperties;
+
+      // Unknown keys are dropped rather than rejected
+      if (!childSchema || child === undefined || child === null) {
+        return;
+      }
+
+      result[key] = validateNode(child, childSchema, `${path}.${key}`, errors);
+    });
+
+    return result;
+  }
+
+  return coerced;
+};
+
+/**
+ * Validate an analysis result. Returns `{ valid, errors, value }` where
+ * `value` is the coerced result with unknown keys removed.
+ */
+const validateAnalysis = (analysis) => {
+  const errors = [];
+
+  if (!analysis || typeOf(analysis) !== 'object') {
+    return {
+      valid: false,
+      errors: ['Response is not a JSON object'],
+      value: null
+    };
+  }
+
+  const value = validateNode(analysis, ANALYSIS_SCHEMA, '$', errors);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    value
+  };
+};
+
+module.exports = {
+  ANALYSIS_SCHEMA,
+  SchemaValidationError,
+  validateAnalysis
+};
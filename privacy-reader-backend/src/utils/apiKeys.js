@@ -0,0 +1,67 @@
+// src/utils/apiKeys.js
+const crypto = require('crypto');
+
+// Marks keys issued by this service, so they can be recognised in logs and secret scanners
+const KEY_PREFIX = 'pr';
+
+/**
+ * What an API key can be used for:
+ * - read: GET requests (policies, jobs, subscriptions, webhooks), except
+ *   policy discovery, which fetches pages
+ * - analyze: everything else, e.g. analyses, discovery, site scans, the
+ *   proxy and managing subscriptions and webhooks
+ * - bulk: bulk analysis
+ * - admin: the admin API (the key's user must also be an admin)
+ */
+const API_KEY_SCOPES = ['read', 'analyze', 'bulk', 'admin'];
+
+// Scopes given to keys when none are chosen
+const DEFAULT_SCOPES = ['read', 'analyze'];
+
+// Broader scopes include narrower ones
+const IMPLIED_SCOPES = {
+  read: [],
+  analyze: ['read'],
+  bulk: ['analyze', 'read'],
+  admin: API_KEY_SCOPES
+};
+
+/**
+ * Create an API key: `pr_<id>_<secret>`. Only its hash is stored (see
+ * apiKeyModel); the prefix (`pr_<id>`) identifies the key in listings and logs.
+ */
+const generateApiKey = () => {
+  const id = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${KEY_PREFIX}_${id}_${secret}`;
+
+  return { key, prefix: getKeyPrefix(key) };
+};
+
+/**
+ * Hash of a key as stored. Keys are long and random, so a fast hash is enough.
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key, 'utf8').digest('hex');
+
+/**
+ * The identifying part of a key. Keys issued before prefixes (UUIDs) are
+ * identified by their first eight characters.
+ */
+const getKeyPrefix = (key) => {
+  const match = key.match(new RegExp(`^(${KEY_PREFIX}_[0-9a-f]{8})_`));
+  return match ? match[1] : key.slice(0, 8);
+};
+
+/**
+ * Whether a key's scopes cover a scope
+ */
+const hasScope = (scopes, scope) => scopes.some(granted => granted === scope || IMPLIED_SCOPES[granted]?.includes(scope));
+
+module.exports = {
+  API_KEY_SCOPES,
+  DEFAULT_SCOPES,
+  generateApiKey,
+  hashApiKey,
+  getKeyPrefix,
+  hasScope
+};
@@ -0,0 +1,108 @@
+// src/utils/authTokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const sessionModel = require('../models/sessionModel');
+const userModel = require('../models/userModel');
+const { logger, AuthenticationError } = require('../middleware/errorHandler');
+
+// Access tokens are short-lived; clients keep a session going with refresh tokens
+const ACCESS_TOKEN_TTL_SECONDS = (parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15) * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * Sign an access token for a user. Every token has an ID (`jti`) so it can
+ * be put on the denylist; tokens of a login session also carry its ID (`sid`).
+ * Returns the token with its ID and expiry date.
+ */
+const signAccessToken = (user, { sessionId, expiresInSeconds = ACCESS_TOKEN_TTL_SECONDS, claims = {} } = {}) => {
+  const jti = uuidv4();
+  const token = jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      plan: user.plan,
+      emailVerified: user.emailVerified,
+      ...(sessionId && { sid: sessionId }),
+      ...claims
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: expiresInSeconds, jwtid: jti }
+  );
+
+  return { token, jti, expiresAt: new Date(Date.now() + expiresInSeconds * 1000) };
+};
+
+/**
+ * Hash of a refresh token as stored
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token, 'utf8').digest('hex');
+
+/**
+ * Issue an access token and a refresh token for a new login session, or the
+ * next pair of an existing one. Resolves to the response fields
+ * `{ token, refreshToken, expiresIn }`.
+ */
+const issueSession = async (user, req, sessionId = uuidv4()) => {
+  const access = signAccessToken(user, { sessionId });
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+  await sessionModel.createRefreshToken({
+    userId: user.id,
+    sessionId,
+    tokenHash: hashToken(refreshToken),
+    accessJti: access.jti,
+    accessExpiresAt: access.expiresAt,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ip: req.ip,
+    userAgent: req.headers?.['user-agent']
+  });
+
+  return { token: access.token, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+};
+
+/**
+ * Exchange a refresh token for a new pair. Each refresh token works once; if
+ * a used one comes back, it has probably been stolen, so the whole session is
+ * logged out. The new access token has the user's current role and plan.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const stored = await sessionModel.getRefreshToken(hashToken(refreshToken));
+
+  if (!stored) {
+    throw new AuthenticationError('Invalid refresh token');
+  }
+
+  if (stored.used_at || stored.revoked_at) {
+    if (!stored.revoked_at) {
+      logger.warn(`Refresh token reused for session ${stored.session_id} of user ${stored.user_id}; logging the session out`);
+      await sessionModel.revokeSession(stored.session_id, 'refresh_token_reused');
+    }
+    throw new AuthenticationError('Session has ended; please log in again');
+  }
+
+  if (new Date(stored.expires_at).getTime() <= Date.now()) {
+    throw new AuthenticationError('Refresh token expired');
+  }
+
+  const user = await userModel.getUserById(stored.user_id);
+  if (!user) {
+    throw new AuthenticationError('User not found');
+  }
+
+  // Lost a race with another refresh of the same token
+  if (!await sessionModel.markRefreshTokenUsed(stored.id)) {
+    await sessionModel.revokeSession(stored.session_id, 'refresh_token_reused');
+    throw new AuthenticationError('Session has ended; please log in again');
+  }
+
+  return issueSession(user, req, stored.session_id);
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  issueSession,
+  rotateSession
+};
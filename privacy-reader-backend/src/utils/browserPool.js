@@ -0,0 +1,412 @@
+// src/utils/browserPool.js
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const { logger } = require('../middleware/errorHandler');
+const { browserProxyArgs } = require('./safeFetch');
+
+// Add stealth plugin to puppeteer (prevents detection)
+puppeteer.use(StealthPlugin());
+
+const LAUNCH_OPTIONS = {
+  headless: true,
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-gpu',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas'
+  ]
+};
+
+const DEFAULT_VIEWPORT = { width: 1366, height: 768 };
+
+/**
+ * Thrown when a page can't be had: the wait queue is full or the wait timed out
+ */
+class BrowserPoolBusyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BrowserPoolBusyError';
+  }
+}
+
+/**
+ * Thrown when a task holds its page for longer than the task timeout
+ */
+class BrowserTaskTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Browser task timed out after ${timeoutMs}ms`);
+    this.name = 'BrowserTaskTimeoutError';
+  }
+}
+
+/**
+ * Pool of headless browsers shared by every Puppeteer fetch. Each browser
+ * holds a few pages, each in its own browser context. Pages are replaced
+ * after every task, or for tasks that opt out of isolation, after several.
+ * Crashed browsers are dropped and relaunched on the next request, tasks wait
+ * in a queue when every page is busy, and browsers are closed after a while
+ * without work.
+ */
+class BrowserPool {
+  constructor() {
+    this.maxBrowsers = parseInt(process.env.BROWSER_POOL_SIZE, 10) || 1;
+    this.pagesPerBrowser = parseInt(process.env.BROWSER_PAGES_PER_BROWSER, 10) || 3;
+    // Pages are replaced after this many tasks, browsers after this many pages
+    this.maxPageUses = parseInt(process.env.BROWSER_PAGE_MAX_USES, 10) || 20;
+    this.maxBrowserPages = parseInt(process.env.BROWSER_MAX_PAGES, 10) || 200;
+    this.taskTimeoutMs = parseInt(process.env.BROWSER_TASK_TIMEOUT_MS, 10) || 60000;
+    this.queueTimeoutMs = parseInt(process.env.BROWSER_QUEUE_TIMEOUT_MS, 10) || 60000;
+    this.maxQueue = parseInt(process.env.BROWSER_MAX_QUEUE, 10) || 50;
+    this.idleTimeoutMs = parseInt(process.env.BROWSER_IDLE_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+
+    this.browsers = [];
+    this.waiting = [];
+    this.idleTimer = null;
+    this.closing = false;
+    this.stats = { launched: 0, crashed: 0, pagesCreated: 0, pagesRecycled: 0, tasks: 0, failed: 0, timedOut: 0, rejected: 0 };
+  }
+
+  /**
+   * Run `task(page, { signal })` on a pooled page and return its result. The
+   * page comes with a fresh viewport and no extra headers; the task may
+   * configure it. By default every task gets a page in a new browser context
+   * (no cookies or storage from earlier tasks) that is closed afterwards;
+   * tasks with `isolated: false` reuse a page along with the cookies and
+   * storage earlier tasks left in it. Pages whose task failed or timed out
+   * are closed rather than reused. On timeout, `signal` is aborted and the
+   * page closed before its slot is freed, so the task can't keep using it.
+   */
+  async withPage(task, { timeoutMs = this.taskTimeoutMs, isolated = true } = {}) {
+    const slot = await this.acquire();
+    const controller = new AbortController();
+    let timer;
+    let healthy = false;
+
+    this.stats.tasks++;
+
+    try {
+      if (isolated && slot.uses > 0) {
+        await this.renewSlot(slot);
+      }
+
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          controller.abort(new BrowserTaskTimeoutError(timeoutMs));
+          reject(controller.signal.reason);
+        }, timeoutMs);
+      });
+
+      const result = await Promise.race([task(slot.page, { signal: controller.signal }), timeout]);
+      healthy = true;
+      return result;
+    } catch (error) {
+      this.stats.failed++;
+      if (error instanceof BrowserTaskTimeoutError) {
+        this.stats.timedOut++;
+        // Stops whatever the task is still doing with the page
+        await slot.page.close().catch(() => {});
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      await this.release(slot, { discard: !healthy || isolated });
+    }
+  }
+
+  /**
+   * Replace a used page with one in a new browser context
+   */
+  async renewSlot(slot) {
+    await slot.context.close().catch(() => {});
+    this.stats.pagesRecycled++;
+
+    slot.context = await slot.entry.browser.createBrowserContext();
+    slot.page = await slot.context.newPage();
+    await slot.page.setViewport(DEFAULT_VIEWPORT);
+    slot.uses = 0;
+
+    slot.entry.pagesCreated++;
+    this.stats.pagesCreated++;
+  }
+
+  /**
+   * Get an idle page, opening pages and launching browsers up to the limits,
+   * or wait in the queue for one
+   */
+  async acquire() {
+    clearTimeout(this.idleTimer);
+
+    const slot = await this.tryAcquire();
+    if (slot) return slot;
+
+    if (this.waiting.length >= this.maxQueue) {
+      this.stats.rejected++;
+      throw new BrowserPoolBusyError(`Browser pool is busy (${this.waiting.length} tasks waiting)`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+
+      waiter.timer = setTimeout(() => {
+        this.waiting = this.waiting.filter(item => item !== waiter);
+        this.stats.rejected++;
+        reject(new BrowserPoolBusyError(`No browser page became free within ${this.queueTimeoutMs}ms`));
+      }, this.queueTimeoutMs);
+
+      this.waiting.push(waiter);
+    });
+  }
+
+  /**
+   * Take an idle page or open a new one if the limits allow. Returns null
+   * when the pool is at capacity.
+   */
+  async tryAcquire() {
+    for (const entry of this.browsers.filter(item => !item.retiring)) {
+      const idle = entry.slots.find(slot => !slot.busy);
+      if (idle) {
+        idle.busy = true;
+        return idle;
+      }
+    }
+
+    // Count pages being opened too, so concurrent callers don't overshoot
+    let entry = this.browsers.find(item => !item.retiring && item.slots.length + item.opening < this.pagesPerBrowser);
+
+    if (!entry && this.browsers.length < this.maxBrowsers) {
+      entry = this.launchBrowser();
+    }
+
+    if (!entry) return null;
+
+    entry.opening++;
+    try {
+      const browser = await entry.ready;
+      const context = await browser.createBrowserContext();
+      const page = await context.newPage();
+      await page.setViewport(DEFAULT_VIEWPORT);
+
+      const slot = { entry, context, page, uses: 0, busy: true };
+      entry.slots.push(slot);
+      entry.pagesCreated++;
+      this.stats.pagesCreated++;
+      return slot;
+    } catch (error) {
+      logger.error('Error opening a browser page:', error);
+      throw error;
+    } finally {
+      entry.opening--;
+    }
+  }
+
+  /**
+   * Launch a browser and add it to the pool right away, so the launch counts
+   * towards the limit while it is in progress
+   */
+  launchBrowser() {
+    const entry = { slots: [], opening: 0, pagesCreated: 0, retiring: false, browser: null };
+
+    // Every connection goes through the fetch policy's proxy (see safeGoto)
+    entry.ready = browserProxyArgs().then(proxyArgs => puppeteer.launch({
+      ...LAUNCH_OPTIONS,
+      args: [...LAUNCH_OPTIONS.args, ...proxyArgs]
+    })).then(browser => {
+      entry.browser = browser;
+      this.stats.launched++;
+      logger.info(`Launched pooled browser (${this.browsers.length}/${this.maxBrowsers})`);
+
+      browser.on('disconnected', () => {
+        if (!entry.retiring && !this.closing) {
+          this.stats.crashed++;
+          logger.warn('Pooled browser disconnected unexpectedly; it will be relaunched on demand');
+        }
+        this.removeBrowser(entry);
+      });
+
+      return browser;
+    }).catch(error => {
+      logger.error('Error launching pooled browser:', error);
+      this.removeBrowser(entry);
+      throw error;
+    });
+
+    this.browsers.push(entry);
+    return entry;
+  }
+
+  /**
+   * Drop a browser from the pool. Its busy pages fail on their own and are
+   * discarded when released; waiting tasks can then use a new browser.
+   */
+  removeBrowser(entry) {
+    if (!this.browsers.includes(entry)) return;
+
+    this.browsers = this.browsers.filter(item => item !== entry);
+    entry.slots = entry.slots.filter(slot => slot.busy);
+    this.drain();
+  }
+
+  /**
+   * Return a page to the pool. Broken and worn-out pages are closed, and a
+   * browser that has opened too many pages is retired once it is idle.
+   */
+  async release(slot, { discard = false } = {}) {
+    const { entry } = slot;
+    slot.uses++;
+
+    const connected = this.browsers.includes(entry) && entry.browser?.connected;
+    let reusable = connected && !discard && slot.uses < this.maxPageUses;
+
+    if (reusable) {
+      try {
+        // Leave nothing from the previous task behind
+        slot.page.removeAllListeners('request');
+        await slot.page.setRequestInterception(false);
+        await slot.page.setExtraHTTPHeaders({});
+        await slot.page.setViewport(DEFAULT_VIEWPORT);
+        await slot.page.goto('about:blank');
+      } catch (error) {
+        reusable = false;
+      }
+    }
+
+    if (reusable) {
+      slot.busy = false;
+    } else {
+      entry.slots = entry.slots.filter(item => item !== slot);
+      this.stats.pagesRecycled++;
+      await slot.context.close().catch(() => {});
+
+      if (connected && entry.pagesCreated >= this.maxBrowserPages) {
+        entry.retiring = true;
+      }
+    }
+
+    if (entry.retiring && entry.slots.every(item => !item.busy)) {
+      this.removeBrowser(entry);
+      await entry.browser?.close().catch(() => {});
+    }
+
+    this.drain();
+    this.scheduleIdleClose();
+  }
+
+  /**
+   * Hand free capacity to the tasks waiting in the queue
+   */
+  drain() {
+    const next = () => {
+      if (this.waiting.length === 0) return;
+
+      const waiter = this.waiting[0];
+      this.tryAcquire().then(slot => {
+        if (!slot) return;
+
+        // The waiter may have timed out meanwhile
+        if (!this.waiting.includes(waiter)) {
+          slot.busy = false;
+          return next();
+        }
+
+        this.waiting.shift();
+        clearTimeout(waiter.timer);
+        waiter.resolve(slot);
+        next();
+      }).catch(error => {
+        this.waiting = this.waiting.filter(item => item !== waiter);
+        clearTimeout(waiter.timer);
+        waiter.reject(error);
+        next();
+      });
+    };
+
+    next();
+  }
+
+  /**
+   * Close the browsers once no page has been used for the idle timeout
+   */
+  scheduleIdleClose() {
+    clearTimeout(this.idleTimer);
+
+    const busy = this.browsers.some(entry => entry.opening > 0 || entry.slots.some(slot => slot.busy));
+    if (busy || this.waiting.length > 0 || this.browsers.length === 0) return;
+
+    this.idleTimer = setTimeout(() => {
+      logger.info('Closing idle pooled browsers');
+      this.close({ keepAccepting: true });
+    }, this.idleTimeoutMs);
+    this.idleTimer.unref();
+  }
+
+  /**
+   * Close every browser. Waiting tasks are rejected unless the pool keeps
+   * accepting work (idle close).
+   */
+  async close({ keepAccepting = false } = {}) {
+    clearTimeout(this.idleTimer);
+    this.closing = true;
+
+    if (!keepAccepting) {
+      this.waiting.forEach(waiter => {
+        clearTimeout(waiter.timer);
+        waiter.reject(new BrowserPoolBusyError('Browser pool is shutting down'));
+      });
+      this.waiting = [];
+    }
+
+    const entries = this.browsers;
+    this.browsers = [];
+
+    await Promise.all(entries.map(entry => entry.ready.then(browser => browser.close()).catch(() => {})));
+    this.closing = false;
+  }
+
+  /**
+   * Get pool stats
+   */
+  getStats() {
+    const slots = this.browsers.flatMap(entry => entry.slots);
+
+    return {
+      browsers: this.browsers.length,
+      maxBrowsers: this.maxBrowsers,
+      pagesPerBrowser: this.pagesPerBrowser,
+      pages: slots.length,
+      busyPages: slots.filter(slot => slot.busy).length,
+      waiting: this.waiting.length,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Scroll to the bottom of a page so lazy-loaded content is rendered
+ */
+const autoScroll = async (page) => {
+  await page.evaluate(async () => {
+    await new Promise((resolve) => {
+      let totalHeight = 0;
+      const distance = 100;
+      const timer = setInterval(() => {
+        const scrollHeight = document.body.scrollHeight;
+        window.scrollBy(0, distance);
+        totalHeight += distance;
+
+        if (totalHeight >= scrollHeight - window.innerHeight) {
+          clearInterval(timer);
+          resolve();
+        }
+      }, 100);
+    });
+  });
+};
+
+// Export singleton instance
+const browserPool = new BrowserPool();
+
+module.exports = browserPool;
+module.exports.autoScroll = autoScroll;
+module.exports.BrowserPoolBusyError = BrowserPoolBusyError;
+module.exports.BrowserTaskTimeoutError = BrowserTaskTimeoutError;
@@ -0,0 +1,103 @@
+// src/utils/citationVerifier.js
+
+// Quotes shorter than this match too easily to count as evidence
+const MIN_QUOTE_LENGTH = 12;
+
+/**
+ * Normalize text for quote matching (case, whitespace and typographic quotes)
+ * while keeping a map from each normalized character back to its offset in
+ * the original text.
+ */
+const normalizeWithOffsets = (text) => {
+  let normalized = '';
+  const offsets = [];
+
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i];
+
+    if (/\s/.test(char)) {
+      // Collapse runs of whitespace into a single space
+      if (normalized.length === 0 || normalized[normalized.length - 1] === ' ') {
+        continue;
+      }
+      char = ' ';
+    } else if (/[‘’‛]/.test(char)) {
+      char = "'";
+    } else if (/[“”‟]/.test(char)) {
+      char = '"';
+    } else if (/[–—]/.test(char)) {
+      char = '-';
+    }
+
+    normalized += char.toLowerCase();
+    offsets.push(i);
+  }
+
+  return { normalized, offsets };
+};
+
+/**
+ * Normalize a quote the same way as the source text, without offsets
+ */
+const normalizeQuote = (quote) => {
+  return normalizeWithOffsets(String(quote).trim().replace(/^["'“‘]+|["'”’]+$/g, '')).normalized.trim();
+};
+
+/**
+ * Check every piece of evidence against the policy text. Quotes that can't be
+ * found verbatim (ignoring case and whitespace) are rejected, so citations can
+ * only point at text that is actually in the policy.
+ *
+ * Returns `{ citations, rejected }`, where each citation is
+ * `{ type, finding, quote, start, end }` with offsets into `text`.
+ */
+const verifyCitations = (text, evidence = []) => {
+  const citations = [];
+  const rejected = [];
+
+  if (!text || !Array.isArray(evidence) || evidence.length === 0) {
+    return { citations, rejected };
+  }
+
+  const { normalized, offsets } = normalizeWithOffsets(text);
+  const seen = new Set();
+
+  evidence.forEach(item => {
+    const quote = normalizeQuote(item.quote || '');
+
+    if (quote.length < MIN_QUOTE_LENGTH) {
+      rejected.push({ ...item, reason: 'Quote is too short' });
+      return;
+    }
+
+    const index = normalized.indexOf(quote);
+
+    if (index === -1) {
+      rejected.push({ ...item, reason: 'Quote not found in policy text' });
+      return;
+    }
+
+    const start = offsets[index];
+    const end = offsets[index + quote.length - 1] + 1;
+    const key = `${item.type}|${item.finding}|${start}`;
+
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+
+    citations.push({
+      type: item.type,
+      finding: item.finding,
+      quote: text.slice(start, end),
+      start,
+      end
+    });
+  });
+
+  return { citations, rejected };
+};
+
+module.exports = {
+  verifyCitations
+};
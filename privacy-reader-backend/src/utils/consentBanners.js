@@ -0,0 +1,182 @@
+// src/utils/consentBanners.js
+const cheerio = require('cheerio');
+const { logger } = require('../middleware/errorHandler');
+
+/**
+ * Consent management platforms, with what gives each one away and how its
+ * banner is dismissed. `containers` are the overlay elements (removed before
+ * the page is read), `globals` the objects its script defines (checked in
+ * the browser only), `scripts` a pattern for its script URLs and
+ * `rejectButtons` the buttons that decline optional cookies, tried in order.
+ * Banners are never accepted.
+ */
+const CONSENT_PLATFORMS = [
+  {
+    id: 'onetrust',
+    name: 'OneTrust',
+    containers: ['#onetrust-consent-sdk', '#onetrust-banner-sdk', '#onetrust-pc-sdk', '.onetrust-pc-dark-filter', '.optanon-alert-box-wrapper'],
+    globals: ['OneTrust', 'Optanon'],
+    scripts: 'cdn\\.cookielaw\\.org|optanon\\.blob\\.core\\.windows\\.net|otSDKStub|otBannerSdk',
+    rejectButtons: ['#onetrust-reject-all-handler', '.ot-pc-refuse-all-handler', '.onetrust-close-btn-handler']
+  },
+  {
+    id: 'cookiebot',
+    name: 'Cookiebot',
+    containers: ['#CybotCookiebotDialog', '#CybotCookiebotDialogBodyUnderlay', '#CookiebotWidget'],
+    globals: ['Cookiebot'],
+    scripts: 'consent\\.cookiebot\\.(com|eu)|consentcdn\\.cookiebot',
+    rejectButtons: ['#CybotCookiebotDialogBodyButtonDecline', '#CybotCookiebotDialogBodyLevelButtonLevelOptinDeclineAll']
+  },
+  {
+    id: 'trustarc',
+    name: 'TrustArc',
+    containers: ['#truste-consent-track', '#consent_blackbar', '#trustarc-banner-overlay', '.truste_overlay', '.truste_box_overlay', 'iframe[src*="consent-pref.trustarc.com"]'],
+    globals: ['truste', 'PrivacyManagerAPI'],
+    scripts: 'consent\\.trustarc\\.com|consent\\.truste\\.com',
+    rejectButtons: ['#truste-consent-required', '#truste-consent-close']
+  },
+  {
+    id: 'didomi',
+    name: 'Didomi',
+    containers: ['#didomi-host', '#didomi-notice', '#didomi-popup', '.didomi-popup-backdrop'],
+    globals: ['Didomi', 'didomiOnReady'],
+    scripts: 'sdk\\.privacy-center\\.org|didomi',
+    rejectButtons: ['#didomi-notice-disagree-button', '.didomi-continue-without-agreeing', 'button[aria-label*="Disagree"]']
+  },
+  {
+    id: 'quantcast',
+    name: 'Quantcast Choice',
+    containers: ['#qc-cmp2-container', '.qc-cmp2-container', '#qc-cmp2-ui', '.qc-cmp-ui-container', '.qc-cmp-cleanslate'],
+    globals: ['__qcCmpApi'],
+    scripts: 'quantcast\\.mgr\\.consensu\\.org|cmp\\.quantcast\\.com|choice\\.quantcast',
+    rejectButtons: ['.qc-cmp2-summary-buttons button[mode="secondary"]', '.qc-cmp2-footer button[mode="secondary"]']
+  }
+];
+
+// Attributes the browser fetch leaves on <html>, so the handling survives in cached HTML
+const PLATFORMS_ATTRIBUTE = 'data-consent-platforms';
+const ACTION_ATTRIBUTE = 'data-consent-action';
+
+// Body classes that lock scrolling while a banner is open
+const SCROLL_LOCK_CLASSES = ['didomi-popup-open', 'qc-cmp-ui-showing', 'ot-overflow-hidden', 'CybotCookiebotDialogActive'];
+
+const describe = (id) => {
+  const platform = CONSENT_PLATFORMS.find(item => item.id === id);
+  return { id, name: platform ? platform.name : id };
+};
+
+/**
+ * Consent platforms used by a page, from its HTML (cheerio instance or
+ * string). Returns `{ platforms: [{ id, name }], action }`, where `action` is
+ * what the browser fetch did about the banner (`dismissed`, `stripped` or
+ * `none`), or null when the page wasn't loaded in a browser.
+ */
+const detectConsentPlatforms = (htmlOrDoc) => {
+  const $ = typeof htmlOrDoc === 'string' ? cheerio.load(htmlOrDoc) : htmlOrDoc;
+  const recorded = $('html').attr(PLATFORMS_ATTRIBUTE);
+
+  if (recorded !== undefined) {
+    return {
+      platforms: recorded.split(',').filter(Boolean).map(describe),
+      action: $('html').attr(ACTION_ATTRIBUTE) || 'none'
+    };
+  }
+
+  const scriptSources = $('script[src]').map((i, el) => $(el).attr('src')).get().join('\n');
+
+  const platforms = CONSENT_PLATFORMS
+    .filter(platform => $(platform.containers.join(', ')).length > 0
+      || new RegExp(platform.scripts, 'i').test(scriptSources))
+    .map(platform => describe(platform.id));
+
+  return { platforms, action: null };
+};
+
+/**
+ * Remove consent overlays from parsed HTML, for pages fetched without a browser
+ */
+const stripConsentMarkup = ($) => {
+  $(CONSENT_PLATFORMS.flatMap(platform => platform.containers).join(', ')).remove();
+};
+
+/**
+ * Detect consent platforms on a loaded page, decline optional cookies where
+ * a reject button is shown, then remove every overlay and scroll lock so the
+ * policy is read without them. Never fails the fetch.
+ */
+const handleConsentBanners = async (page) => {
+  try {
+    const detected = await page.evaluate((platforms) => {
+      const scriptSources = Array.from(document.scripts).map(script => script.src).join('\n');
+
+      return platforms
+        .filter(platform => document.querySelector(platform.containers.join(', '))
+          || new RegExp(platform.scripts, 'i').test(scriptSources)
+          || platform.globals.some(name => window[name] !== undefined))
+        .map(platform => platform.id);
+    }, CONSENT_PLATFORMS);
+
+    let action = 'none';
+
+    for (const id of detected) {
+      const platform = CONSENT_PLATFORMS.find(item => item.id === id);
+
+      for (const selector of platform.rejectButtons) {
+        const button = await page.$(selector);
+        if (!button) continue;
+
+        // Hidden buttons belong to a closed banner or a collapsed preference centre
+        const visible = await button.isVisible().catch(() => false);
+        if (!visible) continue;
+
+        await button.click().catch(() => {});
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        action = 'dismissed';
+        break;
+      }
+    }
+
+    const removed = await page.evaluate((platforms, lockClasses, platformsAttribute, actionAttribute, found, clicked) => {
+      let count = 0;
+
+      platforms.forEach(platform => {
+        document.querySelectorAll(platform.containers.join(', ')).forEach(el => {
+          el.remove();
+          count++;
+        });
+      });
+
+      // Undo scroll locks left behind by the banners
+      if (found.length > 0 || count > 0) {
+        [document.documentElement, document.body].filter(Boolean).forEach(el => {
+          el.classList.remove(...lockClasses);
+          el.style.removeProperty('overflow');
+          el.style.removeProperty('position');
+        });
+      }
+
+      document.documentElement.setAttribute(platformsAttribute, found.join(','));
+      document.documentElement.setAttribute(actionAttribute, clicked === 'dismissed' ? clicked : (count > 0 ? 'stripped' : 'none'));
+
+      return count;
+    }, CONSENT_PLATFORMS, SCROLL_LOCK_CLASSES, PLATFORMS_ATTRIBUTE, ACTION_ATTRIBUTE, detected, action);
+
+    if (action === 'none' && removed > 0) action = 'stripped';
+
+    if (detected.length > 0) {
+      logger.info(`Consent platform(s) ${detected.join(', ')} on ${page.url()}: ${action}`);
+    }
+
+    return { platforms: detected.map(describe), action };
+  } catch (error) {
+    logger.warn(`Could not handle consent banners on ${page.url()}: ${error.message}`);
+    return { platforms: [], action: 'none' };
+  }
+};
+
+module.exports = {
+  CONSENT_PLATFORMS,
+  detectConsentPlatforms,
+  stripConsentMarkup,
+  handleConsentBanners
+};
@@ -0,0 +1,148 @@
+// src/utils/digestBuilder.js
+
+/**
+ * Escape text for the HTML version of a digest
+ */
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * JSONB columns may come back parsed or as strings
+ */
+const parseList = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Red flags of the new version that the previous version didn't have
+ */
+const newRedFlags = (flags, previousFlags) => {
+  const previous = new Set(parseList(previousFlags).map(flag => String(flag).trim().toLowerCase()));
+  return parseList(flags).filter(flag => !previous.has(String(flag).trim().toLowerCase()));
+};
+
+/**
+ * Turn a policy analytics event into a digest item, or null if there is
+ * nothing worth reporting
+ */
+const toDigestItem = (event) => {
+  const data = event.data || {};
+  const score = data.score ?? null;
+  const previousScore = data.previousScore ?? null;
+  const scoreDrop = score !== null && previousScore !== null && score < previousScore
+    ? previousScore - score
+    : 0;
+  const redFlags = event.event_type === 'policy_created' ? [] : newRedFlags(event.red_flags, event.previous_red_flags);
+
+  const item = {
+    domain: data.domain || event.followed_domain,
+    title: event.title || data.domain,
+    url: event.url || data.url,
+    policyId: data.policyId,
+    at: event.created_at,
+    score,
+    previousScore,
+    scoreDrop,
+    newRedFlags: redFlags,
+    changes: []
+  };
+
+  if (event.event_type === 'policy_created') {
+    item.changes.push(score !== null ? `First analysis, scored ${score}/100` : 'First analysis');
+    return item;
+  }
+
+  if (event.event_type === 'policy_updated') {
+    const summary = data.changeSummary;
+    const detail = summary
+      ? ` (${summary.added} added, ${summary.removed} removed, ${summary.modified} modified clauses)`
+      : '';
+    item.changes.push(`${data.materialChange ? 'Material policy change' : 'Minor policy change'}${detail}`);
+  }
+
+  if (scoreDrop > 0) {
+    item.changes.push(`Score dropped from ${previousScore} to ${score}`);
+  }
+
+  if (redFlags.length > 0) {
+    item.changes.push(`${redFlags.length} new red flag${redFlags.length === 1 ? '' : 's'}`);
+  }
+
+  // A re-analysis of the same text is only news if it got worse
+  return item.changes.length > 0 ? item : null;
+};
+
+/**
+ * Build the subject and plain-text and HTML bodies of a digest from the
+ * policy events of a user's followed domains
+ */
+const buildDigest = (events, { name, frequency }) => {
+  const items = events.map(toDigestItem).filter(Boolean);
+
+  const byDomain = new Map();
+  items.forEach(item => {
+    if (!byDomain.has(item.domain)) byDomain.set(item.domain, []);
+    byDomain.get(item.domain).push(item);
+  });
+
+  const period = frequency === 'weekly' ? 'weekly' : 'daily';
+  const material = items.filter(item => item.changes.some(change => change.startsWith('Material'))).length;
+  const subject = `Your ${period} privacy policy digest: ${items.length} update${items.length === 1 ? '' : 's'}`
+    + (material > 0 ? `, ${material} material` : '');
+
+  const textLines = [`Hi ${name || 'there'},`, '', `Here is what changed in the privacy policies you follow:`, ''];
+  const htmlParts = [
+    `<p>Hi ${escapeHtml(name || 'there')},</p>`,
+    '<p>Here is what changed in the privacy policies you follow:</p>'
+  ];
+
+  byDomain.forEach((domainItems, domain) => {
+    textLines.push(domain.toUpperCase());
+    htmlParts.push(`<h2>${escapeHtml(domain)}</h2>`);
+
+    domainItems.forEach(item => {
+      textLines.push(`- ${item.title}: ${item.changes.join('; ')}`);
+      item.newRedFlags.forEach(flag => textLines.push(`    ! ${flag}`));
+      if (item.url) textLines.push(`  ${item.url}`);
+
+      htmlParts.push(
+        `<p><strong>${escapeHtml(item.title)}</strong>: ${escapeHtml(item.changes.join('; '))}`
+        + (item.url ? `<br><a href="${escapeHtml(item.url)}">${escapeHtml(item.url)}</a>` : '')
+        + '</p>'
+      );
+
+      if (item.newRedFlags.length > 0) {
+        htmlParts.push(`<ul>${item.newRedFlags.map(flag => `<li>${escapeHtml(flag)}</li>`).join('')}</ul>`);
+      }
+    });
+
+    textLines.push('');
+  });
+
+  const footer = 'You receive this digest because of your notification settings. Set digestFrequency to "off" in your profile to stop it.';
+  textLines.push(footer);
+  htmlParts.push(`<p style="color:#666;font-size:12px">${escapeHtml(footer)}</p>`);
+
+  return {
+    itemCount: items.length,
+    items,
+    subject,
+    text: textLines.join('\n'),
+    html: htmlParts.join('\n')
+  };
+};
+
+module.exports = {
+  buildDigest
+};
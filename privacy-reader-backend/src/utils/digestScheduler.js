@@ -0,0 +1,122 @@
+// src/utils/digestScheduler.js
+const notificationModel = require('../models/notificationModel');
+const mailer = require('./mailer');
+const { buildDigest } = require('./digestBuilder');
+const { logger } = require('../middleware/errorHandler');
+
+/**
+ * Periodically emails daily and weekly digests of policy changes, score
+ * drops and new red flags for the domains each user follows. Periods are
+ * claimed in the database, so several instances never send the same digest.
+ */
+class DigestScheduler {
+  constructor() {
+    this.timer = null;
+    this.sending = false;
+    this.enabled = process.env.DIGEST_ENABLED !== 'false';
+    this.tickIntervalMs = parseInt(process.env.DIGEST_TICK_INTERVAL_MS, 10) || 15 * 60 * 1000;
+    this.batchSize = parseInt(process.env.DIGEST_BATCH_SIZE, 10) || 50;
+    this.lastRunAt = null;
+    this.stats = { sent: 0, skipped: 0, failed: 0 };
+  }
+
+  /**
+   * Start sending due digests
+   */
+  start() {
+    if (!this.enabled) {
+      logger.info('Digest scheduler disabled (DIGEST_ENABLED=false)');
+      return;
+    }
+
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.sendDueDigests(), this.tickIntervalMs);
+    this.sendDueDigests();
+    logger.info(`Digest scheduler started (every ${Math.round(this.tickIntervalMs / 1000)}s, transport: ${mailer.transportName})`);
+  }
+
+  /**
+   * Stop sending digests
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Send a digest to every user whose period has ended
+   */
+  async sendDueDigests() {
+    if (this.sending) return;
+    this.sending = true;
+
+    try {
+      const due = await notificationModel.getDueDigests(this.batchSize);
+
+      for (const recipient of due) {
+        await this.sendDigest(recipient);
+      }
+
+      this.lastRunAt = new Date();
+    } catch (error) {
+      logger.error('Error sending digests:', error);
+    } finally {
+      this.sending = false;
+    }
+  }
+
+  /**
+   * Build and send one user's digest. Empty digests are skipped; failed ones
+   * are retried on the next run.
+   */
+  async sendDigest({ user_id: userId, email, name, digest_frequency: frequency, last_digest_at: periodStart }) {
+    const periodEnd = await notificationModel.claimDigest(userId, periodStart);
+    if (!periodEnd) return;
+
+    const record = { userId, frequency, periodStart, periodEnd, itemCount: 0 };
+
+    try {
+      const events = await notificationModel.getDigestEvents(userId, periodStart, periodEnd);
+      const digest = buildDigest(events, { name, frequency });
+      record.itemCount = digest.itemCount;
+
+      if (digest.itemCount === 0) {
+        await notificationModel.recordDigest({ ...record, status: 'skipped' });
+        this.stats.skipped++;
+        return;
+      }
+
+      await mailer.send({ to: email, subject: digest.subject, text: digest.text, html: digest.html });
+
+      await notificationModel.recordDigest({ ...record, status: 'sent' });
+      this.stats.sent++;
+    } catch (error) {
+      logger.error(`Error sending ${frequency} digest to user ${userId}:`, error);
+      await notificationModel.releaseDigest(userId, periodEnd, periodStart);
+      await notificationModel.recordDigest({ ...record, status: 'failed', error: error.message });
+      this.stats.failed++;
+    }
+  }
+
+  /**
+   * Get scheduler stats
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      running: !!this.timer,
+      transport: mailer.transportName,
+      tickIntervalMs: this.tickIntervalMs,
+      lastRunAt: this.lastRunAt,
+      ...this.stats
+    };
+  }
+}
+
+// Export singleton instance
+const digestScheduler = new DigestScheduler();
+
+module.exports = digestScheduler;
@@ -0,0 +1,209 @@
+// src/utils/documentExtractor.js
+const crypto = require('crypto');
+const mammoth = require('mammoth');
+const { PDFParse } = require('pdf-parse');
+const { extractStructuredText, extractMetadata } = require('./policyExtractor');
+const { truncateStructure } = require('./documentStructure');
+const { detectLanguage } = require('./languageDetector');
+const { logger, ValidationError } = require('../middleware/errorHandler');
+
+// Scheme of the synthetic source identifiers stored in place of a URL
+const SOURCE_SCHEME = 'document://';
+
+// Same limit processPrivacyPolicy applies to fetched policies
+const MAX_TEXT_LENGTH = 100000;
+
+/**
+ * Supported upload types, matched by file extension first and MIME type second
+ */
+const DOCUMENT_TYPES = {
+  pdf: {
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf']
+  },
+  docx: {
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+  },
+  html: {
+    extensions: ['.html', '.htm'],
+    mimeTypes: ['text/html', 'application/xhtml+xml']
+  },
+  text: {
+    extensions: ['.txt', '.md'],
+    mimeTypes: ['text/plain', 'text/markdown']
+  }
+};
+
+/**
+ * Work out the document type of an uploaded file
+ */
+const detectDocumentType = (file) => {
+  const name = (file.originalname || '').toLowerCase();
+
+  const byExtension = Object.keys(DOCUMENT_TYPES)
+    .find(type => DOCUMENT_TYPES[type].extensions.some(extension => name.endsWith(extension)));
+
+  if (byExtension) {
+    return byExtension;
+  }
+
+  return Object.keys(DOCUMENT_TYPES)
+    .find(type => DOCUMENT_TYPES[type].mimeTypes.includes(file.mimetype)) || null;
+};
+
+/**
+ * Escape text for use inside HTML elements
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Wrap plain text in minimal HTML so it can go through the same extraction
+ * as fetched pages. A short first line is treated as the title.
+ */
+const textToHtml = (text) => {
+  const paragraphs = text
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean);
+
+  if (paragraphs.length === 0) {
+    return '<html><body></body></html>';
+  }
+
+  const [first, ...rest] = paragraphs;
+  const heading = first.length <= 120 && !first.includes('\n')
+    ? `<h1>${escapeHtml(first)}</h1>`
+    : `<p>${escapeHtml(first)}</p>`;
+
+  // Newlines keep words of adjacent elements apart in the extracted text
+  return `<html><body>${heading}\n${rest.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n')}</body></html>`;
+};
+
+/**
+ * Build the synthetic source identifier for a document. Named documents keep
+ * the same identifier across uploads, so a new draft becomes a new version of
+ * the same policy; unnamed ones are identified by a hash of their content.
+ */
+const buildSourceId = (name, content) => {
+  const slug = (name || '')
+    .toLowerCase()
+    .replace(/\.[a-z0-9]+$/, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+
+  if (slug) {
+    return `${SOURCE_SCHEME}${slug}`;
+  }
+
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+  return `${SOURCE_SCHEME}sha256-${hash.slice(0, 16)}`;
+};
+
+/**
+ * Convert an uploaded file to HTML
+ */
+const fileToHtml = async (file, type) => {
+  switch (type) {
+    case 'pdf': {
+      const parser = new PDFParse({ data: file.buffer });
+      try {
+        // Join pages with a paragraph break instead of the default page markers
+        const result = await parser.getText({ pageJoiner: '\n\n' });
+        return textToHtml(result.text || '');
+      } finally {
+        await parser.destroy();
+      }
+    }
+
+    case 'docx': {
+      const { value, messages } = await mammoth.convertToHtml({ buffer: file.buffer });
+      if (messages.length > 0) {
+        logger.debug(`DOCX conversion of ${file.originalname} reported ${messages.length} message(s)`);
+      }
+      return `<html><body>${value}</body></html>`;
+    }
+
+    case 'html':
+      return file.buffer.toString('utf8');
+
+    default:
+      return textToHtml(file.buffer.toString('utf8'));
+  }
+};
+
+/**
+ * Extract policy data from pasted text, pasted HTML or an uploaded file
+ * (PDF, DOCX, HTML or plain text). Returns the same shape as
+ * processPrivacyPolicy, with a synthetic source identifier as the URL.
+ */
+const extractDocument = async ({ text, html, file, name, domain, company }) => {
+  const startTime = Date.now();
+  let sourceType;
+  let htmlContent;
+
+  if (file) {
+    sourceType = detectDocumentType(file);
+
+    if (!sourceType) {
+      throw new ValidationError(`Unsupported file type: ${file.originalname || file.mimetype}. Upload a PDF, DOCX, HTML or text file.`);
+    }
+
+    try {
+      htmlContent = await fileToHtml(file, sourceType);
+    } catch (error) {
+      logger.error(`Error reading uploaded ${sourceType} file ${file.originalname}:`, error);
+      throw new ValidationError(`Could not read the uploaded ${sourceType.toUpperCase()} file: ${error.message}`);
+    }
+  } else if (html) {
+    sourceType = 'html';
+    htmlContent = html;
+  } else if (text) {
+    sourceType = 'text';
+    htmlContent = textToHtml(text);
+  } else {
+    throw new ValidationError('Provide policy text, HTML or a file to analyze');
+  }
+
+  const sourceId = buildSourceId(name || file?.originalname, htmlContent);
+  const { text: extractedText, structure } = extractStructuredText(htmlContent, sourceId);
+  const metadata = extractMetadata(htmlContent, sourceId);
+
+  if (!extractedText || extractedText.length < 200) {
+    throw new ValidationError('Insufficient text content in the document (at least 200 characters are needed)');
+  }
+
+  // Limit text length for API processing
+  const truncatedText = extractedText.length > MAX_TEXT_LENGTH
+    ? extractedText.slice(0, MAX_TEXT_LENGTH) + '... [text truncated due to length]'
+    : extractedText;
+
+  const processingTime = Date.now() - startTime;
+  logger.info(`Extracted ${extractedText.length} characters from ${sourceType} document ${sourceId} in ${processingTime}ms`);
+
+  return {
+    url: sourceId,
+    domain: domain || 'document',
+    title: metadata.title,
+    // Company can't be derived from a synthetic identifier, so only an explicit one is used
+    company: company || null,
+    lastUpdated: metadata.lastUpdated,
+    language: detectLanguage(extractedText).language,
+    text: truncatedText,
+    structure: truncateStructure(structure, MAX_TEXT_LENGTH),
+    extractionMethod: sourceType,
+    fileName: file?.originalname || null,
+    processingTime
+  };
+};
+
+module.exports = {
+  SOURCE_SCHEME,
+  DOCUMENT_TYPES,
+  extractDocument
+};
@@ -0,0 +1,401 @@
+// src/utils/documentStructure.js
+const { splitIntoSections } = require('./textChunker');
+
+// Version of the tree format, stored with every tree
+const STRUCTURE_VERSION = 1;
+
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const TEXT_BLOCK_TAGS = new Set(['p', 'blockquote', 'pre', 'address', 'dt', 'dd', 'summary', 'figcaption', 'caption']);
+const CONTAINER_TAGS = new Set([
+  'div', 'section', 'article', 'main', 'aside', 'header', 'footer', 'nav', 'body', 'html',
+  'dl', 'details', 'figure', 'form', 'fieldset', 'hgroup', 'center', 'li', 'td', 'th', 'tr', 'tbody', 'thead'
+]);
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'button', 'select', 'input', 'img']);
+
+const cleanText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Whether an element contains block-level content (so it must be walked
+ * rather than read as one paragraph)
+ */
+const hasBlockContent = ($, el) => {
+  return $(el).find('p, h1, h2, h3, h4, h5, h6, ul, ol, table, div, section, article, blockquote, dl, pre').length > 0;
+};
+
+/**
+ * Bold-only short paragraphs ("<p><strong>3. Sharing</strong></p>") are
+ * headings on many sites that don't use heading tags
+ */
+const isPseudoHeading = ($, el, text) => {
+  if (text.length > 100 || /[,;]$/.test(text)) return false;
+
+  const bold = $(el).children('strong, b');
+  return bold.length === 1 && cleanText(bold.text()) === text;
+};
+
+/**
+ * Items of a list; nested lists become items one level deeper
+ */
+const readListItems = ($, list, depth = 0) => {
+  const items = [];
+
+  $(list).children('li').each((i, li) => {
+    const item = $(li).clone();
+    item.find('ul, ol').remove();
+
+    const text = cleanText(item.text());
+    if (text) items.push({ text, depth });
+
+    $(li).children('ul, ol').each((j, nested) => {
+      items.push(...readListItems($, nested, depth + 1));
+    });
+  });
+
+  return items;
+};
+
+/**
+ * Rows of a table as arrays of cell text
+ */
+const readTableRows = ($, table) => {
+  const rows = [];
+
+  $(table).find('tr').each((i, tr) => {
+    const cells = $(tr).children('th, td').map((j, cell) => cleanText($(cell).text())).get();
+    if (cells.some(Boolean)) rows.push(cells);
+  });
+
+  return rows;
+};
+
+/**
+ * Walk an element in document order and collect its blocks: headings,
+ * paragraphs, lists and tables. Loose inline text is gathered into paragraphs.
+ */
+const collectBlocks = ($, root, blocks = []) => {
+  let inline = '';
+
+  const flush = () => {
+    const text = cleanText(inline);
+    if (text) blocks.push({ type: 'paragraph', text });
+    inline = '';
+  };
+
+  $(root).contents().each((i, node) => {
+    if (node.type === 'text') {
+      inline += node.data;
+      return;
+    }
+
+    if (node.type !== 'tag') return;
+
+    const tag = node.name.toLowerCase();
+
+    if (SKIPPED_TAGS.has(tag)) return;
+
+    if (tag === 'br') {
+      inline += ' ';
+      return;
+    }
+
+    if (HEADING_TAGS.has(tag)) {
+      flush();
+      const text = cleanText($(node).text());
+      if (text) blocks.push({ type: 'heading', level: Number(tag[1]), text });
+      return;
+    }
+
+    if (tag === 'ul' || tag === 'ol') {
+      flush();
+      const items = readListItems($, node);
+      if (items.length > 0) blocks.push({ type: 'list', ordered: tag === 'ol', items });
+      return;
+    }
+
+    if (tag === 'table') {
+      flush();
+      const rows = readTableRows($, node);
+      if (rows.length > 0) blocks.push({ type: 'table', rows });
+      return;
+    }
+
+    if (TEXT_BLOCK_TAGS.has(tag) && !hasBlockContent($, node)) {
+      flush();
+      const text = cleanText($(node).text());
+      if (!text) return;
+
+      blocks.push(isPseudoHeading($, node, text)
+        ? { type: 'heading', level: null, text }
+        : { type: 'paragraph', text });
+      return;
+    }
+
+    if (CONTAINER_TAGS.has(tag) || TEXT_BLOCK_TAGS.has(tag) || hasBlockContent($, node)) {
+      flush();
+      collectBlocks($, node, blocks);
+      return;
+    }
+
+    // Inline element (link, emphasis, span...)
+    inline += $(node).text();
+  });
+
+  flush();
+  return blocks;
+};
+
+/**
+ * URL-style slug of a heading, for section IDs. Section numbers are left out
+ * so renumbered sections keep their IDs.
+ */
+const slugify = (text) => {
+  return text
+    .replace(/^\s*(?:section\s+)?\d+(?:\.\d+)*[.):]?\s+/i, '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+};
+
+/**
+ * Lay out blocks as text and build the section tree over it. Sections nest by
+ * heading level; each node records its `start` and `end` offsets in the text.
+ * Section IDs come from the heading (numbered when repeated) and block IDs
+ * from their section and position (`<section>--<n>`), so unchanged sections
+ * keep their IDs across policy versions.
+ */
+const buildTree = (blocks) => {
+  const parts = [];
+  let length = 0;
+
+  const append = (value) => {
+    if (parts.length > 0) {
+      parts.push('\n\n');
+      length += 2;
+    }
+    const start = length;
+    parts.push(value);
+    length += value.length;
+    return { start, end: length };
+  };
+
+  const root = { id: 'preamble', level: 0, children: [] };
+  const stack = [root];
+  const usedIds = new Map([['preamble', 1]]);
+  let lastLevel = 0;
+
+  const uniqueId = (base) => {
+    const count = (usedIds.get(base) || 0) + 1;
+    usedIds.set(base, count);
+    return count === 1 ? base : `${base}-${count}`;
+  };
+
+  blocks.forEach(block => {
+    if (block.type === 'heading') {
+      // Bold-text headings sit one level below the last real heading
+      const level = block.level || Math.min(lastLevel + 1, 6);
+      if (block.level) lastLevel = block.level;
+
+      while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+        stack.pop();
+      }
+
+      const { start, end } = append(block.text);
+      const section = {
+        id: uniqueId(slugify(block.text) || 'section'),
+        type: 'section',
+        level,
+        heading: block.text,
+        start,
+        end,
+        children: []
+      };
+
+      stack[stack.length - 1].children.push(section);
+      stack.push(section);
+      return;
+    }
+
+    const parent = stack[stack.length - 1];
+    // Slugs never contain "--", so block IDs can't clash with section IDs
+    const id = `${parent.id}--${parent.children.filter(child => child.type !== 'section').length + 1}`;
+    let node;
+
+    if (block.type === 'list') {
+      const items = [];
+      let listStart = null;
+      let number = 0;
+
+      block.items.forEach((item, i) => {
+        if (item.depth === 0) number++;
+        const marker = block.ordered && item.depth === 0 ? `${number}. ` : '- ';
+        const indent = '  '.repeat(item.depth);
+        // Items are separated by single newlines
+        if (i > 0) {
+          parts.push('\n');
+          length += 1;
+        } else if (parts.length > 0) {
+          parts.push('\n\n');
+          length += 2;
+        }
+        parts.push(indent + marker);
+        length += indent.length + marker.length;
+
+        const start = length;
+        parts.push(item.text);
+        length += item.text.length;
+
+        if (listStart === null) listStart = start - indent.length - marker.length;
+        items.push({ id: `${id}-${i + 1}`, text: item.text, depth: item.depth, start, end: length });
+      });
+
+      node = { id, type: 'list', ordered: block.ordered, start: listStart, end: length, items };
+    } else if (block.type === 'table') {
+      const { start, end } = append(block.rows.map(row => row.join(' | ')).join('\n'));
+      node = { id, type: 'table', rows: block.rows, start, end };
+    } else {
+      const { start, end } = append(block.text);
+      node = { id, type: 'paragraph', text: block.text, start, end };
+    }
+
+    parent.children.push(node);
+    // Every open section now extends to the end of this block
+    stack.slice(1).forEach(section => { section.end = node.end; });
+  });
+
+  return {
+    text: parts.join(''),
+    structure: { version: STRUCTURE_VERSION, source: 'html', nodes: root.children }
+  };
+};
+
+/**
+ * Build the structured text and document tree of a content element (or a
+ * list of paragraph elements)
+ */
+const segmentElements = ($, elements) => {
+  const blocks = [];
+  $(elements).each((i, el) => collectBlocks($, el, blocks));
+  return buildTree(blocks);
+};
+
+/**
+ * Best-effort tree for text that was stored without one: paragraphs split at
+ * blank lines or heading-like boundaries, with no sections
+ */
+const segmentPlainText = (text) => {
+  const nodes = splitIntoSections(text || '').map((section, i) => {
+    const leading = section.text.length - section.text.trimStart().length;
+    const body = section.text.trim();
+
+    return {
+      id: `preamble--${i + 1}`,
+      type: 'paragraph',
+      text: body,
+      start: section.start + leading,
+      end: section.start + leading + body.length
+    };
+  });
+
+  return { version: STRUCTURE_VERSION, source: 'text', nodes };
+};
+
+/**
+ * Visit every node of a tree, depth first
+ */
+const walkNodes = (nodes, visit, ancestors = []) => {
+  nodes.forEach(node => {
+    visit(node, ancestors);
+    if (node.children) walkNodes(node.children, visit, [...ancestors, node]);
+  });
+};
+
+/**
+ * Drop the parts of a tree past `limit` characters, for truncated text
+ */
+const truncateStructure = (structure, limit) => {
+  const prune = (nodes) => nodes
+    .filter(node => node.start < limit)
+    .map(node => {
+      const pruned = { ...node, end: Math.min(node.end, limit) };
+      if (node.children) pruned.children = prune(node.children);
+      if (node.items) pruned.items = node.items.filter(item => item.start < limit);
+      if (node.type === 'paragraph' && node.end > limit) pruned.text = node.text.slice(0, limit - node.start);
+      return pruned;
+    });
+
+  return { ...structure, nodes: prune(structure.nodes) };
+};
+
+/**
+ * Move a tree's offsets by `offset` characters and prefix its IDs, to place
+ * a linked document's tree inside the combined text
+ */
+const shiftStructure = (nodes, offset, idPrefix) => nodes.map(node => ({
+  ...node,
+  id: `${idPrefix}${node.id}`,
+  start: node.start + offset,
+  end: node.end + offset,
+  ...(node.children && { children: shiftStructure(node.children, offset, idPrefix) }),
+  ...(node.items && {
+    items: node.items.map(item => ({ ...item, id: `${idPrefix}${item.id}`, start: item.start + offset, end: item.end + offset }))
+  })
+}));
+
+/**
+ * Attach each citation to the innermost node and the section that contain it
+ */
+const annotateCitations = (structure, citations = []) => {
+  const located = [];
+  walkNodes(structure.nodes, (node, ancestors) => {
+    located.push({ node, ancestors });
+  });
+
+  return citations.map(citation => {
+    let best = null;
+
+    located.forEach(entry => {
+      const { node } = entry;
+      if (citation.start >= node.start && citation.start < node.end
+        && (!best || node.end - node.start <= best.node.end - best.node.start)) {
+        best = entry;
+      }
+    });
+
+    if (!best) {
+      return { ...citation, nodeId: null, sectionId: null };
+    }
+
+    const sections = [...best.ancestors, best.node].filter(node => node.type === 'section');
+    return {
+      ...citation,
+      nodeId: best.node.id,
+      sectionId: sections.length > 0 ? sections[sections.length - 1].id : null
+    };
+  });
+};
+
+/**
+ * Table of contents of a tree: the sections with their IDs and nesting
+ */
+const tableOfContents = (nodes) => nodes
+  .filter(node => node.type === 'section' || node.type === 'document')
+  .map(node => ({
+    id: node.id,
+    heading: node.heading || node.title,
+    level: node.level ?? 0,
+    children: tableOfContents(node.children || [])
+  }));
+
+module.exports = {
+  STRUCTURE_VERSION,
+  segmentElements,
+  segmentPlainText,
+  truncateStructure,
+  shiftStructure,
+  annotateCitations,
+  tableOfContents
+};
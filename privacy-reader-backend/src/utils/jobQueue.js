@@ -0,0 +1,276 @@
+// src/utils/jobQueue.js
+const EventEmitter = require('events');
+const jobModel = require('../models/jobModel');
+const { logger } = require('../middleware/errorHandler');
+
+/**
+ * Progress reported for each stage of a job
+ */
+const STAGE_PROGRESS = {
+  queued: 0,
+  fetching: 10,
+  extracting: 30,
+  analyzing: 50,
+  saving: 90,
+  scanning: 95,
+  done: 100
+};
+
+/**
+ * Thrown inside a job handler when the job has been cancelled
+ */
+class JobCancelledError extends Error {
+  constructor(message = 'Job was cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Job states after which no more events are emitted
+ */
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Postgres-backed job queue. Polls for queued jobs and runs them with the
+ * handler registered for their type. Events for jobs run by this process are
+ * emitted as `job:<id>` with `{ type, data, timestamp }`, and every finished
+ * job as `finished` with `{ job, status, result, error }`.
+ */
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.handlers = {};
+    this.running = 0;
+    this.timer = null;
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000;
+    // Running jobs that haven't reported progress for this long are requeued
+    this.staleAfterMs = parseInt(process.env.JOB_STALE_AFTER_MS, 10) || 10 * 60 * 1000;
+    // Jobs interrupted or failing temporarily this many times (e.g. because
+    // they crash the worker) fail instead
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+    // First wait before a temporarily failed job is retried; doubles with each attempt
+    this.retryDelayMs = parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 30 * 1000;
+    this.staleCheckIntervalMs = Math.min(this.staleAfterMs, 60 * 1000);
+    this.lastStaleCheck = 0;
+  }
+
+  /**
+   * Register the handler for a job type. Handlers receive the job and a
+   * context with `reportProgress(stage)`, which throws JobCancelledError once
+   * the job has been cancelled, and `emitEvent(type, data)` for details.
+   */
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Add a job to the queue
+   */
+  async enqueue(type, jobData = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`No handler registered for job type ${type}`);
+    }
+
+    const job = await jobModel.createJob({ type, ...jobData });
+    logger.info(`Queued ${type} job ${job.id}`);
+
+    // Pick the job up right away if a worker slot is free
+    setImmediate(() => this.poll());
+
+    return job;
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  async start() {
+    if (this.timer) return;
+
+    await this.recoverStaleJobs();
+
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    logger.info(`Job queue started (concurrency: ${this.concurrency})`);
+  }
+
+  /**
+   * Stop polling. Jobs already running are left to finish.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Requeue jobs interrupted by a restart or crash, here or on another
+   * server instance, and fail those interrupted too often. Jobs that end
+   * here get their final events like jobs that finish normally.
+   */
+  async recoverStaleJobs() {
+    this.lastStaleCheck = Date.now();
+
+    let recovered;
+    try {
+      recovered = await jobModel.requeueStaleJobs(this.staleAfterMs, this.maxAttempts);
+    } catch (error) {
+      logger.error('Could not requeue interrupted jobs:', error);
+      return;
+    }
+
+    const requeued = recovered.filter(job => job.status === 'queued');
+    if (requeued.length > 0) {
+      logger.warn(`Requeued ${requeued.length} interrupted job(s)`);
+    }
+
+    recovered.filter(job => job.status !== 'queued').forEach(job => {
+      logger.warn(`Job ${job.id} was interrupted after ${job.attempts} attempt(s), marking it ${job.status}`);
+      const error = job.status === 'failed' ? new Error(job.error) : new JobCancelledError();
+      this.emit(`job:${job.id}`, { type: job.status, data: { error: error.message }, timestamp: new Date().toISOString() });
+      this.emit('finished', { job, status: job.status, result: null, error });
+    });
+  }
+
+  /**
+   * Claim and run queued jobs while worker slots are free. Also looks for
+   * interrupted jobs every staleCheckIntervalMs.
+   */
+  async poll() {
+    const types = Object.keys(this.handlers);
+    if (types.length === 0) return;
+
+    if (Date.now() - this.lastStaleCheck >= this.staleCheckIntervalMs) {
+      await this.recoverStaleJobs();
+    }
+
+    while (this.running < this.concurrency) {
+      // Reserve the slot before the async claim so concurrent polls can't overshoot
+      this.running++;
+
+      let job;
+      try {
+        job = await jobModel.claimNextJob(types);
+      } catch (error) {
+        this.running--;
+        return;
+      }
+
+      if (!job) {
+        this.running--;
+        return;
+      }
+
+      this.runJob(job).finally(() => {
+        this.running--;
+      });
+    }
+  }
+
+  /**
+   * Run a claimed job and record its outcome
+   */
+  async runJob(job) {
+    const handler = this.handlers[job.type];
+    const startTime = Date.now();
+    logger.info(`Running ${job.type} job ${job.id}`);
+
+    const emitEvent = (type, data = {}) => {
+      this.emit(`job:${job.id}`, { type, data, timestamp: new Date().toISOString() });
+    };
+
+    const reportProgress = async (stage) => {
+      const progress = STAGE_PROGRESS[stage] ?? 0;
+      const updated = await jobModel.updateJobProgress(job.id, stage, progress);
+      if (updated?.cancel_requested) {
+        throw new JobCancelledError();
+      }
+      emitEvent('stage', { stage, progress });
+    };
+
+    // Keep long stages (e.g. AI analysis) from looking stale to other workers
+    const heartbeat = setInterval(() => jobModel.touchJob(job.id), Math.max(this.staleAfterMs / 3, 1000));
+
+    try {
+      const result = await handler(job, { reportProgress, emitEvent });
+      await jobModel.completeJob(job.id, result);
+      logger.info(`Job ${job.id} completed in ${Date.now() - startTime}ms`);
+      emitEvent('completed', result);
+      this.emit('finished', { job, status: 'completed', result, error: null });
+    } catch (error) {
+      // Temporary failures (errors flagged `retryable`, e.g. AI rate limits) are tried again later
+      if (error.retryable && job.attempts < this.maxAttempts && await this.retryJob(job, error)) {
+        return;
+      }
+
+      const status = error instanceof JobCancelledError ? 'cancelled' : 'failed';
+
+      if (status === 'cancelled') {
+        logger.info(`Job ${job.id} cancelled`);
+      } else {
+        logger.error(`Job ${job.id} failed after ${Date.now() - startTime}ms:`, error);
+      }
+
+      try {
+        await jobModel.finishJobWithError(job.id, status, error.message);
+      } catch (recordError) {
+        logger.error(`Could not record outcome of job ${job.id}:`, recordError);
+      }
+
+      emitEvent(status, { error: error.message });
+      this.emit('finished', { job, status, result: null, error });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Requeue a job after a temporary failure, waiting as long as the error asks
+   * (`retryAfterMs`) or backing off exponentially. Returns false if the job
+   * couldn't be requeued, so it is failed instead.
+   */
+  async retryJob(job, error) {
+    const delayMs = error.retryAfterMs ?? this.retryDelayMs * 2 ** (job.attempts - 1);
+
+    try {
+      if (!await jobModel.retryJob(job.id, delayMs, error.message)) {
+        return false;
+      }
+    } catch (retryError) {
+      logger.error(`Could not requeue job ${job.id} for retry:`, retryError);
+      return false;
+    }
+
+    logger.warn(`Job ${job.id} failed temporarily (attempt ${job.attempts} of ${this.maxAttempts}), retrying in ${Math.round(delayMs / 1000)}s: ${error.message}`);
+    this.emit(`job:${job.id}`, {
+      type: 'retrying',
+      data: { error: error.message, attempt: job.attempts, retryInMs: delayMs },
+      timestamp: new Date().toISOString()
+    });
+
+    return true;
+  }
+
+  /**
+   * Get queue stats
+   */
+  getStats() {
+    return {
+      running: this.running,
+      concurrency: this.concurrency,
+      maxAttempts: this.maxAttempts,
+      handlers: Object.keys(this.handlers),
+      polling: !!this.timer
+    };
+  }
+}
+
+// Export singleton instance
+const jobQueue = new JobQueue();
+
+module.exports = jobQueue;
+module.exports.JobCancelledError = JobCancelledError;
+module.exports.STAGE_PROGRESS = STAGE_PROGRESS;
+module.exports.TERMINAL_STATUSES = TERMINAL_STATUSES;
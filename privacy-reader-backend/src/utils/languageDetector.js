@@ -0,0 +1,149 @@
+// src/utils/languageDetector.js
+
+/**
+ * Languages whose policies are detected, with the words used to recognise
+ * them and the privacy vocabulary used by the extraction heuristics.
+ * `stopwords` are common function words, matched as whole words.
+ */
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    stopwords: ['the', 'and', 'of', 'to', 'we', 'you', 'your', 'is', 'that', 'for', 'with', 'this', 'are', 'or', 'by', 'our', 'which', 'may'],
+    urlIndicators: ['privacy', 'data-policy', 'datapolicy', 'gdpr'],
+    titleIndicators: ['privacy', 'policy', 'data', 'personal information', 'cookie', 'gdpr'],
+    contentKeywords: ['we collect', 'information we collect', 'personal data', 'your rights', 'data subject', 'opt out', 'third parties', 'data protection', 'controller', 'processor', 'legal basis'],
+    containerTerms: ['privacy', 'data', 'information', 'collect', 'personal', 'share', 'cookie', 'third party', 'gdpr', 'right', 'access', 'delete', 'retention', 'security', 'protection', 'consent', 'process']
+  },
+  de: {
+    name: 'German',
+    stopwords: ['der', 'die', 'und', 'das', 'ist', 'wir', 'sie', 'ihre', 'nicht', 'mit', 'von', 'zu', 'den', 'dem', 'werden', 'auf', 'für', 'oder'],
+    urlIndicators: ['datenschutz'],
+    titleIndicators: ['datenschutz', 'privatsphäre', 'personenbezogene daten', 'cookie'],
+    contentKeywords: ['personenbezogene daten', 'verantwortlicher', 'auftragsverarbeiter', 'rechtsgrundlage', 'ihre rechte', 'betroffene person', 'widerspruch', 'löschung', 'dritte', 'speicherdauer', 'einwilligung'],
+    containerTerms: ['datenschutz', 'daten', 'personenbezogen', 'verarbeitung', 'erheben', 'weitergabe', 'cookie', 'dritte', 'dsgvo', 'recht', 'auskunft', 'löschung', 'speicherung', 'sicherheit', 'einwilligung', 'verantwortlich']
+  },
+  fr: {
+    name: 'French',
+    stopwords: ['le', 'la', 'les', 'et', 'des', 'est', 'nous', 'vous', 'vos', 'que', 'qui', 'pour', 'dans', 'une', 'sur', 'pas', 'par', 'avec'],
+    urlIndicators: ['confidentialite', 'donnees-personnelles', 'vie-privee'],
+    titleIndicators: ['confidentialité', 'données personnelles', 'vie privée', 'cookie', 'rgpd'],
+    contentKeywords: ['données personnelles', 'responsable du traitement', 'sous-traitant', 'base légale', 'vos droits', 'personne concernée', 'opposition', 'effacement', 'tiers', 'durée de conservation', 'consentement'],
+    containerTerms: ['confidentialité', 'données', 'personnelles', 'traitement', 'collecte', 'partage', 'cookie', 'tiers', 'rgpd', 'droit', 'accès', 'suppression', 'conservation', 'sécurité', 'consentement', 'responsable']
+  },
+  es: {
+    name: 'Spanish',
+    stopwords: ['el', 'la', 'los', 'las', 'y', 'de', 'que', 'en', 'para', 'con', 'sus', 'por', 'una', 'es', 'del', 'se', 'su', 'como'],
+    urlIndicators: ['privacidad', 'proteccion-de-datos', 'aviso-legal'],
+    titleIndicators: ['privacidad', 'protección de datos', 'datos personales', 'cookie'],
+    contentKeywords: ['datos personales', 'responsable del tratamiento', 'encargado del tratamiento', 'base legal', 'sus derechos', 'interesado', 'oposición', 'supresión', 'terceros', 'conservación', 'consentimiento'],
+    containerTerms: ['privacidad', 'datos', 'personales', 'tratamiento', 'recopilar', 'compartir', 'cookie', 'terceros', 'rgpd', 'derecho', 'acceso', 'supresión', 'conservación', 'seguridad', 'consentimiento', 'responsable']
+  },
+  pt: {
+    name: 'Portuguese',
+    stopwords: ['o', 'os', 'e', 'de', 'que', 'em', 'para', 'com', 'não', 'uma', 'seus', 'por', 'dos', 'das', 'ao', 'você', 'são', 'ou'],
+    urlIndicators: ['privacidade', 'protecao-de-dados'],
+    titleIndicators: ['privacidade', 'proteção de dados', 'dados pessoais', 'cookie', 'lgpd'],
+    contentKeywords: ['dados pessoais', 'controlador', 'operador', 'base legal', 'seus direitos', 'titular', 'oposição', 'eliminação', 'terceiros', 'retenção', 'consentimento'],
+    containerTerms: ['privacidade', 'dados', 'pessoais', 'tratamento', 'coletar', 'compartilhar', 'cookie', 'terceiros', 'lgpd', 'direito', 'acesso', 'exclusão', 'retenção', 'segurança', 'consentimento', 'controlador']
+  },
+  it: {
+    name: 'Italian',
+    stopwords: ['il', 'la', 'le', 'e', 'di', 'che', 'per', 'con', 'non', 'una', 'dei', 'delle', 'sono', 'del', 'gli', 'noi', 'suoi', 'nel'],
+    urlIndicators: ['informativa-privacy', 'riservatezza'],
+    titleIndicators: ['informativa', 'riservatezza', 'dati personali', 'cookie'],
+    contentKeywords: ['dati personali', 'titolare del trattamento', 'responsabile del trattamento', 'base giuridica', 'i tuoi diritti', 'interessato', 'opposizione', 'cancellazione', 'terzi', 'conservazione', 'consenso'],
+    containerTerms: ['privacy', 'dati', 'personali', 'trattamento', 'raccogliere', 'condividere', 'cookie', 'terzi', 'gdpr', 'diritto', 'accesso', 'cancellazione', 'conservazione', 'sicurezza', 'consenso', 'titolare']
+  },
+  nl: {
+    name: 'Dutch',
+    stopwords: ['de', 'het', 'een', 'en', 'van', 'wij', 'u', 'uw', 'is', 'dat', 'niet', 'met', 'voor', 'op', 'te', 'worden', 'zijn', 'onze'],
+    urlIndicators: ['privacyverklaring', 'gegevensbescherming'],
+    titleIndicators: ['privacy', 'persoonsgegevens', 'gegevensbescherming', 'cookie'],
+    contentKeywords: ['persoonsgegevens', 'verwerkingsverantwoordelijke', 'verwerker', 'rechtsgrond', 'uw rechten', 'betrokkene', 'bezwaar', 'verwijdering', 'derden', 'bewaartermijn', 'toestemming'],
+    containerTerms: ['privacy', 'gegevens', 'persoonsgegevens', 'verwerking', 'verzamelen', 'delen', 'cookie', 'derden', 'avg', 'recht', 'inzage', 'verwijderen', 'bewaren', 'beveiliging', 'toestemming', 'verantwoordelijke']
+  }
+};
+
+// Words sampled from the start of the text
+const SAMPLE_WORDS = 2000;
+
+// Below this many stopword hits the language is reported as undetermined
+const MIN_HITS = 10;
+
+const stopwordSets = Object.fromEntries(
+  Object.entries(LANGUAGES).map(([code, language]) => [code, new Set(language.stopwords)])
+);
+
+/**
+ * Detect the language of a text by counting each language's stopwords.
+ * Returns `{ language, confidence }`, where `language` is an ISO 639-1 code,
+ * or `und` when the text is too short or in an unsupported language.
+ */
+const detectLanguage = (text) => {
+  const words = (text || '')
+    .toLowerCase()
+    .match(/[\p{L}']+/gu) || [];
+
+  const sample = words.slice(0, SAMPLE_WORDS);
+  const hits = Object.fromEntries(Object.keys(LANGUAGES).map(code => [code, 0]));
+
+  sample.forEach(word => {
+    Object.entries(stopwordSets).forEach(([code, stopwords]) => {
+      if (stopwords.has(word)) hits[code]++;
+    });
+  });
+
+  const ranked = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+  const [best, bestHits] = ranked[0];
+  const secondHits = ranked[1][1];
+
+  if (bestHits < MIN_HITS) {
+    return { language: 'und', confidence: 0 };
+  }
+
+  return {
+    language: best,
+    // How clearly the best language beats the runner-up
+    confidence: Math.round((1 - secondHits / bestHits) * 100) / 100
+  };
+};
+
+/**
+ * Privacy vocabulary of one kind (`urlIndicators`, `titleIndicators`,
+ * `contentKeywords` or `containerTerms`). English terms are always included,
+ * since many non-English policies mix them in. Without a language, the
+ * vocabulary of every language is returned.
+ */
+const getVocabulary = (kind, language) => {
+  const codes = language && LANGUAGES[language] ? ['en', language] : Object.keys(LANGUAGES);
+  return Array.from(new Set(codes.flatMap(code => LANGUAGES[code][kind])));
+};
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+/**
+ * English name of a language code (`de` -> German, `pt-BR` -> Brazilian
+ * Portuguese), or null for unknown codes
+ */
+const getLanguageName = (code) => {
+  if (typeof code !== 'string' || !/^[a-z]{2,3}(-[A-Za-z]{2})?$/.test(code)) {
+    return null;
+  }
+
+  if (LANGUAGES[code]) {
+    return LANGUAGES[code].name;
+  }
+
+  try {
+    return displayNames.of(code) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  detectLanguage,
+  getVocabulary,
+  getLanguageName,
+  SUPPORTED_LANGUAGES: Object.keys(LANGUAGES)
+};
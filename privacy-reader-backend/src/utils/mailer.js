@@ -0,0 +1,110 @@
+// src/utils/mailer.js
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('../middleware/errorHandler');
+
+/**
+ * Built-in transports. Each factory returns an object with `send(message)`.
+ */
+const transports = {
+  // Real delivery through an SMTP server
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+    });
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { id: info.messageId };
+      }
+    };
+  },
+
+  // Writes each message as an .eml file, for local testing
+  file: () => {
+    const directory = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'logs', 'mail');
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        const file = path.join(directory, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(file, info.message);
+
+        return { id: info.messageId, file };
+      }
+    };
+  },
+
+  // Logs the plain-text body, for local testing
+  console: () => ({
+    send: async (message) => {
+      logger.info(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+      return { id: null };
+    }
+  })
+};
+
+/**
+ * Sends email through the transport selected with MAIL_TRANSPORT
+ * (smtp, file or console). Other transports can be added with
+ * registerTransport.
+ */
+class Mailer {
+  constructor() {
+    this.transportName = process.env.MAIL_TRANSPORT
+      || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    this.from = process.env.MAIL_FROM || 'Privacy Reader <no-reply@privacyreader.app>';
+    this.transport = null;
+  }
+
+  /**
+   * Add a transport, or replace a built-in one
+   */
+  registerTransport(name, factory) {
+    transports[name] = factory;
+
+    if (name === this.transportName) {
+      this.transport = null;
+    }
+  }
+
+  /**
+   * Create the configured transport on first use
+   */
+  getTransport() {
+    if (!this.transport) {
+      const factory = transports[this.transportName];
+
+      if (!factory) {
+        throw new Error(`Unknown mail transport: ${this.transportName}`);
+      }
+
+      this.transport = factory();
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Send a message with `to`, `subject`, `text` and optionally `html`
+   */
+  async send(message) {
+    const result = await this.getTransport().send({ from: this.from, ...message });
+    logger.info(`Sent email "${message.subject}" to ${message.to} via ${this.transportName}`);
+
+    return result;
+  }
+}
+
+// Export singleton instance
+const mailer = new Mailer();
+
+module.exports = mailer;
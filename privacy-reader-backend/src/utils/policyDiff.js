@@ -0,0 +1,406 @@
+// src/utils/policyDiff.js
+const crypto = require('crypto');
+const { splitIntoSections } = require('./textChunker');
+
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+
+/**
+ * Dates such as "January 5, 2024", "5 Jan 2024", "2024-01-05" and "01/05/2024".
+ * A changed "last updated" date alone is not a change to the policy.
+ */
+const DATE_PATTERN = new RegExp(
+  `\\b(?:(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}` +
+  `|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTHS})\\.?,?\\s+\\d{4}` +
+  `|(?:${MONTHS})\\.?\\s+\\d{4}` +
+  `|\\d{4}-\\d{2}-\\d{2}` +
+  `|\\d{1,2}[/.]\\d{1,2}[/.]\\d{2,4})\\b`,
+  'gi'
+);
+
+/**
+ * Terms whose appearance, removal or change makes a clause change material
+ */
+const MATERIAL_TERMS = [
+  { name: 'sale of data', pattern: /\b(sell|sells|sold|selling|sale)\b/i },
+  { name: 'sharing', pattern: /\b(share[sd]?|sharing|disclos\w*)\b/i },
+  { name: 'third parties', pattern: /\bthird[- ]part(y|ies)\b|\b(partners|affiliates|vendors|advertisers|data brokers?)\b/i },
+  { name: 'advertising', pattern: /\b(advertis\w*|targeted ads|marketing|profiling)\b/i },
+  { name: 'collection', pattern: /\bcollect\w*\b/i },
+  { name: 'retention', pattern: /\b(retain\w*|retention|indefinitely)\b/i },
+  { name: 'sensitive data', pattern: /\b(biometric|health|medical|genetic|precise location|geolocation|social security|racial|religio\w*|sexual)\b/i },
+  { name: 'children', pattern: /\b(child|children|minors?|under (13|16|18))\b/i },
+  { name: 'international transfers', pattern: /\b(transfer\w*|cross-border|outside (the|your) (country|EEA|EU))\b/i },
+  { name: 'user rights', pattern: /\b(opt[- ]?out|opt[- ]?in|consent|withdraw\w*|delet\w*|eras\w*|portab\w*|object)\b/i },
+  { name: 'tracking', pattern: /\b(cookies?|tracking|trackers?|pixels?|fingerprint\w*|web beacons?)\b/i },
+  { name: 'legal terms', pattern: /\b(arbitration|class action|waive\w*|governing law|law enforcement|subpoena)\b/i }
+];
+
+// Above this many LCS table cells (clauses before × after, once the common
+// start and end are trimmed), clauses are aligned by a coarse greedy match
+const MAX_ALIGN_CELLS = 2000000;
+
+// Similarity comparisons allowed for pairing unmatched clauses as
+// modifications; past the budget they are reported as removed and added
+const MAX_PAIRING_COMPARISONS = 250000;
+
+const NEGATION_PATTERN = /\b(not|never|no|none|neither|nor|without)\b|n't\b/gi;
+const STRONG_MODAL_PATTERN = /\b(will|shall|must|always)\b/gi;
+const WEAK_MODAL_PATTERN = /\b(may|might|can|could|occasionally|sometimes)\b/gi;
+
+/**
+ * Normalize text for versioning: Unicode forms, typographic punctuation,
+ * case, dates and whitespace differences are ignored
+ */
+const normalizeText = (text) => {
+  return (text || '')
+    .normalize('NFKC')
+    .replace(/[‘’‚‛′]/g, "'")
+    .replace(/[“”„‟″]/g, '"')
+    .replace(/[‐-―−]/g, '-')
+    .replace(DATE_PATTERN, '[date]')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Hash of the normalized text, used to tell whether a policy really changed
+ */
+const hashText = (text) => {
+  return crypto.createHash('sha256').update(normalizeText(text)).digest('hex');
+};
+
+/**
+ * Normalized form of a clause with punctuation removed, for comparisons
+ */
+const clauseKey = (text) => normalizeText(text).replace(/[^\w\s[\]]/g, '').replace(/\s+/g, ' ').trim();
+
+const words = (text) => clauseKey(text).split(' ').filter(Boolean);
+
+/**
+ * Similarity of two word sets, from 0 to 1
+ */
+const setSimilarity = (setA, setB) => {
+  if (setA.size === 0 && setB.size === 0) return 1;
+
+  let shared = 0;
+  setA.forEach(word => {
+    if (setB.has(word)) shared++;
+  });
+
+  return shared / (setA.size + setB.size - shared);
+};
+
+/**
+ * Word-set similarity between two clauses, from 0 to 1
+ */
+const similarity = (a, b) => setSimilarity(new Set(words(a)), new Set(words(b)));
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+const materialTerms = (text) => MATERIAL_TERMS.filter(term => term.pattern.test(text)).map(term => term.name);
+
+/**
+ * Numbers in a clause other than those inside dates
+ */
+const numbersIn = (text) => (text.replace(DATE_PATTERN, ' ').match(/\d+(?:[.,]\d+)?/g) || []).join(',');
+
+/**
+ * Split policy text into clauses (sentences), each tagged with its section heading
+ */
+const splitClauses = (text) => {
+  return splitIntoSections(text || '').flatMap((section, sectionIndex) => {
+    return section.text
+      .split(/(?<=[.!?;])\s+/)
+      .map(clause => clause.trim())
+      .filter(clause => clause.length > 0)
+      .map(clause => {
+        const key = clauseKey(clause);
+        return {
+          text: clause,
+          key,
+          words: new Set(key.split(' ').filter(Boolean)),
+          section: section.heading || `Section ${sectionIndex + 1}`
+        };
+      });
+  });
+};
+
+/**
+ * Exact LCS alignment, O(n·m) in time and memory
+ */
+const lcsAlign = (before, after) => {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const table = new Uint32Array(rows * cols);
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      table[i * cols + j] = before[i].key === after[j].key
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i].key === after[j].key) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return pairs;
+};
+
+/**
+ * Greedy alignment in linear time: each clause is matched to the next
+ * identical clause after the previous match. Not always the longest match,
+ * but good enough for heavily rewritten policies.
+ */
+const coarseAlign = (before, after) => {
+  const positions = new Map();
+  after.forEach((clause, j) => {
+    if (!positions.has(clause.key)) positions.set(clause.key, []);
+    positions.get(clause.key).push(j);
+  });
+
+  const pairs = [];
+  let lastAfter = -1;
+  before.forEach((clause, i) => {
+    const candidates = positions.get(clause.key);
+    while (candidates?.length && candidates[0] <= lastAfter) candidates.shift();
+
+    if (candidates?.length) {
+      lastAfter = candidates.shift();
+      pairs.push([i, lastAfter]);
+    }
+  });
+
+  return pairs;
+};
+
+/**
+ * Longest common subsequence of clause keys, returned as aligned index pairs.
+ * Clauses the versions start and end with are matched first; if what is left
+ * is too big for the LCS table, it is aligned with coarseAlign instead.
+ * Returns `{ pairs, coarse }`.
+ */
+const alignClauses = (before, after) => {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start].key === after[start].key) {
+    start++;
+  }
+
+  let end = 0;
+  while (end < before.length - start && end < after.length - start
+    && before[before.length - 1 - end].key === after[after.length - 1 - end].key) {
+    end++;
+  }
+
+  const middleBefore = before.slice(start, before.length - end);
+  const middleAfter = after.slice(start, after.length - end);
+  const coarse = middleBefore.length * middleAfter.length > MAX_ALIGN_CELLS;
+  const middlePairs = coarse ? coarseAlign(middleBefore, middleAfter) : lcsAlign(middleBefore, middleAfter);
+
+  const pairs = [];
+  for (let k = 0; k < start; k++) pairs.push([k, k]);
+  middlePairs.forEach(([i, j]) => pairs.push([i + start, j + start]));
+  for (let k = end; k > 0; k--) pairs.push([before.length - k, after.length - k]);
+
+  return { pairs, coarse };
+};
+
+/**
+ * Classify an added or removed clause
+ */
+const classifyClause = (text, verb) => {
+  const terms = materialTerms(text);
+
+  return terms.length > 0
+    ? { classification: 'material', reasons: terms.map(term => `${verb} a clause about ${term}`) }
+    : { classification: 'cosmetic', reasons: [`${verb} a clause with no privacy-relevant terms`] };
+};
+
+/**
+ * Classify a change to a clause that exists in both versions
+ */
+const classifyModification = (before, after) => {
+  if (clauseKey(before) === clauseKey(after)) {
+    return { classification: 'cosmetic', reasons: ['Only punctuation, formatting or dates changed'] };
+  }
+
+  const reasons = [];
+  const termsBefore = materialTerms(before);
+  const termsAfter = materialTerms(after);
+
+  termsAfter.filter(term => !termsBefore.includes(term)).forEach(term => reasons.push(`Now mentions ${term}`));
+  termsBefore.filter(term => !termsAfter.includes(term)).forEach(term => reasons.push(`No longer mentions ${term}`));
+
+  if (countMatches(before, NEGATION_PATTERN) !== countMatches(after, NEGATION_PATTERN)) {
+    reasons.push('Negation changed');
+  }
+
+  if (numbersIn(before) !== numbersIn(after)) {
+    reasons.push('Numbers or periods changed');
+  }
+
+  if (countMatches(before, STRONG_MODAL_PATTERN) !== countMatches(after, STRONG_MODAL_PATTERN)
+    || countMatches(before, WEAK_MODAL_PATTERN) !== countMatches(after, WEAK_MODAL_PATTERN)) {
+    reasons.push('Obligation wording changed (e.g. "will" vs "may")');
+  }
+
+  if (reasons.length === 0 && termsAfter.length > 0 && similarity(before, after) < 0.6) {
+    reasons.push(`Substantially rewritten clause about ${termsAfter.join(', ')}`);
+  }
+
+  return reasons.length > 0
+    ? { classification: 'material', reasons }
+    : { classification: 'cosmetic', reasons: ['Minor wording change'] };
+};
+
+/**
+ * Diff two versions of a policy clause by clause. Clauses are aligned across
+ * the whole document, so reordering within sections is tolerated; unmatched
+ * clauses in the same gap are paired as modifications when similar enough.
+ * Each change is classified as material or cosmetic. Very large rewrites
+ * get a coarser diff (`coarse: true`) so the work stays bounded: see
+ * MAX_ALIGN_CELLS and MAX_PAIRING_COMPARISONS.
+ */
+const diffPolicies = (beforeText, afterText) => {
+  const before = splitClauses(beforeText);
+  const after = splitClauses(afterText);
+  const { pairs, coarse: coarseAlignment } = alignClauses(before, after);
+  let comparisonsLeft = MAX_PAIRING_COMPARISONS;
+  let coarse = coarseAlignment;
+
+  const removed = [];
+  const added = [];
+  const changes = [];
+
+  // Walk the gaps between aligned clauses
+  let lastBefore = -1;
+  let lastAfter = -1;
+  [...pairs, [before.length, after.length]].forEach(([i, j]) => {
+    const gapBefore = before.slice(lastBefore + 1, i);
+    const gapAfter = after.slice(lastAfter + 1, j);
+    const unpairedAfter = new Set(gapAfter);
+
+    // Gaps too big for the remaining budget aren't paired
+    const canPair = gapBefore.length * gapAfter.length <= comparisonsLeft;
+    if (canPair) {
+      comparisonsLeft -= gapBefore.length * gapAfter.length;
+    } else {
+      coarse = true;
+    }
+
+    gapBefore.forEach(oldClause => {
+      let best = null;
+      let bestScore = 0.5;
+
+      if (canPair) {
+        unpairedAfter.forEach(newClause => {
+          const score = setSimilarity(oldClause.words, newClause.words);
+          if (score >= bestScore) {
+            best = newClause;
+            bestScore = score;
+          }
+        });
+      }
+
+      if (best) {
+        unpairedAfter.delete(best);
+        changes.push({
+          type: 'modified',
+          section: best.section,
+          before: oldClause.text,
+          after: best.text,
+          ...classifyModification(oldClause.text, best.text)
+        });
+      } else {
+        removed.push(oldClause);
+      }
+    });
+
+    gapAfter.filter(clause => unpairedAfter.has(clause)).forEach(clause => added.push(clause));
+
+    lastBefore = i;
+    lastAfter = j;
+  });
+
+  // Identical clauses that only changed position are moves, not additions and removals
+  const addedByKey = new Map();
+  added.forEach(clause => {
+    if (!addedByKey.has(clause.key)) addedByKey.set(clause.key, []);
+    addedByKey.get(clause.key).push(clause);
+  });
+
+  removed.forEach(clause => {
+    const match = addedByKey.get(clause.key)?.shift();
+
+    if (match) {
+      match.moved = true;
+      changes.push({
+        type: 'moved',
+        section: match.section,
+        previousSection: clause.section,
+        before: clause.text,
+        after: match.text,
+        classification: 'cosmetic',
+        reasons: ['Clause moved without changes']
+      });
+    } else {
+      changes.push({ type: 'removed', section: clause.section, before: clause.text, after: null, ...classifyClause(clause.text, 'Removed') });
+    }
+  });
+
+  added.filter(clause => !clause.moved).forEach(clause => {
+    changes.push({ type: 'added', section: clause.section, before: null, after: clause.text, ...classifyClause(clause.text, 'Added') });
+  });
+
+  // Group the changes by section for a section-level overview
+  const sections = {};
+  changes.forEach(change => {
+    const section = sections[change.section] || (sections[change.section] = {
+      section: change.section,
+      added: 0,
+      removed: 0,
+      modified: 0,
+      moved: 0,
+      material: false
+    });
+    section[change.type]++;
+    section.material = section.material || change.classification === 'material';
+  });
+
+  const count = (predicate) => changes.filter(predicate).length;
+  const material = count(change => change.classification === 'material');
+
+  return {
+    isMaterial: material > 0,
+    coarse,
+    summary: {
+      added: count(change => change.type === 'added'),
+      removed: count(change => change.type === 'removed'),
+      modified: count(change => change.type === 'modified'),
+      moved: count(change => change.type === 'moved'),
+      material,
+      cosmetic: changes.length - material
+    },
+    sections: Object.values(sections),
+    changes
+  };
+};
+
+module.exports = {
+  normalizeText,
+  hashText,
+  diffPolicies
+};
@@ -0,0 +1,302 @@
+// src/utils/policyDiscovery.js
+const cheerio = require('cheerio');
+const policyExtractor = require('./policyExtractor');
+const cache = require('./cacheManager');
+const { safeGet, checkUrl } = require('./safeFetch');
+const { logger, ValidationError } = require('../middleware/errorHandler');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36';
+
+// Link text and URLs that point at a privacy policy
+const POLICY_LINK_PATTERN = /privacy|data[\s-]?(policy|protection)|datenschutz|confidentialit|privacidad|privacidade|privacit|personal information|gdpr/i;
+
+// Policies that are related to, but not, the privacy policy
+const OTHER_POLICY_PATTERN = /cookie|children|kids|california|ccpa|do[\s-]not[\s-]sell|your[\s-]choices|settings|preferences|faq|help/i;
+
+// Paths where sites commonly publish their policy
+const COMMON_PATHS = [
+  '/privacy',
+  '/privacy-policy',
+  '/privacy-notice',
+  '/privacy-statement',
+  '/legal/privacy',
+  '/policies/privacy',
+  '/privacy.html'
+];
+
+// Points for each place a candidate was found
+const SOURCE_WEIGHTS = {
+  rel: 50,
+  'well-known': 45,
+  footer: 30,
+  link: 20,
+  sitemap: 15,
+  path: 15
+};
+
+// Candidates whose pages are fetched to confirm they are policies
+const MAX_VERIFIED = 5;
+const MAX_SITEMAPS = 4;
+const REQUEST_TIMEOUT_MS = 8000;
+
+/**
+ * Turn a domain or any page URL into the site's origin
+ */
+const parseSite = (input) => {
+  if (!input || typeof input !== 'string') {
+    throw new ValidationError('A site URL or domain is required');
+  }
+
+  const value = input.trim();
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+  } catch (error) {
+    throw new ValidationError(`Invalid URL or domain: ${input}`);
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol) || !parsed.hostname.includes('.')) {
+    throw new ValidationError(`Invalid URL or domain: ${input}`);
+  }
+
+  return parsed;
+};
+
+/**
+ * Key used to merge candidates that differ only in fragment or trailing slash
+ */
+const candidateKey = (url) => {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.toString().replace(/\/$/, '').toLowerCase();
+};
+
+/**
+ * Plain GET with a short timeout. Resolves to null instead of throwing, since
+ * most probes are expected to miss.
+ */
+const probe = async (url, accept = 'text/html,application/xhtml+xml,*/*;q=0.8') => {
+  try {
+    const response = await safeGet(url, {
+      headers: { 'User-Agent': USER_AGENT, 'Accept': accept, 'Accept-Language': 'en-US,en;q=0.9' },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 5,
+      maxBytes: 5 * 1024 * 1024,
+      validateStatus: status => status >= 200 && status < 300
+    });
+
+    return {
+      url: response.request?.res?.responseUrl || url,
+      body: typeof response.data === 'string' ? response.data : String(response.data ?? '')
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Privacy links in the homepage: `rel="privacy-policy"` links, footer links
+ * and any other link whose text or URL mentions privacy
+ */
+const findLinkCandidates = (html, baseUrl) => {
+  const $ = cheerio.load(html);
+  const found = [];
+
+  const add = (href, source, text) => {
+    if (!href || /^(javascript|mailto|tel):/i.test(href)) return;
+
+    try {
+      const url = new URL(href, baseUrl);
+      if (['http:', 'https:'].includes(url.protocol)) {
+        found.push({ url: url.toString(), source, text: (text || '').trim().replace(/\s+/g, ' ').slice(0, 100) });
+      }
+    } catch (error) {
+      // Ignore malformed links
+    }
+  };
+
+  $('link[rel~="privacy-policy"], a[rel~="privacy-policy"]').each((i, el) => {
+    add($(el).attr('href'), 'rel', $(el).text());
+  });
+
+  $('a[href]').each((i, el) => {
+    const href = $(el).attr('href');
+    const text = $(el).text();
+
+    if (!POLICY_LINK_PATTERN.test(text) && !POLICY_LINK_PATTERN.test(href)) return;
+
+    const inFooter = $(el).closest('footer, [role="contentinfo"], #footer, .footer, [class*="footer"]').length > 0;
+    add(href, inFooter ? 'footer' : 'link', text);
+  });
+
+  return found;
+};
+
+/**
+ * Policy-looking URLs listed in the site's sitemaps
+ */
+const findSitemapCandidates = async (origin) => {
+  const sitemapUrls = new Set([`${origin}/sitemap.xml`]);
+
+  const robots = await probe(`${origin}/robots.txt`, 'text/plain');
+  if (robots) {
+    (robots.body.match(/^\s*sitemap:\s*(\S+)/gim) || [])
+      .map(line => line.replace(/^\s*sitemap:\s*/i, ''))
+      .forEach(url => {
+        try {
+          sitemapUrls.add(new URL(url, origin).toString());
+        } catch (error) {
+          // Ignore malformed entries
+        }
+      });
+  }
+
+  const queue = [...sitemapUrls].slice(0, MAX_SITEMAPS);
+  const found = [];
+  let fetched = 0;
+
+  while (queue.length > 0 && fetched < MAX_SITEMAPS) {
+    const sitemap = await probe(queue.shift(), 'application/xml,text/xml');
+    fetched++;
+    if (!sitemap) continue;
+
+    const locations = [...sitemap.body.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)].map(match => match[1].replace(/&amp;/g, '&'));
+
+    if (/<sitemapindex/i.test(sitemap.body)) {
+      // Follow the child sitemaps most likely to list legal pages first
+      locations
+        .sort((a, b) => Number(/legal|polic|page|static/i.test(b)) - Number(/legal|polic|page|static/i.test(a)))
+        .forEach(url => queue.push(url));
+      continue;
+    }
+
+    locations
+      .filter(url => POLICY_LINK_PATTERN.test(url))
+      .forEach(url => found.push({ url, source: 'sitemap', text: '' }));
+  }
+
+  return found;
+};
+
+/**
+ * `/.well-known/privacy-policy` redirects, and common policy paths, that exist
+ */
+const findProbedCandidates = async (origin) => {
+  const results = await Promise.all([
+    probe(`${origin}/.well-known/privacy-policy`).then(result => result && { url: result.url, source: 'well-known', text: '' }),
+    ...COMMON_PATHS.map(path => probe(`${origin}${path}`).then(result => result && { url: result.url, source: 'path', text: '' }))
+  ]);
+
+  return results.filter(Boolean);
+};
+
+/**
+ * Score a candidate from where it was found and what its URL and link text look like
+ */
+const scoreCandidate = (candidate, siteHost) => {
+  let score = Math.max(...candidate.sources.map(source => SOURCE_WEIGHTS[source] || 0));
+
+  // Found in several places
+  score += (candidate.sources.length - 1) * 5;
+
+  const { hostname, pathname } = new URL(candidate.url);
+  const label = `${pathname} ${candidate.text}`.toLowerCase();
+
+  if (/privacy[\s_-]?(policy|notice|statement)|datenschutz/.test(label)) score += 10;
+  if (OTHER_POLICY_PATTERN.test(label)) score -= 25;
+
+  // Policies usually live on the site itself or one of its subdomains
+  const baseDomain = siteHost.split('.').slice(-2).join('.');
+  if (hostname !== siteHost && !hostname.endsWith(`.${baseDomain}`)) score -= 15;
+
+  return score;
+};
+
+/**
+ * Find candidate privacy-policy URLs for a site, best first. Candidates come
+ * from the homepage's links, `/.well-known/` and common paths, and sitemaps;
+ * the best ones are fetched and checked with isProbablyPrivacyPolicy.
+ */
+const discoverPolicies = async (input, { limit = 5 } = {}) => {
+  const site = parseSite(input);
+  const origin = site.origin;
+
+  // Sites outside the fetch policy are rejected rather than reported as having no policy
+  await checkUrl(origin);
+
+  const cacheKey = `policy_discovery_${origin}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return { ...cached, candidates: cached.candidates.slice(0, limit), cached: true };
+  }
+
+  logger.info(`Discovering privacy policy for ${origin}`);
+
+  const [homepage, probed, sitemap] = await Promise.all([
+    policyExtractor.fetchPolicyContent(origin).catch(error => {
+      logger.warn(`Could not fetch homepage of ${origin}: ${error.message}`);
+      return null;
+    }),
+    findProbedCandidates(origin),
+    findSitemapCandidates(origin).catch(() => [])
+  ]);
+
+  const links = homepage ? findLinkCandidates(homepage, origin) : [];
+
+  // Merge candidates found in several places
+  const byKey = new Map();
+  [...links, ...probed, ...sitemap].forEach(({ url, source, text }) => {
+    const key = candidateKey(url);
+    const candidate = byKey.get(key) || { url, sources: [], text: '' };
+
+    if (!candidate.sources.includes(source)) candidate.sources.push(source);
+    if (!candidate.text && text) candidate.text = text;
+
+    byKey.set(key, candidate);
+  });
+
+  const candidates = [...byKey.values()]
+    .map(candidate => ({ ...candidate, score: scoreCandidate(candidate, site.hostname) }))
+    .sort((a, b) => b.score - a.score);
+
+  // Confirm the best candidates by their content
+  await Promise.all(candidates.slice(0, MAX_VERIFIED).map(async (candidate) => {
+    const page = await probe(candidate.url);
+
+    if (!page) {
+      candidate.verified = false;
+      candidate.isPrivacyPolicy = policyExtractor.isProbablyPrivacyPolicy(candidate.url);
+      return;
+    }
+
+    // Judge by content only: soft-404 pages at /privacy would pass on their URL
+    candidate.verified = true;
+    candidate.isPrivacyPolicy = policyExtractor.isProbablyPrivacyPolicy('', page.body);
+    candidate.title = cheerio.load(page.body)('title').first().text().trim() || null;
+    candidate.score += candidate.isPrivacyPolicy ? 40 : -40;
+  }));
+
+  candidates.sort((a, b) => b.score - a.score);
+
+  const result = {
+    site: origin,
+    homepageFetched: !!homepage,
+    candidates: candidates.map(({ url, score, sources, text, title, verified, isPrivacyPolicy }) => ({
+      url,
+      score,
+      sources,
+      linkText: text || null,
+      title: title || null,
+      verified: !!verified,
+      isPrivacyPolicy: isPrivacyPolicy ?? null
+    }))
+  };
+
+  await cache.set(cacheKey, result, 60 * 60 * 24);
+
+  return { ...result, candidates: result.candidates.slice(0, limit), cached: false };
+};
+
+module.exports = {
+  discoverPolicies
+};
@@ -1,13 +1,48 @@
 // src/utils/policyExtractor.js
-const axios = require('axios');
 const cheerio = require('cheerio');
-const puppeteer = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const { logger } = require('../middleware/errorHandler');
 const cache = require('./cacheManager');
+const browserPool = require('./browserPool');
+const { autoScroll } = browserPool;
+const { segmentElements, truncateStructure, shiftStructure } = require('./documentStructure');
+const { detectLanguage, getVocabulary } = require('./languageDetector');
+const siteRules = require('./siteRules');
+const { runCookieBannerSteps } = siteRules;
+const { detectConsentPlatforms, stripConsentMarkup, handleConsentBanners } = require('./consentBanners');
+const { safeGet, safeGoto, UnsafeUrlError } = require('./safeFetch');
 
-// Add stealth plugin to puppeteer (prevents detection)
-puppeteer.use(StealthPlugin());
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36';
+
+// Common selectors for privacy policies across different sites
+const COMMON_SELECTORS = [
+  // Specific privacy policy selectors
+  '[data-testid="privacy-policy"]',
+  '#privacy-policy',
+  '.privacy-policy',
+  '.privacy',
+  '#privacy',
+  '.policy-content',
+  '.policy-text',
+  '.legal-content',
+  '.terms-content',
+  
+  // General content selectors
+  'main',
+  'article',
+  '[role="main"]',
+  '.main-content',
+  '.content',
+  '#content',
+  '.container',
+  '.page-content',
+  '.entry-content',
+  
+  // Fallback selectors
+  '.row',
+  '.column',
+  '.col',
+  '.section'
+];
 
 /**
  * Extracts domain from URL
@@ -23,23 +58,12 @@ const extractDomain = (urlString) => {
 };
 
 /**
- * Check if the URL is likely a privacy policy
+ * Check if the URL is likely a privacy policy. Page content is checked with
+ * the vocabulary of the page's detected language.
  */
 const isProbablyPrivacyPolicy = (url, html) => {
-  // URL indicators
-  const urlIndicators = [
-    'privacy',
-    'datapolicy',
-    'data-policy',
-    'privacypolicy',
-    'privacy-policy',
-    'datenschutz', // German
-    'confidentialite', // French
-    'privacidad', // Spanish
-    'privacy-notice',
-    'privacy-statement',
-    'gdpr'
-  ];
+  // URL indicators, in every supported language
+  const urlIndicators = getVocabulary('urlIndicators');
   
   // Check URL
   const urlLower = url.toLowerCase();
@@ -56,15 +80,10 @@ const isProbablyPrivacyPolicy = (url, html) => {
     // Title indicators
     const titleText = $('title').text().toLowerCase();
     const h1Text = $('h1').text().toLowerCase();
+    const bodyText = $('body').text().toLowerCase();
+    const { language } = detectLanguage(bodyText);
     
-    const titleIndicators = [
-      'privacy',
-      'policy',
-      'data',
-      'personal information',
-      'cookie',
-      'gdpr'
-    ];
+    const titleIndicators = getVocabulary('titleIndicators', language);
     
     // Check title
     const isTitleMatch = titleIndicators.some(indicator => 
@@ -76,20 +95,7 @@ const isProbablyPrivacyPolicy = (url, html) => {
     }
     
     // Check for privacy-related keywords in the content
-    const bodyText = $('body').text().toLowerCase();
-    const contentKeywords = [
-      'we collect',
-      'information we collect',
-      'personal data',
-      'your rights',
-      'data subject',
-      'opt out',
-      'third parties',
-      'data protection',
-      'controller',
-      'processor',
-      'legal basis'
-    ];
+    const contentKeywords = getVocabulary('contentKeywords', language);
     
     const keywordCount = contentKeywords.filter(keyword => 
       bodyText.includes(keyword)
@@ -103,51 +109,42 @@ const isProbablyPrivacyPolicy = (url, html) => {
 };
 
 /**
- * Intelligent content extractor that works across different website structures
+ * Intelligent content extractor that works across different website structures.
+ * Returns the text with headings, paragraphs, list items and table rows on
+ * their own lines, and the document tree built over it (see documentStructure).
+ * A site rule's exclude selectors are removed first, and its include
+ * selectors, when they match enough text, are used as the content.
  */
-const extractTextFromHtml = (html, url) => {
+const extractStructuredText = (html, url, rule = null) => {
   const $ = cheerio.load(html);
   
   // Remove non-content elements
   $('script, style, meta, link, noscript, svg, iframe, nav, footer, header, [role="banner"], [role="navigation"]').remove();
+  stripConsentMarkup($);
+  rule?.excludeSelectors.forEach(selector => $(selector).remove());
   
-  // Common selectors for privacy policies across different sites
-  const commonSelectors = [
-    // Specific privacy policy selectors
-    '[data-testid="privacy-policy"]',
-    '#privacy-policy',
-    '.privacy-policy',
-    '.privacy',
-    '#privacy',
-    '.policy-content',
-    '.policy-text',
-    '.legal-content',
-    '.terms-content',
-    
-    // General content selectors
-    'main',
-    'article',
-    '[role="main"]',
-    '.main-content',
-    '.content',
-    '#content',
-    '.container',
-    '.page-content',
-    '.entry-content',
-    
-    // Fallback selectors
-    '.row',
-    '.column',
-    '.col',
-    '.section'
-  ];
+  // The site's own content selectors take precedence over the heuristics
+  if (rule?.includeSelectors.length > 0) {
+    const included = $(rule.includeSelectors.join(', '));
+    const wordCount = included.text().trim().split(/\s+/).length;
+    
+    if (wordCount >= 50) {
+      return segmentElements($, included);
+    }
+    logger.warn(`Site rule ${rule.pattern} include selectors matched too little text on ${url}; using the heuristics`);
+  }
+  
+  // Containers are scored with the privacy terms of the page's language
+  const { language } = detectLanguage($('body').text());
+  const privacyTerms = getVocabulary('containerTerms', language);
   
   // Try to find the most likely content container
   let bestContent = '';
+  let bestElements = null;
   let bestScore = 0;
   
   // First, try with common selectors
-  for (const selector of commonSelectors) {
+  for (const selector of COMMON_SELECTORS) {
     const elements = $(selector);
     
     elements.each((i, el) => {
@@ -158,12 +155,6 @@ const extractTextFromHtml = (html, url) => {
       if (wordCount < 50) return;
       
       // Calculate a score based on word count and privacy-related terms
-      const privacyTerms = [
-        'privacy', 'data', 'information', 'collect', 'personal', 'share',
-        'cookie', 'third party', 'gdpr', 'right', 'access', 'delete',
-        'retention', 'security', 'protection', 'consent', 'process'
-      ];
-      
       let termsFound = 0;
       const contentLower = content.toLowerCase();
       privacyTerms.forEach(term => {
@@ -178,6 +169,7 @@ const extractTextFromHtml = (html, url) => {
       if (score > bestScore) {
         bestScore = score;
         bestContent = content;
+        bestElements = el;
       }
     });
     
@@ -193,30 +185,36 @@ const extractTextFromHtml = (html, url) => {
     
     const paragraphs = $('p');
     let allParagraphsText = '';
+    const keptParagraphs = [];
     
     paragraphs.each((i, el) => {
       const text = $(el).text().trim();
       if (text.length > 20) { // Only include non-trivial paragraphs
         allParagraphsText += text + '\n\n';
+        keptParagraphs.push(el);
       }
     });
     
     if (allParagraphsText.length > bestContent.length) {
       bestContent = allParagraphsText;
+      bestElements = keptParagraphs;
     }
   }
   
   // If still no good content, use the body as a last resort
   if (bestContent.length < 500) {
     logger.warn(`Falling back to body text for ${url}`);
-    bestContent = $('body').text();
+    bestElements = $('body').length > 0 ? $('body') : $.root();
   }
   
-  // Clean up the text
-  return bestContent
-    .replace(/\s+/g, ' ')
-    .replace(/\n+/g, '\n')
-    .trim();
+  return segmentElements($, bestElements);
+};
+
+/**
+ * Extract the policy text from HTML (see extractStructuredText)
+ */
+const extractTextFromHtml = (html, url) => {
+  return extractStructuredText(html, url).text;
 };
 
 /**
@@ -280,52 +278,50 @@ const extractMetadata = (html, url) => {
 };
 
 /**
- * Fetch policy content using Axios with fallback to puppeteer for complex sites
+ * Fetch policy content using Axios with fallback to puppeteer for complex sites.
+ * The site's rule (see siteRules) picks the fetch method and supplies wait
+ * conditions, cookie-banner steps and header overrides.
+ * `onEvent(type, data)` is told which fetch method was chosen.
  */
-const fetchPolicyContent = async (policyUrl) => {
+const fetchPolicyContent = async (policyUrl, onEvent = () => {}) => {
   const domain = extractDomain(policyUrl);
   logger.info(`Fetching policy content from ${policyUrl}`);
   
-  // Check cache first
-  const cacheKey = `policy_html_${policyUrl}`;
+  const rule = await siteRules.getRuleForUrl(policyUrl);
+  const fetchMethod = rule?.fetchMethod || 'auto';
+  
+  // Check cache first; a changed rule makes the cached copy stale
+  const cacheKey = `policy_html_${policyUrl}${rule?.updatedAt ? `_${new Date(rule.updatedAt).getTime()}` : ''}`;
   const cachedData = await cache.get(cacheKey);
   
   if (cachedData) {
     logger.info(`Using cached HTML for ${policyUrl}`);
+    onEvent('fetch_method', { method: 'cache', reason: 'HTML fetched within the last 24 hours' });
     return cachedData;
   }
   
-  // Define known complex sites that need puppeteer
-  const complexSites = [
-    'facebook.com',
-    'instagram.com',
-    'twitter.com',
-    'x.com',
-    'apple.com',
-    'microsoft.com',
-    'linkedin.com',
-    'amazon.com',
-    'netflix.com',
-    'tiktok.com',
-    'snapchat.com'
-  ];
-  
-  // Decide whether to use Axios or Puppeteer
-  const needsPuppeteer = complexSites.some(site => domain?.includes(site));
-  
   try {
     let html;
     
-    if (needsPuppeteer) {
-      logger.info(`Using Puppeteer for complex site: ${domain}`);
-      html = await fetchWithPuppeteer(policyUrl);
+    if (fetchMethod === 'puppeteer') {
+      logger.info(`Using Puppeteer for ${domain} (site rule ${rule.pattern})`);
+      onEvent('fetch_method', { method: 'puppeteer', reason: `${domain} needs a headless browser` });
+      html = await fetchWithPuppeteer(policyUrl, rule);
+    } else if (fetchMethod === 'axios') {
+      onEvent('fetch_method', { method: 'axios', reason: `Plain HTTP request (site rule ${rule.pattern})` });
+      html = await fetchWithAxios(policyUrl, rule);
     } else {
       // Try with axios first
       try {
-        html = await fetchWithAxios(policyUrl);
+        onEvent('fetch_method', { method: 'axios', reason: 'Plain HTTP request' });
+        html = await fetchWithAxios(policyUrl, rule);
       } catch (axiosError) {
+        // A browser may not fetch what the fetch policy blocks either
+        if (axiosError instanceof UnsafeUrlError) throw axiosError;
+        
         logger.warn(`Axios failed for ${policyUrl}, falling back to Puppeteer`);
-        html = await fetchWithPuppeteer(policyUrl);
+        onEvent('fetch_method', { method: 'puppeteer', reason: `HTTP request failed: ${axiosError.message}` });
+        html = await fetchWithPuppeteer(policyUrl, rule);
       }
     }
     
@@ -340,14 +336,13 @@ const fetchPolicyContent = async (policyUrl) => {
 };
 
 /**
- * Fetch using Axios
+ * Fetch using Axios (within the fetch policy, see safeFetch), with the site
+ * rule's header overrides
  */
-const fetchWithAxios = async (url) => {
-  const userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36';
-  
-  const response = await axios.get(url, {
+const fetchWithAxios = async (url, rule = null) => {
+  const response = await safeGet(url, {
     headers: {
-      'User-Agent': userAgent,
+      'User-Agent': USER_AGENT,
       'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
       'Accept-Language': 'en-US,en;q=0.9',
       'Cache-Control': 'no-cache',
@@ -357,7 +352,8 @@ const fetchWithAxios = async (url) => {
       'Sec-Fetch-Site': 'none',
       'Sec-Fetch-User': '?1',
       'Upgrade-Insecure-Requests': '1',
-      'Referer': 'https://www.google.com/'
+      'Referer': 'https://www.google.com/',
+      ...rule?.headers
     },
     timeout: 15000,
     maxRedirects: 5
@@ -367,89 +363,238 @@ const fetchWithAxios = async (url) => {
 };
 
 /**
- * Fetch using Puppeteer (for JavaScript-heavy sites)
+ * Fetch using Puppeteer (for JavaScript-heavy sites), following the site
+ * rule's wait conditions, cookie-banner steps and header overrides. Consent
+ * banners are declined or removed before the page is read (see consentBanners).
  */
-const fetchWithPuppeteer = async (url) => {
-  let browser;
+const fetchWithPuppeteer = async (url, rule = null) => {
   try {
-    // Launch headless browser with stealth mode
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-gpu',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas'
-      ]
-    });
-    
-    const page = await browser.newPage();
-    
-    // Set a realistic viewport
-    await page.setViewport({ width: 1366, height: 768 });
-    
-    // Set a realistic user agent
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36');
-    
-    // Set extra headers
-    await page.setExtraHTTPHeaders({
-      'Accept-Language': 'en-US,en;q=0.9',
-      'Referer': 'https://www.google.com/'
-    });
-    
-    // Navigate to the URL with timeout
-    await page.goto(url, {
-      waitUntil: 'networkidle2',
-      timeout: 30000
+    return await browserPool.withPage(async (page) => {
+      // Rule header names are stored in lower case
+      const { 'user-agent': userAgent = USER_AGENT, ...headers } = rule?.headers || {};
+      
+      // Set a realistic user agent
+      await page.setUserAgent(userAgent);
+      
+      // Set extra headers
+      await page.setExtraHTTPHeaders({
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Referer': 'https://www.google.com/',
+        ...headers
+      });
+      
+      // Navigate to the URL with timeout, blocking requests outside the fetch policy
+      await safeGoto(page, url, {
+        waitUntil: rule?.waitUntil || 'networkidle2',
+        timeout: 30000
+      });
+      
+      // Dismiss the cookie banner, if the site has steps for it
+      if (rule?.cookieBannerSteps.length > 0) {
+        await runCookieBannerSteps(page, rule.cookieBannerSteps);
+      }
+      
+      // Wait for the policy itself to render
+      if (rule?.waitForSelector) {
+        await page.waitForSelector(rule.waitForSelector, { timeout: 15000 }).catch(() => {
+          logger.warn(`Selector ${rule.waitForSelector} from site rule ${rule.pattern} never appeared on ${url}`);
+        });
+      }
+      
+      // Wait a bit more for JavaScript execution
+      await new Promise(resolve => setTimeout(resolve, rule?.extraWaitMs ?? 2000));
+      
+      // Scroll down to load lazy content
+      await autoScroll(page);
+      
+      // Consent platforms often show their banner late, so handle them last
+      await handleConsentBanners(page);
+      
+      // Get the HTML content
+      return page.content();
     });
-    
-    // Wait a bit more for JavaScript execution
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Scroll down to load lazy content
-    await autoScroll(page);
-    
-    // Get the HTML content
-    const html = await page.content();
-    
-    return html;
   } catch (error) {
     logger.error(`Puppeteer error for ${url}:`, error);
     throw error;
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
   }
 };
 
+// Maximum length of the policy text sent for analysis
+const MAX_TEXT_LENGTH = 100000;
+
+// Maximum length of a policy combined with its linked documents
+const MAX_COMBINED_TEXT_LENGTH = 150000;
+
 /**
- * Auto-scroll function for puppeteer to load lazy content
+ * Kinds of documents a privacy policy hands details off to, in matching
+ * order. Links are matched on their text and URL.
  */
-const autoScroll = async (page) => {
-  await page.evaluate(async () => {
-    await new Promise((resolve) => {
-      let totalHeight = 0;
-      const distance = 100;
-      const timer = setInterval(() => {
-        const scrollHeight = document.body.scrollHeight;
-        window.scrollBy(0, distance);
-        totalHeight += distance;
-        
-        if (totalHeight >= scrollHeight - window.innerHeight) {
-          clearInterval(timer);
-          resolve();
+const RELATED_DOCUMENT_TYPES = [
+  { type: 'cookie_policy', label: 'Cookie Policy', pattern: /cookie/i },
+  { type: 'subprocessors', label: 'Sub-processor List', pattern: /sub-?processors?|list of (service providers|processors|vendors)|vendor list/i },
+  { type: 'data_processing_addendum', label: 'Data Processing Addendum', pattern: /data[\s-]processing[\s-](addendum|agreement|terms)|\bdpa\b/i },
+  { type: 'regional_notice', label: 'Regional Privacy Notice', pattern: /california|\bccpa\b|\bcpra\b|state[\s-](privacy|law)|nevada|virginia|colorado|\beea\b|\beu\b|europe|gdpr|\buk\b|brazil|lgpd|canada|pipeda|japan|korea|china|pipl|australia|addendum|supplement|regional/i },
+  { type: 'children', label: "Children's Privacy Notice", pattern: /child|kids|minors?\b/i }
+];
+
+// Linked files that can't be analyzed as HTML
+const NON_HTML_EXTENSION = /\.(pdf|docx?|xlsx?|zip|png|jpe?g|gif|svg|mp4)$/i;
+
+/**
+ * Whether two hosts belong to the same site (same domain or subdomains of it)
+ */
+const isSameSite = (hostA, hostB) => {
+  const base = (host) => host.replace(/^www\./, '').split('.').slice(-2).join('.');
+  return base(hostA) === base(hostB);
+};
+
+/**
+ * Links in a page to related same-site documents, tagged with their type
+ */
+const findRelatedLinks = (html, pageUrl) => {
+  const $ = cheerio.load(html);
+  const pageHost = new URL(pageUrl).hostname;
+  const links = [];
+
+  $('a[href]').each((i, el) => {
+    const href = $(el).attr('href');
+    const text = $(el).text().replace(/\s+/g, ' ').trim();
+
+    let url;
+    try {
+      url = new URL(href, pageUrl);
+    } catch (error) {
+      return;
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol) || !isSameSite(url.hostname, pageHost)) return;
+    if (NON_HTML_EXTENSION.test(url.pathname)) return;
+
+    url.hash = '';
+    const label = `${text} ${decodeURIComponent(url.pathname)}`;
+    const match = RELATED_DOCUMENT_TYPES.find(documentType => documentType.pattern.test(label));
+
+    if (match) {
+      links.push({ url: url.toString(), type: match.type, label: match.label, linkText: text });
+    }
+  });
+
+  return links;
+};
+
+/**
+ * Follow links from a policy to related same-site documents (cookie policy,
+ * sub-processor list, regional notices...), breadth first, up to `maxDepth`
+ * links away and `maxDocuments` documents. Pages that fail are skipped.
+ */
+const collectRelatedDocuments = async (policyUrl, html, { maxDepth, maxDocuments, onEvent }) => {
+  const normalize = (url) => url.replace(/\/$/, '').toLowerCase();
+  const seen = new Set([normalize(policyUrl)]);
+  const documents = [];
+  let frontier = findRelatedLinks(html, policyUrl);
+
+  for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+    const next = [];
+
+    for (const link of frontier) {
+      if (documents.length >= maxDocuments) return documents;
+      if (seen.has(normalize(link.url))) continue;
+      seen.add(normalize(link.url));
+
+      try {
+        const linkedHtml = await fetchPolicyContent(link.url);
+        const { text, structure } = extractStructuredText(linkedHtml, link.url, await siteRules.getRuleForUrl(link.url));
+
+        if (!text || text.length < 200) {
+          logger.info(`Skipping linked ${link.type} ${link.url}: no meaningful text`);
+          continue;
+        }
+
+        const { title } = extractMetadata(linkedHtml, link.url);
+        documents.push({ ...link, title: link.linkText || title, text, structure, depth });
+        onEvent('linked_document', { type: link.type, url: link.url, title: link.linkText || title, length: text.length, depth });
+
+        if (depth < maxDepth) {
+          next.push(...findRelatedLinks(linkedHtml, link.url));
         }
-      }, 100);
+      } catch (error) {
+        logger.warn(`Could not fetch linked ${link.type} ${link.url}: ${error.message}`);
+        onEvent('linked_document_failed', { type: link.type, url: link.url, error: error.message });
+      }
+    }
+
+    frontier = next;
+  }
+
+  return documents;
+};
+
+/**
+ * Append linked documents to the policy text under a heading each. Returns
+ * the combined text, each document's position in it and the combined tree,
+ * where each linked document is a `document` node.
+ */
+const combineDocuments = (policyUrl, title, text, structure, relatedDocuments) => {
+  let combined = text;
+  const nodes = [...structure.nodes];
+  const documents = [{
+    index: 0,
+    type: 'privacy_policy',
+    label: 'Privacy Policy',
+    url: policyUrl,
+    title,
+    start: 0,
+    end: text.length
+  }];
+
+  for (const related of relatedDocuments) {
+    const heading = `\n\n${related.label}: ${related.title || related.url}\n\n`;
+    const room = MAX_COMBINED_TEXT_LENGTH - combined.length - heading.length;
+    if (room < 500) break;
+
+    const body = related.text.slice(0, room);
+    const start = combined.length + heading.length;
+    combined += heading + body;
+    
+    const id = `doc${documents.length}`;
+    nodes.push({
+      id,
+      type: 'document',
+      documentType: related.type,
+      title: related.title || related.label,
+      url: related.url,
+      start,
+      end: combined.length,
+      children: shiftStructure(truncateStructure(related.structure, body.length).nodes, start, `${id}.`)
     });
-  });
+
+    documents.push({
+      index: documents.length,
+      type: related.type,
+      label: related.label,
+      url: related.url,
+      title: related.title,
+      depth: related.depth,
+      start,
+      end: combined.length
+    });
+  }
+
+  return { text: combined, documents, structure: { ...structure, nodes } };
 };
 
 /**
- * Process a privacy policy URL with advanced error handling and recovery
+ * Process a privacy policy URL with advanced error handling and recovery.
+ * `options.onProgress(stage)` is awaited before fetching and extracting;
+ * `options.onEvent(type, data)` receives details of each step as it happens.
+ * With `options.followLinks`, linked cookie policies, sub-processor lists and
+ * regional notices are appended to the text and listed in `documents`
+ * (`options.maxDepth`, default 1, and `options.maxDocuments`, default 5).
+ * `consent` names the site's consent management platforms, if any.
  */
-const processPrivacyPolicy = async (policyUrl) => {
+const processPrivacyPolicy = async (policyUrl, options = {}) => {
+  const onProgress = options.onProgress || (async () => {});
+  const onEvent = options.onEvent || (() => {});
   logger.info(`Processing policy URL: ${policyUrl}`);
   const startTime = Date.now();
   
@@ -461,13 +606,21 @@ const processPrivacyPolicy = async (policyUrl) => {
     }
     
     // Fetch HTML content
-    const html = await fetchPolicyContent(policyUrl);
+    await onProgress('fetching');
+    const html = await fetchPolicyContent(policyUrl, onEvent);
     
     if (!html || html.length < 100) {
       throw new Error(`Retrieved HTML content is too short or empty from ${policyUrl}`);
     }
     
     logger.info(`Successfully fetched HTML from ${policyUrl} (length: ${html.length})`);
+    onEvent('html_fetched', { length: html.length });
+    
+    // Which consent management platform the site uses
+    const consent = detectConsentPlatforms(html);
+    if (consent.platforms.length > 0) {
+      onEvent('consent_platform', consent);
+    }
     
     // Verify if this is likely a privacy policy
     if (!isProbablyPrivacyPolicy(policyUrl, html)) {
@@ -476,7 +629,8 @@ const processPrivacyPolicy = async (policyUrl) => {
     }
     
     // Extract text content
-    const text = extractTextFromHtml(html, policyUrl);
+    await onProgress('extracting');
+    const { text, structure } = extractStructuredText(html, policyUrl, await siteRules.getRuleForUrl(policyUrl));
     
     // Extract metadata
     const metadata = extractMetadata(html, policyUrl);
@@ -485,12 +639,37 @@ const processPrivacyPolicy = async (policyUrl) => {
       throw new Error(`Failed to extract meaningful text content from ${policyUrl}`);
     }
     
-    logger.info(`Successfully extracted text (length: ${text.length}) and metadata from ${policyUrl}`);
+    const { language } = detectLanguage(text);
+    
+    logger.info(`Successfully extracted text (length: ${text.length}, language: ${language}) and metadata from ${policyUrl}`);
+    onEvent('text_extracted', {
+      length: text.length,
+      language,
+      title: metadata.title,
+      company: metadata.company,
+      lastUpdated: metadata.lastUpdated
+    });
     
     // Limit text length for API processing
-    const truncatedText = text.length > 100000 
-      ? text.slice(0, 100000) + '... [text truncated due to length]'
+    let truncatedText = text.length > MAX_TEXT_LENGTH 
+      ? text.slice(0, MAX_TEXT_LENGTH) + '... [text truncated due to length]'
       : text;
+    let truncatedStructure = truncateStructure(structure, MAX_TEXT_LENGTH);
+    
+    // Add the documents the policy hands details off to
+    let documents;
+    if (options.followLinks) {
+      const related = await collectRelatedDocuments(policyUrl, html, {
+        maxDepth: Math.min(Math.max(parseInt(options.maxDepth, 10) || 1, 1), 2),
+        maxDocuments: Math.min(Math.max(parseInt(options.maxDocuments, 10) || 5, 1), 10),
+        onEvent
+      });
+      
+      ({ text: truncatedText, documents, structure: truncatedStructure } = combineDocuments(
+        policyUrl, metadata.title, truncatedText, truncatedStructure, related
+      ));
+      logger.info(`Added ${documents.length - 1} linked document(s) to ${policyUrl}`);
+    }
     
     const processingTime = Date.now() - startTime;
     logger.info(`Policy processing completed in ${processingTime}ms for ${policyUrl}`);
@@ -501,7 +680,11 @@ const processPrivacyPolicy = async (policyUrl) => {
       title: metadata.title,
       company: metadata.company,
       lastUpdated: metadata.lastUpdated,
+      language,
+      consent,
       text: truncatedText,
+      structure: truncatedStructure,
+      ...(documents && { documents }),
       extractionMethod: html.includes('__NEXT_DATA__') ? 'puppeteer' : 'axios',
       processingTime
     };
@@ -517,6 +700,11 @@ const processPrivacyPolicy = async (policyUrl) => {
 
 module.exports = {
   processPrivacyPolicy,
+  fetchPolicyContent,
   extractDomain,
-  isProbablyPrivacyPolicy
+  extractTextFromHtml,
+  extractStructuredText,
+  extractMetadata,
+  isProbablyPrivacyPolicy,
+  USER_AGENT
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+// src/utils/policyMonitor.js
+const monitoringModel = require('../models/monitoringModel');
+const jobQueue = require('./jobQueue');
+const { RECHECK_JOB_TYPE } = require('./analysisPipeline');
+const { logger } = require('../middleware/errorHandler');
+
+/**
+ * Periodically queues re-check jobs for subscribed policies that are due.
+ * The checks themselves run on the job queue, so they share its concurrency
+ * limit and survive a restart.
+ */
+class PolicyMonitor {
+  constructor() {
+    this.timer = null;
+    this.checking = false;
+    this.enabled = process.env.MONITOR_ENABLED !== 'false';
+    this.tickIntervalMs = parseInt(process.env.MONITOR_TICK_INTERVAL_MS, 10) || 5 * 60 * 1000;
+    this.batchSize = parseInt(process.env.MONITOR_BATCH_SIZE, 10) || 20;
+    this.lastRunAt = null;
+  }
+
+  /**
+   * Start checking for due policies
+   */
+  start() {
+    if (!this.enabled) {
+      logger.info('Policy monitor disabled (MONITOR_ENABLED=false)');
+      return;
+    }
+
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.queueDueChecks(), this.tickIntervalMs);
+    this.queueDueChecks();
+    logger.info(`Policy monitor started (every ${Math.round(this.tickIntervalMs / 1000)}s)`);
+  }
+
+  /**
+   * Stop checking for due policies
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue a re-check job for each policy that is due
+   */
+  async queueDueChecks() {
+    // A slow database shouldn't lead to overlapping runs
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      const due = await monitoringModel.getDueUrls(this.batchSize);
+
+      for (const { url } of due) {
+        await jobQueue.enqueue(RECHECK_JOB_TYPE, { url, options: { scheduled: true } });
+      }
+
+      if (due.length > 0) {
+        logger.info(`Queued re-checks for ${due.length} subscribed polic${due.length === 1 ? 'y' : 'ies'}`);
+      }
+
+      this.lastRunAt = new Date();
+    } catch (error) {
+      logger.error('Error queueing policy re-checks:', error);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Get monitor stats
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      running: !!this.timer,
+      tickIntervalMs: this.tickIntervalMs,
+      batchSize: this.batchSize,
+      lastRunAt: this.lastRunAt
+    };
+  }
+}
+
+// Export singleton instance
+const policyMonitor = new PolicyMonitor();
+
+module.exports = policyMonitor;
@@ -0,0 +1,212 @@
+// src/utils/privacyScorer.js
+
+// Bump when criteria or weights change, so stored breakdowns can be compared safely
+const RUBRIC_VERSION = 1;
+
+/**
+ * Canonical user rights counted by the user rights criterion
+ */
+const CANONICAL_RIGHTS = [
+  { name: 'access', pattern: /\baccess\b/i },
+  { name: 'correction', pattern: /\b(correct|rectif)/i },
+  { name: 'deletion', pattern: /\b(delet|eras|forgotten)/i },
+  { name: 'portability', pattern: /\bportab/i },
+  { name: 'objection', pattern: /\b(opt[- ]?out|object|restrict|unsubscribe)/i },
+  { name: 'consent withdrawal', pattern: /\bwithdraw/i },
+  { name: 'complaint', pattern: /\b(complaint|supervisory authority)\b/i }
+];
+
+const SENSITIVE_DATA_PATTERN = /\b(health|medical|biometric|genetic|precise location|gps|social security|passport|racial|ethnic|sexual|religio|political)/i;
+const ADVERTISING_PATTERN = /\b(advertis|marketing|ad network|data broker)/i;
+const SALE_PATTERN = /\b(sell|sells|selling|sale of)\b/i;
+const NO_SALE_PATTERN = /\b(do|does|will) not sell\b|\bnever sell\b|\bnot sold\b/i;
+
+/**
+ * Gather the text of the findings the rubric looks at
+ */
+const findingsText = (analysis) => {
+  return [
+    ...(analysis.summary || []),
+    ...(analysis.redFlags || []),
+    ...Object.keys(analysis.dataSharing || {}),
+    ...Object.values(analysis.dataSharing || {}),
+    analysis.retention || '',
+    ...Object.values(analysis.compliance || {})
+  ].join(' \n ');
+};
+
+/**
+ * Scoring criteria. Each `evaluate` returns a score between 0 (worst) and 1
+ * (best) and the reason for it. Weights add up to 100.
+ */
+const SCORING_RUBRIC = [
+  {
+    id: 'thirdPartySharing',
+    label: 'Third-party sharing',
+    weight: 20,
+    evaluate: (analysis) => {
+      const recipients = Object.entries(analysis.dataSharing || {})
+        .filter(([recipient]) => !/\b(unknown|none)\b/i.test(recipient));
+      const advertising = recipients.filter(([recipient, purpose]) => ADVERTISING_PATTERN.test(`${recipient} ${purpose}`));
+      const other = recipients.length - advertising.length;
+
+      if (recipients.length === 0) {
+        return { score: 1, reason: 'No third-party sharing identified' };
+      }
+
+      return {
+        score: Math.max(0, 1 - advertising.length * 0.4 - other * 0.1),
+        reason: `Shares data with ${recipients.length} type(s) of recipients, ${advertising.length} for advertising or marketing`
+      };
+    }
+  },
+  {
+    id: 'saleOfData',
+    label: 'Sale of personal data',
+    weight: 15,
+    evaluate: (analysis) => {
+      const sells = [...(analysis.redFlags || []), ...Object.values(analysis.dataSharing || {})]
+        .some(finding => SALE_PATTERN.test(finding) && !NO_SALE_PATTERN.test(finding));
+      const canOptOut = (analysis.userRights || []).some(right => /\bsale\b|do not sell/i.test(right));
+
+      if (!sells) {
+        return { score: 1, reason: 'No sale of personal data identified' };
+      }
+
+      return canOptOut
+        ? { score: 0.5, reason: 'Personal data may be sold, but users can opt out' }
+        : { score: 0, reason: 'Personal data may be sold with no opt-out identified' };
+    }
+  },
+  {
+    id: 'retentionClarity',
+    label: 'Retention clarity',
+    weight: 15,
+    evaluate: (analysis) => {
+      const retention = analysis.retention || '';
+
+      if (!retention || /not (specified|determined|mentioned)/i.test(retention)) {
+        return { score: 0, reason: 'Retention period is not specified' };
+      }
+      if (/\bindefinite/i.test(retention)) {
+        return { score: 0, reason: 'Data may be retained indefinitely' };
+      }
+      if (/\b\d+\s*(day|week|month|year)s?\b/i.test(retention)) {
+        return { score: 1, reason: 'Retention period is stated explicitly' };
+      }
+      if (/as long as (necessary|needed|required)/i.test(retention)) {
+        return { score: 0.3, reason: 'Retention is open-ended ("as long as necessary")' };
+      }
+
+      return { score: 0.6, reason: 'Retention is described without specific periods' };
+    }
+  },
+  {
+    id: 'userRights',
+    label: 'Rights offered',
+    weight: 20,
+    evaluate: (analysis) => {
+      const rights = (analysis.userRights || []).join(' \n ');
+      const offered = CANONICAL_RIGHTS.filter(right => right.pattern.test(rights)).map(right => right.name);
+
+      return {
+        score: Math.min(1, offered.length / 5),
+        reason: offered.length > 0
+          ? `Offers ${offered.length} of ${CANONICAL_RIGHTS.length} key rights: ${offered.join(', ')}`
+          : 'No user rights identified'
+      };
+    }
+  },
+  {
+    id: 'childrenData',
+    label: 'Children\'s data',
+    weight: 10,
+    evaluate: (analysis) => {
+      const flagged = (analysis.redFlags || []).some(flag => /\b(child|children|minor|kids|COPPA)\b/i.test(flag));
+
+      return flagged
+        ? { score: 0, reason: 'Concerns identified about children\'s data' }
+        : { score: 1, reason: 'No concerns about children\'s data identified' };
+    }
+  },
+  {
+    id: 'internationalTransfers',
+    label: 'International transfers',
+    weight: 10,
+    evaluate: (analysis) => {
+      const text = findingsText(analysis);
+      const transfers = /\b(international(ly)?|cross-border|other countries|outside (the|your) (country|EEA|EU))\b/i.test(text);
+      const safeguards = /\b(standard contractual clauses|adequacy|safeguards|binding corporate rules|data privacy framework)\b/i.test(text);
+
+      if (!transfers) {
+        return { score: 1, reason: 'No international transfers identified' };
+      }
+
+      return safeguards
+        ? { score: 0.6, reason: 'Data is transferred internationally with stated safeguards' }
+        : { score: 0, reason: 'Data is transferred internationally without stated safeguards' };
+    }
+  },
+  {
+    id: 'sensitiveData',
+    label: 'Sensitive data collection',
+    weight: 10,
+    evaluate: (analysis) => {
+      const sensitive = Object.entries(analysis.dataCollection || {})
+        .flatMap(([category, items]) => (items || []).map(item => `${category}: ${item}`))
+        .filter(item => SENSITIVE_DATA_PATTERN.test(item));
+
+      return {
+        score: Math.max(0, 1 - sensitive.length * 0.35),
+        reason: sensitive.length > 0
+          ? `Collects ${sensitive.length} type(s) of sensitive data`
+          : 'No sensitive data collection identified'
+      };
+    }
+  }
+];
+
+/**
+ * Score a structured analysis against the rubric. The same extraction always
+ * produces the same score, and the per-criterion breakdown shows how it was reached.
+ */
+const scorePolicy = (analysis) => {
+  const breakdown = SCORING_RUBRIC.map(criterion => {
+    const { score, reason } = criterion.evaluate(analysis);
+    const points = Math.round(score * criterion.weight * 10) / 10;
+
+    return {
+      criterion: criterion.id,
+      label: criterion.label,
+      weight: criterion.weight,
+      score: Math.round(score * 100) / 100,
+      points,
+      reason
+    };
+  });
+
+  const value = Math.round(breakdown.reduce((total, item) => total + item.points, 0));
+
+  // Explain the score through the criteria that cost the most points
+  const weakest = breakdown
+    .filter(item => item.points < item.weight)
+    .sort((a, b) => (b.weight - b.points) - (a.weight - a.points))
+    .slice(0, 3);
+
+  const explanation = weakest.length > 0
+    ? `Scored ${value}/100. Main deductions: ${weakest.map(item => `${item.label} (${item.reason})`).join('; ')}`
+    : `Scored ${value}/100 with no deductions`;
+
+  return {
+    value,
+    explanation,
+    breakdown,
+    version: RUBRIC_VERSION
+  };
+};
+
+module.exports = {
+  RUBRIC_VERSION,
+  SCORING_RUBRIC,
+  scorePolicy
+};
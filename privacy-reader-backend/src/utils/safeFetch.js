@@ -0,0 +1,420 @@
+// src/utils/safeFetch.js
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { logger, ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Thrown when a URL, a redirect or a resolved address is outside the fetch policy
+ */
+class UnsafeUrlError extends ValidationError {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsafeUrlError';
+  }
+}
+
+// Comma-separated domain lists; `example.com` covers its subdomains
+const parseDomainList = (value) => (value || '')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase().replace(/^\*\./, ''))
+  .filter(Boolean);
+
+const ALLOWED_DOMAINS = parseDomainList(process.env.SAFE_FETCH_ALLOWED_DOMAINS);
+const DENIED_DOMAINS = parseDomainList(process.env.SAFE_FETCH_DENIED_DOMAINS);
+
+// Only for local development, e.g. webhooks to a server on localhost
+const ALLOW_PRIVATE_ADDRESSES = process.env.SAFE_FETCH_ALLOW_PRIVATE === 'true';
+
+const MAX_RESPONSE_BYTES = (parseInt(process.env.SAFE_FETCH_MAX_MB, 10) || 10) * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Content types a page fetch accepts by default
+const PAGE_CONTENT_TYPES = ['text/html', 'application/xhtml+xml', 'text/plain', 'text/xml', 'application/xml'];
+
+// Methods and headers callers of the proxy may choose
+const ALLOWED_METHODS = ['GET', 'HEAD'];
+const OVERRIDABLE_HEADERS = [
+  'accept', 'accept-language', 'cache-control', 'pragma', 'referer', 'user-agent',
+  'dnt', 'if-none-match', 'if-modified-since'
+];
+
+/**
+ * Private, loopback, link-local, shared, documentation, multicast and other
+ * reserved ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+ */
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 23],
+  ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is outside the public internet
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const matchesDomain = (hostname, domain) => hostname === domain || hostname.endsWith(`.${domain}`);
+
+/**
+ * Check what can be told from a URL alone: the scheme, credentials, the
+ * domain lists and IP-literal hosts. Returns the parsed URL.
+ */
+const checkUrlSync = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new ValidationError(`Invalid URL format: ${url}`);
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new UnsafeUrlError(`Only http and https URLs can be fetched: ${url}`);
+  }
+
+  if (parsed.username || parsed.password) {
+    throw new UnsafeUrlError('URLs with credentials can\'t be fetched');
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+  if (DENIED_DOMAINS.some(domain => matchesDomain(hostname, domain))) {
+    throw new UnsafeUrlError(`Fetching from ${hostname} is not allowed`);
+  }
+
+  if (ALLOWED_DOMAINS.length > 0 && !ALLOWED_DOMAINS.some(domain => matchesDomain(hostname, domain))) {
+    throw new UnsafeUrlError(`${hostname} is not on the list of domains that can be fetched`);
+  }
+
+  if (!ALLOW_PRIVATE_ADDRESSES && isPrivateAddress(hostname)) {
+    throw new UnsafeUrlError(`${hostname} is a private or reserved address`);
+  }
+
+  return parsed;
+};
+
+/**
+ * Resolve a hostname and reject it if any of its addresses is private
+ */
+const resolvePublic = async (hostname) => {
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(item => isPrivateAddress(item.address));
+
+  if (blocked && !ALLOW_PRIVATE_ADDRESSES) {
+    throw new UnsafeUrlError(`${hostname} resolves to a private or reserved address (${blocked.address})`);
+  }
+
+  return addresses;
+};
+
+/**
+ * Check a URL against the fetch policy, resolving its hostname. Returns the parsed URL.
+ */
+const checkUrl = async (url) => {
+  const parsed = checkUrlSync(url);
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+
+  if (!net.isIP(hostname)) {
+    await resolvePublic(hostname);
+  }
+
+  return parsed;
+};
+
+/**
+ * DNS lookup for outgoing connections. Addresses are checked when the
+ * connection is made, so a name can't resolve to a public address for the
+ * check and a private one for the request.
+ */
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(item => isPrivateAddress(item.address));
+    if (blocked && !ALLOW_PRIVATE_ADDRESSES) {
+      return callback(new UnsafeUrlError(`${hostname} resolves to a private or reserved address (${blocked.address})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Agents for axios requests that must only reach public addresses
+ */
+const safeAgents = {
+  httpAgent: new http.Agent({ lookup: safeLookup }),
+  httpsAgent: new https.Agent({ lookup: safeLookup })
+};
+
+/**
+ * Recover the policy error from an axios error (blocked redirects are wrapped twice)
+ */
+const unwrapError = (error) => {
+  for (let cause = error; cause; cause = cause.cause) {
+    if (cause instanceof UnsafeUrlError) return cause;
+  }
+  return error;
+};
+
+/**
+ * Fetch a URL within the fetch policy: public http(s) addresses only,
+ * checked again on every redirect and connection, with a response size limit
+ * and an allowed set of content types (responses without one are accepted).
+ * Resolves to the axios response, with the body as text.
+ */
+const safeGet = async (url, {
+  method = 'GET',
+  headers = {},
+  timeout = 15000,
+  maxRedirects = MAX_REDIRECTS,
+  maxBytes = MAX_RESPONSE_BYTES,
+  contentTypes = PAGE_CONTENT_TYPES,
+  validateStatus
+} = {}) => {
+  await checkUrl(url);
+
+  let response;
+  try {
+    response = await axios({
+      method,
+      url,
+      headers,
+      timeout,
+      maxRedirects: Math.min(maxRedirects, MAX_REDIRECTS),
+      maxContentLength: maxBytes,
+      responseType: 'text',
+      ...safeAgents,
+      ...(validateStatus && { validateStatus }),
+      // Redirects are checked before they are followed; their addresses when connecting
+      beforeRedirect: (options) => {
+        checkUrlSync(options.href || `${options.protocol}//${options.hostname}${options.path || '/'}`);
+      }
+    });
+  } catch (error) {
+    const unwrapped = unwrapError(error);
+    if (unwrapped instanceof UnsafeUrlError) {
+      logger.warn(`Blocked fetch of ${url}: ${unwrapped.message}`);
+    }
+    throw unwrapped;
+  }
+
+  const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+  if (contentType && contentTypes && !contentTypes.includes(contentType)) {
+    throw new ValidationError(`Unsupported content type ${contentType} from ${url}`);
+  }
+
+  return response;
+};
+
+/**
+ * Validate an HTTP method requested by a proxy caller
+ */
+const parseMethod = (method) => {
+  const upperMethod = String(method || 'GET').toUpperCase();
+
+  if (!ALLOWED_METHODS.includes(upperMethod)) {
+    throw new ValidationError(`HTTP method ${method} is not allowed; use ${ALLOWED_METHODS.join(' or ')}`);
+  }
+
+  return upperMethod;
+};
+
+/**
+ * Validate headers requested by a proxy caller. Names are returned in lower case.
+ */
+const parseHeaderOverrides = (headers) => {
+  if (headers === undefined || headers === null) return {};
+
+  if (typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new ValidationError('headers must be an object of header names and values');
+  }
+
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => {
+    const lowerName = name.toLowerCase();
+
+    if (!OVERRIDABLE_HEADERS.includes(lowerName)) {
+      throw new ValidationError(`Header ${name} can't be set; allowed headers are ${OVERRIDABLE_HEADERS.join(', ')}`);
+    }
+
+    if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+      throw new ValidationError(`Header ${name} must have a single-line string value`);
+    }
+
+    return [lowerName, value];
+  }));
+};
+
+/**
+ * Connect to a host and port through safeLookup, so only public addresses are reached
+ */
+const connectPublic = (host, port) => new Promise((resolve, reject) => {
+  const socket = net.connect({ host, port, lookup: safeLookup });
+  socket.once('connect', () => resolve(socket));
+  socket.once('error', reject);
+});
+
+let browserProxy = null;
+
+/**
+ * Start (once) the local proxy the pooled browsers connect through, and
+ * resolve to its port. The proxy resolves every host itself and only connects
+ * to public addresses, so a host can't pass safeGoto's check and then resolve
+ * to a private address when the browser connects (DNS rebinding).
+ */
+const startBrowserProxy = () => {
+  if (browserProxy) return browserProxy;
+
+  const server = http.createServer((req, res) => {
+    let target;
+    try {
+      target = checkUrlSync(req.url);
+    } catch (error) {
+      res.writeHead(403).end();
+      return;
+    }
+
+    const upstream = http.request(target, {
+      method: req.method,
+      headers: req.headers,
+      agent: safeAgents.httpAgent
+    }, (upstreamRes) => {
+      res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+      upstreamRes.pipe(res);
+    });
+
+    upstream.on('error', (error) => {
+      if (!res.headersSent) res.writeHead(unwrapError(error) instanceof UnsafeUrlError ? 403 : 502);
+      res.end();
+    });
+    req.pipe(upstream);
+  });
+
+  // HTTPS goes through CONNECT tunnels
+  server.on('connect', async (req, clientSocket, head) => {
+    clientSocket.on('error', () => {});
+
+    try {
+      const { hostname, port } = checkUrlSync(`https://${req.url}`);
+      const upstream = await connectPublic(hostname.replace(/^\[|\]$/g, ''), port || 443);
+
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      upstream.write(head);
+      upstream.on('error', () => clientSocket.destroy());
+      clientSocket.on('error', () => upstream.destroy());
+      upstream.pipe(clientSocket);
+      clientSocket.pipe(upstream);
+    } catch (error) {
+      clientSocket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    }
+  });
+
+  browserProxy = new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      server.unref();
+      resolve(server.address().port);
+    });
+  }).catch(error => {
+    browserProxy = null;
+    throw error;
+  });
+
+  return browserProxy;
+};
+
+/**
+ * Chromium arguments that send a browser's traffic through the checked proxy
+ */
+const browserProxyArgs = async () => {
+  const port = await startBrowserProxy();
+
+  // Chromium doesn't proxy loopback addresses unless told to; they are blocked by the proxy instead
+  return [`--proxy-server=http://127.0.0.1:${port}`, '--proxy-bypass-list=<-loopback>'];
+};
+
+/**
+ * Navigate a Puppeteer page within the fetch policy. Every request the page
+ * makes (redirects, frames, scripts, fetches) is checked and blocked if it
+ * leaves the policy; a blocked navigation fails with UnsafeUrlError.
+ * The browser resolves hosts again when it connects, so on its own this check
+ * can be bypassed by DNS rebinding; pages must belong to a browser launched
+ * with browserProxyArgs, whose proxy checks the address of every connection.
+ * The browser pool turns interception off again when the page is released.
+ */
+const safeGoto = async (page, url, options) => {
+  await checkUrl(url);
+
+  // One lookup per host for the whole page load
+  const verdicts = new Map();
+  let blockedNavigation = null;
+
+  const check = (requestUrl) => {
+    if (requestUrl.startsWith('data:') || requestUrl.startsWith('blob:') || requestUrl === 'about:blank') {
+      return Promise.resolve();
+    }
+
+    const key = (() => {
+      try {
+        return new URL(requestUrl).host;
+      } catch (error) {
+        return requestUrl;
+      }
+    })();
+
+    if (!verdicts.has(key)) verdicts.set(key, checkUrl(requestUrl));
+    return verdicts.get(key);
+  };
+
+  await page.setRequestInterception(true);
+  page.on('request', async (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+
+    try {
+      await check(request.url());
+      await request.continue();
+    } catch (error) {
+      // Hosts that can't be checked (e.g. unresolvable) are blocked too
+      if (error instanceof UnsafeUrlError && request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+        blockedNavigation = error;
+      }
+      await request.abort('blockedbyclient').catch(() => {});
+    }
+  });
+
+  try {
+    return await page.goto(url, options);
+  } catch (error) {
+    if (blockedNavigation) {
+      logger.warn(`Blocked browser navigation from ${url}: ${blockedNavigation.message}`);
+      throw blockedNavigation;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  UnsafeUrlError,
+  checkUrl,
+  isPrivateAddress,
+  safeGet,
+  safeGoto,
+  safeAgents,
+  browserProxyArgs,
+  parseMethod,
+  parseHeaderOverrides,
+  PAGE_CONTENT_TYPES
+};
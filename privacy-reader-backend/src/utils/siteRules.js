@@ -0,0 +1,182 @@
+// src/utils/siteRules.js
+const siteRuleModel = require('../models/siteRuleModel');
+const { DEFAULT_SITE_RULES } = siteRuleModel;
+const { logger } = require('../middleware/errorHandler');
+
+// How a site's pages are fetched: plain HTTP with a browser fallback, plain HTTP only, or a headless browser
+const FETCH_METHODS = ['auto', 'axios', 'puppeteer'];
+
+// Puppeteer navigation wait conditions
+const WAIT_CONDITIONS = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+
+// Steps that can be run to dismiss a cookie banner
+const BANNER_STEP_ACTIONS = ['click', 'wait', 'waitForSelector'];
+
+/**
+ * Rule fields as used by the fetchers and extractors
+ */
+const formatRule = (row) => ({
+  id: row.id || null,
+  pattern: row.pattern,
+  description: row.description || null,
+  fetchMethod: row.fetch_method || row.fetchMethod || 'auto',
+  waitUntil: row.wait_until || row.waitUntil || null,
+  waitForSelector: row.wait_for_selector || row.waitForSelector || null,
+  extraWaitMs: row.extra_wait_ms ?? row.extraWaitMs ?? null,
+  includeSelectors: row.include_selectors || row.includeSelectors || [],
+  excludeSelectors: row.exclude_selectors || row.excludeSelectors || [],
+  cookieBannerSteps: row.cookie_banner_steps || row.cookieBannerSteps || [],
+  headers: row.headers || {},
+  priority: row.priority ?? 0,
+  updatedAt: row.updated_at || null
+});
+
+/**
+ * Whether a hostname matches a domain pattern. `example.com` matches the
+ * domain and its subdomains; `*.example.com` matches only subdomains.
+ */
+const matchesPattern = (hostname, pattern) => {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+
+  if (pattern.startsWith('*.')) {
+    return host.endsWith(pattern.slice(1));
+  }
+
+  return host === pattern || host.endsWith(`.${pattern}`);
+};
+
+/**
+ * Best rule for a hostname: the highest priority, then the most specific
+ * pattern (longer domains, and `*.example.com` over `example.com` for subdomains)
+ */
+const matchRule = (hostname, rules) => {
+  const specificity = (pattern) => pattern.replace(/^\*\./, '').length + (pattern.startsWith('*.') ? 0.5 : 0);
+
+  return rules
+    .filter(rule => matchesPattern(hostname, rule.pattern))
+    .sort((a, b) => (b.priority - a.priority) || (specificity(b.pattern) - specificity(a.pattern)))[0] || null;
+};
+
+/**
+ * Site-specific fetch and extraction rules. Rules are read from the database
+ * and kept in memory; they are reloaded every `SITE_RULES_REFRESH_MS` and
+ * right after a change through the admin API, so edits apply without a redeploy. When the
+ * database can't be reached, the last loaded rules (or the defaults) are used.
+ */
+class SiteRuleRegistry {
+  constructor() {
+    this.refreshIntervalMs = parseInt(process.env.SITE_RULES_REFRESH_MS, 10) || 30000;
+    this.rules = DEFAULT_SITE_RULES.map(formatRule);
+    this.source = 'defaults';
+    this.loadedAt = 0;
+    this.loading = null;
+    this.stats = { loads: 0, failedLoads: 0, matches: 0 };
+  }
+
+  /**
+   * Reload the rules if they are older than the refresh interval
+   */
+  async getRules() {
+    if (Date.now() - this.loadedAt >= this.refreshIntervalMs) {
+      await this.refresh();
+    }
+
+    return this.rules;
+  }
+
+  /**
+   * Load the enabled rules from the database. Concurrent callers share one load.
+   */
+  async refresh() {
+    if (!this.loading) {
+      this.loading = siteRuleModel.getRules({ enabledOnly: true })
+        .then(rows => {
+          this.rules = rows.map(formatRule);
+          this.source = 'database';
+          this.stats.loads++;
+        })
+        .catch(error => {
+          this.stats.failedLoads++;
+          logger.warn(`Could not load site rules, using ${this.source} rules: ${error.message}`);
+        })
+        .finally(() => {
+          // Failed loads also wait for the next interval, so a missing database isn't hammered
+          this.loadedAt = Date.now();
+          this.loading = null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Make the next lookup reload the rules
+   */
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  /**
+   * The rule that applies to a URL, or null
+   */
+  async getRuleForUrl(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (error) {
+      return null;
+    }
+
+    const rules = await this.getRules();
+    const rule = matchRule(hostname, rules);
+
+    if (rule) this.stats.matches++;
+    return rule;
+  }
+
+  /**
+   * Get registry stats
+   */
+  getStats() {
+    return {
+      rules: this.rules.length,
+      source: this.source,
+      loadedAt: this.loadedAt ? new Date(this.loadedAt).toISOString() : null,
+      refreshIntervalMs: this.refreshIntervalMs,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Run a rule's cookie-banner steps on a page. A step that fails (usually
+ * because the banner isn't shown) stops the sequence without failing the fetch.
+ */
+const runCookieBannerSteps = async (page, steps = []) => {
+  for (const step of steps) {
+    try {
+      if (step.action === 'click') {
+        await page.waitForSelector(step.selector, { visible: true, timeout: step.timeoutMs || 5000 });
+        await page.click(step.selector);
+      } else if (step.action === 'waitForSelector') {
+        await page.waitForSelector(step.selector, { timeout: step.timeoutMs || 5000 });
+      } else if (step.action === 'wait') {
+        await new Promise(resolve => setTimeout(resolve, step.ms || 1000));
+      }
+    } catch (error) {
+      logger.info(`Cookie banner step ${step.action} ${step.selector || ''} skipped: ${error.message}`);
+      return false;
+    }
+  }
+
+  return true;
+};
+
+// Export singleton instance
+const siteRules = new SiteRuleRegistry();
+
+module.exports = siteRules;
+module.exports.runCookieBannerSteps = runCookieBannerSteps;
+module.exports.FETCH_METHODS = FETCH_METHODS;
+module.exports.WAIT_CONDITIONS = WAIT_CONDITIONS;
+module.exports.BANNER_STEP_ACTIONS = BANNER_STEP_ACTIONS;
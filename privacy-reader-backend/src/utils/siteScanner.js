@@ -0,0 +1,379 @@
+// src/utils/siteScanner.js
+const browserPool = require('./browserPool');
+const { autoScroll } = browserPool;
+const { USER_AGENT } = require('./policyExtractor');
+const { detectConsentPlatforms } = require('./consentBanners');
+const { safeGoto } = require('./safeFetch');
+const { TRACKER_CATEGORIES, findTracker, findTrackingCookie } = require('./trackerList');
+const { logger } = require('../middleware/errorHandler');
+
+// Public suffixes with a second level that sites register under
+const SECOND_LEVEL_SUFFIXES = [
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz', 'co.za',
+  'co.jp', 'ne.jp', 'co.kr', 'co.in', 'co.il', 'com.br', 'com.mx', 'com.ar', 'com.tr',
+  'com.cn', 'com.hk', 'com.sg', 'com.tw'
+];
+
+// Subdomains that serve legal pages rather than the site itself
+const LEGAL_SUBDOMAIN = /^(privacy|legal|policies|policy|terms|help|support|docs)\./;
+
+// Page-wide limits, so a misbehaving site can't grow a scan without bound
+const MAX_REQUESTS = 2000;
+const MAX_FINGERPRINT_CALLS = 1000;
+
+// Text measurements per script above which it is probing installed fonts
+const FONT_PROBE_THRESHOLD = 50;
+
+// Time left for late trackers after the page has settled
+const SETTLE_MS = 4000;
+
+// Where the instrumented APIs log their callers in the page
+const FINGERPRINT_LOG = '__privacyReaderFingerprinting';
+
+/**
+ * The registrable domain of a hostname (`shop.example.co.uk` → `example.co.uk`)
+ */
+const getSiteDomain = (hostname) => {
+  const labels = hostname.toLowerCase().replace(/\.$/, '').replace(/^\./, '').split('.');
+  const size = SECOND_LEVEL_SUFFIXES.includes(labels.slice(-2).join('.')) ? 3 : 2;
+  return labels.slice(-size).join('.');
+};
+
+/**
+ * The homepage of the site hosting a policy. Policies on a legal subdomain
+ * (`privacy.example.com`) are scanned on the main site.
+ */
+const getHomepageUrl = (policyUrl) => {
+  const { protocol, hostname } = new URL(policyUrl);
+  const host = hostname !== getSiteDomain(hostname) ? hostname.replace(LEGAL_SUBDOMAIN, '') : hostname;
+  return `${protocol}//${host}/`;
+};
+
+/**
+ * Runs in the page before any of its scripts: wraps the APIs used for
+ * fingerprinting so each call is logged with the script that made it.
+ */
+function instrumentFingerprinting(logName, maxCalls) {
+  const log = [];
+  Object.defineProperty(window, logName, { value: log });
+
+  // The first script URL in the stack; the wrappers themselves have none
+  const caller = () => {
+    const lines = (new Error().stack || '').split('\n').slice(1);
+    for (const line of lines) {
+      const match = line.match(/(https?:\/\/[^\s)]+?):\d+:\d+/);
+      if (match) return match[1];
+    }
+    return null;
+  };
+
+  const record = (api) => {
+    if (log.length < maxCalls) log.push({ api, script: caller() });
+  };
+
+  const wrap = (proto, name, api, applies) => {
+    const original = proto && proto[name];
+    if (typeof original !== 'function') return;
+
+    proto[name] = function (...args) {
+      if (!applies || applies(...args)) record(api);
+      return original.apply(this, args);
+    };
+  };
+
+  wrap(window.HTMLCanvasElement?.prototype, 'toDataURL', 'canvas');
+  wrap(window.HTMLCanvasElement?.prototype, 'toBlob', 'canvas');
+  wrap(window.CanvasRenderingContext2D?.prototype, 'getImageData', 'canvas');
+  wrap(window.CanvasRenderingContext2D?.prototype, 'measureText', 'fonts');
+
+  // Only the unmasked vendor and renderer identify the graphics hardware
+  [window.WebGLRenderingContext, window.WebGL2RenderingContext].forEach(context => {
+    wrap(context?.prototype, 'getParameter', 'webgl', param => param === 0x9245 || param === 0x9246);
+  });
+
+  wrap(window.Navigator?.prototype, 'getBattery', 'battery');
+  wrap(window.MediaDevices?.prototype, 'enumerateDevices', 'media_devices');
+
+  if (window.OfflineAudioContext) {
+    const OriginalAudioContext = window.OfflineAudioContext;
+    window.OfflineAudioContext = function (...args) {
+      record('audio');
+      return new OriginalAudioContext(...args);
+    };
+    window.OfflineAudioContext.prototype = OriginalAudioContext.prototype;
+  }
+}
+
+/**
+ * Group logged API calls by API and script. Occasional text measurement is
+ * ordinary layout work, so font probing needs many calls from one script.
+ */
+const summarizeFingerprinting = (calls, isFirstParty) => {
+  const groups = new Map();
+
+  calls.forEach(({ api, script }) => {
+    const key = `${api} ${script}`;
+    if (!groups.has(key)) groups.set(key, { api, script, calls: 0 });
+    groups.get(key).calls++;
+  });
+
+  return [...groups.values()]
+    .filter(group => group.api !== 'fonts' || group.calls >= FONT_PROBE_THRESHOLD)
+    .map(group => {
+      let hostname = null;
+      try {
+        hostname = new URL(group.script).hostname;
+      } catch (error) {
+        // Inline script
+      }
+
+      const tracker = hostname && findTracker(hostname);
+
+      return {
+        ...group,
+        thirdParty: hostname ? !isFirstParty(hostname) : false,
+        company: tracker ? tracker.company : null
+      };
+    });
+};
+
+/**
+ * Group requests by third-party domain and match them against the tracker list
+ */
+const summarizeRequests = (requests, isFirstParty) => {
+  const domains = new Map();
+
+  requests.forEach(({ url, type }) => {
+    let hostname;
+    try {
+      const parsed = new URL(url);
+      if (!/^https?:$/.test(parsed.protocol)) return;
+      hostname = parsed.hostname;
+    } catch (error) {
+      return;
+    }
+
+    if (isFirstParty(hostname)) return;
+
+    const domain = getSiteDomain(hostname);
+    if (!domains.has(domain)) {
+      domains.set(domain, { domain, hosts: new Set(), requests: 0, types: new Set(), tracker: null });
+    }
+
+    const entry = domains.get(domain);
+    entry.hosts.add(hostname);
+    entry.requests++;
+    entry.types.add(type);
+    entry.tracker = entry.tracker || findTracker(hostname);
+  });
+
+  return [...domains.values()]
+    .map(entry => ({
+      domain: entry.domain,
+      hosts: [...entry.hosts],
+      requests: entry.requests,
+      types: [...entry.types],
+      company: entry.tracker ? entry.tracker.company : null,
+      category: entry.tracker ? entry.tracker.category : null
+    }))
+    .sort((a, b) => b.requests - a.requests);
+};
+
+/**
+ * Describe the cookies present before any consent was given
+ */
+const summarizeCookies = (cookies, isFirstParty) => cookies.map(cookie => {
+  const hostname = cookie.domain.replace(/^\./, '');
+  const thirdParty = !isFirstParty(hostname);
+  const tracker = thirdParty ? findTracker(hostname) : findTrackingCookie(cookie.name);
+
+  return {
+    name: cookie.name,
+    domain: cookie.domain,
+    thirdParty,
+    session: cookie.session,
+    expires: cookie.session || cookie.expires < 0 ? null : new Date(cookie.expires * 1000).toISOString(),
+    company: tracker ? tracker.company : null,
+    category: tracker ? tracker.category : null
+  };
+});
+
+/**
+ * Load a site's homepage in a clean browser context, without interacting
+ * with its consent banner, and record third-party requests, the cookies set
+ * before consent, known trackers and fingerprinting API calls.
+ * `onEvent(type, data)` receives progress details.
+ */
+const scanSite = async (policyUrl, { onEvent = () => {} } = {}) => {
+  const url = getHomepageUrl(policyUrl);
+  const startTime = Date.now();
+
+  onEvent('site_scan_started', { url });
+
+  const scan = await browserPool.withPage(async (page) => {
+    const requests = [];
+    page.on('request', request => {
+      if (requests.length < MAX_REQUESTS) {
+        requests.push({ url: request.url(), type: request.resourceType() });
+      }
+    });
+
+    await page.setUserAgent(USER_AGENT);
+    await page.setExtraHTTPHeaders({ 'Accept-Language': 'en-US,en;q=0.9' });
+    await page.evaluateOnNewDocument(instrumentFingerprinting, FINGERPRINT_LOG, MAX_FINGERPRINT_CALLS);
+
+    await safeGoto(page, url, { waitUntil: 'networkidle2', timeout: 30000 });
+
+    // Some trackers only load once the visitor scrolls or after a delay
+    await autoScroll(page);
+    await new Promise(resolve => setTimeout(resolve, SETTLE_MS));
+
+    return {
+      finalUrl: page.url(),
+      requests,
+      cookies: await page.browserContext().cookies(),
+      fingerprinting: await page.evaluate(name => window[name] || [], FINGERPRINT_LOG),
+      html: await page.content()
+    };
+  }, { timeoutMs: 75000 });
+
+  // Redirects to another domain (example.com → example.co.uk) stay first-party
+  const siteDomains = new Set([url, scan.finalUrl].map(item => getSiteDomain(new URL(item).hostname)));
+  const isFirstParty = hostname => siteDomains.has(getSiteDomain(hostname));
+
+  const thirdPartyDomains = summarizeRequests(scan.requests, isFirstParty);
+  const cookies = summarizeCookies(scan.cookies, isFirstParty);
+  const fingerprinting = summarizeFingerprinting(scan.fingerprinting, isFirstParty);
+  const consent = detectConsentPlatforms(scan.html);
+
+  const trackers = thirdPartyDomains.filter(entry => entry.category);
+  const trackersByCategory = Object.fromEntries(TRACKER_CATEGORIES.map(category => [
+    category,
+    trackers.filter(entry => entry.category === category).map(entry => entry.company)
+  ]));
+
+  const result = {
+    url,
+    finalUrl: scan.finalUrl,
+    scannedAt: new Date().toISOString(),
+    durationMs: Date.now() - startTime,
+    summary: {
+      requests: scan.requests.length,
+      thirdPartyRequests: thirdPartyDomains.reduce((total, entry) => total + entry.requests, 0),
+      thirdPartyDomains: thirdPartyDomains.length,
+      trackers: trackers.length,
+      trackersByCategory: Object.fromEntries(Object.entries(trackersByCategory).map(([category, list]) => [category, list.length])),
+      cookies: cookies.length,
+      thirdPartyCookies: cookies.filter(cookie => cookie.thirdParty).length,
+      trackingCookies: cookies.filter(cookie => cookie.category).length,
+      fingerprintingApis: [...new Set(fingerprinting.map(item => item.api))],
+      consentPlatforms: consent.platforms.map(platform => platform.name)
+    },
+    thirdPartyDomains,
+    trackersByCategory,
+    cookies,
+    fingerprinting,
+    consentPlatforms: consent.platforms
+  };
+
+  logger.info(`Scanned ${url}: ${result.summary.thirdPartyDomains} third-party domain(s), ${result.summary.trackers} tracker(s), ${result.summary.cookies} cookie(s)`);
+  onEvent('site_scanned', result.summary);
+
+  return result;
+};
+
+/**
+ * What a policy has to mention to cover each kind of tracking. English
+ * terms are matched against the policy text and the (English) analysis.
+ */
+const DISCLOSURE_TERMS = {
+  advertising: /advertis|\bads\b|ad partners?|marketing partners?|interest-based|targeted|behaviou?ral|retarget|remarketing/,
+  analytics: /analytic|statistic|measur|usage data|audience/,
+  session_replay: /session replay|session recording|record(?:s|ing)? (?:your |user )?(?:sessions|interactions|mouse|clicks)|heatmap|hotjar|fullstory|clarity/,
+  social: /social (?:media|network|plugin|widget|sharing)|facebook|twitter|linkedin|share buttons?/,
+  fingerprinting: /fingerprint|device (?:identifiers?|characteristics|attributes)|browser (?:characteristics|attributes|configuration)/,
+  cookies: /cookie/
+};
+
+const CATEGORY_LABELS = {
+  advertising: ['advertising partners', 'ad tracker'],
+  analytics: ['analytics providers', 'analytics tracker'],
+  session_replay: ['session recording', 'session-replay script'],
+  social: ['social media plugins', 'social media tracker']
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Compare a scan with a stored policy and list what the site does that the
+ * policy doesn't disclose, as `{ type, severity, message, evidence }`
+ */
+const findMismatches = (scan, policy) => {
+  const corpus = [
+    policy.text,
+    policy.summary,
+    policy.data_collection,
+    policy.data_sharing,
+    policy.red_flags
+  ].map(part => (typeof part === 'string' ? part : JSON.stringify(part || ''))).join('\n').toLowerCase();
+
+  const mentions = term => DISCLOSURE_TERMS[term].test(corpus);
+  const mismatches = [];
+
+  Object.entries(CATEGORY_LABELS).forEach(([category, [subject, noun]]) => {
+    const found = scan.thirdPartyDomains.filter(entry => entry.category === category);
+    if (found.length === 0 || mentions(category)) return;
+
+    mismatches.push({
+      type: `undisclosed_${category}`,
+      severity: category === 'social' || category === 'analytics' ? 'medium' : 'high',
+      message: `Policy does not mention ${subject}, but ${plural(found.length, noun)} load${found.length === 1 ? 's' : ''} on the homepage`,
+      evidence: found.map(entry => ({ domain: entry.domain, company: entry.company }))
+    });
+  });
+
+  const fingerprinters = scan.fingerprinting.filter(item => item.thirdParty || item.api !== 'fonts');
+  const fingerprintTrackers = scan.thirdPartyDomains.filter(entry => entry.category === 'fingerprinting');
+
+  if ((fingerprinters.length > 0 || fingerprintTrackers.length > 0) && !mentions('fingerprinting')) {
+    mismatches.push({
+      type: 'undisclosed_fingerprinting',
+      severity: 'high',
+      message: `Policy does not mention device fingerprinting, but the homepage reads ${[...new Set(fingerprinters.map(item => item.api))].join(', ') || 'device characteristics'} through ${plural(new Set([...fingerprinters.map(item => item.script), ...fingerprintTrackers.map(entry => entry.domain)]).size, 'script')}`,
+      evidence: [
+        ...fingerprinters.map(item => ({ api: item.api, script: item.script, company: item.company })),
+        ...fingerprintTrackers.map(entry => ({ domain: entry.domain, company: entry.company }))
+      ]
+    });
+  }
+
+  if (scan.cookies.length > 0 && !mentions('cookies')) {
+    mismatches.push({
+      type: 'undisclosed_cookies',
+      severity: 'high',
+      message: `Policy does not mention cookies, but the homepage sets ${plural(scan.cookies.length, 'cookie')} before any consent`,
+      evidence: scan.cookies.map(cookie => ({ name: cookie.name, domain: cookie.domain }))
+    });
+  }
+
+  // A consent banner is shown, yet tracking starts before the visitor answers it
+  const trackingCookies = scan.cookies.filter(cookie => cookie.category);
+
+  if (scan.consentPlatforms.length > 0 && trackingCookies.length > 0) {
+    mismatches.push({
+      type: 'tracking_before_consent',
+      severity: 'high',
+      message: `${plural(trackingCookies.length, 'tracking cookie')} ${trackingCookies.length === 1 ? 'is' : 'are'} set before the visitor answers the ${scan.consentPlatforms.map(platform => platform.name).join(', ')} consent banner`,
+      evidence: trackingCookies.map(cookie => ({ name: cookie.name, domain: cookie.domain, company: cookie.company, category: cookie.category }))
+    });
+  }
+
+  return mismatches;
+};
+
+module.exports = {
+  scanSite,
+  findMismatches,
+  getHomepageUrl,
+  getSiteDomain
+};
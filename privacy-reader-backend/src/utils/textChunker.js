@@ -0,0 +1,153 @@
+// src/utils/textChunker.js
+
+// Default maximum characters per chunk sent to the AI provider
+const DEFAULT_CHUNK_SIZE = 12000;
+
+/**
+ * Patterns that usually start a new policy section. Text extracted before
+ * structured extraction has its whitespace collapsed, so headings are also
+ * recognised inline rather than only by line.
+ */
+const SECTION_BOUNDARY_PATTERNS = [
+  // Numbered headings: "3. How We Share Information", "4.2 Retention"
+  /(?<=[^\d][.!?:]\s)(?=\d{1,2}(?:\.\d{1,2})*\.?\s+[A-Z][A-Za-z]+)/g,
+  // Common privacy policy headings
+  /(?<=[^\d][.!?:]\s)(?=(?:Information We Collect|How We Use|How We Share|Sharing (?:of|Your)|Data Retention|Retention|Your (?:Rights|Choices)|Cookies|Security|Children|International (?:Data )?Transfers?|Changes to (?:This|Our)|Contact Us)\b)/g
+];
+
+/**
+ * Split text into sections at paragraph breaks or heading-like boundaries.
+ * Returns sections with their character offsets in the original text.
+ */
+const splitIntoSections = (text) => {
+  const boundaries = new Set([0]);
+
+  // Paragraph breaks, when the extractor preserved them
+  const paragraphPattern = /\n\s*\n/g;
+  let match;
+  while ((match = paragraphPattern.exec(text)) !== null) {
+    boundaries.add(match.index + match[0].length);
+  }
+
+  SECTION_BOUNDARY_PATTERNS.forEach(pattern => {
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) {
+      boundaries.add(match.index);
+      // Zero-width matches would otherwise loop forever
+      pattern.lastIndex++;
+    }
+  });
+
+  const sorted = Array.from(boundaries).sort((a, b) => a - b);
+
+  return sorted
+    .map((start, i) => {
+      const end = i + 1 < sorted.length ? sorted[i + 1] : text.length;
+      const sectionText = text.slice(start, end);
+      // A run of capitalised words (plus short connectors) at the start of the section
+      const headingMatch = sectionText.match(/^\s*((?:\d{1,2}(?:\.\d{1,2})*\.?\s+)?[A-Z][A-Za-z]*(?:\s+(?:[A-Z][A-Za-z]*|of|and|to|the|our|your|for|with|in|on|this)){0,6})/);
+
+      return {
+        start,
+        end,
+        text: sectionText,
+        // Drop the first word of the body text that the inline match picked up
+        heading: headingMatch ? headingMatch[1].trim().replace(/\s+(We|You|Our|Your|This|The)$/, '') : null
+      };
+    })
+    .filter(section => section.text.trim().length > 0);
+};
+
+/**
+ * Split a section that is larger than the chunk size at sentence boundaries
+ */
+const splitOversizedSection = (section, maxChunkSize) => {
+  const pieces = [];
+  const sentencePattern = /[^.!?]+(?:[.!?]+|$)\s*/g;
+  let pieceStart = section.start;
+  let pieceText = '';
+  let match;
+
+  while ((match = sentencePattern.exec(section.text)) !== null) {
+    if (match[0].length === 0) {
+      sentencePattern.lastIndex++;
+      continue;
+    }
+
+    if (pieceText.length > 0 && pieceText.length + match[0].length > maxChunkSize) {
+      pieces.push({ start: pieceStart, end: pieceStart + pieceText.length, text: pieceText, heading: section.heading });
+      pieceStart += pieceText.length;
+      pieceText = '';
+    }
+
+    // A single sentence longer than the limit is hard-split
+    let sentence = match[0];
+    while (sentence.length > maxChunkSize) {
+      pieces.push({ start: pieceStart, end: pieceStart + maxChunkSize, text: sentence.slice(0, maxChunkSize), heading: section.heading });
+      pieceStart += maxChunkSize;
+      sentence = sentence.slice(maxChunkSize);
+    }
+
+    pieceText += sentence;
+  }
+
+  if (pieceText.length > 0) {
+    pieces.push({ start: pieceStart, end: pieceStart + pieceText.length, text: pieceText, heading: section.heading });
+  }
+
+  return pieces;
+};
+
+/**
+ * Split policy text into section-aware chunks no larger than `maxChunkSize`.
+ * Whole sections are packed together where they fit, and a section is only
+ * broken up (at sentence boundaries) when it is too large on its own.
+ */
+const chunkPolicyText = (text, options = {}) => {
+  const maxChunkSize = options.maxChunkSize
+    || parseInt(process.env.AI_CHUNK_SIZE, 10)
+    || DEFAULT_CHUNK_SIZE;
+
+  if (!text) {
+    return [];
+  }
+
+  if (text.length <= maxChunkSize) {
+    return [{ index: 0, start: 0, end: text.length, text, headings: [] }];
+  }
+
+  const sections = splitIntoSections(text)
+    .flatMap(section => section.text.length > maxChunkSize
+      ? splitOversizedSection(section, maxChunkSize)
+      : [section]);
+
+  const chunks = [];
+  let current = null;
+
+  sections.forEach(section => {
+    if (current && current.text.length + section.text.length <= maxChunkSize) {
+      current.text += section.text;
+      current.end = section.end;
+      if (section.heading) {
+        current.headings.push(section.heading);
+      }
+      return;
+    }
+
+    current = {
+      index: chunks.length,
+      start: section.start,
+      end: section.end,
+      text: section.text,
+      headings: section.heading ? [section.heading] : []
+    };
+    chunks.push(current);
+  });
+
+  return chunks;
+};
+
+module.exports = {
+  chunkPolicyText,
+  splitIntoSections
+};
@@ -0,0 +1,185 @@
+// src/utils/trackerList.js
+
+/**
+ * Kinds of trackers, in the order they are reported
+ */
+const TRACKER_CATEGORIES = ['advertising', 'analytics', 'session_replay', 'social', 'fingerprinting', 'tag_manager'];
+
+/**
+ * Known tracker domains. A domain also covers its subdomains; the most
+ * specific entry wins (`analytics.tiktok.com` over `tiktok.com`).
+ */
+const TRACKER_DOMAINS = {
+  // Advertising
+  'doubleclick.net': ['Google', 'advertising'],
+  'googlesyndication.com': ['Google', 'advertising'],
+  'googleadservices.com': ['Google', 'advertising'],
+  'googletagservices.com': ['Google', 'advertising'],
+  'adservice.google.com': ['Google', 'advertising'],
+  'connect.facebook.net': ['Meta', 'advertising'],
+  'amazon-adsystem.com': ['Amazon', 'advertising'],
+  'adnxs.com': ['Microsoft (Xandr)', 'advertising'],
+  'bat.bing.com': ['Microsoft', 'advertising'],
+  'ads-twitter.com': ['X', 'advertising'],
+  'ads.linkedin.com': ['LinkedIn', 'advertising'],
+  'snap.licdn.com': ['LinkedIn', 'advertising'],
+  'analytics.tiktok.com': ['TikTok', 'advertising'],
+  'ct.pinterest.com': ['Pinterest', 'advertising'],
+  'tr.snapchat.com': ['Snap', 'advertising'],
+  'sc-static.net': ['Snap', 'advertising'],
+  'redditstatic.com': ['Reddit', 'advertising'],
+  'criteo.com': ['Criteo', 'advertising'],
+  'criteo.net': ['Criteo', 'advertising'],
+  'taboola.com': ['Taboola', 'advertising'],
+  'outbrain.com': ['Outbrain', 'advertising'],
+  'rubiconproject.com': ['Magnite', 'advertising'],
+  'pubmatic.com': ['PubMatic', 'advertising'],
+  'openx.net': ['OpenX', 'advertising'],
+  'casalemedia.com': ['Index Exchange', 'advertising'],
+  'adsrvr.org': ['The Trade Desk', 'advertising'],
+  '3lift.com': ['TripleLift', 'advertising'],
+  'smartadserver.com': ['Equativ', 'advertising'],
+  'teads.tv': ['Teads', 'advertising'],
+  'media.net': ['Media.net', 'advertising'],
+  'quantserve.com': ['Quantcast', 'advertising'],
+  'adform.net': ['Adform', 'advertising'],
+  'demdex.net': ['Adobe', 'advertising'],
+  'everesttech.net': ['Adobe', 'advertising'],
+  'mathtag.com': ['MediaMath', 'advertising'],
+  'rlcdn.com': ['LiveRamp', 'advertising'],
+  'bluekai.com': ['Oracle', 'advertising'],
+  'krxd.net': ['Salesforce', 'advertising'],
+  'exelator.com': ['Nielsen', 'advertising'],
+  'crwdcntrl.net': ['Lotame', 'advertising'],
+  'id5-sync.com': ['ID5', 'advertising'],
+  'tapad.com': ['Tapad', 'advertising'],
+  'agkn.com': ['TransUnion', 'advertising'],
+  'yahoo.com': ['Yahoo', 'advertising'],
+
+  // Analytics
+  'google-analytics.com': ['Google', 'analytics'],
+  'analytics.google.com': ['Google', 'analytics'],
+  'scorecardresearch.com': ['Comscore', 'analytics'],
+  'segment.com': ['Twilio Segment', 'analytics'],
+  'segment.io': ['Twilio Segment', 'analytics'],
+  'mixpanel.com': ['Mixpanel', 'analytics'],
+  'amplitude.com': ['Amplitude', 'analytics'],
+  'heapanalytics.com': ['Heap', 'analytics'],
+  'nr-data.net': ['New Relic', 'analytics'],
+  'chartbeat.com': ['Chartbeat', 'analytics'],
+  'chartbeat.net': ['Chartbeat', 'analytics'],
+  'parsely.com': ['Parse.ly', 'analytics'],
+  'omtrdc.net': ['Adobe', 'analytics'],
+  '2o7.net': ['Adobe', 'analytics'],
+  'hs-analytics.net': ['HubSpot', 'analytics'],
+  'hs-scripts.com': ['HubSpot', 'analytics'],
+  'optimizely.com': ['Optimizely', 'analytics'],
+  'mc.yandex.ru': ['Yandex', 'analytics'],
+  'matomo.cloud': ['Matomo', 'analytics'],
+
+  // Session replay
+  'hotjar.com': ['Hotjar', 'session_replay'],
+  'hotjar.io': ['Hotjar', 'session_replay'],
+  'clarity.ms': ['Microsoft', 'session_replay'],
+  'fullstory.com': ['FullStory', 'session_replay'],
+  'mouseflow.com': ['Mouseflow', 'session_replay'],
+  'crazyegg.com': ['Crazy Egg', 'session_replay'],
+  'smartlook.com': ['Smartlook', 'session_replay'],
+  'logrocket.io': ['LogRocket', 'session_replay'],
+  'lr-ingest.io': ['LogRocket', 'session_replay'],
+  'quantummetric.com': ['Quantum Metric', 'session_replay'],
+  'contentsquare.net': ['Contentsquare', 'session_replay'],
+
+  // Social
+  'facebook.com': ['Meta', 'social'],
+  'facebook.net': ['Meta', 'social'],
+  'instagram.com': ['Meta', 'social'],
+  'platform.twitter.com': ['X', 'social'],
+  'syndication.twitter.com': ['X', 'social'],
+  'platform.linkedin.com': ['LinkedIn', 'social'],
+  'addthis.com': ['Oracle', 'social'],
+  'sharethis.com': ['ShareThis', 'social'],
+  'disqus.com': ['Disqus', 'social'],
+
+  // Fingerprinting
+  'fpjs.io': ['Fingerprint', 'fingerprinting'],
+  'fpcdn.io': ['Fingerprint', 'fingerprinting'],
+  'online-metrix.net': ['LexisNexis ThreatMetrix', 'fingerprinting'],
+  'iesnare.com': ['TransUnion iovation', 'fingerprinting'],
+
+  // Tag managers
+  'googletagmanager.com': ['Google', 'tag_manager'],
+  'adobedtm.com': ['Adobe', 'tag_manager'],
+  'tiqcdn.com': ['Tealium', 'tag_manager'],
+  'tealiumiq.com': ['Tealium', 'tag_manager']
+};
+
+/**
+ * First-party cookies set by tracker scripts. Names ending in `*` are prefixes.
+ */
+const TRACKING_COOKIES = {
+  '_ga': ['Google', 'analytics'],
+  '_ga_*': ['Google', 'analytics'],
+  '_gid': ['Google', 'analytics'],
+  '_gat*': ['Google', 'analytics'],
+  '_gcl_*': ['Google', 'advertising'],
+  '_fbp': ['Meta', 'advertising'],
+  '_fbc': ['Meta', 'advertising'],
+  '_uetsid': ['Microsoft', 'advertising'],
+  '_uetvid': ['Microsoft', 'advertising'],
+  '_ttp': ['TikTok', 'advertising'],
+  '_pin_unauth': ['Pinterest', 'advertising'],
+  '_scid': ['Snap', 'advertising'],
+  '_rdt_uuid': ['Reddit', 'advertising'],
+  'li_fat_id': ['LinkedIn', 'advertising'],
+  '_hjSessionUser_*': ['Hotjar', 'session_replay'],
+  '_hjSession_*': ['Hotjar', 'session_replay'],
+  '_clck': ['Microsoft', 'session_replay'],
+  '_clsk': ['Microsoft', 'session_replay'],
+  'ajs_anonymous_id': ['Twilio Segment', 'analytics'],
+  'ajs_user_id': ['Twilio Segment', 'analytics'],
+  'amp_*': ['Amplitude', 'analytics'],
+  'mp_*': ['Mixpanel', 'analytics'],
+  '__hstc': ['HubSpot', 'analytics'],
+  'hubspotutk': ['HubSpot', 'analytics'],
+  'AMCV_*': ['Adobe', 'analytics'],
+  '_ym_uid': ['Yandex', 'analytics']
+};
+
+/**
+ * The tracker a hostname belongs to, as `{ domain, company, category }`, or null
+ */
+const findTracker = (hostname) => {
+  const labels = hostname.toLowerCase().replace(/^\./, '').split('.');
+
+  // Longest suffix first, so the most specific entry wins
+  for (let i = 0; i < labels.length - 1; i++) {
+    const domain = labels.slice(i).join('.');
+    if (TRACKER_DOMAINS[domain]) {
+      const [company, category] = TRACKER_DOMAINS[domain];
+      return { domain, company, category };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * The tracker a first-party cookie name belongs to, as `{ company, category }`, or null
+ */
+const findTrackingCookie = (name) => {
+  const match = Object.keys(TRACKING_COOKIES).find(pattern => (pattern.endsWith('*')
+    ? name.startsWith(pattern.slice(0, -1))
+    : name === pattern));
+
+  if (!match) return null;
+
+  const [company, category] = TRACKING_COOKIES[match];
+  return { company, category };
+};
+
+module.exports = {
+  TRACKER_CATEGORIES,
+  findTracker,
+  findTrackingCookie
+};
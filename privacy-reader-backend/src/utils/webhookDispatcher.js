@@ -0,0 +1,319 @@
+// src/utils/webhookDispatcher.js
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const webhookModel = require('../models/webhookModel');
+const jobQueue = require('./jobQueue');
+const { checkUrl, safeAgents } = require('./safeFetch');
+const { logger } = require('../middleware/errorHandler');
+
+/**
+ * Event types endpoints can subscribe to
+ */
+const WEBHOOK_EVENT_TYPES = [
+  'policy.created',
+  'policy.updated',
+  'policy.reanalyzed',
+  'analysis.completed',
+  'analysis.failed'
+];
+
+// Sent when a user tests an endpoint; endpoints don't subscribe to it
+const TEST_EVENT_TYPE = 'webhook.test';
+
+// Wait before each retry of a failed delivery
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 12 * 60 * 60 * 1000];
+
+// How much of an endpoint's response is kept in the delivery log
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+/**
+ * Generate an endpoint signing secret
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature sent in X-Webhook-Signature. Receivers recompute it from the
+ * X-Webhook-Timestamp header and the raw request body.
+ */
+const signPayload = (secret, timestamp, body) => {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+};
+
+/**
+ * Stores webhook events as deliveries, one per subscribed endpoint, and
+ * sends them in the background. Failed deliveries are retried with backoff
+ * until they succeed or run out of attempts.
+ */
+class WebhookDispatcher {
+  constructor() {
+    this.timer = null;
+    this.sending = false;
+    this.enabled = process.env.WEBHOOKS_ENABLED !== 'false';
+    this.pollIntervalMs = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+    this.batchSize = parseInt(process.env.WEBHOOK_BATCH_SIZE, 10) || 10;
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || RETRY_DELAYS_MS.length + 1;
+    this.stats = { succeeded: 0, failed: 0 };
+    this.handleJobFinished = this.handleJobFinished.bind(this);
+  }
+
+  /**
+   * Start sending deliveries and publishing analysis events
+   */
+  async start() {
+    if (!this.enabled) {
+      logger.info('Webhook dispatcher disabled (WEBHOOKS_ENABLED=false)');
+      return;
+    }
+
+    if (this.timer) return;
+
+    try {
+      const requeued = await webhookModel.requeueStaleDeliveries(this.timeoutMs * 6);
+      if (requeued.length > 0) {
+        logger.warn(`Requeued ${requeued.length} interrupted webhook deliver${requeued.length === 1 ? 'y' : 'ies'}`);
+      }
+    } catch (error) {
+      logger.error('Could not requeue interrupted webhook deliveries:', error);
+    }
+
+    jobQueue.on('finished', this.handleJobFinished);
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    logger.info(`Webhook dispatcher started (every ${Math.round(this.pollIntervalMs / 1000)}s)`);
+  }
+
+  /**
+   * Stop sending deliveries. Pending deliveries are sent after the next start.
+   */
+  stop() {
+    jobQueue.off('finished', this.handleJobFinished);
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue an event for the active endpoints of the given users that
+   * subscribed to its type. Never throws, so callers don't fail on webhooks.
+   */
+  async publish(type, data, userIds) {
+    try {
+      const recipients = [...new Set(userIds.filter(Boolean))];
+      if (!this.enabled || recipients.length === 0) return 0;
+
+      const endpoints = await webhookModel.getEndpointsForEvent(type, recipients);
+      if (endpoints.length === 0) return 0;
+
+      const event = this.buildEvent(type, data);
+      for (const endpoint of endpoints) {
+        await webhookModel.createDelivery({
+          endpointId: endpoint.id,
+          eventId: event.id,
+          eventType: type,
+          payload: event
+        });
+      }
+
+      logger.info(`Queued ${type} webhook for ${endpoints.length} endpoint(s)`);
+      setImmediate(() => this.poll());
+
+      return endpoints.length;
+    } catch (error) {
+      logger.error(`Error publishing ${type} webhook:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Queue a test event for a single endpoint
+   */
+  async sendTest(endpoint) {
+    const event = this.buildEvent(TEST_EVENT_TYPE, {
+      endpointId: endpoint.id,
+      message: 'This is a test delivery'
+    });
+
+    return this.queueDelivery(endpoint.id, event);
+  }
+
+  /**
+   * Queue a new delivery of a logged delivery's event. The event keeps its
+   * ID so receivers can recognise events they already processed.
+   */
+  async replay(delivery) {
+    return this.queueDelivery(delivery.endpoint_id, delivery.payload, delivery.id);
+  }
+
+  /**
+   * Queue one delivery and send it right away
+   */
+  async queueDelivery(endpointId, event, replayOf) {
+    const delivery = await webhookModel.createDelivery({
+      endpointId,
+      eventId: event.id,
+      eventType: event.type,
+      payload: event,
+      replayOf
+    });
+
+    setImmediate(() => this.poll());
+
+    return delivery;
+  }
+
+  /**
+   * Build the JSON body of an event
+   */
+  buildEvent(type, data) {
+    return {
+      id: uuidv4(),
+      type,
+      createdAt: new Date().toISOString(),
+      data
+    };
+  }
+
+  /**
+   * Send due deliveries until none are left
+   */
+  async poll() {
+    // Deliveries are sent one batch at a time
+    if (this.sending || !this.timer) return;
+    this.sending = true;
+
+    try {
+      let deliveries;
+      do {
+        deliveries = await webhookModel.claimDueDeliveries(this.batchSize);
+        await Promise.all(deliveries.map(delivery => this.deliver(delivery)));
+      } while (deliveries.length === this.batchSize && this.timer);
+    } catch (error) {
+      logger.error('Error sending webhook deliveries:', error);
+    } finally {
+      this.sending = false;
+    }
+  }
+
+  /**
+   * Send a claimed delivery and record the outcome
+   */
+  async deliver(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let statusCode = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+      // Endpoints are checked again in case the policy or their DNS changed since registration
+      await checkUrl(delivery.endpoint_url);
+
+      const response = await axios.post(delivery.endpoint_url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'PrivacyReader-Webhooks/1.0',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(delivery.endpoint_secret, timestamp, body)
+        },
+        timeout: this.timeoutMs,
+        // A redirect could point the signed payload somewhere else
+        maxRedirects: 0,
+        // Endpoints must resolve to public addresses (see safeFetch)
+        ...safeAgents,
+        responseType: 'text',
+        maxContentLength: 64 * 1024,
+        validateStatus: () => true
+      });
+
+      statusCode = response.status;
+      responseBody = String(response.data ?? '').slice(0, MAX_RESPONSE_BODY_LENGTH);
+
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Endpoint responded with HTTP ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    try {
+      if (!error) {
+        await webhookModel.recordDeliveryAttempt(delivery.id, { status: 'succeeded', statusCode, responseBody });
+        this.stats.succeeded++;
+        return;
+      }
+
+      if (delivery.attempts >= this.maxAttempts) {
+        await webhookModel.recordDeliveryAttempt(delivery.id, { status: 'failed', statusCode, error, responseBody });
+        this.stats.failed++;
+        logger.warn(`Webhook delivery ${delivery.id} failed after ${delivery.attempts} attempts: ${error}`);
+        return;
+      }
+
+      const delay = RETRY_DELAYS_MS[Math.min(delivery.attempts, RETRY_DELAYS_MS.length) - 1];
+      await webhookModel.recordDeliveryAttempt(delivery.id, {
+        status: 'retrying',
+        statusCode,
+        error,
+        responseBody,
+        nextAttemptInMs: delay
+      });
+      logger.info(`Webhook delivery ${delivery.id} attempt ${delivery.attempts} failed (${error}), retrying in ${Math.round(delay / 1000)}s`);
+    } catch (recordError) {
+      // The delivery stays 'delivering' and is requeued on the next start
+      logger.error(`Could not record outcome of webhook delivery ${delivery.id}:`, recordError);
+    }
+  }
+
+  /**
+   * Publish analysis.completed and analysis.failed to the user who requested the job
+   */
+  handleJobFinished({ job, status, result, error }) {
+    if (!job.user_id || status === 'cancelled') return;
+
+    const data = {
+      jobId: job.id,
+      jobType: job.type,
+      url: job.url
+    };
+
+    if (status === 'completed') {
+      this.publish('analysis.completed', {
+        ...data,
+        policyId: result?.policyId,
+        isNew: result?.isNew,
+        warning: result?.warning || null,
+        changes: result?.changes || null
+      }, [job.user_id]);
+    } else {
+      this.publish('analysis.failed', { ...data, error: error?.message || 'Analysis failed' }, [job.user_id]);
+    }
+  }
+
+  /**
+   * Get dispatcher stats
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      running: !!this.timer,
+      pollIntervalMs: this.pollIntervalMs,
+      maxAttempts: this.maxAttempts,
+      sending: this.sending,
+      ...this.stats
+    };
+  }
+}
+
+// Export singleton instance
+const webhookDispatcher = new WebhookDispatcher();
+
+module.exports = webhookDispatcher;
+module.exports.WEBHOOK_EVENT_TYPES = WEBHOOK_EVENT_TYPES;
+module.exports.generateSecret = generateSecret;
+module.exports.signPayload = signPayload;
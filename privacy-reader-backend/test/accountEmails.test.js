@@ -0,0 +1,99 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const emailTokenModel = require('../src/models/emailTokenModel');
+const mailer = require('../src/utils/mailer');
+const { ValidationError, RateLimitError } = require('../src/middleware/errorHandler');
+const { consumeEmailToken, sendVerificationEmail, sendPasswordResetEmail } = require('../src/utils/accountEmails');
+
+const USER = { id: 7, email: 'user@example.com', name: 'Sam' };
+
+// Token records by ID, as the email token model would store them
+let records;
+let sent;
+
+beforeEach(() => {
+  records = new Map();
+  sent = [];
+
+  mock.method(emailTokenModel, 'createToken', async ({ userId, purpose, email, expiresAt }) => {
+    // A new token replaces the user's earlier ones for the same purpose
+    records.forEach(record => {
+      if (record.user_id === userId && record.purpose === purpose) record.consumed_at = new Date();
+    });
+    const record = { id: `token-${records.size + 1}`, user_id: userId, purpose, email, expires_at: expiresAt, consumed_at: null, created_at: new Date() };
+    records.set(record.id, record);
+    return record;
+  });
+  mock.method(emailTokenModel, 'consumeToken', async (id, purpose) => {
+    const record = records.get(id);
+    if (!record || record.purpose !== purpose || record.consumed_at) return null;
+    record.consumed_at = new Date();
+    return record;
+  });
+  mock.method(emailTokenModel, 'getLastSentAt', async () => null);
+  mock.method(mailer, 'send', async (message) => {
+    sent.push(message);
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const tokenFrom = (message) => decodeURIComponent(message.text.match(/token=([^\s]+)/)[1]);
+
+test('a verification link works exactly once', async () => {
+  await sendVerificationEmail(USER);
+  const token = tokenFrom(sent[0]);
+
+  assert.deepEqual(await consumeEmailToken(token, 'verify_email'), { userId: USER.id, email: USER.email });
+  await assert.rejects(consumeEmailToken(token, 'verify_email'), /already been used/);
+});
+
+test('a newer email replaces the previous link', async () => {
+  await sendPasswordResetEmail(USER);
+  await sendPasswordResetEmail(USER);
+
+  await assert.rejects(consumeEmailToken(tokenFrom(sent[0]), 'password_reset'), /already been used or replaced/);
+  assert.equal((await consumeEmailToken(tokenFrom(sent[1]), 'password_reset')).userId, USER.id);
+});
+
+test('a token for one purpose can\'t be used for another', async () => {
+  await sendVerificationEmail(USER);
+
+  await assert.rejects(consumeEmailToken(tokenFrom(sent[0]), 'password_reset'), ValidationError);
+});
+
+test('a link for an old email address is rejected after the address changes', async () => {
+  await sendVerificationEmail(USER);
+  records.forEach(record => {
+    record.email = 'new@example.com';
+  });
+
+  await assert.rejects(consumeEmailToken(tokenFrom(sent[0]), 'verify_email'), ValidationError);
+});
+
+test('expired and forged links are rejected', async () => {
+  await sendVerificationEmail(USER);
+  const { jti, ...claims } = jwt.decode(tokenFrom(sent[0]));
+  const forged = jwt.sign({ sub: claims.sub, email: claims.email, purpose: claims.purpose }, 'another-secret', { jwtid: jti });
+
+  await assert.rejects(consumeEmailToken(forged, 'verify_email'), /invalid/);
+
+  mock.timers.enable({ apis: ['Date'], now: Date.now() + 49 * 60 * 60 * 1000 });
+  try {
+    await assert.rejects(consumeEmailToken(tokenFrom(sent[0]), 'verify_email'), /expired/);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('only one email of each kind is sent per minute', async () => {
+  emailTokenModel.getLastSentAt.mock.mockImplementation(async () => new Date());
+
+  await assert.rejects(sendVerificationEmail(USER), RateLimitError);
+  assert.equal(sent.length, 0);
+});
@@ -0,0 +1,128 @@
+process.env.AI_PROVIDERS = 'rules';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ProviderRateLimitError } = require('../src/utils/aiProviders');
+const { SchemaValidationError } = require('../src/utils/analysisSchema');
+const aiAnalyzer = require('../src/utils/aiAnalyzer');
+
+const POLICY = `Privacy Policy
+
+Information We Collect
+We collect your name, email address and IP address when you create an account. We also use cookies to remember your preferences.
+
+How We Share Information
+We share your information with service providers who host our website. We share data with advertising partners for marketing purposes.
+
+Data Retention
+We keep your account data for 2 years after your last login.
+
+Your Rights
+You have the right to access your data and to request deletion of your personal data. You can opt out of marketing emails at any time.`;
+
+const VALID_ANALYSIS = {
+  summary: ['Collects your email address'],
+  dataCollection: { 'Personal Information': ['Email'] },
+  dataSharing: {},
+  retention: 'Kept for 2 years',
+  userRights: ['Access your data'],
+  score: { value: 70, explanation: 'Fair' },
+  redFlags: [],
+  compliance: {}
+};
+
+// A provider that returns the given responses in turn
+const scriptedProvider = (name, responses) => ({
+  name,
+  prompts: [],
+  async generate({ prompt }) {
+    this.prompts.push(prompt);
+    const response = responses[Math.min(this.prompts.length - 1, responses.length - 1)];
+    if (response instanceof Error) throw response;
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+});
+
+const CHUNK = { index: 0, text: POLICY };
+const POLICY_DATA = { url: 'https://example.com/privacy', text: POLICY };
+const rulesProviders = aiAnalyzer.providers;
+
+afterEach(() => {
+  aiAnalyzer.providers = rulesProviders;
+});
+
+test('analyzes a policy end to end with the rules provider', async () => {
+  const events = [];
+  const result = await aiAnalyzer.analyzePrivacyPolicy(POLICY_DATA, {
+    skipCache: true,
+    onEvent: (type) => events.push(type)
+  });
+
+  assert.deepEqual(result.metadata.providers, ['rules']);
+  assert.equal(result.metadata.isFallback, true);
+  assert.ok(result.dataCollection['Personal Information'].includes('Email'));
+  assert.ok('Advertising Partners' in result.dataSharing);
+  assert.ok(Number.isInteger(result.score.value));
+  assert.equal(result.scoreBreakdown.criteria.length, 7);
+
+  // Every citation points at the quoted text
+  result.citations.forEach(citation => {
+    assert.equal(POLICY.slice(citation.start, citation.end), citation.quote);
+  });
+
+  assert.equal(events[0], 'ai_started');
+  assert.equal(events[events.length - 1], 'analysis_complete');
+});
+
+test('sends invalid output back to the provider with the validation errors', async () => {
+  const provider = scriptedProvider('fake', [
+    { ...VALID_ANALYSIS, score: { value: 'high' } },
+    VALID_ANALYSIS
+  ]);
+
+  const result = await aiAnalyzer.analyzeWithProvider(provider, POLICY_DATA, CHUNK, 1);
+
+  assert.equal(provider.prompts.length, 2);
+  assert.match(provider.prompts[1], /\$\.score\.value should be number/);
+  assert.deepEqual(result, VALID_ANALYSIS);
+});
+
+test('coerces near-miss output without asking again', async () => {
+  const provider = scriptedProvider('fake', [{ ...VALID_ANALYSIS, summary: 'One point', score: { value: '70', explanation: 'Fair' } }]);
+
+  const result = await aiAnalyzer.analyzeWithProvider(provider, POLICY_DATA, CHUNK, 1);
+
+  assert.equal(provider.prompts.length, 1);
+  assert.deepEqual(result.summary, ['One point']);
+  assert.equal(result.score.value, 70);
+});
+
+test('gives up after the repair attempts', async () => {
+  const provider = scriptedProvider('fake', ['not json at all']);
+
+  await assert.rejects(aiAnalyzer.analyzeWithProvider(provider, POLICY_DATA, CHUNK, 1), SchemaValidationError);
+  assert.equal(provider.prompts.length, 3);
+});
+
+test('falls back to the next provider when one is rate limited', async () => {
+  const limited = scriptedProvider('limited', [new ProviderRateLimitError('Too many requests')]);
+  const healthy = scriptedProvider('healthy', [VALID_ANALYSIS]);
+  aiAnalyzer.providers = [limited, healthy];
+
+  const result = await aiAnalyzer.analyzePrivacyPolicy(POLICY_DATA, { skipCache: true });
+
+  assert.deepEqual(result.metadata.providers, ['healthy']);
+  assert.equal(result.metadata.isFallback, undefined);
+});
+
+test('throws a retryable error instead of a mock when every provider is rate limited', async () => {
+  aiAnalyzer.providers = [
+    scriptedProvider('first', [new ProviderRateLimitError('Too many requests', 5000)]),
+    scriptedProvider('second', [new ProviderRateLimitError('Too many requests')])
+  ];
+
+  await assert.rejects(
+    aiAnalyzer.analyzePrivacyPolicy(POLICY_DATA, { skipCache: true }),
+    (error) => error instanceof ProviderRateLimitError && error.retryable === true
+  );
+});
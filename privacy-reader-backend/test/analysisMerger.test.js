@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeChunkAnalyses } = require('../src/utils/analysisMerger');
+
+const analysis = (overrides = {}) => ({
+  summary: [],
+  dataCollection: {},
+  dataSharing: {},
+  retention: 'Retention period not specified',
+  userRights: [],
+  score: { value: 50, explanation: '' },
+  redFlags: [],
+  compliance: {},
+  ...overrides
+});
+
+test('removes duplicate findings and records the chunks behind each one', () => {
+  const merged = mergeChunkAnalyses([
+    { chunk: { index: 0, text: 'a' }, analysis: analysis({ summary: ['Collects your email.'], redFlags: ['Sells data'] }) },
+    { chunk: { index: 1, text: 'b' }, analysis: analysis({ summary: ['collects your EMAIL', 'Uses cookies'] }) }
+  ]);
+
+  assert.deepEqual(merged.summary, ['Collects your email.', 'Uses cookies']);
+  assert.deepEqual(merged.metadata.findingSources.summary, [
+    { finding: 'Collects your email.', chunks: [0, 1] },
+    { finding: 'Uses cookies', chunks: [1] }
+  ]);
+  assert.deepEqual(merged.redFlags, ['Sells data']);
+  assert.equal(merged.metadata.chunkCount, 2);
+});
+
+test('merges categories, recipients and retention across chunks', () => {
+  const merged = mergeChunkAnalyses([
+    {
+      chunk: { index: 0, text: 'a' },
+      analysis: analysis({
+        dataCollection: { 'Personal Information': ['Email'] },
+        dataSharing: { Advertisers: 'Marketing' },
+        retention: 'Kept for 2 years'
+      })
+    },
+    {
+      chunk: { index: 1, text: 'b' },
+      analysis: analysis({
+        dataCollection: { 'personal information': ['Email', 'Name'] },
+        dataSharing: { advertisers: 'Measurement' }
+      })
+    }
+  ]);
+
+  assert.deepEqual(merged.dataCollection, { 'Personal Information': ['Email', 'Name'] });
+  assert.deepEqual(merged.dataSharing, { Advertisers: 'Marketing; Measurement' });
+  assert.equal(merged.retention, 'Kept for 2 years');
+});
+
+test('weights each chunk\'s score by its length', () => {
+  const merged = mergeChunkAnalyses([
+    { chunk: { index: 0, text: 'x'.repeat(300) }, analysis: analysis({ score: { value: 80, explanation: 'Good' } }) },
+    { chunk: { index: 1, text: 'x'.repeat(100) }, analysis: analysis({ score: { value: 40, explanation: 'Bad' } }) }
+  ]);
+
+  assert.equal(merged.score.value, 70);
+  assert.equal(merged.score.explanation, 'Good Bad');
+});
+
+test('credits findings to the documents their chunks came from', () => {
+  const merged = mergeChunkAnalyses([
+    { chunk: { index: 0, text: 'a', document: 0 }, analysis: analysis({ userRights: ['Delete your data'] }) },
+    { chunk: { index: 1, text: 'b', document: 1 }, analysis: analysis({ userRights: ['Delete your data'] }) }
+  ]);
+
+  assert.deepEqual(merged.metadata.findingSources.userRights, [
+    { finding: 'Delete your data', chunks: [0, 1], documents: [0, 1] }
+  ]);
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateApiKey, hashApiKey, getKeyPrefix, hasScope } = require('../src/utils/apiKeys');
+
+test('generates unique keys with an identifying prefix', () => {
+  const first = generateApiKey();
+  const second = generateApiKey();
+
+  assert.match(first.key, /^pr_[0-9a-f]{8}_[\w-]{32}$/);
+  assert.equal(first.prefix, first.key.slice(0, 11));
+  assert.notEqual(first.key, second.key);
+  assert.equal(getKeyPrefix(first.key), first.prefix);
+});
+
+test('identifies legacy UUID keys by their first eight characters', () => {
+  assert.equal(getKeyPrefix('0b6f1c9e-2f1d-4c59-9d1b-6a3e2c1f0a9b'), '0b6f1c9e');
+});
+
+test('hashes keys deterministically', () => {
+  const { key } = generateApiKey();
+
+  assert.equal(hashApiKey(key), hashApiKey(key));
+  assert.notEqual(hashApiKey(key), hashApiKey(`${key}x`));
+});
+
+test('broader scopes include narrower ones, but not the other way round', () => {
+  assert.equal(hasScope(['read'], 'read'), true);
+  assert.equal(hasScope(['read'], 'analyze'), false);
+  assert.equal(hasScope(['analyze'], 'read'), true);
+  assert.equal(hasScope(['analyze'], 'bulk'), false);
+  assert.equal(hasScope(['bulk'], 'analyze'), true);
+  assert.equal(hasScope(['bulk'], 'admin'), false);
+  assert.equal(hasScope(['admin'], 'bulk'), true);
+  assert.equal(hasScope([], 'read'), false);
+});
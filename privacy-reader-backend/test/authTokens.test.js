@@ -0,0 +1,82 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const sessionModel = require('../src/models/sessionModel');
+const userModel = require('../src/models/userModel');
+const { AuthenticationError } = require('../src/middleware/errorHandler');
+const { issueSession, rotateSession } = require('../src/utils/authTokens');
+
+const USER = { id: 7, email: 'user@example.com', role: 'user', plan: 'free', emailVerified: true };
+const REQ = { ip: '203.0.113.5', headers: { 'user-agent': 'test' } };
+
+// Refresh tokens by hash, as the session model would store them
+let stored;
+
+beforeEach(() => {
+  stored = new Map();
+
+  mock.method(sessionModel, 'createRefreshToken', async (record) => {
+    const row = {
+      id: stored.size + 1,
+      user_id: record.userId,
+      session_id: record.sessionId,
+      token_hash: record.tokenHash,
+      expires_at: record.expiresAt,
+      used_at: null,
+      revoked_at: null
+    };
+    stored.set(record.tokenHash, row);
+    return row;
+  });
+  mock.method(sessionModel, 'getRefreshToken', async (tokenHash) => stored.get(tokenHash) || null);
+  mock.method(sessionModel, 'markRefreshTokenUsed', async (id) => {
+    const row = Array.from(stored.values()).find(item => item.id === id);
+    if (row.used_at) return false;
+    row.used_at = new Date();
+    return true;
+  });
+  mock.method(sessionModel, 'revokeSession', async (sessionId) => {
+    stored.forEach(row => {
+      if (row.session_id === sessionId) row.revoked_at = new Date();
+    });
+  });
+  mock.method(userModel, 'getUserById', async (id) => (id === USER.id ? USER : null));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('rotation issues a new pair for the same session', async () => {
+  const first = await issueSession(USER, REQ);
+  const second = await rotateSession(first.refreshToken, REQ);
+
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(jwt.decode(second.token).sid, jwt.decode(first.token).sid);
+  assert.equal(jwt.decode(second.token).id, USER.id);
+});
+
+test('reusing a refresh token logs the whole session out', async () => {
+  const first = await issueSession(USER, REQ);
+  const second = await rotateSession(first.refreshToken, REQ);
+
+  await assert.rejects(rotateSession(first.refreshToken, REQ), AuthenticationError);
+  assert.equal(sessionModel.revokeSession.mock.callCount(), 1);
+  assert.equal(sessionModel.revokeSession.mock.calls[0].arguments[1], 'refresh_token_reused');
+
+  // The token issued before the reuse was detected stops working too
+  await assert.rejects(rotateSession(second.refreshToken, REQ), AuthenticationError);
+});
+
+test('rejects unknown and expired refresh tokens', async () => {
+  await assert.rejects(rotateSession('not-a-token', REQ), /Invalid refresh token/);
+
+  const session = await issueSession(USER, REQ);
+  stored.forEach(row => {
+    row.expires_at = new Date(Date.now() - 1000);
+  });
+
+  await assert.rejects(rotateSession(session.refreshToken, REQ), /Refresh token expired/);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyCitations } = require('../src/utils/citationVerifier');
+
+const POLICY = 'We collect your email address.\n\nWe  share it with   “advertising partners” for marketing.';
+
+test('accepts quotes found in the text, ignoring case, whitespace and quote style', () => {
+  const { citations, rejected } = verifyCitations(POLICY, [
+    { type: 'dataSharing', finding: 'Advertisers', quote: 'we share it with "advertising partners" for' }
+  ]);
+
+  assert.equal(rejected.length, 0);
+  assert.equal(citations.length, 1);
+
+  const [citation] = citations;
+  assert.equal(citation.quote, 'We  share it with   “advertising partners” for');
+  assert.equal(POLICY.slice(citation.start, citation.end), citation.quote);
+});
+
+test('rejects quotes that are not in the text or too short to count', () => {
+  const { citations, rejected } = verifyCitations(POLICY, [
+    { type: 'redFlags', finding: 'Sells data', quote: 'We sell your personal data' },
+    { type: 'summary', finding: 'Email', quote: 'email' }
+  ]);
+
+  assert.equal(citations.length, 0);
+  assert.deepEqual(rejected.map(item => item.reason), ['Quote not found in policy text', 'Quote is too short']);
+});
+
+test('keeps one citation per finding and position', () => {
+  const quote = { type: 'summary', finding: 'Email', quote: 'We collect your email address' };
+  const { citations } = verifyCitations(POLICY, [quote, quote]);
+
+  assert.equal(citations.length, 1);
+  assert.equal(citations[0].start, 0);
+});
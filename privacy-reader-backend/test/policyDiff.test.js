@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { hashText, diffPolicies } = require('../src/utils/policyDiff');
+
+test('formatting, case and date changes do not change the hash', () => {
+  assert.equal(
+    hashText('Last updated: January 1, 2024.\nWe collect “your” email.'),
+    hashText('last updated: March 5, 2025. We  collect "your" EMAIL.')
+  );
+});
+
+test('classifies a new sharing clause as material', () => {
+  const before = 'We collect your email address. We use it to send receipts.';
+  const after = `${before} We share your email address with advertising partners.`;
+
+  const diff = diffPolicies(before, after);
+
+  assert.equal(diff.isMaterial, true);
+  assert.equal(diff.coarse, false);
+  assert.deepEqual(diff.summary, { added: 1, removed: 0, modified: 0, moved: 0, material: 1, cosmetic: 0 });
+});
+
+test('reports reordered clauses as moves', () => {
+  const diff = diffPolicies(
+    'We collect your email address. We use cookies on our website. We keep data for two years.',
+    'We use cookies on our website. We keep data for two years. We collect your email address.'
+  );
+
+  assert.equal(diff.summary.moved, 1);
+  assert.equal(diff.isMaterial, false);
+});
+
+test('a complete rewrite of a long policy gets a bounded, coarse diff', () => {
+  const clauses = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix} clause number ${i} covers topic ${i * 7}.`).join(' ');
+  const before = clauses('Original', 2000);
+  const after = clauses('Rewritten', 2000);
+
+  const startedAt = Date.now();
+  const diff = diffPolicies(before, after);
+
+  assert.equal(diff.coarse, true);
+  assert.equal(diff.summary.added + diff.summary.modified, 2000);
+  assert.ok(Date.now() - startedAt < 10000, 'diff should finish quickly');
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SCORING_RUBRIC, scorePolicy } = require('../src/utils/privacyScorer');
+
+const analysis = (overrides = {}) => ({
+  summary: [],
+  dataCollection: {},
+  dataSharing: {},
+  retention: 'Data is kept for 12 months',
+  userRights: ['Access your data', 'Correct inaccuracies', 'Delete your information', 'Data portability', 'Opt out of marketing'],
+  redFlags: [],
+  compliance: {},
+  ...overrides
+});
+
+const criterion = (result, id) => result.breakdown.find(item => item.criterion === id);
+
+test('rubric weights add up to 100', () => {
+  assert.equal(SCORING_RUBRIC.reduce((total, item) => total + item.weight, 0), 100);
+});
+
+test('a policy with no deductions scores 100', () => {
+  const result = scorePolicy(analysis());
+
+  assert.equal(result.value, 100);
+  assert.equal(result.explanation, 'Scored 100/100 with no deductions');
+});
+
+test('the same analysis always gets the same score', () => {
+  const input = analysis({ dataSharing: { 'Ad networks': 'Advertising' }, retention: 'As long as necessary' });
+
+  assert.deepEqual(scorePolicy(input), scorePolicy(input));
+});
+
+test('deducts for selling data, open-ended retention and advertising partners', () => {
+  const result = scorePolicy(analysis({
+    dataSharing: { 'Advertising partners': 'We sell data for marketing' },
+    retention: 'As long as necessary'
+  }));
+
+  assert.equal(criterion(result, 'saleOfData').score, 0);
+  assert.equal(criterion(result, 'retentionClarity').score, 0.3);
+  assert.equal(criterion(result, 'thirdPartySharing').score, 0.6);
+  assert.equal(result.value, Math.round(result.breakdown.reduce((total, item) => total + item.points, 0)));
+  assert.match(result.explanation, /^Scored \d+\/100\. Main deductions: Sale of personal data/);
+});
+
+test('an opt-out halves the deduction for selling data', () => {
+  const result = scorePolicy(analysis({
+    redFlags: ['The company may sell your data'],
+    userRights: ['Opt out of the sale of your data']
+  }));
+
+  assert.equal(criterion(result, 'saleOfData').score, 0.5);
+});
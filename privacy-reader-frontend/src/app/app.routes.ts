@@ -1,3 +1,7 @@
 import { Routes } from '@angular/router';
 
-export const routes: Routes = [];
+import { PolicyAnalyzer } from './components/policy-analyzer/policy-analyzer';
+
+export const routes: Routes = [
+  { path: 'analyze', component: PolicyAnalyzer }
+];
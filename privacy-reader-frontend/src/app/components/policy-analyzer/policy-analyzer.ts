@@ -1,11 +1,123 @@
-import { Component } from '@angular/core';
+import { Component, OnDestroy, inject, signal } from '@angular/core';
+import { Subscription } from 'rxjs';
 
+import { AnalysisProgressEvent, Api, PolicyStructureResponse } from '../../services/api';
+
+/**
+ * Analyze a privacy policy URL. Shows the job's progress while the backend
+ * works on it, then the analysis and the policy's table of contents.
+ */
 @Component({
   selector: 'app-policy-analyzer',
   imports: [],
   templateUrl: './policy-analyzer.html',
   styleUrl: './policy-analyzer.scss'
 })
-export class PolicyAnalyzer {
+export class PolicyAnalyzer implements OnDestroy {
+  private readonly api = inject(Api);
+  private subscription?: Subscription;
+
+  protected readonly running = signal(false);
+  protected readonly stage = signal('');
+  protected readonly progress = signal(0);
+  protected readonly notice = signal<string | null>(null);
+  protected readonly partialSummaries = signal<string[]>([]);
+  protected readonly policy = signal<any>(null);
+  protected readonly structure = signal<PolicyStructureResponse | null>(null);
+  protected readonly error = signal<string | null>(null);
+
+  async analyze(url: string) {
+    url = url.trim();
+    if (!url || this.running()) return;
+
+    this.reset();
+    this.running.set(true);
+
+    try {
+      const response = await this.api.analyzePolicy(url);
+
+      // Already analyzed: the stored policy comes back right away
+      if (response.policy) {
+        this.showPolicy(response.policy);
+        return;
+      }
+
+      if (response.job) {
+        this.stage.set(response.job.stage);
+        this.progress.set(response.job.progress);
+        this.follow(response.job.id);
+      }
+    } catch (error) {
+      this.fail(error);
+    }
+  }
+
+  ngOnDestroy() {
+    this.subscription?.unsubscribe();
+  }
+
+  /**
+   * Follow a job's progress events until its result arrives
+   */
+  private follow(jobId: string) {
+    this.subscription = this.api.streamJobEvents(jobId).subscribe({
+      next: event => this.onEvent(event),
+      error: error => this.fail(error)
+    });
+  }
+
+  private onEvent({ event, data }: AnalysisProgressEvent) {
+    switch (event) {
+      case 'status':
+        this.stage.set(data.job.stage);
+        this.progress.set(data.job.progress);
+        break;
+      case 'stage':
+        this.stage.set(data.stage);
+        this.progress.set(data.progress);
+        break;
+      case 'partial_summary':
+        this.partialSummaries.update(summaries => [...summaries, ...data.summary]);
+        break;
+      case 'warning':
+        this.notice.set(data.message);
+        break;
+      case 'retrying':
+        this.notice.set(`The analysis hit a temporary problem and will be retried shortly: ${data.error}`);
+        break;
+      case 'result':
+        this.showPolicy(data.policy);
+        break;
+    }
+  }
+
+  private async showPolicy(policy: any) {
+    this.policy.set(policy);
+    this.stage.set('done');
+    this.progress.set(100);
+    this.running.set(false);
+
+    try {
+      this.structure.set(await this.api.getPolicyStructure(policy.id));
+    } catch {
+      // The analysis is still useful without the table of contents
+      this.structure.set(null);
+    }
+  }
+
+  private fail(error: unknown) {
+    this.error.set(error instanceof Error ? error.message : String(error));
+    this.running.set(false);
+  }
 
+  private reset() {
+    this.subscription?.unsubscribe();
+    this.stage.set('');
+    this.progress.set(0);
+    this.notice.set(null);
+    this.partialSummaries.set([]);
+    this.policy.set(null);
+    this.structure.set(null);
+    this.error.set(null);
+  }
 }
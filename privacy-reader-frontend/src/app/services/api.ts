@@ -1,9 +1,222 @@
 import { Injectable } from '@angular/core';
+import { Observable } from 'rxjs';
+
+import { environment } from '../../environments/environment';
+
+/**
+ * Status of a background analysis job
+ */
+export interface AnalysisJob {
+  id: string;
+  status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+  stage: string;
+  progress: number;
+  error?: string | null;
+}
+
+/**
+ * Response of POST /policies/analyze: a stored policy, or a queued job
+ */
+export interface AnalyzeResponse {
+  policy?: any;
+  cached: boolean;
+  job?: AnalysisJob;
+  statusUrl?: string;
+  eventsUrl?: string;
+}
+
+/**
+ * One event from an analysis job's progress stream, e.g. `stage`,
+ * `fetch_method`, `text_extracted`, `partial_summary` or the final `result`
+ */
+export interface AnalysisProgressEvent {
+  event: string;
+  data: any;
+}
+
+/**
+ * Node of a policy's document tree. Offsets point into the policy text.
+ */
+export interface PolicyNode {
+  id: string;
+  type: 'section' | 'paragraph' | 'list' | 'table' | 'document';
+  start: number;
+  end: number;
+  level?: number;
+  heading?: string;
+  text?: string;
+  ordered?: boolean;
+  items?: { id: string; text: string; depth: number; start: number; end: number }[];
+  rows?: string[][];
+  documentType?: string;
+  title?: string;
+  url?: string;
+  children?: PolicyNode[];
+}
+
+/**
+ * Entry of a policy's table of contents
+ */
+export interface PolicyTocEntry {
+  id: string;
+  heading: string;
+  level: number;
+  children: PolicyTocEntry[];
+}
+
+/**
+ * Response of GET /policies/:id/structure: the document tree of a policy and
+ * its citations, each attached to the node and section it quotes
+ */
+export interface PolicyStructureResponse {
+  policy: { id: number; url: string; title: string; createdAt: string };
+  text: string;
+  structure: { version: number; source: 'html' | 'text'; nodes: PolicyNode[] };
+  toc: PolicyTocEntry[];
+  annotations: {
+    type: string;
+    finding: string;
+    quote: string;
+    start: number;
+    end: number;
+    nodeId: string | null;
+    sectionId: string | null;
+  }[];
+}
 
 @Injectable({
   providedIn: 'root'
 })
 export class Api {
+  private readonly apiUrl = environment.apiUrl;
 
   constructor() { }
+
+  /**
+   * Request an analysis of a privacy policy URL
+   */
+  async analyzePolicy(url: string, options: Record<string, unknown> = {}, token?: string): Promise<AnalyzeResponse> {
+    const response = await fetch(`${this.apiUrl}/policies/analyze`, {
+      method: 'POST',
+      headers: this.headers(token, { 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ url, options })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error?.message || data.message || `Analysis request failed with status ${response.status}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the document tree of a stored policy, for a navigable, annotated view
+   */
+  async getPolicyStructure(policyId: number | string, token?: string): Promise<PolicyStructureResponse> {
+    const response = await fetch(`${this.apiUrl}/policies/${policyId}/structure`, {
+      headers: this.headers(token, { 'Accept': 'application/json' })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error?.message || data.message || `Structure request failed with status ${response.status}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Stream the progress events of an analysis job. Completes after the
+   * `result` event and errors on `failed` or `cancelled`. Uses fetch rather
+   * than EventSource so an Authorization header can be sent.
+   */
+  streamJobEvents(jobId: string, token?: string): Observable<AnalysisProgressEvent> {
+    return new Observable<AnalysisProgressEvent>(subscriber => {
+      const controller = new AbortController();
+
+      const read = async () => {
+        const response = await fetch(`${this.apiUrl}/jobs/${jobId}/events`, {
+          headers: this.headers(token, { 'Accept': 'text/event-stream' }),
+          signal: controller.signal
+        });
+
+        if (!response.ok || !response.body) {
+          throw new Error(`Progress stream responded with status ${response.status}`);
+        }
+
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          buffer += value;
+
+          // Events are separated by a blank line
+          let boundary;
+          while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const message = parseServerSentEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+
+            if (!message) continue;
+
+            subscriber.next(message);
+
+            if (message.event === 'result') {
+              subscriber.complete();
+              return;
+            }
+
+            if (message.event === 'failed' || message.event === 'cancelled') {
+              throw new Error(message.data.job?.error || `Analysis ${message.event}`);
+            }
+          }
+        }
+
+        throw new Error('Progress stream ended before the analysis finished');
+      };
+
+      read().catch(error => {
+        if (!controller.signal.aborted) {
+          subscriber.error(error);
+        }
+      });
+
+      return () => controller.abort();
+    });
+  }
+
+  private headers(token: string | undefined, headers: Record<string, string>): Record<string, string> {
+    return token ? { ...headers, 'Authorization': `Bearer ${token}` } : headers;
+  }
+}
+
+/**
+ * Parse one Server-Sent Events message. Comments (keep-alives) return null.
+ */
+function parseServerSentEvent(chunk: string): AnalysisProgressEvent | null {
+  let event = 'message';
+  const dataLines: string[] = [];
+
+  chunk.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch {
+    return null;
+  }
 }